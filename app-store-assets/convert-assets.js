@@ -12,6 +12,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const ResourcePipeline = require('../js/resource-pipeline.js');
 
 // Check if canvas is available (optional dependency)
 let Canvas;
@@ -47,24 +48,8 @@ function generateFallbackImage(width, height, type) {
     const canvas = Canvas.createCanvas(width, height);
     const ctx = canvas.getContext('2d');
 
-    // Create gradient background
-    const gradient = ctx.createLinearGradient(0, 0, width, height);
-    gradient.addColorStop(0, colors.primary);
-    gradient.addColorStop(0.5, colors.secondary);
-    gradient.addColorStop(1, colors.accent);
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, width, height);
-
-    // Add subtle dot pattern
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
-    for (let x = 0; x < width; x += Math.max(20, width/32)) {
-        for (let y = 0; y < height; y += Math.max(20, height/20)) {
-            ctx.beginPath();
-            ctx.arc(x + 10, y + 10, Math.max(1, width/256), 0, Math.PI * 2);
-            ctx.fill();
-        }
-    }
+    // Gradient background with a subtle dot pattern, shared with the launcher icons of generated apps
+    ResourcePipeline.drawBackground(ctx, width, height, colors);
 
     if (type === 'icon') {
         generateIconContent(ctx, width, height);
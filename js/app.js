@@ -12,6 +12,8 @@ class CordovaAppGeneratorApp {
         this.ui = null;
         this.isGenerating = false;
         this.generationResults = null;
+        this.currentJob = null; // Job of the last run, for retrying its failed stages
+        this.resumableJob = null;
         this.eventListeners = new Map(); // Add event system
         this.init();
     }
@@ -55,12 +57,24 @@ class CordovaAppGeneratorApp {
     async init() {
         try {
             // Initialize core modules first (without UI dependencies)
+            this.pluginRegistry = new PluginRegistry();
+            await this.loadPluginSnapshot();
+            window.pluginRegistry = this.pluginRegistry;
+            this.scaffoldRegistry = new ScaffoldRegistry();
+            window.scaffoldRegistry = this.scaffoldRegistry;
+
             this.templatesManager = new AppTemplatesManager();
             this.templateManager = new TemplateManager();
-            this.generator = new CordovaAppGenerator();
+            this.generator = new CordovaAppGenerator({ pluginRegistry: this.pluginRegistry, scaffoldRegistry: this.scaffoldRegistry });
+            this.tokenVault = new TokenVault();
+            this.orgProfiles = new OrgProfiles();
+            this.jobStore = new JobStore();
             this.github = new GitHubIntegration();
             this.codemagic = new CodemagicIntegration();
-            this.cordovaBuilder = new CordovaBuildPreparation();
+            // Tokens left out of the form are read from the vault for each request
+            this.github.tokenVault = this.tokenVault;
+            this.codemagic.tokenVault = this.tokenVault;
+            this.cordovaBuilder = new CordovaBuildPreparation({ pluginRegistry: this.pluginRegistry, scaffoldRegistry: this.scaffoldRegistry });
             this.buildStatusManager = new BuildStatusManager();
 
             // Connect build status manager with Codemagic integration
@@ -73,6 +87,9 @@ class CordovaAppGeneratorApp {
             window.github = this.github;
             window.githubIntegration = this.github; // Add alias for consistency
             window.codemagic = this.codemagic;
+            window.tokenVault = this.tokenVault;
+            window.orgProfiles = this.orgProfiles;
+            window.jobStore = this.jobStore;
             window.cordovaBuilder = this.cordovaBuilder;
             window.buildStatusManager = this.buildStatusManager;
             window.app = this;
@@ -98,6 +115,9 @@ class CordovaAppGeneratorApp {
             // Initialize UI with templates
             await this.initializeUI();
 
+            // Offer to resume a generation the last session did not finish
+            await this.checkResumableJob();
+
             // Start polling for active builds after initialization
             setTimeout(() => {
                 this.buildStatusManager.startPollingActiveBuilds();
@@ -110,6 +130,16 @@ class CordovaAppGeneratorApp {
         }
     }
 
+    // Refresh plugin versions from the npm snapshot; the built-in versions are used if it is unavailable
+    async loadPluginSnapshot() {
+        try {
+            const info = await this.pluginRegistry.loadSnapshot();
+            console.log(`📦 Plugin snapshot loaded (${info.generatedAt}), ${info.updated.length} version(s) updated`);
+        } catch (error) {
+            console.warn('⚠️ Plugin snapshot not available, using built-in plugin versions:', error.message);
+        }
+    }
+
     // Setup event listeners between modules
     setupEventListeners() {
         // Generator events
@@ -128,6 +158,7 @@ class CordovaAppGeneratorApp {
         this.github.on('repo:create:error', this.onRepoCreateError.bind(this));
         this.github.on('repo:push:success', this.onRepoPushSuccess.bind(this));
         this.github.on('repo:push:error', this.onRepoPushError.bind(this));
+        this.github.on('repo:settings', this.onRepoSettings.bind(this));
 
         // Codemagic events
         this.codemagic.on('auth:success', this.onCodemagicAuthSuccess.bind(this));
@@ -193,47 +224,40 @@ class CordovaAppGeneratorApp {
                 this.templatesManager.getTemplate(id)
             ).filter(Boolean);
 
-            // Show progress section
-            this.showProgressSection();
-
-            // Authenticate with GitHub
-            await this.authenticateGitHub(formData.githubUsername, formData.githubToken);
-
-            // Generate apps
-            const results = await this.generator.generateApps(selectedTemplates, formData);
+            // Reject unknown plugins before anything is generated or pushed
+            const pluginValidation = this.pluginRegistry.validateTemplates(selectedTemplates);
+            if (!pluginValidation.isValid) {
+                this.ui.showToast(`Plugin validation failed: ${pluginValidation.errors.join('; ')}`, 'error', 8000);
+                return;
+            }
+            pluginValidation.warnings.forEach(warning => this.addLogEntry(`⚠️ ${warning}`, 'warning'));
 
-            // Prepare Cordova build structure if enabled
-            let buildResults = null;
-            if (formData.enableBuildPreparation) {
-                this.addLogEntry('Preparing Cordova build structures...', 'info');
-                buildResults = await this.cordovaBuilder.prepareCordovaProjects(results.results, formData);
-
-                // Update the generated apps with build-ready structure
-                results.results = results.results.map((result, index) => ({
-                    ...result,
-                    buildReady: buildResults.results[index]
-                }));
+            // Reject templates whose package ID would be invalid
+            const packageErrors = selectedTemplates.map(template => {
+                try {
+                    PackageIdPolicy.resolve(template, formData.packagePrefix);
+                    return null;
+                } catch (error) {
+                    return `${template.displayName}: ${error.message}`;
+                }
+            }).filter(Boolean);
+            if (packageErrors.length > 0) {
+                this.ui.showToast(`Package ID validation failed: ${packageErrors.join('; ')}`, 'error', 8000);
+                return;
             }
 
-            // Create GitHub repositories and push code
-            const githubResults = await this.github.createAndPushApps(results.results);
+            // Show progress section
+            this.showProgressSection();
+            this.ui.renderResumableJob(null);
 
-            // Codemagic integration if enabled
-            let codemagicResults = null;
-            if (formData.enableCodemagicIntegration) {
-                codemagicResults = await this.integrateWithCodemagic(githubResults, formData);
+            if (!(await this.connectGitHub(formData))) {
+                return;
             }
 
-            // Store results
-            this.generationResults = {
-                ...results,
-                githubResults,
-                buildResults,
-                codemagicResults
-            };
-
-            // Show results
-            this.showResults();
+            // Every stage of every app is saved, so the run can be resumed if it is interrupted
+            const job = JobStore.createJob(selectedTemplates, formData);
+            await this.saveJob(job, true);
+            await this.runJob(job, formData);
 
         } catch (error) {
             console.error('Generation failed:', error);
@@ -246,7 +270,9 @@ class CordovaAppGeneratorApp {
 
     // Validate form data
     validateFormData(formData) {
-        const required = ['githubUsername', 'githubToken', 'packagePrefix', 'authorName', 'authorEmail'];
+        // The token vault or the proxy server may hold the GitHub token, so the form does not need one
+        const vaultToken = !formData.githubToken && this.tokenVault.has('github');
+        const required = ['githubUsername', ...(vaultToken || ConfigUtils.hasServerToken('github') ? [] : ['githubToken']), 'packagePrefix', 'authorName', 'authorEmail'];
 
         for (const field of required) {
             if (!formData[field] || !formData[field].trim()) {
@@ -255,9 +281,21 @@ class CordovaAppGeneratorApp {
             }
         }
 
+        if (vaultToken && !this.tokenVault.isUnlocked()) {
+            this.ui.showToast('Unlock the token vault with your passphrase to use the GitHub token stored in it', 'error');
+            return false;
+        }
+
         // Validate GitHub token format
-        if (!formData.githubToken.startsWith('ghp_') && !formData.githubToken.startsWith('github_pat_')) {
-            this.ui.showToast('Please enter a valid GitHub personal access token (starts with ghp_ or github_pat_)', 'error');
+        if (formData.githubToken && !SecurityUtils.validateGitHubToken(formData.githubToken.trim())) {
+            this.ui.showToast('Please enter a valid GitHub token (a ghp_ or github_pat_ personal access token, or a ghs_ GitHub App installation token)', 'error');
+            return false;
+        }
+
+        // Validate repository settings
+        const profileErrors = OrgProfiles.validate(this.getOrgProfile(formData));
+        if (profileErrors.length > 0) {
+            this.ui.showToast(`Repository settings: ${profileErrors.join('; ')}`, 'error', 8000);
             return false;
         }
 
@@ -273,9 +311,63 @@ class CordovaAppGeneratorApp {
             return false;
         }
 
+        // The GitHub Actions workflow is written during build preparation
+        if (formData.ciProvider === 'github-actions' && !formData.enableBuildPreparation) {
+            this.ui.showToast('GitHub Actions requires Cordova build preparation to be enabled', 'error');
+            return false;
+        }
+
+        // Validate release signing settings (GitHub Actions reads the keystore from repository secrets)
+        if (formData.enableReleaseSigning && formData.ciProvider !== 'github-actions') {
+            if (!formData.enableBuildPreparation) {
+                this.ui.showToast('Release signing requires Cordova build preparation to be enabled', 'error');
+                return false;
+            }
+            if (!/^[A-Za-z0-9_-]+$/.test(formData.signingReference || '')) {
+                this.ui.showToast('Please enter the Codemagic keystore reference or environment group name (letters, numbers, _ and -)', 'error');
+                return false;
+            }
+        }
+
+        // A custom codemagic.yaml replaces the generated workflows, so the signing and iOS settings may not reach it
+        if (formData.ciProvider !== 'github-actions' && formData.enableBuildPreparation) {
+            const warnings = CordovaBuildPreparation.checkCustomCodemagicConfig(formData.codemagicConfig, formData);
+            warnings.forEach(warning => this.addLogEntry(`⚠️ Custom Codemagic configuration: ${warning}`, 'warning'));
+            if (warnings.length > 0) {
+                this.ui.showToast(`Custom Codemagic configuration: ${warnings.join('; ')}`, 'warning', 10000);
+            }
+        }
+
+        // The GitHub Actions workflow only builds iOS for the simulator; distribution settings are for Codemagic
+        if (formData.ciProvider === 'github-actions' && formData.enableIosBuild) {
+            this.ui.showToast('GitHub Actions builds an unsigned iOS simulator app; use Codemagic for signed iOS builds', 'warning', 8000);
+        }
+
+        // Validate iOS build settings
+        if (formData.enableIosBuild && formData.iosAppStoreConnectIntegration &&
+            !/^[A-Za-z0-9_-]+$/.test(formData.iosAppStoreConnectIntegration)) {
+            this.ui.showToast('Please enter a valid App Store Connect integration name (letters, numbers, _ and -)', 'error');
+            return false;
+        }
+
         return true;
     }
 
+    // Lint each generated project and log the findings
+    lintGeneratedApps(results) {
+        results.filter(result => result.success && result.files).forEach(result => {
+            result.lint = ProjectLinter.lint(ProjectExporter.collectFiles(result));
+            const name = result.config.displayName;
+
+            result.lint.errors.forEach(issue => {
+                this.addLogEntry(`❌ ${name}: ${ProjectLinter.formatIssue(issue)}`, 'error');
+            });
+            result.lint.warnings.forEach(issue => {
+                this.addLogEntry(`⚠️ ${name}: ${ProjectLinter.formatIssue(issue)}`, 'warning');
+            });
+        });
+    }
+
     // Authenticate with GitHub
     async authenticateGitHub(username, token) {
         try {
@@ -284,12 +376,65 @@ class CordovaAppGeneratorApp {
             // Validate token permissions
             const permissions = await this.github.validateTokenPermissions();
 
-            this.ui.showToast(`GitHub authentication successful! Scopes: ${permissions.scopes.join(', ')}`, 'success');
+            const access = permissions.scopes.length > 0
+                ? `Scopes: ${permissions.scopes.join(', ')}`
+                : `${GitHubIntegration.TOKEN_TYPES[permissions.tokenType] || 'Token'} for ${this.github.username}`;
+            this.ui.showToast(`GitHub authentication successful! ${access}`, 'success');
         } catch (error) {
             throw new Error(`GitHub authentication failed: ${error.message}`);
         }
     }
 
+    // Organization profile from the repository settings of the form
+    getOrgProfile(formData) {
+        return OrgProfiles.normalize({
+            owner: formData.githubOrganization,
+            visibility: formData.repoVisibility,
+            teams: formData.repoTeams,
+            topics: formData.repoTopics,
+            protectMain: formData.protectMainBranch,
+            requiredReviews: formData.requiredReviews
+        });
+    }
+
+    // Authenticate with GitHub, apply the repository settings and check the token can do everything the run needs
+    async connectGitHub(formData) {
+        await this.authenticateGitHub(formData.githubUsername, formData.githubToken);
+
+        // Repository settings are saved per organization and reused by the next generation
+        this.github.setOrgProfile(this.orgProfiles.save(this.getOrgProfile(formData)));
+
+        // Stop before anything is created if the token lacks a permission the run needs
+        const preflight = await this.runGitHubPreflight(formData);
+        if (!preflight.ok) {
+            const missing = preflight.missing.map(capability => capability.label).join(', ');
+            this.ui.showToast(`GitHub token check failed for ${preflight.owner}: ${missing}. See the log for the permissions it needs`, 'error', 10000);
+            return false;
+        }
+        return true;
+    }
+
+    // Check each GitHub capability the run needs and log the result of every one
+    async runGitHubPreflight(formData) {
+        this.addLogEntry('Checking GitHub token permissions...', 'info');
+        const preflight = await this.github.preflight({ workflows: formData.ciProvider === 'github-actions' });
+
+        preflight.capabilities.forEach(capability => {
+            if (capability.granted) {
+                this.addLogEntry(`✓ ${capability.label} (${capability.detail})`, 'success');
+            } else if (capability.granted === false) {
+                const type = capability.required ? 'error' : 'warning';
+                this.addLogEntry(`${capability.required ? '❌' : '⚠️'} ${capability.label}: ${capability.detail}`, type);
+            } else if (capability.deferred) {
+                this.addLogEntry(`… ${capability.label}: ${capability.detail}`, 'info');
+            } else {
+                this.addLogEntry(`⚠️ ${capability.label}: ${capability.detail}`, 'warning');
+            }
+        });
+
+        return preflight;
+    }
+
     // Show progress section
     showProgressSection() {
         const progressSection = document.getElementById('progressSection');
@@ -347,6 +492,13 @@ class CordovaAppGeneratorApp {
             const isSuccess = result.success && githubResult?.success;
             const isBuildReady = buildResult && buildResult.success;
             const isCodemagicReady = codemagicResult && codemagicResult.success;
+            const lintWarnings = (githubResult?.lint || result.lint)?.warnings || [];
+            const jobApp = this.currentJob?.apps[index];
+            const retryButton = jobApp?.error ? `
+                <button class="btn btn-sm btn-secondary" onclick="app.retryApp('${result.template.id}')">
+                    <i class="fas fa-redo"></i> Retry ${JobStore.getStageLabel(jobApp.failedStage)}
+                </button>
+            ` : '';
 
             return `
                 <div class="result-card ${isSuccess ? 'success' : 'error'}">
@@ -365,15 +517,19 @@ class CordovaAppGeneratorApp {
                             <p><strong>Package:</strong> ${isBuildReady ? buildResult.packageName : result.config.packageName}</p>
                             <p><strong>Plugins:</strong> ${result.template.plugins.length}</p>
                             ${isBuildReady ? '<p><strong>Cordova Structure:</strong> ✅ Ready for building</p>' : ''}
-                            ${isBuildReady ? '<p><strong>Codemagic CI/CD:</strong> ✅ Configured</p>' : ''}
+                            ${isBuildReady ? `<p><strong>${result.config.ciProvider === 'github-actions' ? 'GitHub Actions' : 'Codemagic'} CI/CD:</strong> ✅ Configured</p>` : ''}
                             ${isCodemagicReady && codemagicResult.application ? `<p><strong>Codemagic App:</strong> ✅ <a href="https://codemagic.io/app/${codemagicResult.application.id}" target="_blank">View Project</a></p>` : ''}
                             ${isCodemagicReady && codemagicResult.build ? `<p><strong>Build Status:</strong> 🔄 <a href="${codemagicResult.build.buildUrl}" target="_blank">View Build</a></p>` : ''}
+                            ${isCodemagicReady && codemagicResult.iosBuild ? `<p><strong>iOS Build Status:</strong> 🍎 <a href="${codemagicResult.iosBuild.buildUrl}" target="_blank">View Build</a></p>` : ''}
+                            ${codemagicResult?.error ? `<p><strong>Codemagic:</strong> ❌ ${this.ui.escapeHtml(codemagicResult.error)}</p>` : ''}
+                            ${githubResult.settings?.failed.length ? `<p><strong>Repository Settings:</strong> ⚠️ Not applied: ${this.ui.escapeHtml(githubResult.settings.failed.map(item => item.setting).join(', '))}</p>` : ''}
+                            ${this.renderLintWarnings(lintWarnings)}
                         </div>
                         <div class="result-actions">
                             <a href="${githubResult.repository.htmlUrl}" target="_blank" class="btn btn-sm btn-primary">
                                 <i class="fab fa-github"></i> View on GitHub
                             </a>
-                            <a href="https://linhfishcr7.github.io/${githubResult.repository.name}/www" target="_blank" class="btn btn-sm btn-primary">
+                            <a href="${githubResult.repository.pagesUrl || `${GitHubIntegration.getPagesUrl(githubResult.repository.fullName.split('/')[0], githubResult.repository.name)}www/`}" target="_blank" class="btn btn-sm btn-primary">
                                 <i class="fab fa-github"></i> View GitHub Page
                             </a>
                             ${isCodemagicReady && codemagicResult.application ? `
@@ -389,15 +545,18 @@ class CordovaAppGeneratorApp {
                             <button class="btn btn-sm btn-secondary" onclick="app.downloadApp('${result.template.id}')">
                                 <i class="fas fa-download"></i> Download
                             </button>
+                            <button class="btn btn-sm btn-secondary" onclick="app.updateAppViaPullRequest('${result.template.id}')" title="Regenerate and open a pull request with the changes">
+                                <i class="fas fa-code-branch"></i> Update via PR
+                            </button>
+                            ${retryButton}
                         </div>
                     ` : `
                         <div class="result-error">
-                            <p><strong>Error:</strong> ${result.error || githubResult?.error || 'Unknown error'}</p>
+                            <p><strong>Error:</strong> ${this.ui.escapeHtml(result.error || githubResult?.error || 'Unknown error')}</p>
+                            ${this.renderLintWarnings(lintWarnings)}
                         </div>
                         <div class="result-actions">
-                            <button class="btn btn-sm btn-secondary" onclick="app.retryApp('${result.template.id}')">
-                                <i class="fas fa-redo"></i> Retry
-                            </button>
+                            ${retryButton}
                         </div>
                     `}
                 </div>
@@ -415,6 +574,20 @@ class CordovaAppGeneratorApp {
         );
     }
 
+    // Render project lint warnings for a results card
+    renderLintWarnings(warnings) {
+        if (warnings.length === 0) return '';
+
+        return `
+            <details class="result-lint-warnings">
+                <summary>⚠️ ${warnings.length} lint warning${warnings.length === 1 ? '' : 's'}</summary>
+                <ul>
+                    ${warnings.map(issue => `<li>${this.ui.escapeHtml(ProjectLinter.formatIssue(issue))}</li>`).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
     // Update progress
     updateProgress(percentage, taskName) {
         const progressFill = document.getElementById('overallProgress');
@@ -503,167 +676,345 @@ class CordovaAppGeneratorApp {
         this.addLogEntry(`✗ Failed to push code: ${data.error.message}`, 'error');
     }
 
-    // Codemagic integration workflow with improved error handling
-    async integrateWithCodemagic(githubResults, formData) {
-        try {
-            this.addLogEntry('🚀 Starting Codemagic.io integration...', 'info');
+    onRepoSettings(data) {
+        const { applied, failed } = data.settings;
+        if (applied.length > 0) {
+            this.addLogEntry(`✓ ${data.repository.fullName}: applied ${applied.join(', ')}`, 'success');
+        }
+        failed.forEach(({ setting, error }) => {
+            this.addLogEntry(`⚠️ ${data.repository.fullName}: could not apply ${setting}: ${error}`, 'warning');
+        });
+    }
 
-            // Authenticate with Codemagic with CORS error handling
-            let authSuccess = false;
-            try {
-                await this.authenticateCodemagic(formData.codemagicApiToken, formData.codemagicTeamId);
-                authSuccess = true;
-            } catch (authError) {
-                if (authError.isCorsError || authError.message.includes('CORS')) {
-                    this.addLogEntry('⚠️ Codemagic API not accessible from localhost due to CORS restrictions', 'warning');
-                    this.addLogEntry('📋 Your GitHub repositories have been created successfully!', 'success');
-                    this.addLogEntry('🚀 To enable Codemagic integration, choose one of these options:', 'info');
-                    this.addLogEntry('   • Deploy this app to a web server (GitHub Pages, Netlify, Vercel)', 'info');
-                    this.addLogEntry('   • Use Codemagic dashboard directly to connect your repositories', 'info');
-                    this.addLogEntry('   • Set up a local proxy server to bypass CORS', 'info');
-                    this.addLogEntry('💡 Your apps are ready for manual Codemagic setup!', 'info');
-
-                    // Return partial results indicating CORS limitation
-                    return githubResults.map(result => ({
-                        success: false,
-                        error: 'CORS_LIMITATION',
-                        message: 'Codemagic integration not available from localhost',
-                        appName: result.appName || 'Unknown',
-                        corsLimited: true,
-                        githubSuccess: result.success,
-                        repository: result.repository,
-                        alternativeInstructions: [
-                            'Your GitHub repository is ready for Codemagic integration',
-                            'Visit https://codemagic.io/apps to manually add your repository',
-                            'Use the repository URL: ' + (result.repository?.cloneUrl || 'N/A')
-                        ]
-                    }));
-                }
-                throw authError;
-            }
+    // Run each app of a job through the stages it has left, one stage at a time, saving the job after every step
+    async runJob(job, formData) {
+        this.currentJob = job;
+        this.resumableJob = null;
+        job.status = 'running';
+        await this.saveJob(job);
 
-            const codemagicResults = [];
-
-            for (const githubResult of githubResults) {
-                // Determine app name with proper fallback hierarchy
-                let appName = 'Cordova App'; // Default fallback
-                if (githubResult.app?.displayName) {
-                    appName = githubResult.app.displayName;
-                } else if (githubResult.app?.appName) {
-                    appName = githubResult.app.appName;
-                } else if (githubResult.repository?.originalAppName) {
-                    appName = githubResult.repository.originalAppName;
-                } else if (githubResult.repository?.name) {
-                    // Convert repository name back to readable format
-                    appName = githubResult.repository.name
-                        .replace(/-/g, ' ')
-                        .replace(/\b\w/g, l => l.toUpperCase());
-                }
+        if (!this.jobStore.isSupported()) {
+            this.addLogEntry('⚠️ This browser cannot store job state, so an interrupted run cannot be resumed', 'warning');
+        }
+        this.addLogEntry(`Running ${job.apps.length} app(s) through: ${job.stages.map(JobStore.getStageLabel).join(', ')}`, 'info');
 
-                if (!githubResult.success) {
-                    codemagicResults.push({
-                        success: false,
-                        error: 'GitHub repository creation failed',
-                        appName: appName
-                    });
-                    continue;
+        for (const stage of job.stages) {
+            const apps = job.apps.filter(app => !app.error && JobStore.getNextStage(job, app) === stage);
+            if (apps.length === 0) continue;
+
+            if (JobStore.CODEMAGIC_STAGES.includes(stage) && !(await this.connectCodemagic(job, apps, stage, formData))) {
+                continue;
+            }
+
+            for (const app of apps) {
+                // Cancelled runs keep their state and are offered for resuming
+                if (!this.isGenerating) {
+                    job.status = 'interrupted';
+                    await this.saveJob(job);
+                    this.resumableJob = job;
+                    this.ui.renderResumableJob(job);
+                    return;
                 }
+                await this.runStage(job, app, stage, formData);
+            }
+        }
 
-                try {
-                    this.addLogEntry(`🔗 Creating Codemagic application for ${appName}...`, 'info');
-
-                    // Create Codemagic application
-                    const application = await this.codemagic.createApplication(
-                        githubResult.repository.cloneUrl,
-                        {
-                            appName: appName,
-                            repositoryName: githubResult.repository.name,
-                            originalAppName: githubResult.repository.originalAppName
-                        }
-                    );
-
-                    // Trigger initial build
-                    this.addLogEntry(`🚀 Triggering initial build for ${appName}...`, 'info');
-                    const build = await this.codemagic.triggerBuild(
-                        application.id,
-                        formData.codemagicWorkflowId || 'cordova_android_build',
-                        formData.codemagicBranch || 'main'
-                    );
-
-                    codemagicResults.push({
-                        success: true,
-                        appName: appName,
-                        application,
-                        build,
-                        repository: githubResult.repository,
-                        timestamp: new Date().toISOString()
-                    });
+        const summary = JobStore.getSummary(job);
+        job.status = summary.failed > 0 ? 'failed' : 'completed';
+        await this.saveJob(job);
 
-                    this.addLogEntry(`✅ Codemagic integration complete for ${appName}`, 'success');
+        this.updateProgress(100, 'Generation complete!');
+        this.addLogEntry(`Generation complete! ${summary.completed}/${summary.total} apps finished every stage`, summary.failed > 0 ? 'warning' : 'success');
 
-                } catch (error) {
-                    let errorMessage = error.message;
-                    let errorType = 'integration_error';
-
-                    // Handle specific error types
-                    if (error.message.includes('CORS') || error.message.includes('Failed to fetch')) {
-                        errorMessage = 'API not accessible from localhost (CORS restriction)';
-                        errorType = 'cors_error';
-                    } else if (error.message.includes('422')) {
-                        errorMessage = 'Repository validation failed - check repository URL and permissions';
-                        errorType = 'validation_error';
-                    } else if (error.message.includes('401')) {
-                        errorMessage = 'Authentication failed - check API token';
-                        errorType = 'auth_error';
-                    }
+        this.generationResults = this.getJobResults(job);
+        this.showResults();
+    }
 
-                    this.addLogEntry(`❌ Codemagic integration failed for ${appName}: ${errorMessage}`, 'error');
+    // Run one stage of an app; a failure is recorded on the app, which stops there until the stage is retried
+    async runStage(job, app, stage, formData) {
+        const label = JobStore.getStageLabel(stage);
+        const data = app.data;
+        this.updateProgress(JobStore.getSummary(job).progress, `${label}: ${app.displayName}...`);
+        app.attempts++;
 
-                    codemagicResults.push({
-                        success: false,
-                        error: errorMessage,
-                        errorType: errorType,
-                        appName: appName,
-                        repository: githubResult.repository,
-                        originalError: error.message
-                    });
+        try {
+            switch (stage) {
+                case 'generated': {
+                    const template = this.templatesManager.getTemplate(app.templateId);
+                    if (!template) {
+                        throw new Error(`Template ${app.templateId} is no longer available`);
+                    }
+                    data.result = await this.generator.generateSingleApp(template, formData);
+                    // The app config copies the form values; the job is saved, so it must not keep the tokens
+                    data.result.config = TokenVault.stripTokens(data.result.config);
+                    this.addLogEntry(`✓ ${app.displayName} generated successfully`, 'success');
+                    break;
                 }
+                case 'prepared':
+                    data.result.buildReady = await this.cordovaBuilder.prepareSingleCordovaProject(data.result, formData);
+                    break;
+                case 'repo-created':
+                    // Lint before creating the repository so a broken project leaves nothing behind
+                    this.lintGeneratedApps([data.result]);
+                    this.github.lintProject(data.result);
+                    data.repository = await this.github.createRepository(data.result.config);
+                    break;
+                case 'pushed':
+                    // Fine-grained and installation tokens: make sure the token's user can write to the repository
+                    await this.github.verifyRepositoryAccess(data.repository, { workflows: formData.ciProvider === 'github-actions' });
+                    data.pushResult = await this.github.pushCode(data.repository, data.result, { mode: formData.githubPushMode });
+                    // Topics, team access, branch protection and homepage need the pushed main branch
+                    data.settings = await this.github.applyRepositorySettings(data.repository, data.result.config);
+                    break;
+                case 'codemagic-app':
+                    this.addLogEntry(`🔗 Creating Codemagic application for ${data.result.config.displayName}...`, 'info');
+                    data.application = await this.codemagic.createApplication(data.repository.cloneUrl, {
+                        appName: data.result.config.displayName,
+                        repositoryName: data.repository.name,
+                        originalAppName: data.repository.originalAppName
+                    });
+                    break;
+                case 'build-triggered':
+                    await this.triggerJobBuilds(app, formData);
+                    break;
             }
 
-            // Log summary
-            const successCount = codemagicResults.filter(r => r.success).length;
-            const totalCount = codemagicResults.length;
+            app.stage = stage;
+            app.failedStage = null;
+            app.error = null;
+        } catch (error) {
+            app.failedStage = stage;
+            app.error = JobStore.CODEMAGIC_STAGES.includes(stage) ? this.describeCodemagicError(error) : error.message;
+            this.addLogEntry(`✗ ${app.displayName}: ${label} failed: ${app.error}`, 'error');
+        }
+
+        await this.saveJob(job);
+    }
+
+    // Trigger the Codemagic builds of an app; a build triggered before a failure is not triggered again on retry
+    async triggerJobBuilds(app, formData) {
+        const { application, result } = app.data;
+        const appName = result.config.displayName;
+        const branch = formData.codemagicBranch || 'main';
+        const buildDetails = { appName, templateName: result.config.appName };
+
+        if (!app.data.build) {
+            this.addLogEntry(`🚀 Triggering initial build for ${appName}...`, 'info');
+            app.data.build = await this.codemagic.triggerBuild(
+                application.id,
+                formData.codemagicWorkflowId || CodemagicIntegration.WORKFLOWS.android,
+                branch,
+                buildDetails
+            );
+        }
 
-            if (successCount === totalCount) {
-                this.addLogEntry(`🎉 Codemagic integration completed successfully for all ${totalCount} apps`, 'success');
-            } else if (successCount > 0) {
-                this.addLogEntry(`⚠️ Codemagic integration partially successful: ${successCount}/${totalCount} apps`, 'warning');
+        // Trigger the iOS workflow as well when it was generated
+        if (formData.enableIosBuild && !app.data.iosBuild) {
+            this.addLogEntry(`🍎 Triggering iOS build for ${appName}...`, 'info');
+            app.data.iosBuild = await this.codemagic.triggerBuild(
+                application.id,
+                CodemagicIntegration.WORKFLOWS.ios,
+                branch,
+                buildDetails
+            );
+        }
+
+        this.addLogEntry(`✅ Codemagic integration complete for ${appName}`, 'success');
+    }
+
+    // Authenticate with Codemagic before its stages; if that fails, the apps stop at the stage until it is retried
+    async connectCodemagic(job, apps, stage, formData) {
+        if (this.codemagic.isAuthenticated) return true;
+
+        try {
+            this.addLogEntry('🚀 Starting Codemagic.io integration...', 'info');
+            await this.authenticateCodemagic(formData.codemagicApiToken, formData.codemagicTeamId);
+            return true;
+        } catch (error) {
+            if (error.isCorsError || error.message.includes('CORS')) {
+                this.addLogEntry('⚠️ Codemagic API not accessible from localhost due to CORS restrictions', 'warning');
+                this.addLogEntry('📋 Your GitHub repositories have been created successfully!', 'success');
+                this.addLogEntry('🚀 To enable Codemagic integration, choose one of these options:', 'info');
+                this.addLogEntry('   • Deploy this app to a web server (GitHub Pages, Netlify, Vercel)', 'info');
+                this.addLogEntry('   • Use Codemagic dashboard directly to connect your repositories', 'info');
+                this.addLogEntry('   • Run "node tools/proxy-server.js" and open the generator from the address it prints', 'info');
+                this.addLogEntry('💡 Retry the Codemagic stage from the results once the API is reachable', 'info');
             } else {
-                this.addLogEntry(`❌ Codemagic integration failed for all apps`, 'error');
+                this.addLogEntry(`❌ Codemagic integration failed: ${error.message}`, 'error');
             }
 
-            return codemagicResults;
+            const message = this.describeCodemagicError(error);
+            apps.forEach(app => {
+                app.failedStage = stage;
+                app.error = message;
+            });
+            await this.saveJob(job);
+            return false;
+        }
+    }
 
+    // Readable message for a failed Codemagic request
+    describeCodemagicError(error) {
+        if (error.isCorsError || error.message.includes('CORS') || error.message.includes('Failed to fetch')) {
+            return 'API not accessible from localhost (CORS restriction)';
+        }
+        if (error.message.includes('422')) {
+            return 'Repository validation failed - check repository URL and permissions';
+        }
+        if (error.message.includes('401')) {
+            return 'Authentication failed - check API token';
+        }
+        return error.message;
+    }
+
+    // Results of a job in the shape the result cards use
+    getJobResults(job) {
+        const reached = (app, stage) => job.stages.indexOf(app.stage) >= job.stages.indexOf(stage);
+
+        const results = job.apps.map(app => app.data.result || {
+            template: this.templatesManager.getTemplate(app.templateId) || { id: app.templateId, displayName: app.displayName, plugins: [] },
+            success: false,
+            error: app.error
+        });
+
+        const githubResults = job.apps.map((app, index) => reached(app, 'pushed') ? {
+            app: results[index].config,
+            repository: app.data.repository,
+            pushResult: app.data.pushResult,
+            settings: app.data.settings,
+            lint: results[index].lint,
+            success: true
+        } : {
+            app: results[index].config,
+            error: app.error,
+            lint: results[index].lint || null,
+            success: false
+        });
+
+        const codemagicResults = job.stages.includes('codemagic-app') ? job.apps.map(app => ({
+            success: reached(app, 'build-triggered'),
+            appName: app.displayName,
+            application: app.data.application || null,
+            build: app.data.build || null,
+            iosBuild: app.data.iosBuild || null,
+            repository: app.data.repository,
+            error: JobStore.CODEMAGIC_STAGES.includes(app.failedStage) ? app.error : null
+        })) : null;
+
+        return {
+            jobId: job.id,
+            totalApps: results.length,
+            successfulApps: results.filter(result => result.success).length,
+            failedApps: results.filter(result => !result.success).length,
+            results,
+            githubResults,
+            codemagicResults
+        };
+    }
+
+    // Save job state; when IndexedDB fails the run goes on, it just cannot be resumed
+    async saveJob(job, isNew = false) {
+        try {
+            await (isNew ? this.jobStore.add(job) : this.jobStore.save(job));
         } catch (error) {
-            // Handle global integration errors
-            let errorMessage = error.message;
-            if (error.isCorsError || error.message.includes('CORS')) {
-                errorMessage = 'Codemagic API not accessible from localhost due to browser security restrictions';
+            console.warn('Failed to save generation job:', error);
+            if (!this.jobSaveFailed) {
+                this.jobSaveFailed = true;
+                this.addLogEntry(`⚠️ Job state could not be saved (${error.message}); an interrupted run cannot be resumed`, 'warning');
+            }
+        }
+    }
+
+    // Settings of a saved job with the tokens from the form, which jobs never store
+    getJobFormData(job) {
+        const current = this.ui.getFormData();
+        const formData = { ...job.formData };
+        Object.values(TokenVault.SERVICES).forEach(({ field }) => {
+            formData[field] = current[field];
+        });
+        return formData;
+    }
+
+    // Offer the newest unfinished job of an earlier session for resuming
+    async checkResumableJob() {
+        try {
+            this.resumableJob = await this.jobStore.findResumable();
+            this.ui.renderResumableJob(this.resumableJob);
+        } catch (error) {
+            console.warn('Failed to load saved generation jobs:', error);
+        }
+    }
+
+    // Continue the unfinished job, retrying the stages that failed
+    async resumeJob() {
+        const job = this.resumableJob;
+        if (!job) return;
+
+        await this.continueJob(job, job.apps.filter(app => app.error));
+    }
+
+    async discardJob() {
+        const job = this.resumableJob;
+        if (!job) return;
+
+        this.resumableJob = null;
+        this.ui.renderResumableJob(null);
+        try {
+            await this.jobStore.remove(job.id);
+            this.ui.showToast('Unfinished generation discarded', 'info');
+        } catch (error) {
+            this.ui.showToast(`Failed to discard the generation: ${error.message}`, 'error');
+        }
+    }
+
+    // Run a saved job again; the failed stages of the given apps are retried, other apps continue where they stopped
+    async continueJob(job, retryApps) {
+        if (this.isGenerating) {
+            this.ui.showToast('Generation already in progress', 'warning');
+            return;
+        }
+
+        const formData = this.getJobFormData(job);
+        if (!this.validateFormData(formData)) {
+            return;
+        }
+
+        try {
+            this.isGenerating = true;
+            this.showProgressSection();
+            this.ui.renderResumableJob(null);
+
+            // GitHub is only needed while an app still has a repository stage to run
+            const needsGitHub = job.apps
+                .filter(app => !app.error || retryApps.includes(app))
+                .some(app => JobStore.getRemainingStages(job, app).some(stage => JobStore.GITHUB_STAGES.includes(stage)));
+            if (needsGitHub && !(await this.connectGitHub(formData))) {
+                return;
             }
 
-            this.addLogEntry(`❌ Codemagic integration failed: ${errorMessage}`, 'error');
-            throw error;
+            retryApps.forEach(app => {
+                app.failedStage = null;
+                app.error = null;
+            });
+            await this.runJob(job, formData);
+
+        } catch (error) {
+            console.error('Generation failed:', error);
+            this.ui.showToast(`Generation failed: ${error.message}`, 'error');
+            this.hideProgressSection();
+        } finally {
+            this.isGenerating = false;
         }
     }
 
     // Authenticate with Codemagic
     async authenticateCodemagic(apiToken, teamId) {
-        if (!apiToken || !apiToken.trim()) {
+        if ((!apiToken || !apiToken.trim()) && !this.tokenVault.has('codemagic') && !ConfigUtils.hasServerToken('codemagic')) {
             throw new Error('Codemagic API token is required');
         }
 
         this.addLogEntry('Authenticating with Codemagic.io...', 'info');
-        await this.codemagic.authenticate(apiToken.trim(), teamId?.trim() || null);
+        await this.codemagic.authenticate(apiToken?.trim() || null, teamId?.trim() || null);
         this.addLogEntry('✓ Codemagic authentication successful', 'success');
     }
 
@@ -711,6 +1062,8 @@ class CordovaAppGeneratorApp {
         const buildInfo = {
             buildId: data.build.buildId,
             appName: appName,
+            templateName: data.templateName || null,
+            platform: data.build.platform,
             applicationId: data.build.applicationId,
             status: this.buildStatusManager.STATUS.QUEUED,
             workflowId: data.build.workflowId,
@@ -920,13 +1273,14 @@ class CordovaAppGeneratorApp {
         const githubResults = this.generationResults.githubResults || [];
         const githubResult = githubResults.find(gr => gr.appName === result.template.name);
         const repositoryUrl = githubResult?.repository?.cloneUrl || 'YOUR_REPOSITORY_URL';
+        const usesGitHubActions = result.config.ciProvider === 'github-actions';
 
         const instructions = `# 🏗️ Build Instructions for ${appName}
 
 ## 📋 Project Information
 - **Package Name:** ${packageName}
 - **Cordova Structure:** ✅ Ready for building
-- **Codemagic CI/CD:** ✅ Configured
+- **${usesGitHubActions ? 'GitHub Actions' : 'Codemagic'} CI/CD:** ✅ Configured
 - **Plugins:** ${result.template.plugins.length} configured
 - **Repository:** ${repositoryUrl}
 
@@ -1005,7 +1359,18 @@ cordova clean android
 cordova requirements android
 \`\`\`
 
-## 🏗️ CI/CD with Codemagic
+${usesGitHubActions ? `## 🏗️ CI/CD with GitHub Actions
+
+This project is configured for automatic builds with GitHub Actions:
+
+1. **Pull Requests:** Build a debug APK, available as a workflow artifact
+2. **Release Tags:** Pushing a \`v*\` tag builds a signed release and attaches it to a GitHub Release
+3. **Build Configuration:** Uses ${CordovaBuildPreparation.GITHUB_WORKFLOW_PATH} and build.json
+4. **Signing Secrets:** ANDROID_KEYSTORE_BASE64, ANDROID_KEYSTORE_PASSWORD, ANDROID_KEY_ALIAS, ANDROID_KEY_PASSWORD
+
+### Manual Trigger:
+Run the workflow from the repository's Actions tab.
+` : `## 🏗️ CI/CD with Codemagic
 
 This project is configured for automatic builds with Codemagic.io:
 
@@ -1016,7 +1381,7 @@ This project is configured for automatic builds with Codemagic.io:
 
 ### Manual Trigger:
 Visit your Codemagic dashboard to manually trigger builds or modify settings.
-
+`}
 ## 📱 Build Outputs
 
 After successful build, find your files at:
@@ -1168,34 +1533,39 @@ Generated by Cordova App Generator - Happy Building! 🎉`;
         }
     }
 
-    // Download all apps
+    // Download all apps as a single ZIP archive
     downloadAllApps() {
         if (!this.generationResults) {
             this.ui.showToast('No apps to download', 'warning');
             return;
         }
 
-        // Generate deployment script
-        const repositories = this.generationResults.githubResults
-            .filter(r => r.success)
-            .map(r => r.repository);
-            
-        const config = this.ui.getFormData();
-        const deploymentScript = this.github.generateDeploymentScript(repositories, config);
-        
-        // Download deployment script
-        const blob = new Blob([deploymentScript], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'deploy-cordova-apps.sh';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        this.ui.showToast('Deployment script downloaded!', 'success');
+        const apps = this.generationResults.results.filter(r => r.success && r.files);
+        if (apps.length === 0) {
+            this.ui.showToast('No successfully generated apps to download', 'warning');
+            return;
+        }
+
+        try {
+            // Include the deployment script for apps that were pushed to GitHub
+            const extraFiles = {};
+            const repositories = (this.generationResults.githubResults || [])
+                .filter(r => r.success)
+                .map(r => r.repository);
+
+            if (repositories.length > 0) {
+                const config = this.ui.getFormData();
+                extraFiles['deploy-cordova-apps.sh'] = this.github.generateDeploymentScript(repositories, config);
+            }
+
+            const zip = ProjectExporter.createProjectsZip(apps, extraFiles);
+            ProjectExporter.downloadZip(zip, 'cordova-apps.zip');
+
+            this.ui.showToast(`${apps.length} app(s) downloaded as ZIP!`, 'success');
+        } catch (error) {
+            console.error('Failed to export apps:', error);
+            this.ui.showToast(`Failed to create ZIP archive: ${error.message}`, 'error');
+        }
     }
 
     // View on GitHub
@@ -1222,56 +1592,79 @@ Generated by Cordova App Generator - Happy Building! 🎉`;
         window.open(url, '_blank');
     }
 
-    // Download individual app
+    // Download individual app as a ZIP archive
     downloadApp(templateId) {
-        if (!this.generationResults) return;
+        if (!this.generationResults) {
+            this.ui.showToast('No apps to download', 'warning');
+            return;
+        }
 
         const result = this.generationResults.results.find(r => r.template.id === templateId);
-        if (!result) return;
+        if (!result || !result.success || !result.files) {
+            this.ui.showToast('Project files are not available for this app', 'error');
+            return;
+        }
 
-        // Create ZIP-like structure (simulated)
-        const files = result.files;
-        const zipContent = Object.entries(files).map(([path, content]) => 
-            `// File: ${path}\n${content}\n\n`
-        ).join('');
+        try {
+            const zip = ProjectExporter.createProjectZip(result);
+            ProjectExporter.downloadZip(zip, `${ProjectExporter.getProjectDirName(result)}.zip`);
 
-        const blob = new Blob([zipContent], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${result.template.name}-source.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        this.ui.showToast(`${result.template.displayName} source downloaded!`, 'success');
+            this.ui.showToast(`${result.template.displayName} downloaded as ZIP!`, 'success');
+        } catch (error) {
+            console.error('Failed to export app:', error);
+            this.ui.showToast(`Failed to create ZIP archive: ${error.message}`, 'error');
+        }
     }
 
-    // Retry individual app
+    // Retry the failed stage of an app and run the stages after it
     async retryApp(templateId) {
+        const app = this.currentJob?.apps.find(item => item.templateId === templateId && item.error);
+        if (!app) {
+            this.ui.showToast('This app has no failed stage to retry', 'info');
+            return;
+        }
+
+        this.ui.showToast(`Retrying ${app.displayName} from ${JobStore.getStageLabel(app.failedStage)}...`, 'info');
+        await this.continueJob(this.currentJob, [app]);
+    }
+
+    // Regenerate an existing app and open a pull request with the changes
+    async updateAppViaPullRequest(templateId) {
         const template = this.templatesManager.getTemplate(templateId);
         if (!template) return;
 
+        const formData = this.ui.getFormData();
+        if (!this.validateFormData(formData)) {
+            return;
+        }
+
         try {
-            const formData = this.ui.getFormData();
-            this.ui.showToast(`Retrying ${template.displayName}...`, 'info');
-            
-            // Generate single app
+            this.ui.showToast(`Regenerating ${template.displayName}...`, 'info');
+
+            if (!this.github.isAuthenticated) {
+                await this.authenticateGitHub(formData.githubUsername, formData.githubToken);
+            }
+
             const result = await this.generator.generateSingleApp(template, formData);
-            
-            // Create repository and push
-            const repository = await this.github.createRepository(result.config);
-            await this.github.pushCode(repository, result);
+            if (formData.enableBuildPreparation) {
+                result.buildReady = await this.cordovaBuilder.prepareSingleCordovaProject(result, formData);
+            }
+
+            const update = await this.github.openUpdatePullRequest(result);
+
+            if (update.upToDate) {
+                this.ui.showToast(`${template.displayName} is already up to date`, 'info');
+                this.addLogEntry(`${template.displayName}: no generator changes to propose`, 'info');
+                return;
+            }
+
+            this.addLogEntry(`${template.displayName}: opened pull request #${update.pullRequest.number} (${update.updatedFiles.length} updated, ${update.addedFiles.length} added, ${update.skippedFiles.length} customised files kept)`, 'success');
+            this.ui.showToast(`Pull request #${update.pullRequest.number} opened for ${template.displayName}`, 'success');
+            window.open(update.pullRequest.url, '_blank');
 
-            this.ui.showToast(`${template.displayName} generated successfully!`, 'success');
-            
-            // Update results if needed
-            // This would require more complex state management in a real app
-            
         } catch (error) {
-            this.ui.showToast(`Failed to retry ${template.displayName}: ${error.message}`, 'error');
+            this.addLogEntry(`${template.displayName}: ${error.message}`, 'error');
+            this.ui.showToast(`Failed to update ${template.displayName}: ${error.message}`, 'error');
         }
     }
 
@@ -96,6 +96,8 @@ class BuildStatusManager {
             const buildData = {
                 id: buildInfo.buildId,
                 appName: buildInfo.appName,
+                templateName: buildInfo.templateName || null,
+                platform: buildInfo.platform || 'android',
                 buildId: buildInfo.buildId,
                 applicationId: buildInfo.applicationId,
                 status: buildInfo.status || this.STATUS.QUEUED,
@@ -156,10 +158,10 @@ class BuildStatusManager {
         return builds.find(b => b.buildId === buildId);
     }
 
-    // Get builds by app name
+    // Get builds by app display name or template name
     getBuildsByApp(appName) {
         const builds = this.loadBuildHistory();
-        return builds.filter(b => b.appName === appName);
+        return builds.filter(b => b.appName === appName || b.templateName === appName);
     }
 
     // Get recent builds (last 24 hours)
@@ -7,8 +7,11 @@ class CodemagicIntegration {
     constructor() {
         this.isAuthenticated = false;
         this.apiToken = null;
+        // TokenVault the token is read from when it was not entered; set by the app
+        this.tokenVault = null;
         this.teamId = null;
-        this.apiBase = 'https://api.codemagic.io';
+        // Through tools/proxy-server.js when the generator is served by it, which avoids the CORS block
+        this.apiBase = ConfigUtils.getApiUrl('codemagic');
         this.eventListeners = new Map();
         this.rateLimitRemaining = 5000;
         this.rateLimitReset = null;
@@ -28,13 +31,25 @@ class CodemagicIntegration {
         }
     }
 
-    // Authenticate with Codemagic API
+    // API token header of requests; none when the proxy server adds its own token
+    async getAuthHeaders(apiToken = this.apiToken) {
+        // A vault token is decrypted for each request rather than kept on the instance
+        if (!apiToken && this.tokenVault?.has('codemagic')) {
+            apiToken = await this.tokenVault.getToken('codemagic');
+        }
+        return { ...ConfigUtils.getProxyHeaders(), ...(apiToken ? { 'x-auth-token': apiToken } : {}) };
+    }
+
+    // Authenticate with Codemagic API; the token may be left out when the token vault or the proxy server holds it
     async authenticate(apiToken, teamId = null) {
         try {
-            this.emit('auth:start', { apiToken: apiToken.substring(0, 8) + '...' });
+            const vaultToken = !apiToken && !!this.tokenVault?.has('codemagic');
+            const serverToken = !apiToken && !vaultToken && ConfigUtils.hasServerToken('codemagic');
+            const tokenLabel = vaultToken ? 'token vault' : serverToken ? 'proxy server token' : String(apiToken).substring(0, 8) + '...';
+            this.emit('auth:start', { apiToken: tokenLabel });
 
             // Validate inputs
-            if (!apiToken || typeof apiToken !== 'string' || apiToken.length < 10) {
+            if (!serverToken && !vaultToken && (!apiToken || typeof apiToken !== 'string' || apiToken.length < 10)) {
                 throw new Error('Invalid API token format. Please provide a valid Codemagic API token.');
             }
 
@@ -42,7 +57,7 @@ class CodemagicIntegration {
             const response = await this.makeApiRequest('/apps', {
                 method: 'GET',
                 headers: {
-                    'x-auth-token': apiToken,
+                    ...await this.getAuthHeaders(apiToken),
                     'Content-Type': 'application/json'
                 }
             });
@@ -74,11 +89,11 @@ class CodemagicIntegration {
             const data = await response.json();
 
             this.isAuthenticated = true;
-            this.apiToken = apiToken;
+            this.apiToken = apiToken || null;
             this.teamId = teamId;
 
             this.emit('auth:success', {
-                apiToken: apiToken.substring(0, 8) + '...',
+                apiToken: tokenLabel,
                 teamId,
                 appsCount: data.applications ? data.applications.length : 0
             });
@@ -98,7 +113,7 @@ class CodemagicIntegration {
                 corsError.solutions = [
                     'Deploy your application to a web server (GitHub Pages, Netlify, etc.)',
                     'Use the Codemagic dashboard directly to create projects',
-                    'Set up a local proxy server to bypass CORS restrictions',
+                    'Run "node tools/proxy-server.js" and open the generator from the address it prints',
                     'Use a browser extension to disable CORS (not recommended for production)'
                 ];
                 this.emit('auth:error', { error: corsError });
@@ -128,6 +143,9 @@ class CodemagicIntegration {
         } catch (error) {
             // Handle network errors and CORS issues
             if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
+                if (CONFIG.apiBase !== null) {
+                    throw new Error(`Cannot reach the proxy server at ${this.apiBase}. Check that tools/proxy-server.js is still running.`);
+                }
                 console.warn('🚫 CORS Error detected - Codemagic API not accessible from localhost');
                 throw new Error('CORS_ERROR: Cannot access Codemagic API from localhost');
             }
@@ -178,7 +196,7 @@ class CodemagicIntegration {
             const response = await fetch(`${this.apiBase}/apps`, {
                 method: 'POST',
                 headers: {
-                    'x-auth-token': this.apiToken,
+                    ...await this.getAuthHeaders(),
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(requestBody)
@@ -220,7 +238,7 @@ class CodemagicIntegration {
             const response = await fetch(`${this.apiBase}/apps`, {
                 method: 'GET',
                 headers: {
-                    'x-auth-token': this.apiToken,
+                    ...await this.getAuthHeaders(),
                     'Content-Type': 'application/json'
                 }
             });
@@ -253,7 +271,7 @@ class CodemagicIntegration {
     }
 
     // Trigger build for application
-    async triggerBuild(applicationId, workflowId = 'cordova_android_build', branch = 'main') {
+    async triggerBuild(applicationId, workflowId = CodemagicIntegration.WORKFLOWS.android, branch = 'main', details = {}) {
         if (!this.isAuthenticated) {
             throw new Error('Not authenticated with Codemagic');
         }
@@ -264,7 +282,7 @@ class CodemagicIntegration {
             const response = await fetch(`${this.apiBase}/builds`, {
                 method: 'POST',
                 headers: {
-                    'x-auth-token': this.apiToken,
+                    ...await this.getAuthHeaders(),
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
@@ -292,12 +310,13 @@ class CodemagicIntegration {
                 applicationId: applicationId,
                 workflowId: workflowId,
                 branch: branch,
+                platform: CodemagicIntegration.getWorkflowPlatform(workflowId),
                 status: 'queued',
                 startedAt: new Date().toISOString(),
                 buildUrl: `https://codemagic.io/app/${applicationId}/build/${data.buildId}`
             };
 
-            this.emit('build:trigger:success', { build });
+            this.emit('build:trigger:success', { build, ...details });
             return build;
 
         } catch (error) {
@@ -316,7 +335,7 @@ class CodemagicIntegration {
             const response = await fetch(`${this.apiBase}/builds/${buildId}`, {
                 method: 'GET',
                 headers: {
-                    'x-auth-token': this.apiToken,
+                    ...await this.getAuthHeaders(),
                     'Content-Type': 'application/json'
                 }
             });
@@ -353,7 +372,7 @@ class CodemagicIntegration {
             const response = await fetch(`${this.apiBase}/builds?buildId=${buildId}`, {
                 method: 'GET',
                 headers: {
-                    'x-auth-token': this.apiToken,
+                    ...await this.getAuthHeaders(),
                     'Content-Type': 'application/json'
                 }
             });
@@ -400,7 +419,7 @@ class CodemagicIntegration {
     isAuthenticatedStatus() {
         return {
             authenticated: this.isAuthenticated,
-            hasToken: !!this.apiToken,
+            hasToken: !!this.apiToken || !!this.tokenVault?.has('codemagic'),
             teamId: this.teamId,
             rateLimit: this.getRateLimitStatus()
         };
@@ -417,7 +436,23 @@ class CodemagicIntegration {
     }
 }
 
+// Workflow IDs written into the generated codemagic.yaml, keyed by platform
+CodemagicIntegration.WORKFLOWS = {
+    android: 'cordova_android_build',
+    ios: 'cordova_ios_build'
+};
+
+// Map a workflow ID back to its platform
+CodemagicIntegration.getWorkflowPlatform = function(workflowId) {
+    return workflowId === CodemagicIntegration.WORKFLOWS.ios ? 'ios' : 'android';
+};
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.CodemagicIntegration = CodemagicIntegration;
 }
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodemagicIntegration;
+}
@@ -3,16 +3,31 @@
  * Modify these settings for your deployment environment
  */
 
-// Detect environment
-const isProduction = window.location.protocol === 'https:' && 
+// Detect environment (tools/proxy-server.js also loads this file in Node.js, where there is no window)
+const isBrowser = typeof window !== 'undefined';
+const isProduction = isBrowser && window.location.protocol === 'https:' && 
                     !window.location.hostname.includes('localhost') && 
                     !window.location.hostname.includes('127.0.0.1');
 
+// tools/proxy-server.js announces itself with meta tags in the index.html it serves
+const readMeta = name => {
+    const meta = typeof document !== 'undefined' ? document.querySelector(`meta[name="${name}"]`) : null;
+    return meta ? meta.getAttribute('content') || '' : null;
+};
+const proxyApiBase = readMeta('api-base');
+
 const CONFIG = {
     // Environment settings
     production: isProduction,
     debug: !isProduction,
     version: '1.0.0',
+
+    // Where tools/proxy-server.js forwards /github/* and /codemagic/* to the APIs; null when the browser calls them directly
+    apiBase: proxyApiBase === null ? null : proxyApiBase.replace(/\/+$/, ''),
+    // Services whose API token the proxy server holds, so the browser neither needs nor stores one
+    serverTokens: proxyApiBase === null ? [] : (readMeta('api-server-tokens') || '').split(/\s+/).filter(Boolean),
+    // Secret the proxy server expects with every API request, so other sites cannot use its tokens
+    proxySession: proxyApiBase === null ? null : readMeta('api-proxy-session'),
     
     // Application limits
     maxAppsPerSession: 10,
@@ -29,6 +44,12 @@ const CONFIG = {
         maxRepoNameLength: 100,
         allowedScopes: ['public_repo', 'repo']
     },
+
+    // Codemagic API configuration
+    codemagic: {
+        apiUrl: 'https://api.codemagic.io',
+        timeout: 30000 // 30 seconds
+    },
     
     // UI configuration
     ui: {
@@ -43,11 +64,13 @@ const CONFIG = {
     security: {
         allowedDomains: [
             'api.github.com',
+            'api.codemagic.io',
             'fonts.googleapis.com',
             'fonts.gstatic.com',
             'cdnjs.cloudflare.com'
         ],
         maxTokenLength: 200,
+        tokenVaultAutoLock: 15 * 60 * 1000, // Lock the token vault after 15 minutes of inactivity
         sanitizeInputs: true,
         validatePackageNames: true
     },
@@ -122,7 +145,11 @@ const CONFIG = {
         userConfig: 'cordova_app_generator_config',
         customTemplates: 'cordova_app_generator_custom_templates',
         recentTemplates: 'cordova_app_generator_recent_templates',
-        uiPreferences: 'cordova_app_generator_ui_preferences'
+        uiPreferences: 'cordova_app_generator_ui_preferences',
+        tokenVault: 'cordova_app_generator_token_vault',
+        orgProfiles: 'cordova_app_generator_org_profiles',
+        // IndexedDB database of batch jobs, so an interrupted generation can be resumed
+        jobDatabase: 'cordova_app_generator_jobs'
     },
     
     // Analytics configuration (if enabled)
@@ -212,6 +239,32 @@ const ConfigUtils = {
      */
     isDebugEnabled() {
         return CONFIG.debug;
+    },
+
+    /**
+     * Get the base URL of an API, through the proxy server when the generator is served by it
+     * @param {string} service - 'github' or 'codemagic'
+     * @returns {string} API base URL without a trailing slash
+     */
+    getApiUrl(service) {
+        return CONFIG.apiBase === null ? CONFIG[service].apiUrl : `${CONFIG.apiBase}/${service}`;
+    },
+
+    /**
+     * Check if the proxy server holds the API token of a service
+     * @param {string} service - 'github' or 'codemagic'
+     * @returns {boolean} True if requests to the service need no token from the browser
+     */
+    hasServerToken(service) {
+        return CONFIG.serverTokens.includes(service);
+    },
+
+    /**
+     * Get the headers the proxy server needs with each API request
+     * @returns {object} Session header, or an empty object when the APIs are called directly
+     */
+    getProxyHeaders() {
+        return CONFIG.proxySession ? { 'X-Proxy-Session': CONFIG.proxySession } : {};
     }
 };
 
@@ -223,7 +276,7 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Initialize configuration logging (development only)
-if (CONFIG.development.showDebugInfo) {
+if (isBrowser && CONFIG.development.showDebugInfo) {
     console.log('Cordova App Generator Configuration:', {
         version: CONFIG.version,
         production: CONFIG.production,
@@ -4,7 +4,9 @@
  */
 
 class CordovaBuildPreparation {
-    constructor() {
+    constructor(options = {}) {
+        this.pluginRegistry = options.pluginRegistry || new PluginRegistry();
+        this.scaffoldRegistry = options.scaffoldRegistry || new ScaffoldRegistry();
         this.eventListeners = new Map();
         this.isBuilding = false;
         this.currentBuild = null;
@@ -122,14 +124,19 @@ class CordovaBuildPreparation {
             // Create proper Cordova project structure
             const cordovaProject = this.createCordovaProjectStructure(generatedApp, config);
             
-            // Generate Codemagic configuration
-            const codemagicConfig = this.generateCodemagicConfig(appConfig, config);
-            
-            // Create build-ready files
-            const buildFiles = {
-                ...cordovaProject.files,
-                'codemagic.yaml': codemagicConfig
-            };
+            // Create build-ready files with the selected CI provider's configuration
+            const buildFiles = { ...cordovaProject.files };
+            if (this.getCiProvider(config) === 'github-actions') {
+                buildFiles[CordovaBuildPreparation.GITHUB_WORKFLOW_PATH] = this.generateGitHubActionsWorkflow(appConfig, config);
+            } else {
+                buildFiles['codemagic.yaml'] = this.generateCodemagicConfig(appConfig, config);
+            }
+
+            // Signing settings for release builds (no secrets, those stay in the CI provider)
+            const signing = this.getSigningConfig(config);
+            if (signing) {
+                buildFiles['build.json'] = this.generateBuildJson(signing);
+            }
 
             // Generate build scripts
             const buildScripts = this.generateBuildScripts(appConfig);
@@ -139,7 +146,7 @@ class CordovaBuildPreparation {
                 cordovaStructure: cordovaProject.structure,
                 files: buildFiles,
                 buildScripts,
-                packageName: `com.lehau.${appName}`,
+                packageName: cordovaProject.structure.packageName,
                 buildReady: true,
                 success: true,
                 timestamp: new Date().toISOString()
@@ -156,10 +163,11 @@ class CordovaBuildPreparation {
     createCordovaProjectStructure(generatedApp, config) {
         const appConfig = generatedApp.config;
         const appName = appConfig.appName;
-        const packageName = `com.lehau.${appName}`;
+        // The app ID the generator resolved, so both paths always agree on it
+        const packageName = appConfig.packageName;
 
         // Create the proper Cordova config.xml
-        const cordovaConfigXml = this.generateCordovaConfigXml(appConfig, packageName);
+        const cordovaConfigXml = this.generateCordovaConfigXml(appConfig, packageName, generatedApp.files);
         
         // Create the proper package.json for Cordova
         const cordovaPackageJson = this.generateCordovaPackageJson(appConfig, packageName);
@@ -167,15 +175,14 @@ class CordovaBuildPreparation {
         // Organize web assets for www directory
         const webAssets = this.organizeWebAssets(generatedApp.files);
 
-        // Create the complete file structure
+        // Create the complete file structure; the Cordova files replace the generator's versions
         const files = {
+            ...webAssets,
             'config.xml': cordovaConfigXml,
             'package.json': cordovaPackageJson,
-            ...webAssets,
-            '.gitignore': this.generateCordovaGitignore(),
-            'README.md': this.generateCordovaReadme(appConfig, packageName),
-            'www/manifest.json': this.generateManifestJson(appConfig, packageName),
-            'www/js/index.js': this.generateCordovaIndexJs(appConfig)
+            '.gitignore': this.generateCordovaGitignore(appConfig),
+            'README.md': this.generateCordovaReadme(appConfig, packageName, generatedApp.files),
+            'www/manifest.json': this.generateManifestJson(appConfig, packageName)
         };
 
         const structure = {
@@ -193,26 +200,58 @@ class CordovaBuildPreparation {
             files: Object.keys(files)
         };
 
-        return { structure, files };
+        // Vite scaffolds rebuild www/ from src/, so the static assets ship from the build's public directory
+        const scaffold = this.scaffoldRegistry.resolve(appConfig);
+        return { structure, files: this.scaffoldRegistry.relocateWebAssets(files, scaffold) };
     }
 
-    // Generate proper Cordova config.xml (matching RetroGames structure exactly)
-    generateCordovaConfigXml(appConfig, packageName) {
+    // Resolve the core and template plugins to pinned registry entries
+    resolvePlugins(appConfig) {
+        return this.pluginRegistry.resolve(
+            [...PluginRegistry.CORE_PLUGINS, ...(appConfig.plugins || [])],
+            appConfig.pluginVariables
+        );
+    }
+
+    // Generate proper Cordova config.xml (matching RetroGames structure exactly), with icons for the generated resources
+    generateCordovaConfigXml(appConfig, packageName, files = {}) {
+        const resolvedPlugins = this.resolvePlugins(appConfig);
+        const plugins = this.pluginRegistry.renderConfigXmlPlugins(resolvedPlugins);
+        const iosPlatform = CordovaAppGenerator.renderIosPlatform(appConfig, this.pluginRegistry.renderUsageDescriptions(resolvedPlugins), ResourcePipeline.hasLogo(files));
+        const localizedMetadata = LocaleCatalog.renderConfigXml(appConfig);
+        const androidStrings = LocaleCatalog.renderAndroidResources(appConfig).resourceFiles;
+        const theme = this.scaffoldRegistry.themeRegistry.resolve(appConfig);
+        const androidResources = ResourcePipeline.renderConfigXml(files, theme);
+        const statusBar = ThemeRegistry.renderConfigXml(theme);
+        const xml = SecurityUtils.escapeXml;
+
         return `<?xml version='1.0' encoding='utf-8'?>
-<widget id="${packageName}" version="${appConfig.version || '1.0.0'}" xmlns="http://www.w3.org/ns/widgets" xmlns:cdv="http://cordova.apache.org/ns/1.0">
-    <name>${appConfig.displayName}</name>
-    <description>${appConfig.description || 'Sample Apache Cordova App'}</description>
-    <author email="${appConfig.authorEmail || 'dev@cordova.apache.org'}" href="https://cordova.apache.org">
-        ${appConfig.authorName || 'Apache Cordova Team'}
+<widget id="${packageName}" version="${xml(appConfig.version || '1.0.0')}" xmlns="http://www.w3.org/ns/widgets" xmlns:cdv="http://cordova.apache.org/ns/1.0">
+    <name>${xml(appConfig.displayName)}</name>
+    <description>${xml(appConfig.description || 'Sample Apache Cordova App')}</description>${localizedMetadata ? `
+${localizedMetadata}` : ''}
+    <author email="${xml(appConfig.authorEmail || 'dev@cordova.apache.org')}" href="https://cordova.apache.org">
+        ${xml(appConfig.authorName || 'Apache Cordova Team')}
     </author>
     <content src="index.html" />
     <allow-intent href="http://*/*" />
-    <allow-intent href="https://*/*" />
+    <allow-intent href="https://*/*" />${androidResources || androidStrings ? `
+    <platform name="android">${androidResources ? `
+${androidResources}` : ''}${androidStrings ? `
+        <!-- Launcher name in the app's other languages -->
+${androidStrings}` : ''}
+    </platform>` : ''}${iosPlatform ? `
+${iosPlatform}` : ''}
+${statusBar}
+${plugins}
 </widget>`;
     }
 
     // Generate proper Cordova package.json (matching RetroGames structure exactly)
     generateCordovaPackageJson(appConfig, packageName) {
+        const pluginPackages = this.pluginRegistry.toPackageJson(this.resolvePlugins(appConfig));
+        const scaffoldPackages = this.scaffoldRegistry.toPackageJson(this.scaffoldRegistry.resolve(appConfig));
+
         return JSON.stringify({
             name: packageName.toLowerCase(),
             displayName: appConfig.displayName,
@@ -220,20 +259,23 @@ class CordovaBuildPreparation {
             description: appConfig.description || 'A sample Apache Cordova application that responds to the deviceready event.',
             main: 'index.js',
             scripts: {
-                test: 'echo "Error: no test specified" && exit 1'
+                ...scaffoldPackages.scripts
             },
             keywords: [
                 'ecosystem:cordova'
             ],
             author: appConfig.authorName || 'Apache Cordova Team',
             license: 'Apache-2.0',
+            ...(Object.keys(scaffoldPackages.dependencies).length > 0 ? { dependencies: scaffoldPackages.dependencies } : {}),
             devDependencies: {
-                'cordova-android': '^14.0.1'
+                'cordova-android': '^14.0.1',
+                ...(appConfig.enableIosBuild ? { 'cordova-ios': '^7.1.1' } : {}),
+                ...scaffoldPackages.devDependencies,
+                ...pluginPackages.devDependencies
             },
             cordova: {
-                platforms: [
-                    'android'
-                ]
+                platforms: CordovaAppGenerator.getPlatforms(appConfig),
+                plugins: pluginPackages.plugins
             }
         }, null, 2);
     }
@@ -260,8 +302,8 @@ class CordovaBuildPreparation {
                         webAssets['www/js/index.js'] = content;
                         break;
                     default:
-                        // Place other files in www root
-                        webAssets[`www/${filePath}`] = content;
+                        // Project files (scaffold sources and build scripts, LICENSE, hooks) stay at the root
+                        webAssets[filePath] = content;
                         break;
                 }
             }
@@ -272,24 +314,21 @@ class CordovaBuildPreparation {
             webAssets['www/js/cordova.js'] = '// Cordova.js will be injected by the platform';
         }
 
-        // Add default logo if not present
-        if (!webAssets['www/img/logo.png']) {
-            webAssets['www/img/logo.png'] = this.generateDefaultLogo();
-        }
-
         return webAssets;
     }
 
     // Generate PWA manifest.json
     generateManifestJson(appConfig, packageName) {
+        const theme = this.scaffoldRegistry.themeRegistry.resolve(appConfig);
+
         return JSON.stringify({
             name: appConfig.displayName,
             short_name: appConfig.appName,
             description: appConfig.description,
             start_url: "./index.html",
             display: "standalone",
-            background_color: "#ffffff",
-            theme_color: appConfig.themeColor || "#4A90E2",
+            background_color: theme.colors.background,
+            theme_color: theme.colors.primary,
             icons: [
                 {
                     src: "img/logo.png",
@@ -308,176 +347,203 @@ class CordovaBuildPreparation {
         }, null, 2);
     }
 
-    // Generate proper Cordova index.js (based on RetroGames structure)
-    generateCordovaIndexJs(appConfig) {
-        return `/*
- * Licensed to the Apache Software Foundation (ASF) under one
- * or more contributor license agreements.  See the NOTICE file
- * distributed with this work for additional information
- * regarding copyright ownership.  The ASF licenses this file
- * to you under the Apache License, Version 2.0 (the
- * "License"); you may not use this file except in compliance
- * with the License.  You may obtain a copy of the License at
- *
- * http://www.apache.org/licenses/LICENSE-2.0
- *
- * Unless required by applicable law or agreed to in writing,
- * software distributed under the License is distributed on an
- * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
- * KIND, either express or implied.  See the License for the
- * specific language governing permissions and limitations
- * under the License.
- */
-
-// Wait for the deviceready event before using any of Cordova's device APIs.
-// See https://cordova.apache.org/docs/en/latest/cordova/events/events.html#deviceready
-document.addEventListener('deviceready', onDeviceReady, false);
-
-function onDeviceReady() {
-    // Cordova is now initialized. Have fun!
-    console.log('Running cordova-' + cordova.platformId + '@' + cordova.version);
-
-    // Initialize \${appConfig.displayName}
-    initializeApp();
-}
+    // Generate Codemagic CI/CD configuration; a custom configuration is used as is (checkCustomCodemagicConfig warns
+    // about the settings it leaves out)
+    generateCodemagicConfig(appConfig, config) {
+        const customConfig = config.codemagicConfig;
+        
+        if (customConfig && customConfig.trim()) {
+            return customConfig;
+        }
 
-function initializeApp() {
-    console.log('\${appConfig.displayName} initialized successfully!');
+        const signing = this.getSigningConfig(config);
+        const iosWorkflow = appConfig.enableIosBuild ? `\n\n${this.generateIosCodemagicWorkflow(appConfig, config)}` : '';
+        const projectSteps = this.generateProjectSteps(appConfig, 'codemagic');
+        if (signing) {
+            return this.generateSignedCodemagicConfig(signing, projectSteps) + iosWorkflow;
+        }
 
-    // Hide splash screen
-    if (navigator.splashscreen) {
-        navigator.splashscreen.hide();
+        // Default Codemagic configuration matching RetroGames repository structure
+        return `workflows:
+  cordova_android_build:
+    name: Build Cordova Android App
+    max_build_duration: 60
+    environment: {}  # <-- bỏ trống hoặc xóa luôn cũng được
+    scripts:
+      - name: Install Node.js & Cordova
+        script: |
+          curl -fsSL https://deb.nodesource.com/setup_18.x | bash -
+          apt-get install -y nodejs
+          npm install -g cordova
+      - name: Install project dependencies
+        script: |
+          npm install${projectSteps}
+      - name: Add Android platform & build release
+        script: |
+          cordova platform add android
+          cordova build android --release
+    artifacts:
+      - platforms/android/app/build/outputs/bundle/release/app-release.aab
+      - platforms/android/app/build/outputs/apk/release/app-release.apk${iosWorkflow}`;
     }
 
-    // Set status bar style
-    if (window.StatusBar) {
-        StatusBar.styleDefault();
+    // Generate the opt-in iOS workflow; signing files come from Codemagic code signing identities
+    generateIosCodemagicWorkflow(appConfig, config) {
+        const packageName = appConfig.packageName;
+        const distributionType = ['app_store', 'ad_hoc', 'development', 'enterprise'].includes(config.iosDistributionType)
+            ? config.iosDistributionType
+            : 'app_store';
+        const integration = (config.iosAppStoreConnectIntegration || '').trim();
+
+        // cordova-ios names the Xcode workspace and scheme after the <name> in config.xml
+        return `  ${CodemagicIntegration.WORKFLOWS.ios}:
+    name: Build Cordova iOS App
+    max_build_duration: 90
+    instance_type: mac_mini_m2${integration ? `
+    integrations:
+      app_store_connect: ${integration}` : ''}
+    environment:
+      ios_signing:
+        distribution_type: ${distributionType}
+        bundle_identifier: ${packageName}
+      vars:
+        XCODE_WORKSPACE: ${SecurityUtils.toYamlString(`platforms/ios/${appConfig.displayName}.xcworkspace`)}
+        XCODE_SCHEME: ${SecurityUtils.toYamlString(appConfig.displayName)}
+      node: 20
+      xcode: latest
+    scripts:
+      - name: Install Cordova
+        script: |
+          npm install -g cordova
+      - name: Install project dependencies
+        script: |
+          npm install${this.generateProjectSteps(appConfig, 'codemagic')}
+      - name: Add iOS platform
+        script: |
+          cordova platform add ios --confirm --no-interactive
+          cordova prepare ios
+      - name: Set up code signing settings on Xcode project
+        script: |
+          xcode-project use-profiles
+      - name: Build IPA
+        script: |
+          xcode-project build-ipa --workspace "$XCODE_WORKSPACE" --scheme "$XCODE_SCHEME"
+    artifacts:
+      - build/ios/ipa/*.ipa
+      - /tmp/xcodebuild_logs/*.log`;
     }
 
-    // App-specific initialization
-    setupEventListeners();
-    loadAppContent();
-}
-
-function setupEventListeners() {
-    // Add your event listeners here
-    const getStartedBtn = document.getElementById('getStartedBtn');
-    if (getStartedBtn) {
-        getStartedBtn.addEventListener('click', function() {
-            showToast('Welcome to \${appConfig.displayName}!');
-        });
+    // Get the CI steps that follow npm install: the web build when the scaffold has one, then the tests
+    generateProjectSteps(appConfig, provider) {
+        return this.generateWebBuildStep(appConfig, provider) + this.generateTestStep(provider);
     }
 
-    // Handle back button (Android)
-    document.addEventListener('backbutton', onBackKeyDown, false);
-}
+    // Generate the CI step that runs the generated tests
+    generateTestStep(provider) {
+        return provider === 'github-actions'
+            ? `
 
-function onBackKeyDown() {
-    // Handle back button press
-    if (confirm('Exit \${appConfig.displayName}?')) {
-        navigator.app.exitApp();
+      - name: Run tests
+        run: npm test`
+            : `
+      - name: Run tests
+        script: |
+          npm test`;
     }
-}
 
-function loadAppContent() {
-    // Load app-specific content
-    console.log('Loading \${appConfig.displayName} content...');
+    // Generate the CI step that builds www/ for scaffolds with a web build; empty otherwise
+    generateWebBuildStep(appConfig, provider) {
+        if (!this.scaffoldRegistry.resolve(appConfig).webBuild) return '';
 
-    // Update app info in the UI
-    updateAppInfo();
-}
+        const command = `npm run ${ScaffoldRegistry.WEB_BUILD_SCRIPT}`;
+        return provider === 'github-actions'
+            ? `
 
-function updateAppInfo() {
-    const appTitle = document.querySelector('.app-title');
-    const appSubtitle = document.querySelector('.app-subtitle');
+      - name: Build web assets
+        run: ${command}`
+            : `
+      - name: Build web assets
+        script: |
+          ${command}`;
+    }
 
-    if (appTitle) {
-        appTitle.textContent = '\${appConfig.displayName}';
+    // Get the CI provider that builds the generated apps
+    getCiProvider(config) {
+        return CordovaBuildPreparation.CI_PROVIDERS.includes(config.ciProvider) ? config.ciProvider : 'codemagic';
     }
 
-    if (appSubtitle) {
-        appSubtitle.textContent = '\${appConfig.description}';
+    // Get the keystore type chosen for release signing, or null to let the Android build detect it
+    getKeystoreType(config) {
+        const type = (config.signingKeystoreType || '').trim().toLowerCase();
+        return CordovaBuildPreparation.KEYSTORE_TYPES.includes(type) ? type : null;
     }
-}
 
-function showToast(message) {
-    // Simple toast notification
-    const toast = document.createElement('div');
-    toast.className = 'toast-notification';
-    toast.textContent = message;
-    toast.style.cssText = \`
-        position: fixed;
-        bottom: 20px;
-        left: 50%;
-        transform: translateX(-50%);
-        background: #333;
-        color: white;
-        padding: 12px 24px;
-        border-radius: 25px;
-        z-index: 1000;
-        font-size: 14px;
-        opacity: 0;
-        transition: opacity 0.3s ease;
-    \`;
-
-    document.body.appendChild(toast);
-
-    // Show toast
-    setTimeout(() => {
-        toast.style.opacity = '1';
-    }, 100);
-
-    // Hide and remove toast
-    setTimeout(() => {
-        toast.style.opacity = '0';
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.parentNode.removeChild(toast);
-            }
-        }, 300);
-    }, 3000);
-}
+    // Get release signing settings from the form, or null when signing is disabled
+    getSigningConfig(config) {
+        // GitHub Actions always signs tagged releases with the keystore from the repository secrets
+        if (this.getCiProvider(config) === 'github-actions') {
+            return {
+                method: 'github-secrets',
+                reference: null,
+                packageType: config.signingPackageType === 'apk' ? 'apk' : 'bundle',
+                keystoreType: this.getKeystoreType(config),
+                keystorePath: 'release.keystore'
+            };
+        }
+
+        if (!config.enableReleaseSigning) return null;
+
+        const reference = (config.signingReference || '').trim();
+        if (!/^[A-Za-z0-9_-]+$/.test(reference)) {
+            throw new Error('Release signing requires a Codemagic keystore reference or environment group name');
+        }
 
-// Utility functions
-function getDeviceInfo() {
-    if (window.device) {
         return {
-            platform: device.platform,
-            version: device.version,
-            model: device.model,
-            manufacturer: device.manufacturer
+            method: config.signingMethod === 'environment-group' ? 'environment-group' : 'keystore-reference',
+            reference,
+            packageType: config.signingPackageType === 'apk' ? 'apk' : 'bundle',
+            keystoreType: this.getKeystoreType(config),
+            keystorePath: 'release.keystore'
         };
     }
-    return null;
-}
-
-function isOnline() {
-    return navigator.connection && navigator.connection.type !== Connection.NONE;
-}
 
-// Export functions for global access
-window.appFunctions = {
-    showToast,
-    getDeviceInfo,
-    isOnline,
-    updateAppInfo
-};`;
+    // Generate build.json with the non-secret release signing settings; passwords are passed on the command line.
+    // keystoreType is only written when one was chosen, otherwise the Android build detects it from the keystore
+    generateBuildJson(signing) {
+        return JSON.stringify({
+            android: {
+                release: {
+                    keystore: signing.keystorePath,
+                    ...(signing.keystoreType ? { keystoreType: signing.keystoreType } : {}),
+                    packageType: signing.packageType
+                }
+            }
+        }, null, 2);
     }
 
-    // Generate Codemagic CI/CD configuration
-    generateCodemagicConfig(appConfig, config) {
-        const customConfig = config.codemagicConfig;
-        
-        if (customConfig && customConfig.trim()) {
-            return customConfig;
-        }
+    // Generate a Codemagic workflow that builds a signed release
+    generateSignedCodemagicConfig(signing, projectSteps = '') {
+        // android_signing decodes the keystore reference and exports CM_KEYSTORE_PATH and the credentials
+        const environment = signing.method === 'keystore-reference'
+            ? `      android_signing:
+        - ${signing.reference}`
+            : `      groups:
+        - ${signing.reference}`;
+
+        const keystoreScript = signing.method === 'keystore-reference'
+            ? `cp "$CM_KEYSTORE_PATH" ${signing.keystorePath}`
+            : `echo "$CM_KEYSTORE" | base64 --decode > ${signing.keystorePath}`;
+
+        const artifact = signing.packageType === 'apk'
+            ? 'platforms/android/app/build/outputs/apk/release/app-release.apk'
+            : 'platforms/android/app/build/outputs/bundle/release/app-release.aab';
 
-        // Default Codemagic configuration matching RetroGames repository structure
         return `workflows:
   cordova_android_build:
-    name: Build Cordova Android App
+    name: Build Cordova Android App (signed)
     max_build_duration: 60
-    environment: {}  # <-- bỏ trống hoặc xóa luôn cũng được
+    environment:
+${environment}
     scripts:
       - name: Install Node.js & Cordova
         script: |
@@ -486,18 +552,178 @@ window.appFunctions = {
           npm install -g cordova
       - name: Install project dependencies
         script: |
-          npm install
-      - name: Add Android platform & build release
+          npm install${projectSteps}
+      - name: Set up release keystore
+        script: |
+          ${keystoreScript}
+      - name: Add Android platform & build signed release
         script: |
           cordova platform add android
-          cordova build android --release
+          cordova build android --release --buildConfig=build.json -- \\
+            --storePassword="$CM_KEYSTORE_PASSWORD" \\
+            --alias="$CM_KEY_ALIAS" \\
+            --password="$CM_KEY_PASSWORD"
     artifacts:
-      - platforms/android/app/build/outputs/bundle/release/app-release.aab
-      - platforms/android/app/build/outputs/apk/release/app-release.apk`;
+      - ${artifact}`;
+    }
+
+    // Generate a GitHub Actions workflow: debug APK on pull requests, signed release attached to a GitHub Release on tags,
+    // and with iOS enabled an unsigned simulator build on macOS (signed iOS builds need Codemagic)
+    generateGitHubActionsWorkflow(appConfig, config) {
+        const signing = this.getSigningConfig({ ...config, ciProvider: 'github-actions' });
+        const releaseArtifact = signing.packageType === 'apk'
+            ? 'platforms/android/app/build/outputs/apk/release/app-release.apk'
+            : 'platforms/android/app/build/outputs/bundle/release/app-release.aab';
+
+        // There is no package-lock.json, so npm and Gradle are cached with actions/cache instead of setup-node/setup-java
+        const setupSteps = `      - uses: actions/checkout@v4
+
+      - name: Set up Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: 20
+
+      - name: Set up JDK 17
+        uses: actions/setup-java@v4
+        with:
+          distribution: temurin
+          java-version: 17
+
+      - name: Set up Android SDK
+        uses: android-actions/setup-android@v3
+        with:
+          packages: '${CordovaBuildPreparation.ANDROID_SDK_PACKAGES.join(' ')}'
+
+      - name: Cache npm
+        uses: actions/cache@v4
+        with:
+          path: ~/.npm
+          key: npm-\${{ runner.os }}-\${{ hashFiles('package.json') }}
+          restore-keys: npm-\${{ runner.os }}-
+
+      - name: Cache Gradle
+        uses: actions/cache@v4
+        with:
+          path: |
+            ~/.gradle/caches
+            ~/.gradle/wrapper
+          key: gradle-\${{ runner.os }}-\${{ hashFiles('package.json', 'config.xml') }}
+          restore-keys: gradle-\${{ runner.os }}-
+
+      - name: Install Cordova and project dependencies
+        run: |
+          npm install -g cordova
+          npm install${this.generateProjectSteps(appConfig, 'github-actions')}
+
+      - name: Add Android platform
+        run: cordova platform add android`;
+
+        // Signing needs certificates and provisioning profiles, so this only checks that the app builds
+        const iosJob = appConfig.enableIosBuild ? `
+
+  ios:
+    name: iOS simulator build
+    if: \${{ !startsWith(github.ref, 'refs/tags/') }}
+    runs-on: macos-latest
+    steps:
+      - uses: actions/checkout@v4
+
+      - name: Set up Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: 20
+
+      - name: Cache npm
+        uses: actions/cache@v4
+        with:
+          path: ~/.npm
+          key: npm-\${{ runner.os }}-\${{ hashFiles('package.json') }}
+          restore-keys: npm-\${{ runner.os }}-
+
+      - name: Install Cordova and project dependencies
+        run: |
+          npm install -g cordova
+          npm install${this.generateProjectSteps(appConfig, 'github-actions')}
+
+      - name: Add iOS platform
+        run: cordova platform add ios --confirm --no-interactive
+
+      - name: Build for the iOS simulator
+        run: cordova build ios --emulator
+
+      - name: Upload simulator app
+        uses: actions/upload-artifact@v4
+        with:
+          name: ${SecurityUtils.toYamlString(`${appConfig.appName}-ios-simulator`)}
+          path: platforms/ios/build/**/*.app` : '';
+
+        return `name: ${SecurityUtils.toYamlString(`Build ${appConfig.displayName}`)}
+
+on:
+  pull_request:
+    branches: [ main ]
+  push:
+    tags: [ 'v*' ]
+  workflow_dispatch:
+
+jobs:
+  debug:
+    name: Debug build
+    if: \${{ !startsWith(github.ref, 'refs/tags/') }}
+    runs-on: ubuntu-latest
+    steps:
+${setupSteps}
+
+      - name: Build debug APK
+        run: cordova build android --debug
+
+      - name: Upload debug APK
+        uses: actions/upload-artifact@v4
+        with:
+          name: ${SecurityUtils.toYamlString(`${appConfig.appName}-debug`)}
+          path: platforms/android/app/build/outputs/apk/debug/app-debug.apk
+
+  release:
+    name: Signed release
+    if: \${{ startsWith(github.ref, 'refs/tags/') }}
+    runs-on: ubuntu-latest
+    permissions:
+      contents: write
+    env:
+      ANDROID_KEYSTORE_BASE64: \${{ secrets.ANDROID_KEYSTORE_BASE64 }}
+      ANDROID_KEYSTORE_PASSWORD: \${{ secrets.ANDROID_KEYSTORE_PASSWORD }}
+      ANDROID_KEY_ALIAS: \${{ secrets.ANDROID_KEY_ALIAS }}
+      ANDROID_KEY_PASSWORD: \${{ secrets.ANDROID_KEY_PASSWORD }}
+    steps:
+${setupSteps}
+
+      - name: Set up release keystore
+        run: |
+          if [ -z "$ANDROID_KEYSTORE_BASE64" ]; then
+            echo "::error::Add the ANDROID_KEYSTORE_BASE64, ANDROID_KEYSTORE_PASSWORD, ANDROID_KEY_ALIAS and ANDROID_KEY_PASSWORD repository secrets"
+            exit 1
+          fi
+          echo "$ANDROID_KEYSTORE_BASE64" | base64 --decode > ${signing.keystorePath}
+
+      - name: Build signed release
+        run: |
+          cordova build android --release --buildConfig=build.json -- \\
+            --storePassword="$ANDROID_KEYSTORE_PASSWORD" \\
+            --alias="$ANDROID_KEY_ALIAS" \\
+            --password="$ANDROID_KEY_PASSWORD"
+
+      - name: Publish GitHub Release
+        uses: softprops/action-gh-release@v2
+        with:
+          files: ${releaseArtifact}
+          generate_release_notes: true${iosJob}
+`;
     }
 
     // Generate Cordova-specific .gitignore matching RetroGames repository structure
-    generateCordovaGitignore() {
+    generateCordovaGitignore(appConfig) {
+        const webBuild = this.scaffoldRegistry.renderGitignore(this.scaffoldRegistry.resolve(appConfig));
+
         return `#
 # Licensed to the Apache Software Foundation (ASF) under one
 # or more contributor license agreements.  See the NOTICE file
@@ -523,31 +749,72 @@ node_modules/
 
 # Generated by Cordova
 /plugins/
-/platforms/`;
+/platforms/
+
+# Release keystores (provided by the CI signing environment)
+*.keystore
+*.jks${webBuild ? `
+
+${webBuild}` : ''}`;
     }
 
     // Generate Cordova-specific README
-    generateCordovaReadme(appConfig, packageName) {
-        return `# ${appConfig.displayName}
+    generateCordovaReadme(appConfig, packageName, files = {}) {
+        const md = SecurityUtils.escapeMarkdown;
+        const androidResources = [
+            ...(ResourcePipeline.SPLASH_ICON in files ? ['launcher icons, splash screen icon'] : []),
+            ...(LocaleCatalog.isLocalized(appConfig) ? ['translated launcher names'] : [])
+        ].join(', ');
+        const scaffold = this.scaffoldRegistry.resolve(appConfig);
+        const storage = this.scaffoldRegistry.describeStorage(appConfig);
+        const webBuild = `npm run ${ScaffoldRegistry.WEB_BUILD_SCRIPT}`;
 
-${appConfig.description}
+        return `# ${md(appConfig.displayName)}
+
+${md(appConfig.description)}
 
 ## 📱 App Information
 
 - **Package Name:** \`${packageName}\`
-- **Category:** ${appConfig.category || 'Mobile App'}
+- **Category:** ${md(appConfig.category || 'Mobile App')}
 - **Platform:** Android (Apache Cordova)
+- **UI Scaffold:** ${md(scaffold.name)}
+- **Theme:** ${ThemeRegistry.describe(this.scaffoldRegistry.themeRegistry.resolve(appConfig), md)}
 - **Version:** ${appConfig.version || '1.0.0'}
 
 ## 🚀 Features
 
 ${(appConfig.features || []).map(feature => `- ${feature}`).join('\n')}
 
+## 🧭 Starter Screens
+
+${this.scaffoldRegistry.describeScreens(appConfig).map(page => `- **${md(page.title)}:** ${page.screen}`).join('\n')}
+
+## 🔌 Plugin Services
+
+\`${scaffold.webBuild ? 'src/services.js' : 'www/js/services.js'}\` wraps each plugin in a promise-based service that checks the plugin is installed first:
+
+${this.scaffoldRegistry.describeServices(appConfig).map(service => `- **${service.name}** (\`${service.pluginId}\`): ${service.methods.map(method => `${method}()`).join(', ')}`).join('\n')}
+
+Run \`npm test\` to test the services against plugin stubs; no device is needed.
+
+## 💾 Data Storage
+
+\`${scaffold.webBuild ? 'src/data.js' : 'www/js/data.js'}\` keeps the app's data in ${storage.backend}, in typed collections:
+
+${storage.collections.map(collection => `- **${collection.name}:** ${collection.fields.join(', ')}`).join('\n')}
+
+To change what the app stores, bump \`SCHEMA.version\` and append a migration to \`MIGRATIONS\`; each device runs it once after updating. The Settings page exports and imports the data as a JSON backup, and \`npm test\` also runs the data store against an in-memory ${storage.backend}.
+
+## 🌍 Languages
+
+${CordovaAppGenerator.renderLanguagesSection(appConfig, scaffold)}
+
 ## 🛠️ Build Instructions
 
 ### Prerequisites
 
-- Node.js (v16 or higher)
+- Node.js (v18 or higher)
 - Apache Cordova CLI: \`npm install -g cordova\`
 - Android SDK and Android Studio
 
@@ -557,7 +824,8 @@ ${(appConfig.features || []).map(feature => `- ${feature}`).join('\n')}
    \`\`\`bash
    git clone <repository-url>
    cd ${appConfig.appName}
-   npm install
+   npm install${scaffold.webBuild ? `
+   ${webBuild}  # builds www/, run it again after changing the web sources` : ''}
    \`\`\`
 
 2. **Add Android platform:**
@@ -580,17 +848,29 @@ ${(appConfig.features || []).map(feature => `- ${feature}`).join('\n')}
    cordova build android --release
    \`\`\`
 
-### CI/CD with Codemagic
+${this.getCiProvider(appConfig) === 'github-actions' ? `### CI/CD with GitHub Actions
+
+This project includes a \`${CordovaBuildPreparation.GITHUB_WORKFLOW_PATH}\` workflow:
+
+1. Pull requests build a debug APK and upload it as a workflow artifact${appConfig.enableIosBuild ? `, and an unsigned iOS simulator app on macOS. Signed iOS builds need Codemagic or your own signing steps` : ''}
+2. Pushing a \`v*\` tag builds a signed release and attaches it to a GitHub Release
+3. Add these repository secrets before tagging a release:
+   - \`ANDROID_KEYSTORE_BASE64\` (the keystore file, base64 encoded)
+   - \`ANDROID_KEYSTORE_PASSWORD\`
+   - \`ANDROID_KEY_ALIAS\`
+   - \`ANDROID_KEY_PASSWORD\`
+` : `### CI/CD with Codemagic
 
 This project includes a \`codemagic.yaml\` configuration for automated builds:
 
 1. Connect your repository to [Codemagic](https://codemagic.io)
 2. The build will automatically:
-   - Install dependencies
+   - Install dependencies${scaffold.webBuild ? `
+   - Build the web assets with \`${webBuild}\`` : ''}
    - Add Android platform
    - Build release APK/AAB
    - Generate artifacts
-
+`}
 ## 📦 Plugins Used
 
 ${(appConfig.plugins || []).map(plugin => `- \`${plugin}\``).join('\n')}
@@ -599,16 +879,23 @@ ${(appConfig.plugins || []).map(plugin => `- \`${plugin}\``).join('\n')}
 
 \`\`\`
 ${appConfig.appName}/
-├── www/                 # Web assets
+${scaffold.webBuild?.publicDir ? `├── src/                 # ${scaffold.name} sources, built into www/
+│   └── public/         # Images, icons and manifest copied as-is
+├── www/                 # Build output (not committed)
+` : `├── www/                 # Web assets
 │   ├── css/            # Stylesheets
-│   ├── js/             # JavaScript files
+│   ├── js/             # JavaScript files (index.js shell, screens.js pages)
 │   ├── img/            # Images and icons
 │   └── index.html      # Main HTML file
-├── platforms/          # Platform-specific code (auto-generated)
+`}${scaffold.vendorFiles.length > 0 ? `├── scripts/             # copy-vendor.js copies ${scaffold.name} into www/lib/
+` : ''}├── platforms/          # Platform-specific code (auto-generated)
 ├── plugins/            # Cordova plugins (auto-generated)
-├── config.xml          # Cordova configuration
+├── store/              # Google Play graphics and listing.txt; listings/ has the texts of each language
+${LocaleCatalog.isLocalized(appConfig) ? `├── i18n/               # translations.csv for translators
+` : ''}${androidResources ? `├── res/android/        # ${androidResources.charAt(0).toUpperCase()}${androidResources.slice(1)}
+` : ''}├── config.xml          # Cordova configuration
 ├── package.json        # Node.js dependencies
-├── codemagic.yaml      # CI/CD configuration
+├── ${this.getCiProvider(appConfig) === 'github-actions' ? '.github/workflows/ ' : 'codemagic.yaml     '} # CI/CD configuration
 └── README.md           # This file
 \`\`\`
 
@@ -618,8 +905,8 @@ This project is licensed under the MIT License.
 
 ## 👨‍💻 Author
 
-**${appConfig.authorName}**
-- Email: ${appConfig.authorEmail}
+**${md(appConfig.authorName)}**
+- Email: ${md(appConfig.authorEmail)}
 
 ---
 
@@ -628,15 +915,21 @@ Built with ❤️ using Apache Cordova and the Cordova App Generator`;
 
     // Generate build scripts for local development
     generateBuildScripts(appConfig) {
-        const appName = appConfig.appName;
-        
+        const comment = SecurityUtils.escapeComment(appConfig.displayName);
+        const shell = SecurityUtils.toShellArg;
+        const webBuild = this.scaffoldRegistry.resolve(appConfig).webBuild ? `
+
+# Build web assets into www/
+echo "🧱 Building web assets..."
+npm run ${ScaffoldRegistry.WEB_BUILD_SCRIPT}` : '';
+
         return {
             'build.sh': `#!/bin/bash
-# Build script for ${appConfig.displayName}
+# Build script for ${comment}
 
 set -e
 
-echo "🚀 Building ${appConfig.displayName}..."
+echo ${shell(`🚀 Building ${appConfig.displayName}...`)}
 
 # Check if Cordova is installed
 if ! command -v cordova &> /dev/null; then
@@ -646,7 +939,7 @@ fi
 
 # Install dependencies
 echo "📦 Installing dependencies..."
-npm install
+npm install${webBuild}
 
 # Add Android platform if not present
 if [ ! -d "platforms/android" ]; then
@@ -662,11 +955,11 @@ echo "✅ Build completed successfully!"
 echo "📱 APK location: platforms/android/app/build/outputs/apk/debug/app-debug.apk"`,
 
             'build-release.sh': `#!/bin/bash
-# Release build script for ${appConfig.displayName}
+# Release build script for ${comment}
 
 set -e
 
-echo "🚀 Building ${appConfig.displayName} for release..."
+echo ${shell(`🚀 Building ${appConfig.displayName} for release...`)}
 
 # Check if Cordova is installed
 if ! command -v cordova &> /dev/null; then
@@ -676,7 +969,7 @@ fi
 
 # Install dependencies
 echo "📦 Installing dependencies..."
-npm install
+npm install${webBuild}
 
 # Add Android platform if not present
 if [ ! -d "platforms/android" ]; then
@@ -693,11 +986,11 @@ echo "📱 AAB location: platforms/android/app/build/outputs/bundle/release/app-
 echo "📱 APK location: platforms/android/app/build/outputs/apk/release/app-release.apk"`,
 
             'run.sh': `#!/bin/bash
-# Run script for ${appConfig.displayName}
+# Run script for ${comment}
 
 set -e
 
-echo "🚀 Running ${appConfig.displayName} on Android device/emulator..."
+echo ${shell(`🚀 Running ${appConfig.displayName} on Android device/emulator...`)}
 
 # Check if Cordova is installed
 if ! command -v cordova &> /dev/null; then
@@ -707,7 +1000,7 @@ fi
 
 # Install dependencies
 echo "📦 Installing dependencies..."
-npm install
+npm install${webBuild}
 
 # Add Android platform if not present
 if [ ! -d "platforms/android" ]; then
@@ -738,87 +1031,58 @@ echo "✅ App launched successfully!"`
             currentBuild: this.currentBuild
         };
     }
+}
 
-    // Generate default logo as base64-encoded PNG
-    generateDefaultLogo() {
-        // Create a canvas element
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const size = 192; // Standard app icon size
-
-        canvas.width = size;
-        canvas.height = size;
-
-        // Clear canvas
-        ctx.clearRect(0, 0, size, size);
-
-        // Create gradient background
-        const gradient = ctx.createLinearGradient(0, 0, size, size);
-        gradient.addColorStop(0, '#667eea');
-        gradient.addColorStop(0.5, '#764ba2');
-        gradient.addColorStop(1, '#f093fb');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, size, size);
-
-        // Add rounded corners effect
-        ctx.globalCompositeOperation = 'destination-in';
-        ctx.beginPath();
-        this.roundRect(ctx, 0, 0, size, size, size * 0.15);
-        ctx.fill();
-        ctx.globalCompositeOperation = 'source-over';
-
-        // Draw main icon shape - a modern app symbol
-        ctx.fillStyle = 'white';
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
-        ctx.shadowBlur = size * 0.02;
-        ctx.shadowOffsetY = size * 0.01;
-
-        // Draw a stylized "A" for "App"
-        ctx.font = `bold ${size * 0.5}px Arial`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('A', size / 2, size / 2);
-
-        // Reset shadow
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur = 0;
-        ctx.shadowOffsetY = 0;
-
-        // Add decorative elements - small dots around the letter
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        const centerX = size / 2;
-        const centerY = size / 2;
-        const radius = size * 0.3;
-
-        for (let i = 0; i < 8; i++) {
-            const angle = (i * 2 * Math.PI) / 8;
-            const x = centerX + Math.cos(angle) * radius;
-            const y = centerY + Math.sin(angle) * radius;
-
-            ctx.beginPath();
-            ctx.arc(x, y, size * 0.015, 0, 2 * Math.PI);
-            ctx.fill();
-        }
+// CI providers a generated project can be configured for
+CordovaBuildPreparation.CI_PROVIDERS = ['codemagic', 'github-actions'];
 
-        // Convert canvas to base64 PNG
-        return canvas.toDataURL('image/png');
-    }
+// Keystore types build.json accepts for release signing
+CordovaBuildPreparation.KEYSTORE_TYPES = ['pkcs12', 'jks'];
+
+// Location of the generated GitHub Actions workflow
+CordovaBuildPreparation.GITHUB_WORKFLOW_PATH = '.github/workflows/android.yml';
+
+// Android SDK packages matching the compile/target SDK in config.xml
+CordovaBuildPreparation.ANDROID_SDK_PACKAGES = ['platform-tools', 'platforms;android-35', 'build-tools;35.0.0'];
 
-    // Helper method for rounded rectangles (polyfill for older browsers)
-    roundRect(ctx, x, y, width, height, radius) {
-        ctx.beginPath();
-        ctx.moveTo(x + radius, y);
-        ctx.lineTo(x + width - radius, y);
-        ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-        ctx.lineTo(x + width, y + height - radius);
-        ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-        ctx.lineTo(x + radius, y + height);
-        ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-        ctx.lineTo(x, y + radius);
-        ctx.quadraticCurveTo(x, y, x + radius, y);
-        ctx.closePath();
+/**
+ * Find the form settings a custom codemagic.yaml does not cover: it replaces the generated workflows, so the
+ * workflows builds are triggered for, release signing and the iOS workflow have to be in it
+ * @param {string} yaml - Custom codemagic.yaml
+ * @param {object} config - Global form values
+ * @returns {string[]} Warnings; empty when there is no custom configuration
+ */
+CordovaBuildPreparation.checkCustomCodemagicConfig = function (yaml, config) {
+    if (!yaml || !yaml.trim()) return [];
+
+    let workflows;
+    try {
+        workflows = ProjectLinter.parseYaml(yaml)?.workflows;
+    } catch (error) {
+        // The project linter reports syntax problems when the project is pushed
+        return [];
     }
-}
+    if (!ProjectLinter.isMapping(workflows)) workflows = {};
+
+    const warnings = [];
+    const android = workflows[CodemagicIntegration.WORKFLOWS.android];
+    if (!android) {
+        warnings.push(`the custom codemagic.yaml has no "${CodemagicIntegration.WORKFLOWS.android}" workflow, which Android builds are triggered for`);
+    } else if (config.enableReleaseSigning && !android.environment?.android_signing && !android.environment?.groups) {
+        warnings.push(`release signing is enabled, but the "${CodemagicIntegration.WORKFLOWS.android}" workflow of the custom codemagic.yaml sets no android_signing or environment group; the signing settings are not applied`);
+    }
+    if (config.enableIosBuild && !workflows[CodemagicIntegration.WORKFLOWS.ios]) {
+        warnings.push(`iOS is enabled, but the custom codemagic.yaml has no "${CodemagicIntegration.WORKFLOWS.ios}" workflow`);
+    }
+    return warnings;
+};
 
 // Export for use in other modules
-window.CordovaBuildPreparation = CordovaBuildPreparation;
+if (typeof window !== 'undefined') {
+    window.CordovaBuildPreparation = CordovaBuildPreparation;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CordovaBuildPreparation;
+}
@@ -0,0 +1,1208 @@
+/**
+ * Data Layer
+ * Offline storage backends for generated apps: a data store with typed collections derived from the app's
+ * screens, schema migrations and JSON export/import, plus the Node tests that run it against in-memory shims
+ */
+
+class DataLayer {
+    constructor(backends = DataLayer.DEFAULT_BACKENDS) {
+        this.backends = new Map();
+        backends.forEach(backend => this.register(backend));
+    }
+
+    // Register (or replace) a storage backend definition
+    register(backend) {
+        if (!backend || !backend.id || !backend.source) {
+            throw new Error('Storage backend definition requires an id and its source');
+        }
+
+        const definition = {
+            id: backend.id,
+            name: backend.name || backend.id,
+            description: backend.description || '',
+            plugin: backend.plugin || null,
+            source: backend.source.trim(),
+            shim: backend.shim || null
+        };
+
+        this.backends.set(definition.id, definition);
+        return definition;
+    }
+
+    // Check whether a storage backend is known
+    has(backendId) {
+        return this.backends.has(backendId);
+    }
+
+    // Get a storage backend definition
+    get(backendId) {
+        return this.backends.get(backendId) || null;
+    }
+
+    // Get all storage backend definitions
+    getAll() {
+        return Array.from(this.backends.values());
+    }
+
+    // Validate a template's storage choice
+    validate(backendId) {
+        const errors = [];
+
+        if (backendId !== undefined && backendId !== null && !this.has(backendId)) {
+            errors.push(`Unknown data storage '${backendId}'. Must be one of: ${Array.from(this.backends.keys()).join(', ')}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Get the storage backend an app is generated with
+    resolve(config) {
+        const backendId = config.storage || DataLayer.DEFAULT_BACKEND;
+        const backend = this.get(backendId);
+        if (!backend) {
+            throw new Error(`Unknown data storage '${backendId}'`);
+        }
+        return backend;
+    }
+
+    // Get the plugins the storage backend of an app needs; unknown backends are left to validate()
+    getPlugins(config) {
+        const backend = this.get(config.storage || DataLayer.DEFAULT_BACKEND);
+        return backend && backend.plugin ? [backend.plugin] : [];
+    }
+
+    // Build the schema of an app from its collections ({ name, fields }); every record has a string id
+    getSchema(collections) {
+        return {
+            version: DataLayer.SCHEMA_VERSION,
+            collections: Object.fromEntries(collections.map(collection => {
+                const unknown = Object.values(collection.fields).filter(type => !DataLayer.FIELD_TYPES.includes(type));
+                if (unknown.length > 0) {
+                    throw new Error(`Collection ${collection.name} uses unknown field types: ${unknown.join(', ')}`);
+                }
+                return [collection.name, { fields: { id: 'string', ...collection.fields } }];
+            }))
+        };
+    }
+
+    // Render data.js; 'script' sets window.AppData, 'module' exports the store and its parts
+    renderModule(config, collections, format) {
+        const backend = this.resolve(config);
+        const names = ['SCHEMA', 'MIGRATIONS', 'createBackend', 'createDataStore', 'dataStore'];
+
+        const body = `// Name of the app's database; its localStorage keys start with it
+const STORAGE_NAME = ${JSON.stringify(config.appName)};
+
+// Collections and the types of their fields: string, number, boolean, date (YYYY-MM-DD) or timestamp (ms)
+const SCHEMA = ${JSON.stringify(this.getSchema(collections), null, 4)};
+
+${DataLayer.MIGRATIONS_SOURCE.trim()}
+
+${backend.source}
+
+${DataLayer.STORE_SOURCE.trim()}
+
+// The app's data store; call open() before reading from it
+const dataStore = createDataStore();`;
+
+        const header = `/*
+ * ${SecurityUtils.escapeComment(config.displayName)} - Data Store
+ * Offline data in ${backend.name}: typed collections, schema migrations and JSON backups
+ */
+`;
+
+        if (format === 'module') {
+            return `${header}
+${body}
+
+export { ${names.join(', ')} };
+`;
+        }
+
+        const indented = body.split('\n').map(line => (line ? `    ${line}` : line)).join('\n');
+        return `${header}
+window.AppData = (function () {
+    'use strict';
+
+${indented}
+
+    return {
+${names.map(name => `        ${name}`).join(',\n')}
+    };
+})();`;
+    }
+
+    // Render the Node tests of an app's data store and the in-memory storage shims they run it on
+    renderTests(config, modulePath) {
+        const backend = this.resolve(config);
+        const shims = ['createLocalStorage', ...(backend.shim ? [backend.shim.factory] : [])];
+        const device = [['localStorage', 'createLocalStorage'], ...(backend.shim ? [[backend.shim.global, backend.shim.factory]] : [])];
+
+        return {
+            'test/support/storage-shims.js': `/*
+ * In-memory storage shims: the data store runs on them in Node like it does on a device
+ */
+
+${DataLayer.LOCAL_STORAGE_SHIM.trim()}${backend.shim ? `\n\n${backend.shim.source.trim()}` : ''}
+
+module.exports = { ${shims.join(', ')} };
+`,
+            'test/data.test.js': `/*
+ * ${SecurityUtils.escapeComment(config.displayName)} - Data Store Tests
+ * Run with "npm test"; ${backend.name} is replaced by an in-memory shim, so no device is needed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/sandbox');
+const { ${shims.join(', ')} } = require('./support/storage-shims');
+
+const STORAGE_NAME = ${JSON.stringify(config.appName)};
+
+// Storage that outlives each load of the data module, like a device's
+function createDevice() {
+    return { ${device.map(([global, factory]) => `${global}: ${factory}()`).join(', ')} };
+}
+
+function load(device) {
+    const { exports } = loadModule(${JSON.stringify(modulePath)}, device);
+    return exports.AppData || exports;
+}
+
+// Copy sandbox values into this context, so assertions compare data rather than prototypes
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const NOTES = {
+    version: 1,
+    collections: {
+        notes: { fields: { id: 'string', title: 'string', amount: 'number', done: 'boolean', day: 'date', at: 'timestamp' } }
+    }
+};
+
+function openNotes(device, options = {}) {
+    return load(device).createDataStore({ schema: NOTES, migrations: [], ...options }).open();
+}
+
+${DataLayer.TESTS_SOURCE.trim()}
+`
+        };
+    }
+}
+
+// Storage backend of apps whose template does not choose one
+DataLayer.DEFAULT_BACKEND = 'local';
+
+// Version of the generated schemas; apps bump it when they change their collections
+DataLayer.SCHEMA_VERSION = 1;
+
+// Field types of collections
+DataLayer.FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'timestamp'];
+
+// Migrations of every generated app; version 1 picks up what earlier versions kept in localStorage
+DataLayer.MIGRATIONS_SOURCE = `
+// Schema migrations in version order. To change the stored data, bump SCHEMA.version and append
+// { version, description, migrate(data) }; migrate() gets { collections, values } and returns the new data
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Import the data earlier versions of the app kept in localStorage',
+        migrate(data) {
+            const prefix = STORAGE_NAME + '_';
+            const storage = window.localStorage;
+            if (!storage) return data;
+
+            for (let index = 0; index < storage.length; index++) {
+                const key = storage.key(index);
+                if (!key.startsWith(prefix)) continue;
+
+                const name = key.slice(prefix.length);
+                try {
+                    const value = JSON.parse(storage.getItem(key));
+                    if (Object.prototype.hasOwnProperty.call(SCHEMA.collections, name)) {
+                        data.collections[name] = value;
+                    } else {
+                        data.values[name] = value;
+                    }
+                } catch (error) {
+                    console.warn('Skipped unreadable ' + key + ':', error);
+                }
+            }
+            return data;
+        }
+    }
+];
+`;
+
+// The data store: an in-memory copy of the data that reads synchronously and writes through to the backend
+DataLayer.STORE_SOURCE = `
+// Coerce a value to a field type; null leaves the field out
+function coerce(type, value) {
+    if (value === undefined || value === null) return null;
+
+    switch (type) {
+        case 'number': {
+            const number = value === '' ? NaN : Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'boolean':
+            return value === true || value === 1 || value === 'true' || value === '1';
+        case 'date': {
+            const date = String(value).slice(0, 10);
+            return /^\\d{4}-\\d{2}-\\d{2}$/.test(date) ? date : null;
+        }
+        case 'timestamp': {
+            const time = typeof value === 'number' ? value : Date.parse(value);
+            return Number.isFinite(time) ? time : null;
+        }
+        default:
+            return String(value);
+    }
+}
+
+// Keep the fields a collection declares, with their types; records without an id get one
+function toRecord(fields, record) {
+    const typed = {};
+    Object.keys(fields).forEach(field => {
+        const value = coerce(fields[field], record[field]);
+        if (value !== null) {
+            typed[field] = value;
+        }
+    });
+
+    if (!typed.id) {
+        typed.id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+    return typed;
+}
+
+// Keep the schema's collections, with typed records, and the values
+function normalize(schema, data) {
+    const collections = {};
+    Object.keys(schema.collections).forEach(name => {
+        const records = data.collections && Array.isArray(data.collections[name]) ? data.collections[name] : [];
+        collections[name] = records
+            .filter(record => record && typeof record === 'object')
+            .map(record => toRecord(schema.collections[name].fields, record));
+    });
+
+    return { collections, values: { ...(data.values || {}) } };
+}
+
+// Apply the migrations newer than a data version, oldest first
+function migrate(data, fromVersion, schema, migrations) {
+    return migrations
+        .filter(migration => migration.version > fromVersion && migration.version <= schema.version)
+        .sort((a, b) => a.version - b.version)
+        .reduce((current, migration) => migration.migrate(current) || current, data);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createDataStore({ backend = createBackend(), schema = SCHEMA, migrations = MIGRATIONS } = {}) {
+    let data = normalize(schema, {});
+    let opening = null;
+    let writes = Promise.resolve();
+
+    // Queue a backend write behind the earlier ones; the in-memory data is already up to date
+    function persist(write) {
+        const result = writes.then(write);
+        writes = result.catch(() => {});
+        return result;
+    }
+
+    // Migrate stored data from an older schema and write it back in the current one
+    function upgrade(stored) {
+        const version = stored.version || 0;
+        if (version >= schema.version) {
+            if (version > schema.version) {
+                console.warn('Stored data has schema version ' + version + ', newer than this app\\'s ' + schema.version);
+            }
+            data = normalize(schema, stored);
+            return undefined;
+        }
+
+        data = normalize(schema, migrate(stored, version, schema, migrations));
+        return backend.replaceAll(data, schema).then(() => backend.writeVersion(schema.version));
+    }
+
+    const store = {
+        backendName: backend.name,
+
+        // Open the backend and load its data, migrated to the schema; resolves with the store
+        open() {
+            if (!opening) {
+                opening = backend.open(schema)
+                    .then(() => backend.load(schema))
+                    .then(upgrade)
+                    .then(() => store);
+            }
+            return opening;
+        },
+
+        hasCollection(name) {
+            return Object.prototype.hasOwnProperty.call(schema.collections, name);
+        },
+
+        // Get a collection; reads are synchronous, writes resolve once the backend has them
+        collection(name) {
+            if (!store.hasCollection(name)) {
+                throw new Error('Unknown collection "' + name + '"');
+            }
+
+            const fields = schema.collections[name].fields;
+            const save = records => {
+                data.collections[name] = records;
+                return persist(() => backend.writeCollection(name, records, schema));
+            };
+
+            return {
+                all() {
+                    return data.collections[name].map(record => ({ ...record }));
+                },
+
+                get(id) {
+                    const record = data.collections[name].find(entry => entry.id === id);
+                    return record ? { ...record } : null;
+                },
+
+                // Replace the record with the same id, or add it first; resolves with the typed record
+                put(record) {
+                    const typed = toRecord(fields, record);
+                    const records = data.collections[name];
+                    const index = records.findIndex(entry => entry.id === typed.id);
+                    const updated = index === -1
+                        ? [typed, ...records]
+                        : records.map((entry, position) => (position === index ? typed : entry));
+                    return save(updated).then(() => ({ ...typed }));
+                },
+
+                remove(id) {
+                    return save(data.collections[name].filter(entry => entry.id !== id));
+                },
+
+                // Replace every record, keeping their order
+                replace(records) {
+                    return save(records.map(record => toRecord(fields, record)));
+                },
+
+                clear() {
+                    return save([]);
+                }
+            };
+        },
+
+        getValue(key, fallback = null) {
+            return Object.prototype.hasOwnProperty.call(data.values, key) ? clone(data.values[key]) : fallback;
+        },
+
+        setValue(key, value) {
+            if (value === undefined) {
+                return store.removeValue(key);
+            }
+            data.values[key] = clone(value);
+            return persist(() => backend.writeValue(key, data.values[key]));
+        },
+
+        removeValue(key) {
+            delete data.values[key];
+            return persist(() => backend.writeValue(key, undefined));
+        },
+
+        // Names of the collections with records and of the values
+        keys() {
+            return [
+                ...Object.keys(data.collections).filter(name => data.collections[name].length > 0),
+                ...Object.keys(data.values)
+            ];
+        },
+
+        exportData() {
+            return {
+                app: STORAGE_NAME,
+                schemaVersion: schema.version,
+                exportedAt: new Date().toISOString(),
+                collections: clone(data.collections),
+                values: clone(data.values)
+            };
+        },
+
+        exportJSON() {
+            return JSON.stringify(store.exportData(), null, 2);
+        },
+
+        // Replace all data with a backup of this app, as JSON or an object; older backups are migrated first
+        importData(backup) {
+            let imported = backup;
+            if (typeof backup === 'string') {
+                try {
+                    imported = JSON.parse(backup);
+                } catch (error) {
+                    return Promise.reject(new Error('The backup is not valid JSON'));
+                }
+            }
+
+            if (!imported || typeof imported !== 'object' || imported.app !== STORAGE_NAME) {
+                return Promise.reject(new Error('The backup belongs to another app'));
+            }
+            const version = Number(imported.schemaVersion) || 0;
+            if (version > schema.version) {
+                return Promise.reject(new Error('The backup was made by a newer version of the app'));
+            }
+
+            const restored = { version, collections: clone(imported.collections) || {}, values: clone(imported.values) || {} };
+            data = normalize(schema, migrate(restored, version, schema, migrations));
+            return persist(() => backend.replaceAll(data, schema));
+        },
+
+        // Remove every record and value; the schema version stays, so migrations do not run again
+        clear() {
+            data = normalize(schema, {});
+            return persist(() => backend.replaceAll(data, schema));
+        },
+
+        // Resolve once every queued write has finished
+        flush() {
+            return writes;
+        }
+    };
+
+    return store;
+}
+`;
+
+// In-memory localStorage, used by every backend's tests for the version 1 migration
+DataLayer.LOCAL_STORAGE_SHIM = `
+// In-memory localStorage
+function createLocalStorage() {
+    const items = new Map();
+
+    return {
+        get length() {
+            return items.size;
+        },
+        key(index) {
+            const keys = Array.from(items.keys());
+            return index < keys.length ? keys[index] : null;
+        },
+        getItem(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem(key, value) {
+            items.set(key, String(value));
+        },
+        removeItem(key) {
+            items.delete(key);
+        },
+        clear() {
+            items.clear();
+        }
+    };
+}
+`;
+
+// Tests of the data store, shared by every backend
+DataLayer.TESTS_SOURCE = `
+test('collections keep their fields with the declared types', async () => {
+    const store = await openNotes(createDevice());
+    const note = await store.collection('notes').put({
+        id: 'n1',
+        title: 42,
+        amount: '12.50',
+        done: 1,
+        day: 'someday',
+        at: '2030-01-31T00:00:00.000Z',
+        extra: true
+    });
+
+    assert.deepEqual(plain(note), { id: 'n1', title: '42', amount: 12.5, done: true, at: Date.parse('2030-01-31T00:00:00.000Z') });
+    assert.throws(() => store.collection('missing'), /Unknown collection/);
+});
+
+test('new records get an id and go first', async () => {
+    const notes = (await openNotes(createDevice())).collection('notes');
+    const first = await notes.put({ title: 'First' });
+    await notes.put({ title: 'Second' });
+    await notes.put({ ...first, title: 'Renamed' });
+
+    assert.ok(first.id);
+    assert.deepEqual(plain(notes.all().map(note => note.title)), ['Second', 'Renamed']);
+
+    await notes.remove(first.id);
+    assert.equal(notes.get(first.id), null);
+    assert.equal(notes.all().length, 1);
+});
+
+test('data survives reopening the store', async () => {
+    const device = createDevice();
+    const store = await openNotes(device);
+    await store.collection('notes').replace([{ id: 'n2', title: 'Bread' }, { id: 'n1', title: 'Milk', done: false }]);
+    await store.setValue('settings', { theme: 'dark' });
+
+    const reopened = await openNotes(device);
+    assert.deepEqual(plain(reopened.collection('notes').all()), [{ id: 'n2', title: 'Bread' }, { id: 'n1', title: 'Milk', done: false }]);
+    assert.deepEqual(plain(reopened.getValue('settings')), { theme: 'dark' });
+});
+
+test('migrations run once, oldest first', async () => {
+    const device = createDevice();
+    await (await openNotes(device)).collection('notes').put({ id: 'n1', title: 'Milk' });
+
+    const runs = [];
+    const schema = { version: 3, collections: { notes: { fields: { id: 'string', name: 'string', priority: 'number' } } } };
+    const migrations = [
+        {
+            version: 3,
+            description: 'Give every note a priority',
+            migrate(data) {
+                runs.push(3);
+                data.collections.notes.forEach(note => {
+                    note.priority = 1;
+                });
+                return data;
+            }
+        },
+        {
+            version: 2,
+            description: 'Rename title to name',
+            migrate(data) {
+                runs.push(2);
+                data.collections.notes = data.collections.notes.map(({ title, ...note }) => ({ ...note, name: title }));
+                return data;
+            }
+        }
+    ];
+
+    const upgraded = await openNotes(device, { schema, migrations });
+    assert.deepEqual(plain(upgraded.collection('notes').all()), [{ id: 'n1', name: 'Milk', priority: 1 }]);
+
+    await openNotes(device, { schema, migrations });
+    assert.deepEqual(runs, [2, 3]);
+});
+
+test('backups export and import as JSON', async () => {
+    const store = await openNotes(createDevice());
+    await store.collection('notes').put({ id: 'n1', title: 'Milk', amount: 2 });
+    await store.setValue('settings', { theme: 'dark' });
+    const backup = store.exportJSON();
+
+    const device = createDevice();
+    await (await openNotes(device)).importData(backup);
+    const restored = await openNotes(device);
+    assert.deepEqual(plain(restored.collection('notes').all()), [{ id: 'n1', title: 'Milk', amount: 2 }]);
+    assert.deepEqual(plain(restored.getValue('settings')), { theme: 'dark' });
+
+    await assert.rejects(restored.importData('{'), /not valid JSON/);
+    await assert.rejects(restored.importData({ ...JSON.parse(backup), app: 'AnotherApp' }), /another app/);
+    await assert.rejects(restored.importData({ ...JSON.parse(backup), schemaVersion: 99 }), /newer version/);
+});
+
+test('clearing removes the data but not the schema version', async () => {
+    const device = createDevice();
+    const store = await openNotes(device);
+    await store.collection('notes').put({ title: 'Milk' });
+    await store.setValue('settings', { theme: 'dark' });
+    await store.clear();
+    assert.deepEqual(plain(store.keys()), []);
+
+    const runs = [];
+    const reopened = await openNotes(device, { migrations: [{ version: 1, migrate: data => runs.push(1) && data }] });
+    assert.deepEqual(plain(reopened.keys()), []);
+    assert.deepEqual(runs, []);
+});
+
+test('data earlier versions kept in localStorage is imported', async () => {
+    const device = createDevice();
+    const { SCHEMA, dataStore } = load(device);
+    const [name] = Object.keys(SCHEMA.collections);
+    device.localStorage.setItem(STORAGE_NAME + '_' + name, JSON.stringify([{ id: 'legacy' }]));
+    device.localStorage.setItem(STORAGE_NAME + '_data', JSON.stringify({ lastPaused: '2030-01-31' }));
+
+    await dataStore.open();
+    assert.deepEqual(plain(dataStore.collection(name).all()), [{ id: 'legacy' }]);
+    assert.deepEqual(plain(dataStore.getValue('data')), { lastPaused: '2030-01-31' });
+});
+
+test('every collection of the app stores its fields', async () => {
+    const samples = { string: 'Sample', number: 12.5, boolean: true, date: '2030-01-31', timestamp: 1896048000000 };
+    const device = createDevice();
+    const { SCHEMA, dataStore } = load(device);
+    await dataStore.open();
+
+    const expected = {};
+    for (const [name, collection] of Object.entries(SCHEMA.collections)) {
+        expected[name] = Object.fromEntries(Object.entries(collection.fields).map(([field, type]) => [field, samples[type]]));
+        await dataStore.collection(name).put(expected[name]);
+    }
+
+    const reopened = await load(device).dataStore.open();
+    for (const name of Object.keys(expected)) {
+        assert.deepEqual(plain(reopened.collection(name).all()), [expected[name]], name);
+    }
+});
+`;
+
+// Built-in storage backends; each source defines createBackend()
+DataLayer.DEFAULT_BACKENDS = [
+    {
+        id: 'local',
+        name: 'localStorage',
+        description: 'Browser key-value storage; no plugin, limited to a few megabytes',
+        source: `
+// localStorage backend: one JSON key per collection and value, prefixed with the storage name
+function createBackend() {
+    const prefix = STORAGE_NAME + '_';
+    const versionKey = STORAGE_NAME + '@schemaVersion';
+
+    function write(key, value) {
+        return new Promise(resolve => {
+            if (value === undefined) {
+                localStorage.removeItem(prefix + key);
+            } else {
+                localStorage.setItem(prefix + key, JSON.stringify(value));
+            }
+            resolve();
+        });
+    }
+
+    function storedKeys() {
+        const keys = [];
+        for (let index = 0; index < localStorage.length; index++) {
+            const key = localStorage.key(index);
+            if (key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    return {
+        name: 'localStorage',
+
+        open() {
+            return window.localStorage ? Promise.resolve() : Promise.reject(new Error('localStorage is not available'));
+        },
+
+        load(schema) {
+            const data = { version: Number(localStorage.getItem(versionKey)) || 0, collections: {}, values: {} };
+            storedKeys().forEach(key => {
+                const name = key.slice(prefix.length);
+                try {
+                    const value = JSON.parse(localStorage.getItem(key));
+                    if (Object.prototype.hasOwnProperty.call(schema.collections, name)) {
+                        data.collections[name] = value;
+                    } else {
+                        data.values[name] = value;
+                    }
+                } catch (error) {
+                    console.error('Error loading ' + name + ':', error);
+                }
+            });
+            return Promise.resolve(data);
+        },
+
+        writeCollection(name, records) {
+            return write(name, records.length > 0 ? records : undefined);
+        },
+
+        writeValue(key, value) {
+            return write(key, value);
+        },
+
+        writeVersion(version) {
+            return new Promise(resolve => {
+                localStorage.setItem(versionKey, String(version));
+                resolve();
+            });
+        },
+
+        replaceAll(data) {
+            storedKeys().forEach(key => localStorage.removeItem(key));
+            return Promise.all([
+                ...Object.keys(data.collections).map(name => this.writeCollection(name, data.collections[name])),
+                ...Object.keys(data.values).map(key => write(key, data.values[key]))
+            ]);
+        }
+    };
+}`
+    },
+    {
+        id: 'indexeddb',
+        name: 'IndexedDB',
+        description: 'Browser database; no plugin, room for large collections and photos',
+        source: `
+// IndexedDB backend: a database per app with object stores for collections (name -> records), values and metadata
+function createBackend() {
+    const STORES = ['collections', 'values', 'meta'];
+    let database = null;
+
+    function request(operation) {
+        return new Promise((resolve, reject) => {
+            operation.onsuccess = () => resolve(operation.result);
+            operation.onerror = () => reject(operation.error);
+        });
+    }
+
+    // Run work in a transaction; resolves with its result once the transaction commits
+    function transaction(stores, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(stores, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    function readStore(tx, name) {
+        const store = tx.objectStore(name);
+        return Promise.all([request(store.getAllKeys()), request(store.getAll())])
+            .then(([keys, values]) => Object.fromEntries(keys.map((key, index) => [key, values[index]])));
+    }
+
+    return {
+        name: 'IndexedDB',
+
+        open() {
+            if (!window.indexedDB) {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            const opening = indexedDB.open(STORAGE_NAME, 1);
+            opening.onupgradeneeded = () => {
+                STORES.forEach(name => {
+                    if (!opening.result.objectStoreNames.contains(name)) {
+                        opening.result.createObjectStore(name);
+                    }
+                });
+            };
+            return request(opening).then(result => {
+                database = result;
+            });
+        },
+
+        load() {
+            return transaction(STORES, 'readonly', tx => Promise.all(STORES.map(name => readStore(tx, name))))
+                .then(([collections, values, meta]) => ({ version: meta.schemaVersion || 0, collections, values }));
+        },
+
+        writeCollection(name, records) {
+            return transaction(['collections'], 'readwrite', tx => {
+                tx.objectStore('collections').put(records, name);
+            });
+        },
+
+        writeValue(key, value) {
+            return transaction(['values'], 'readwrite', tx => {
+                if (value === undefined) {
+                    tx.objectStore('values').delete(key);
+                } else {
+                    tx.objectStore('values').put(value, key);
+                }
+            });
+        },
+
+        writeVersion(version) {
+            return transaction(['meta'], 'readwrite', tx => {
+                tx.objectStore('meta').put(version, 'schemaVersion');
+            });
+        },
+
+        replaceAll(data) {
+            return transaction(['collections', 'values'], 'readwrite', tx => {
+                const collections = tx.objectStore('collections');
+                const values = tx.objectStore('values');
+                collections.clear();
+                values.clear();
+                Object.keys(data.collections).forEach(name => collections.put(data.collections[name], name));
+                Object.keys(data.values).forEach(key => values.put(data.values[key], key));
+            });
+        }
+    };
+}`,
+        shim: {
+            global: 'indexedDB',
+            factory: 'createIndexedDB',
+            source: `
+// In-memory IndexedDB with what the data store uses: versioned open, object stores with out-of-line keys,
+// transactions and put/getAll/getAllKeys/delete/clear requests
+function createIndexedDB() {
+    const databases = new Map();
+
+    function createTransaction(stored, names, mode) {
+        let pending = 0;
+        let finished = false;
+
+        const transaction = {
+            error: null,
+            oncomplete: null,
+            onerror: null,
+            onabort: null,
+
+            objectStore(name) {
+                if (!names.includes(name) || !stored.stores.has(name)) {
+                    throw new Error('NotFoundError: no object store ' + name + ' in this transaction');
+                }
+                const entries = stored.stores.get(name);
+                const write = operation => {
+                    if (mode !== 'readwrite') {
+                        throw new Error('ReadOnlyError: the transaction is read-only');
+                    }
+                    return createRequest(operation);
+                };
+
+                return {
+                    put: (value, key) => write(() => {
+                        entries.set(key, structuredClone(value));
+                        return key;
+                    }),
+                    delete: key => write(() => {
+                        entries.delete(key);
+                    }),
+                    clear: () => write(() => {
+                        entries.clear();
+                    }),
+                    getAll: () => createRequest(() => Array.from(entries.values(), value => structuredClone(value))),
+                    getAllKeys: () => createRequest(() => Array.from(entries.keys()))
+                };
+            }
+        };
+
+        // Settle requests on a later tick; the transaction completes once none is pending
+        function createRequest(operation) {
+            const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+            pending++;
+            setTimeout(() => {
+                try {
+                    request.result = operation();
+                    if (request.onsuccess) request.onsuccess({ target: request });
+                } catch (error) {
+                    request.error = error;
+                    transaction.error = error;
+                    if (request.onerror) request.onerror({ target: request });
+                }
+                pending--;
+                setTimeout(finish, 0);
+            }, 0);
+            return request;
+        }
+
+        function finish() {
+            if (finished || pending > 0) return;
+            finished = true;
+            if (transaction.error) {
+                if (transaction.onerror) transaction.onerror({ target: transaction });
+                if (transaction.onabort) transaction.onabort({ target: transaction });
+            } else if (transaction.oncomplete) {
+                transaction.oncomplete({ target: transaction });
+            }
+        }
+
+        setTimeout(finish, 0);
+        return transaction;
+    }
+
+    function createDatabase(stored) {
+        return {
+            get version() {
+                return stored.version;
+            },
+            objectStoreNames: {
+                contains: name => stored.stores.has(name)
+            },
+            createObjectStore(name) {
+                stored.stores.set(name, new Map());
+            },
+            transaction(names, mode = 'readonly') {
+                return createTransaction(stored, [].concat(names), mode);
+            },
+            close() {}
+        };
+    }
+
+    return {
+        open(name, version = 1) {
+            const request = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+            setTimeout(() => {
+                if (!databases.has(name)) {
+                    databases.set(name, { version: 0, stores: new Map() });
+                }
+                const stored = databases.get(name);
+                if (version < stored.version) {
+                    request.error = new Error('VersionError: the database is newer than ' + version);
+                    if (request.onerror) request.onerror({ target: request });
+                    return;
+                }
+
+                request.result = createDatabase(stored);
+                if (version > stored.version) {
+                    const oldVersion = stored.version;
+                    stored.version = version;
+                    if (request.onupgradeneeded) request.onupgradeneeded({ target: request, oldVersion, newVersion: version });
+                }
+                if (request.onsuccess) request.onsuccess({ target: request });
+            }, 0);
+            return request;
+        }
+    };
+}`
+        }
+    },
+    {
+        id: 'sqlite',
+        name: 'SQLite',
+        description: 'SQLite database with a typed table per collection, via cordova-sqlite-storage',
+        plugin: 'cordova-sqlite-storage',
+        source: `
+// SQLite backend (cordova-sqlite-storage): a table per collection with a typed column per field,
+// plus app_values and app_meta tables of JSON values
+function createBackend() {
+    const COLUMN_TYPES = { string: 'TEXT', number: 'REAL', boolean: 'INTEGER', date: 'TEXT', timestamp: 'INTEGER' };
+    let database = null;
+
+    function quote(name) {
+        return '"' + String(name).replace(/"/g, '""') + '"';
+    }
+
+    function table(name) {
+        return quote('collection_' + name);
+    }
+
+    function run(sql, params = []) {
+        return new Promise((resolve, reject) => database.executeSql(sql, params, resolve, reject));
+    }
+
+    // Run statements in one transaction
+    function batch(statements) {
+        return new Promise((resolve, reject) => database.sqlBatch(statements, resolve, reject));
+    }
+
+    function rowsOf(result) {
+        const rows = [];
+        for (let index = 0; index < result.rows.length; index++) {
+            rows.push(result.rows.item(index));
+        }
+        return rows;
+    }
+
+    function createTable(name, fields) {
+        const columns = Object.keys(fields)
+            .map(field => quote(field) + ' ' + COLUMN_TYPES[fields[field]] + (field === 'id' ? ' PRIMARY KEY' : ''));
+        return 'CREATE TABLE IF NOT EXISTS ' + table(name) + ' (position INTEGER, ' + columns.join(', ') + ')';
+    }
+
+    function insertRecords(name, fields, records) {
+        const columns = Object.keys(fields);
+        const sql = 'INSERT INTO ' + table(name) + ' (position, ' + columns.map(quote).join(', ') + ') VALUES (' +
+            columns.map(() => '?').concat('?').join(', ') + ')';
+
+        return records.map((record, position) => [sql, [position, ...columns.map(field => {
+            const value = record[field];
+            if (value === undefined) return null;
+            return fields[field] === 'boolean' ? (value ? 1 : 0) : value;
+        })]]);
+    }
+
+    // Plugins are usable after deviceready, which Cordova also fires for late listeners
+    function whenDeviceReady() {
+        return window.cordova
+            ? new Promise(resolve => document.addEventListener('deviceready', resolve, false))
+            : Promise.resolve();
+    }
+
+    return {
+        name: 'SQLite',
+
+        open(schema) {
+            return whenDeviceReady()
+                .then(() => {
+                    if (!window.sqlitePlugin) {
+                        throw new Error('SQLite storage needs the cordova-sqlite-storage plugin');
+                    }
+                    return new Promise((resolve, reject) => {
+                        database = window.sqlitePlugin.openDatabase({ name: STORAGE_NAME + '.db', location: 'default' }, resolve, reject);
+                    });
+                })
+                .then(() => batch([
+                    'CREATE TABLE IF NOT EXISTS app_meta (key TEXT PRIMARY KEY, value TEXT)',
+                    'CREATE TABLE IF NOT EXISTS app_values (key TEXT PRIMARY KEY, value TEXT)',
+                    ...Object.keys(schema.collections).map(name => createTable(name, schema.collections[name].fields))
+                ]));
+        },
+
+        load(schema) {
+            const names = Object.keys(schema.collections);
+            return Promise.all([
+                run('SELECT key, value FROM app_meta'),
+                run('SELECT key, value FROM app_values'),
+                ...names.map(name => run('SELECT * FROM ' + table(name) + ' ORDER BY position'))
+            ]).then(([meta, values, ...collections]) => ({
+                version: Number((rowsOf(meta).find(row => row.key === 'schemaVersion') || {}).value) || 0,
+                values: Object.fromEntries(rowsOf(values).map(row => [row.key, JSON.parse(row.value)])),
+                collections: Object.fromEntries(names.map((name, index) => [name, rowsOf(collections[index])]))
+            }));
+        },
+
+        writeCollection(name, records, schema) {
+            return batch(['DELETE FROM ' + table(name), ...insertRecords(name, schema.collections[name].fields, records)]);
+        },
+
+        writeValue(key, value) {
+            return value === undefined
+                ? run('DELETE FROM app_values WHERE key = ?', [key])
+                : run('INSERT OR REPLACE INTO app_values (key, value) VALUES (?, ?)', [key, JSON.stringify(value)]);
+        },
+
+        writeVersion(version) {
+            return run('INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)', ['schemaVersion', String(version)]);
+        },
+
+        // Recreate the collection tables, so their columns follow the current schema
+        replaceAll(data, schema) {
+            const names = Object.keys(schema.collections);
+            return batch([
+                ...names.map(name => 'DROP TABLE IF EXISTS ' + table(name)),
+                ...names.map(name => createTable(name, schema.collections[name].fields)),
+                ...names.flatMap(name => insertRecords(name, schema.collections[name].fields, data.collections[name])),
+                'DELETE FROM app_values',
+                ...Object.keys(data.values).map(key => ['INSERT INTO app_values (key, value) VALUES (?, ?)', [key, JSON.stringify(data.values[key])]])
+            ]);
+        }
+    };
+}`,
+        shim: {
+            global: 'sqlitePlugin',
+            factory: 'createSQLitePlugin',
+            source: `
+// In-memory cordova-sqlite-storage that runs the SQL the data store uses: CREATE TABLE, DROP TABLE,
+// INSERT [OR REPLACE], DELETE [WHERE column = ?] and SELECT [ORDER BY column]
+function createSQLitePlugin() {
+    const databases = new Map();
+    const unquote = name => name.replace(/^"|"$/g, '').replace(/""/g, '"');
+
+    function execute(tables, sql, params) {
+        let match = /^CREATE TABLE IF NOT EXISTS (\\S+) \\((.+)\\)$/.exec(sql);
+        if (match) {
+            const name = unquote(match[1]);
+            if (!tables.has(name)) {
+                const definitions = match[2].split(', ').map(definition => definition.split(' '));
+                const key = definitions.find(definition => definition.includes('PRIMARY'));
+                tables.set(name, { columns: definitions.map(definition => unquote(definition[0])), key: key ? unquote(key[0]) : null, rows: [] });
+            }
+            return [];
+        }
+
+        match = /^DROP TABLE IF EXISTS (\\S+)$/.exec(sql);
+        if (match) {
+            tables.delete(unquote(match[1]));
+            return [];
+        }
+
+        match = /^(?:SELECT (.+) FROM|DELETE FROM|INSERT (OR REPLACE )?INTO) (\\S+)/.exec(sql);
+        if (!match) {
+            throw new Error('Unsupported SQL in the shim: ' + sql);
+        }
+        const table = tables.get(unquote(match[3]));
+        if (!table) {
+            throw new Error('no such table: ' + unquote(match[3]));
+        }
+
+        if (sql.startsWith('INSERT')) {
+            const columns = /\\((.+)\\) VALUES/.exec(sql)[1].split(', ').map(unquote);
+            const row = Object.fromEntries(table.columns.map(column => [column, null]));
+            columns.forEach((column, index) => {
+                row[column] = params[index] === undefined ? null : params[index];
+            });
+
+            const existing = table.key ? table.rows.findIndex(entry => entry[table.key] === row[table.key]) : -1;
+            if (existing === -1) {
+                table.rows.push(row);
+            } else if (match[2]) {
+                table.rows[existing] = row;
+            } else {
+                throw new Error('UNIQUE constraint failed: ' + table.key);
+            }
+            return [];
+        }
+
+        if (sql.startsWith('DELETE')) {
+            const where = /WHERE (\\S+) = \\?$/.exec(sql);
+            table.rows = where ? table.rows.filter(row => row[unquote(where[1])] !== params[0]) : [];
+            return [];
+        }
+
+        const order = /ORDER BY (\\S+)$/.exec(sql);
+        const rows = order ? [...table.rows].sort((a, b) => a[unquote(order[1])] - b[unquote(order[1])]) : table.rows;
+        const columns = match[1] === '*' ? table.columns : match[1].split(', ').map(unquote);
+        return rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+    }
+
+    function resultSet(rows) {
+        return { rows: { length: rows.length, item: index => rows[index] }, rowsAffected: 0 };
+    }
+
+    function snapshot(tables) {
+        return new Map(Array.from(tables, ([name, table]) => [name, { ...table, rows: table.rows.map(row => ({ ...row })) }]));
+    }
+
+    return {
+        openDatabase(options, success, error) {
+            if (!databases.has(options.name)) {
+                databases.set(options.name, new Map());
+            }
+            const tables = databases.get(options.name);
+
+            const database = {
+                executeSql(sql, params, onSuccess, onError) {
+                    setTimeout(() => {
+                        try {
+                            const rows = execute(tables, sql, params || []);
+                            if (onSuccess) onSuccess(resultSet(rows));
+                        } catch (failure) {
+                            if (onError) onError(failure);
+                        }
+                    }, 0);
+                },
+
+                // Statements run as one transaction: a failing statement rolls the batch back
+                sqlBatch(statements, onSuccess, onError) {
+                    setTimeout(() => {
+                        const backup = snapshot(tables);
+                        try {
+                            statements.forEach(statement => (Array.isArray(statement)
+                                ? execute(tables, statement[0], statement[1] || [])
+                                : execute(tables, statement, [])));
+                            if (onSuccess) onSuccess();
+                        } catch (failure) {
+                            tables.clear();
+                            backup.forEach((table, name) => tables.set(name, table));
+                            if (onError) onError(failure);
+                        }
+                    }, 0);
+                }
+            };
+
+            setTimeout(() => success && success(database), 0);
+            return database;
+        }
+    };
+}`
+        }
+    }
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DataLayer = DataLayer;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataLayer;
+}
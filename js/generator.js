@@ -4,7 +4,13 @@
  */
 
 class CordovaAppGenerator {
-    constructor() {
+    constructor(options = {}) {
+        // Headless callers (tools/cordova-app-gen.js) skip the simulated step delays
+        this.simulateDelays = options.simulateDelays !== false;
+        this.pluginRegistry = options.pluginRegistry || new PluginRegistry();
+        this.scaffoldRegistry = options.scaffoldRegistry || new ScaffoldRegistry();
+        this.resourcePipeline = options.resourcePipeline || new ResourcePipeline();
+        this.storeAssets = options.storeAssets || new StoreAssets(this.resourcePipeline);
         this.isGenerating = false;
         this.currentGeneration = null;
         this.generationQueue = [];
@@ -32,6 +38,12 @@ class CordovaAppGenerator {
             throw new Error('Generation already in progress');
         }
 
+        // Reject unknown plugins before any app is generated
+        const pluginValidation = this.pluginRegistry.validateTemplates(templates);
+        if (!pluginValidation.isValid) {
+            throw new Error(`Plugin validation failed: ${pluginValidation.errors.join('; ')}`);
+        }
+
         this.isGenerating = true;
         this.currentGeneration = {
             templates,
@@ -119,25 +131,58 @@ class CordovaAppGenerator {
         this.emit('generation:app-start', { template, config: appConfig });
 
         try {
+            const pluginValidation = this.pluginRegistry.validateTemplates([template]);
+            if (!pluginValidation.isValid) {
+                throw new Error(pluginValidation.errors.join('; '));
+            }
+
+            const scaffoldValidation = this.scaffoldRegistry.validate(template.scaffold);
+            if (!scaffoldValidation.isValid) {
+                throw new Error(scaffoldValidation.errors.join('; '));
+            }
+
+            const storageValidation = this.scaffoldRegistry.dataLayer.validate(template.storage);
+            if (!storageValidation.isValid) {
+                throw new Error(storageValidation.errors.join('; '));
+            }
+
+            const localeValidation = LocaleCatalog.validate(template.locales, template.translations);
+            if (!localeValidation.isValid) {
+                throw new Error(localeValidation.errors.join('; '));
+            }
+
+            const themeValidation = this.scaffoldRegistry.themeRegistry.validate(template.theme);
+            if (!themeValidation.isValid) {
+                throw new Error(themeValidation.errors.join('; '));
+            }
+
+            const iconErrors = ResourcePipeline.validateImage(template.iconImage);
+            if (iconErrors.length > 0) {
+                throw new Error(iconErrors.join('; '));
+            }
+
             // Simulate generation steps with realistic timing
             await this.simulateStep('Creating project structure', 1000);
             const projectStructure = this.generateProjectStructure(appConfig);
 
-            await this.simulateStep('Generating configuration files', 800);
-            const configFiles = this.generateConfigFiles(appConfig);
-
-            await this.simulateStep('Creating HTML interface', 1200);
-            const htmlFiles = this.generateHTMLFiles(appConfig);
+            await this.simulateStep('Rendering launcher icons and splash screen', 600);
+            const resourceFiles = await this.generateResourceFiles(appConfig);
 
-            await this.simulateStep('Generating CSS styles', 1000);
-            const cssFiles = this.generateCSSFiles(appConfig);
+            await this.simulateStep('Generating configuration files', 800);
+            const configFiles = this.generateConfigFiles(appConfig, resourceFiles);
 
-            await this.simulateStep('Creating JavaScript logic', 1500);
-            const jsFiles = this.generateJSFiles(appConfig);
+            await this.simulateStep(`Scaffolding ${this.scaffoldRegistry.resolve(appConfig).name} interface`, 3700);
+            const webFiles = this.generateWebFiles(appConfig);
 
             await this.simulateStep('Setting up plugins', 600);
             const pluginConfig = this.generatePluginConfig(appConfig);
 
+            await this.simulateStep('Localizing app name and store listings', 400);
+            const localizedFiles = this.generateLocalizedFiles(appConfig);
+
+            await this.simulateStep('Rendering store listing graphics', 600);
+            const storeFiles = await this.generateStoreFiles(appConfig);
+
             await this.simulateStep('Creating documentation', 800);
             const documentation = this.generateDocumentation(appConfig);
 
@@ -149,15 +194,16 @@ class CordovaAppGenerator {
                 files: {
                     ...projectStructure,
                     ...configFiles,
-                    ...htmlFiles,
-                    ...cssFiles,
-                    ...jsFiles,
+                    ...resourceFiles,
+                    ...webFiles,
+                    ...localizedFiles,
+                    ...storeFiles,
                     ...documentation
                 },
                 plugins: pluginConfig,
                 success: true,
                 timestamp: new Date().toISOString(),
-                packageName: `${config.packagePrefix}.${template.name}`,
+                packageName: appConfig.packageName,
                 repositoryUrl: `https://github.com/${config.githubUsername}/${template.name}`
             };
 
@@ -172,6 +218,7 @@ class CordovaAppGenerator {
     // Simulate generation step with progress
     async simulateStep(stepName, duration) {
         this.emit('generation:step', { stepName, duration });
+        if (!this.simulateDelays) return;
         return new Promise(resolve => setTimeout(resolve, duration));
     }
 
@@ -182,14 +229,24 @@ class CordovaAppGenerator {
             appName: template.name,
             displayName: template.displayName,
             description: template.description,
-            packageName: `${globalConfig.packagePrefix}.${template.name}`,
+            packageName: PackageIdPolicy.resolve(template, globalConfig.packagePrefix),
             version: '1.0.0',
             template,
-            plugins: template.plugins || [],
+            // The data storage backend brings its plugin along
+            plugins: [...new Set([...(template.plugins || []), ...this.scaffoldRegistry.dataLayer.getPlugins(template)])],
+            pluginVariables: template.pluginVariables || {},
             features: template.features || [],
             icon: template.icon,
+            // Uploaded PNG or SVG the launcher icons are rendered from instead of the emoji
+            iconImage: template.iconImage || null,
             color: template.color,
-            category: template.category
+            // A theme id, an imported theme definition, or null for a theme derived from the color
+            theme: template.theme || null,
+            category: template.category,
+            scaffold: template.scaffold || ScaffoldRegistry.DEFAULT_SCAFFOLD,
+            storage: template.storage || DataLayer.DEFAULT_BACKEND,
+            locales: template.locales || [],
+            translations: template.translations || {}
         };
     }
 
@@ -197,9 +254,10 @@ class CordovaAppGenerator {
     generateProjectStructure(config) {
         return {
             'package.json': this.generatePackageJson(config),
-            '.gitignore': this.generateGitignore(),
+            '.gitignore': this.generateGitignore(config),
             'hooks/README.md': '# Cordova Hooks\n\nThis directory contains custom hooks for the Cordova build process.',
-            'www/.gitkeep': '',
+            // Vite scaffolds build www/ from src/, so it is not part of the repository
+            ...(this.scaffoldRegistry.resolve(config).webBuild?.publicDir ? {} : { 'www/.gitkeep': '' }),
             'platforms/.gitkeep': '',
             'plugins/.gitkeep': ''
         };
@@ -207,20 +265,32 @@ class CordovaAppGenerator {
 
     // Generate package.json
     generatePackageJson(config) {
+        const pluginPackages = this.pluginRegistry.toPackageJson(this.resolvePlugins(config));
+        const scaffold = this.scaffoldRegistry.resolve(config);
+        const scaffoldPackages = this.scaffoldRegistry.toPackageJson(scaffold);
+        // Cordova packages www/ as it is, so scaffolds with a web build produce it first
+        const webBuild = scaffold.webBuild ? `npm run ${ScaffoldRegistry.WEB_BUILD_SCRIPT} && ` : '';
+
         return JSON.stringify({
-            name: config.appName.toLowerCase(),
+            name: CordovaAppGenerator.getNpmName(config),
             displayName: config.displayName,
             version: config.version,
             description: config.description,
             main: 'index.js',
             scripts: {
-                build: 'cordova build',
-                'build:android': 'cordova build android',
-                'build:android:release': 'cordova build android --release',
-                'run:android': 'cordova run android',
+                build: `${webBuild}cordova build`,
+                'build:android': `${webBuild}cordova build android`,
+                'build:android:release': `${webBuild}cordova build android --release`,
+                'run:android': `${webBuild}cordova run android`,
+                ...(config.enableIosBuild ? {
+                    'build:ios': `${webBuild}cordova build ios`,
+                    'build:ios:release': `${webBuild}cordova build ios --release --device`,
+                    'run:ios': `${webBuild}cordova run ios`
+                } : {}),
                 clean: 'cordova clean',
                 prepare: 'cordova prepare',
-                serve: 'cordova serve'
+                serve: `${webBuild}cordova serve`,
+                ...scaffoldPackages.scripts
             },
             keywords: [
                 'cordova',
@@ -232,18 +302,23 @@ class CordovaAppGenerator {
             ],
             author: `${config.authorName} <${config.authorEmail}>`,
             license: 'MIT',
+            ...(Object.keys(scaffoldPackages.dependencies).length > 0 ? { dependencies: scaffoldPackages.dependencies } : {}),
             devDependencies: {
-                cordova: '^14.0.0'
+                cordova: '^14.0.0',
+                ...scaffoldPackages.devDependencies,
+                ...pluginPackages.devDependencies
             },
             cordova: {
-                platforms: ['android'],
-                plugins: {}
+                platforms: CordovaAppGenerator.getPlatforms(config),
+                plugins: pluginPackages.plugins
             }
         }, null, 2);
     }
 
     // Generate .gitignore
-    generateGitignore() {
+    generateGitignore(config) {
+        const webBuild = this.scaffoldRegistry.renderGitignore(this.scaffoldRegistry.resolve(config));
+
         return `# Cordova
 platforms/
 plugins/
@@ -270,54 +345,44 @@ www/plugins/
 
 # Temporary
 .tmp/
-.temp/`;
+.temp/${webBuild ? `
+
+${webBuild}` : ''}`;
+    }
+
+    // Render the launcher icons, adaptive icon layers, splash screen icon and www/img/logo.png of the app
+    async generateResourceFiles(config) {
+        const files = await this.resourcePipeline.render(config, this.scaffoldRegistry.themeRegistry.resolve(config));
+        // The logo is a web asset, so web builds take it from their public directory
+        return this.scaffoldRegistry.relocateWebAssets(files, this.scaffoldRegistry.resolve(config));
     }
 
     // Generate configuration files
-    generateConfigFiles(config) {
+    generateConfigFiles(config, resourceFiles = {}) {
         return {
-            'config.xml': this.generateConfigXml(config)
+            'config.xml': this.generateConfigXml(config, resourceFiles)
         };
     }
 
-    // Generate config.xml
-    generateConfigXml(config) {
-        // Define specific plugin versions to avoid "latest" lookup failures
-        const pluginVersions = {
-            'cordova-plugin-whitelist': '1.3.5',
-            'cordova-plugin-splashscreen': '6.0.2',
-            'cordova-plugin-statusbar': '4.0.0',
-            'cordova-plugin-device': '2.1.0',
-            'cordova-plugin-geolocation': '5.0.0',
-            'cordova-plugin-camera': '7.0.0',
-            'cordova-plugin-file': '8.0.1',
-            'cordova-plugin-network-information': '3.0.0',
-            'cordova-plugin-vibration': '4.0.0',
-            'cordova-plugin-local-notification': '0.9.0-beta.2',
-            'cordova-plugin-calendar': '5.1.5',
-            'cordova-plugin-contacts': '4.0.0',
-            'cordova-plugin-media': '7.0.0',
-            'cordova-plugin-media-capture': '5.0.0',
-            'cordova-plugin-barcodescanner': '0.7.4',
-            'cordova-plugin-inappbrowser': '6.0.0'
-        };
-
-        const plugins = config.plugins.map(plugin => {
-            const version = pluginVersions[plugin] || '1.0.0';
-            // Safety check: never allow "latest" versions
-            if (version === 'latest') {
-                console.warn(`Plugin ${plugin} attempted to use "latest" version, using 1.0.0 instead`);
-                return `    <plugin name="${plugin}" spec="1.0.0" />`;
-            }
-            return `    <plugin name="${plugin}" spec="${version}" />`;
-        }).join('\n');
+    // Generate config.xml, with icons for the rendered resource files
+    generateConfigXml(config, resourceFiles = {}) {
+        const resolvedPlugins = this.resolvePlugins(config);
+        const plugins = this.pluginRegistry.renderConfigXmlPlugins(resolvedPlugins);
+        const iosPlatform = CordovaAppGenerator.renderIosPlatform(config, this.pluginRegistry.renderUsageDescriptions(resolvedPlugins), ResourcePipeline.hasLogo(resourceFiles));
+        const localizedMetadata = LocaleCatalog.renderConfigXml(config);
+        const androidStrings = LocaleCatalog.renderAndroidResources(config).resourceFiles;
+        const theme = this.scaffoldRegistry.themeRegistry.resolve(config);
+        const androidResources = ResourcePipeline.renderConfigXml(resourceFiles, theme);
+        const statusBar = ThemeRegistry.renderConfigXml(theme);
+        const xml = SecurityUtils.escapeXml;
 
         return `<?xml version='1.0' encoding='utf-8'?>
-<widget id="${config.packageName}" version="${config.version}" xmlns="http://www.w3.org/ns/widgets" xmlns:cdv="http://cordova.apache.org/ns/1.0">
-    <name>${config.displayName}</name>
-    <description>${config.description}</description>
-    <author email="${config.authorEmail}" href="https://github.com/${config.githubUsername}">
-        ${config.authorName}
+<widget id="${config.packageName}" version="${xml(config.version)}" xmlns="http://www.w3.org/ns/widgets" xmlns:cdv="http://cordova.apache.org/ns/1.0">
+    <name>${xml(config.displayName)}</name>
+    <description>${xml(config.description)}</description>${localizedMetadata ? `
+${localizedMetadata}` : ''}
+    <author email="${xml(config.authorEmail)}" href="https://github.com/${xml(encodeURIComponent(config.githubUsername || ''))}">
+        ${xml(config.authorName)}
     </author>
     <content src="index.html" />
     <access origin="*" />
@@ -329,602 +394,66 @@ www/plugins/
     <allow-intent href="geo:*" />
     
     <platform name="android">
-        <allow-intent href="market:*" />
-        <!-- Use our generated logo for all icon densities -->
-        <icon density="ldpi" src="www/img/logo.png" />
-        <icon density="mdpi" src="www/img/logo.png" />
-        <icon density="hdpi" src="www/img/logo.png" />
-        <icon density="xhdpi" src="www/img/logo.png" />
-        <icon density="xxhdpi" src="www/img/logo.png" />
-        <icon density="xxxhdpi" src="www/img/logo.png" />
+        <allow-intent href="market:*" />${androidResources ? `
+${androidResources}` : ''}${androidStrings ? `
+        <!-- Launcher name in the app's other languages -->
+${androidStrings}` : ''}
     </platform>
-
+${iosPlatform ? `
+${iosPlatform}
+` : ''}
     <preference name="DisallowOverscroll" value="true" />
-    <preference name="android-minSdkVersion" value="${config.androidMinSdk || 24}" />
+    <preference name="android-minSdkVersion" value="${xml(config.androidMinSdk || 24)}" />
     <preference name="android-targetSdkVersion" value="35" />
     <preference name="android-compileSdkVersion" value="35" />
     <preference name="BackupWebStorage" value="none" />
     <preference name="Orientation" value="portrait" />
+${statusBar}
 
-    <!-- Default plugins with specific versions -->
-    <plugin name="cordova-plugin-whitelist" spec="1.3.5" />
-    <plugin name="cordova-plugin-statusbar" spec="4.0.0" />
-    
-    <!-- App-specific plugins -->
+    <!-- Core and app-specific plugins (versions from js/plugin-registry.js) -->
 ${plugins}
 </widget>`;
     }
 
-    // Generate HTML files
-    generateHTMLFiles(config) {
-        return {
-            'www/index.html': this.generateIndexHtml(config)
-        };
-    }
-
-    // Generate main HTML file
-    generateIndexHtml(config) {
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0, user-scalable=no">
-    <meta http-equiv="Content-Security-Policy" content="default-src 'self' data: gap: https://ssl.gstatic.com 'unsafe-eval' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; media-src *; img-src 'self' data: content: https:;">
-    <title>${config.displayName}</title>
-    <link rel="stylesheet" href="css/index.css">
-</head>
-<body>
-    <div class="app">
-        <header class="header">
-            <div class="header-content">
-                <div class="app-icon">${config.icon}</div>
-                <div class="app-info">
-                    <h1 class="app-title">${config.displayName}</h1>
-                    <p class="app-subtitle">${config.description}</p>
-                </div>
-            </div>
-        </header>
-        
-        <main class="main-content">
-            <div class="welcome-section">
-                <div class="welcome-icon">${config.icon}</div>
-                <h2>Welcome to ${config.displayName}</h2>
-                <p class="welcome-description">${config.description}</p>
-                
-                <div class="features-list">
-                    ${config.features.map(feature => 
-                        `<div class="feature-item">
-                            <span class="feature-icon">✨</span>
-                            <span class="feature-text">${feature}</span>
-                        </div>`
-                    ).join('')}
-                </div>
-                
-                <button class="get-started-btn" id="getStartedBtn">Get Started</button>
-            </div>
-            
-            <div class="app-content" id="appContent" style="display: none;">
-                <div class="content-section">
-                    <h3>${config.displayName} is Ready!</h3>
-                    <p>This is where your app's main functionality will be implemented.</p>
-                    
-                    <div class="action-buttons">
-                        <button class="btn btn-primary" id="primaryAction">Primary Action</button>
-                        <button class="btn btn-secondary" id="secondaryAction">Secondary Action</button>
-                    </div>
-                </div>
-            </div>
-        </main>
-        
-        <footer class="footer">
-            <p>&copy; 2024 ${config.displayName}. Built with Apache Cordova.</p>
-        </footer>
-    </div>
-    
-    <script type="text/javascript" src="cordova.js"></script>
-    <script type="text/javascript" src="js/index.js"></script>
-</body>
-</html>`;
-    }
-
-    // Generate CSS files
-    generateCSSFiles(config) {
-        return {
-            'www/css/index.css': this.generateIndexCSS(config)
-        };
-    }
-
-    // Generate main CSS file
-    generateIndexCSS(config) {
-        return `/* ${config.displayName} - Mobile App Styles */
-
-:root {
-    --primary-color: ${config.color};
-    --primary-hover: ${this.darkenColor(config.color, 10)};
-    --primary-light: ${this.lightenColor(config.color, 20)};
-    --bg-primary: #ffffff;
-    --bg-secondary: #f8fafc;
-    --text-primary: #1a202c;
-    --text-secondary: #4a5568;
-    --text-muted: #718096;
-    --border-color: #e2e8f0;
-    --shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
-    --radius: 0.5rem;
-    --spacing: 1rem;
-}
-
-* {
-    margin: 0;
-    padding: 0;
-    box-sizing: border-box;
-}
-
-body {
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    background: linear-gradient(135deg, var(--primary-color) 0%, var(--primary-light) 100%);
-    color: var(--text-primary);
-    min-height: 100vh;
-    overflow-x: hidden;
-}
-
-.app {
-    min-height: 100vh;
-    display: flex;
-    flex-direction: column;
-}
-
-.header {
-    background: rgba(255, 255, 255, 0.1);
-    backdrop-filter: blur(10px);
-    padding: var(--spacing);
-    border-bottom: 1px solid rgba(255, 255, 255, 0.2);
-}
-
-.header-content {
-    display: flex;
-    align-items: center;
-    gap: var(--spacing);
-    max-width: 400px;
-    margin: 0 auto;
-}
-
-.app-icon {
-    font-size: 2.5rem;
-    width: 60px;
-    height: 60px;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    background: rgba(255, 255, 255, 0.2);
-    border-radius: var(--radius);
-}
-
-.app-title {
-    color: white;
-    font-size: 1.5rem;
-    font-weight: 700;
-    margin-bottom: 0.25rem;
-}
-
-.app-subtitle {
-    color: rgba(255, 255, 255, 0.8);
-    font-size: 0.875rem;
-}
-
-.main-content {
-    flex: 1;
-    padding: var(--spacing);
-    display: flex;
-    align-items: center;
-    justify-content: center;
-}
-
-.welcome-section {
-    background: rgba(255, 255, 255, 0.95);
-    border-radius: calc(var(--radius) * 2);
-    padding: calc(var(--spacing) * 2);
-    text-align: center;
-    box-shadow: var(--shadow);
-    max-width: 400px;
-    width: 100%;
-}
-
-.welcome-icon {
-    font-size: 4rem;
-    margin-bottom: var(--spacing);
-}
-
-.welcome-section h2 {
-    color: var(--text-primary);
-    font-size: 1.75rem;
-    margin-bottom: var(--spacing);
-    font-weight: 700;
-}
-
-.welcome-description {
-    color: var(--text-secondary);
-    margin-bottom: calc(var(--spacing) * 1.5);
-    line-height: 1.6;
-}
-
-.features-list {
-    margin-bottom: calc(var(--spacing) * 1.5);
-}
-
-.feature-item {
-    display: flex;
-    align-items: center;
-    justify-content: flex-start;
-    padding: calc(var(--spacing) * 0.5) 0;
-    border-bottom: 1px solid var(--border-color);
-}
-
-.feature-item:last-child {
-    border-bottom: none;
-}
-
-.feature-icon {
-    margin-right: var(--spacing);
-    width: 30px;
-}
-
-.feature-text {
-    color: var(--text-primary);
-    font-weight: 500;
-}
-
-.get-started-btn {
-    background: linear-gradient(135deg, var(--primary-color) 0%, var(--primary-hover) 100%);
-    color: white;
-    border: none;
-    padding: calc(var(--spacing) * 0.75) calc(var(--spacing) * 2);
-    border-radius: calc(var(--radius) * 2);
-    font-size: 1rem;
-    font-weight: 600;
-    cursor: pointer;
-    transition: transform 0.2s ease;
-    box-shadow: var(--shadow);
-}
-
-.get-started-btn:hover {
-    transform: translateY(-2px);
-}
-
-.app-content {
-    background: rgba(255, 255, 255, 0.95);
-    border-radius: calc(var(--radius) * 2);
-    padding: calc(var(--spacing) * 2);
-    text-align: center;
-    box-shadow: var(--shadow);
-    max-width: 400px;
-    width: 100%;
-}
-
-.content-section h3 {
-    color: var(--text-primary);
-    font-size: 1.5rem;
-    margin-bottom: var(--spacing);
-}
-
-.content-section p {
-    color: var(--text-secondary);
-    margin-bottom: calc(var(--spacing) * 1.5);
-    line-height: 1.6;
-}
-
-.action-buttons {
-    display: flex;
-    gap: var(--spacing);
-    justify-content: center;
-    flex-wrap: wrap;
-}
-
-.btn {
-    padding: calc(var(--spacing) * 0.75) calc(var(--spacing) * 1.5);
-    border: none;
-    border-radius: var(--radius);
-    font-size: 0.875rem;
-    font-weight: 600;
-    cursor: pointer;
-    transition: all 0.2s ease;
-}
-
-.btn-primary {
-    background: linear-gradient(135deg, var(--primary-color) 0%, var(--primary-hover) 100%);
-    color: white;
-    box-shadow: var(--shadow);
-}
-
-.btn-secondary {
-    background: var(--bg-secondary);
-    color: var(--text-primary);
-    border: 2px solid var(--border-color);
-}
-
-.btn:hover {
-    transform: translateY(-2px);
-}
-
-.footer {
-    background: rgba(255, 255, 255, 0.1);
-    backdrop-filter: blur(10px);
-    padding: var(--spacing);
-    text-align: center;
-    border-top: 1px solid rgba(255, 255, 255, 0.2);
-}
-
-.footer p {
-    color: rgba(255, 255, 255, 0.8);
-    font-size: 0.75rem;
-}
-
-/* Responsive Design */
-@media (max-width: 480px) {
-    .main-content {
-        padding: calc(var(--spacing) * 0.5);
-    }
-    
-    .welcome-section,
-    .app-content {
-        padding: var(--spacing);
-    }
-    
-    .action-buttons {
-        flex-direction: column;
-    }
-    
-    .btn {
-        width: 100%;
-    }
-}
-
-/* Animation */
-@keyframes fadeIn {
-    from {
-        opacity: 0;
-        transform: translateY(20px);
-    }
-    to {
-        opacity: 1;
-        transform: translateY(0);
-    }
-}
-
-.welcome-section,
-.app-content {
-    animation: fadeIn 0.6s ease-out;
-}`;
+    // Generate the web files with the template's UI scaffold
+    generateWebFiles(config) {
+        return this.scaffoldRegistry.render(config, {
+            className: CordovaAppGenerator.getAppClassName(config)
+        });
     }
 
-    // Generate JavaScript files
-    generateJSFiles(config) {
+    // Generate the translated launcher names and the store listing texts of each locale
+    generateLocalizedFiles(config) {
         return {
-            'www/js/index.js': this.generateIndexJS(config)
+            ...LocaleCatalog.renderAndroidResources(config).files,
+            ...LocaleCatalog.renderStoreListings(config)
         };
     }
 
-    // Generate main JavaScript file
-    generateIndexJS(config) {
-        return `/*
- * ${config.displayName} - Mobile Application
- * Built with Apache Cordova
- */
-
-class ${config.appName}App {
-    constructor() {
-        this.isDeviceReady = false;
-        this.init();
-    }
-    
-    init() {
-        document.addEventListener('deviceready', this.onDeviceReady.bind(this), false);
-        document.addEventListener('DOMContentLoaded', this.onDOMReady.bind(this), false);
-    }
-    
-    onDeviceReady() {
-        console.log('Device is ready');
-        this.isDeviceReady = true;
-        this.setupEventListeners();
-        this.initializeApp();
-    }
-    
-    onDOMReady() {
-        console.log('DOM is ready');
-        this.setupEventListeners();
-    }
-    
-    setupEventListeners() {
-        const getStartedBtn = document.getElementById('getStartedBtn');
-        const primaryAction = document.getElementById('primaryAction');
-        const secondaryAction = document.getElementById('secondaryAction');
-        
-        if (getStartedBtn) {
-            getStartedBtn.addEventListener('click', this.showAppContent.bind(this));
-        }
-        
-        if (primaryAction) {
-            primaryAction.addEventListener('click', this.handlePrimaryAction.bind(this));
-        }
-        
-        if (secondaryAction) {
-            secondaryAction.addEventListener('click', this.handleSecondaryAction.bind(this));
-        }
-        
-        // Handle back button (Android)
-        document.addEventListener('backbutton', this.onBackButton.bind(this), false);
-        
-        // Handle pause/resume
-        document.addEventListener('pause', this.onPause.bind(this), false);
-        document.addEventListener('resume', this.onResume.bind(this), false);
-    }
-    
-    initializeApp() {
-        console.log('Initializing ${config.displayName}...');
-        
-        // Check device information
-        if (window.device) {
-            console.log('Device Info:', {
-                platform: device.platform,
-                version: device.version,
-                model: device.model
-            });
-        }
-        
-        // Initialize app-specific features
-        this.loadAppData();
-        this.setupNotifications();
-    }
-    
-    showAppContent() {
-        const welcomeSection = document.querySelector('.welcome-section');
-        const appContent = document.getElementById('appContent');
-        
-        if (welcomeSection && appContent) {
-            welcomeSection.style.display = 'none';
-            appContent.style.display = 'block';
-        }
-    }
-    
-    handlePrimaryAction() {
-        console.log('Primary action triggered');
-        this.showMessage('Primary action executed!', 'success');
-        
-        // Add your primary functionality here
-    }
-    
-    handleSecondaryAction() {
-        console.log('Secondary action triggered');
-        this.showMessage('Secondary action executed!', 'info');
-        
-        // Add your secondary functionality here
-    }
-    
-    loadAppData() {
-        // Load app-specific data from local storage
-        const savedData = localStorage.getItem('${config.appName}_data');
-        if (savedData) {
-            try {
-                const data = JSON.parse(savedData);
-                console.log('Loaded app data:', data);
-            } catch (error) {
-                console.error('Error loading app data:', error);
-            }
-        }
-    }
-    
-    saveAppData(data) {
-        try {
-            localStorage.setItem('${config.appName}_data', JSON.stringify(data));
-            console.log('App data saved successfully');
-        } catch (error) {
-            console.error('Error saving app data:', error);
-        }
-    }
-    
-    setupNotifications() {
-        // Setup local notifications if plugin is available
-        if (window.cordova && window.cordova.plugins && window.cordova.plugins.notification) {
-            console.log('Local notifications available');
-        }
-    }
-    
-    showMessage(message, type = 'info') {
-        // Create and show a temporary message
-        const messageDiv = document.createElement('div');
-        messageDiv.className = \`message message-\${type}\`;
-        messageDiv.textContent = message;
-        messageDiv.style.cssText = \`
-            position: fixed;
-            top: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: \${type === 'success' ? '#4CAF50' : type === 'error' ? '#f44336' : '#2196F3'};
-            color: white;
-            padding: 12px 24px;
-            border-radius: 20px;
-            z-index: 1000;
-            font-weight: 500;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-        \`;
-        
-        document.body.appendChild(messageDiv);
-        
-        setTimeout(() => {
-            if (messageDiv.parentNode) {
-                messageDiv.parentNode.removeChild(messageDiv);
-            }
-        }, 3000);
-    }
-    
-    onBackButton() {
-        // Handle Android back button
-        const appContent = document.getElementById('appContent');
-        const welcomeSection = document.querySelector('.welcome-section');
-        
-        if (appContent && appContent.style.display !== 'none') {
-            appContent.style.display = 'none';
-            welcomeSection.style.display = 'block';
-        } else {
-            navigator.app.exitApp();
-        }
-    }
-    
-    onPause() {
-        console.log('App paused');
-        this.saveAppData({
-            lastPaused: new Date().toISOString()
-        });
-    }
-    
-    onResume() {
-        console.log('App resumed');
-        this.loadAppData();
+    // Generate the Google Play icon, feature graphic, screenshots and listing text in store/
+    async generateStoreFiles(config) {
+        return this.storeAssets.render(
+            config,
+            this.scaffoldRegistry.themeRegistry.resolve(config),
+            this.scaffoldRegistry.screenLibrary.getPages(config)
+        );
     }
-}
 
-// Initialize the app
-const app = new ${config.appName}App();`;
+    // Resolve the core and template plugins to pinned registry entries
+    resolvePlugins(config) {
+        return this.pluginRegistry.resolve([...PluginRegistry.CORE_PLUGINS, ...config.plugins], config.pluginVariables);
     }
 
     // Generate plugin configuration
     generatePluginConfig(config) {
-        // Define specific plugin versions to avoid "latest" lookup failures
-        const pluginVersions = {
-            'cordova-plugin-whitelist': '1.3.5',
-            'cordova-plugin-splashscreen': '6.0.2',
-            'cordova-plugin-statusbar': '4.0.0',
-            'cordova-plugin-device': '2.1.0',
-            'cordova-plugin-geolocation': '5.0.0',
-            'cordova-plugin-camera': '7.0.0',
-            'cordova-plugin-file': '8.0.1',
-            'cordova-plugin-network-information': '3.0.0',
-            'cordova-plugin-vibration': '4.0.0',
-            'cordova-plugin-local-notification': '0.9.0-beta.2',
-            'cordova-plugin-calendar': '5.1.5',
-            'cordova-plugin-contacts': '4.0.0',
-            'cordova-plugin-media': '7.0.0',
-            'cordova-plugin-media-capture': '5.0.0',
-            'cordova-plugin-barcodescanner': '0.7.4',
-            'cordova-plugin-inappbrowser': '6.0.0'
-        };
-
-        return config.plugins.map(pluginId => {
-            const version = pluginVersions[pluginId] || '1.0.0';
-            // Safety check: never allow "latest" versions
-            if (version === 'latest') {
-                console.warn(`Plugin ${pluginId} attempted to use "latest" version, using 1.0.0 instead`);
-                return {
-                    id: pluginId,
-                    version: '1.0.0',
-                    variables: {}
-                };
-            }
-            return {
-                id: pluginId,
-                version: version,
-                variables: {}
-            };
-        });
+        return this.resolvePlugins(config).map(plugin => ({
+            id: plugin.id,
+            npmName: plugin.npmName,
+            version: plugin.version,
+            platforms: plugin.platforms,
+            variables: plugin.variables,
+            usageDescriptions: plugin.usageDescriptions
+        }));
     }
 
     // Generate documentation
@@ -937,26 +466,56 @@ const app = new ${config.appName}App();`;
 
     // Generate README.md
     generateReadme(config) {
-        return `# ${config.displayName}
+        const md = SecurityUtils.escapeMarkdown;
+        const scaffold = this.scaffoldRegistry.resolve(config);
+        const storage = this.scaffoldRegistry.describeStorage(config);
+
+        return `# ${md(config.displayName)}
 
-${config.description}
+${md(config.description)}
 
 ## 📱 App Information
 
 - **Package Name:** \`${config.packageName}\`
-- **Category:** ${config.category}
+- **Category:** ${md(config.category)}
 - **Platform:** Android (Cordova/PhoneGap)
+- **UI Scaffold:** ${md(scaffold.name)}
+- **Theme:** ${ThemeRegistry.describe(this.scaffoldRegistry.themeRegistry.resolve(config), md)}
 - **Version:** ${config.version}
 
 ## 🚀 Features
 
-${config.features.map(feature => `- ${feature}`).join('\n')}
+${config.features.map(feature => `- ${md(feature)}`).join('\n')}
+
+## 🧭 Starter Screens
+
+${this.scaffoldRegistry.describeScreens(config).map(page => `- **${md(page.title)}:** ${page.screen}`).join('\n')}
+
+## 🔌 Plugin Services
+
+\`${scaffold.webBuild ? 'src/services.js' : 'www/js/services.js'}\` wraps each plugin in a promise-based service that checks the plugin is installed first:
+
+${this.scaffoldRegistry.describeServices(config).map(service => `- **${service.name}** (\`${service.pluginId}\`): ${service.methods.map(method => `${method}()`).join(', ')}`).join('\n')}
+
+Run \`npm test\` to test the services against plugin stubs; no device is needed.
+
+## 💾 Data Storage
+
+\`${scaffold.webBuild ? 'src/data.js' : 'www/js/data.js'}\` keeps the app's data in ${storage.backend}, in typed collections:
+
+${storage.collections.map(collection => `- **${collection.name}:** ${collection.fields.join(', ')}`).join('\n')}
+
+To change what the app stores, bump \`SCHEMA.version\` and append a migration to \`MIGRATIONS\`; each device runs it once after updating. The Settings page exports and imports the data as a JSON backup, and \`npm test\` also runs the data store against an in-memory ${storage.backend}.
+
+## 🌍 Languages
+
+${CordovaAppGenerator.renderLanguagesSection(config, scaffold)}
 
 ## 🛠️ Build Instructions
 
 ### Prerequisites
 
-- Node.js (v14 or higher)
+- Node.js (v18 or higher)
 - Apache Cordova CLI
 - Android SDK (for Android builds)
 
@@ -970,7 +529,8 @@ ${config.features.map(feature => `- ${feature}`).join('\n')}
 
 2. Install dependencies:
    \`\`\`bash
-   npm install
+   npm install${scaffold.webBuild ? `
+   npm run ${ScaffoldRegistry.WEB_BUILD_SCRIPT}  # builds www/` : ''}
    \`\`\`
 
 3. Add platforms:
@@ -1015,9 +575,9 @@ This project is licensed under the MIT License - see the [LICENSE](LICENSE) file
 
 ## 👨‍💻 Author
 
-**${config.authorName}**
-- GitHub: [@${config.githubUsername}](https://github.com/${config.githubUsername})
-- Email: ${config.authorEmail}
+**${md(config.authorName)}**
+- GitHub: [@${md(config.githubUsername)}](https://github.com/${encodeURIComponent(config.githubUsername || '')})
+- Email: ${md(config.authorEmail)}
 
 ---
 
@@ -1050,29 +610,6 @@ OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 SOFTWARE.`;
     }
 
-    // Utility functions for color manipulation
-    darkenColor(color, percent) {
-        const num = parseInt(color.replace("#", ""), 16);
-        const amt = Math.round(2.55 * percent);
-        const R = (num >> 16) - amt;
-        const G = (num >> 8 & 0x00FF) - amt;
-        const B = (num & 0x0000FF) - amt;
-        return "#" + (0x1000000 + (R < 255 ? R < 1 ? 0 : R : 255) * 0x10000 +
-            (G < 255 ? G < 1 ? 0 : G : 255) * 0x100 +
-            (B < 255 ? B < 1 ? 0 : B : 255)).toString(16).slice(1);
-    }
-
-    lightenColor(color, percent) {
-        const num = parseInt(color.replace("#", ""), 16);
-        const amt = Math.round(2.55 * percent);
-        const R = (num >> 16) + amt;
-        const G = (num >> 8 & 0x00FF) + amt;
-        const B = (num & 0x0000FF) + amt;
-        return "#" + (0x1000000 + (R < 255 ? R < 1 ? 0 : R : 255) * 0x10000 +
-            (G < 255 ? G < 1 ? 0 : G : 255) * 0x100 +
-            (B < 255 ? B < 1 ? 0 : B : 255)).toString(16).slice(1);
-    }
-
     // Cancel current generation
     cancelGeneration() {
         if (this.isGenerating) {
@@ -1091,5 +628,106 @@ SOFTWARE.`;
     }
 }
 
+// Files the generator owns outright. Regeneration overwrites these even if they were edited;
+// any other file is only updated while it still matches what the generator last wrote.
+// Entries ending in '/' match every file under that directory.
+CordovaAppGenerator.OWNED_FILES = [
+    'config.xml',
+    'package.json',
+    'codemagic.yaml',
+    '.github/workflows/',
+    'build.json',
+    '.gitignore',
+    'hooks/README.md',
+    'www/js/cordova.js',
+    'www/manifest.json',
+    'www/i18n/',
+    'res/android/',
+    'store/',
+    'test/',
+    'i18n/'
+];
+
+// Icon sizes for the iOS platform block; every size points at the 512px logo the resource pipeline renders
+CordovaAppGenerator.IOS_ICON_SIZES = [1024, 180, 167, 152, 120, 87, 80, 76, 60, 58, 40, 29, 20];
+
+// Get the Cordova platforms of an app; iOS is opt-in
+CordovaAppGenerator.getPlatforms = function (config) {
+    return config.enableIosBuild ? ['android', 'ios'] : ['android'];
+};
+
+// Describe an app's languages and where their strings live, for the READMEs of both generators
+CordovaAppGenerator.renderLanguagesSection = function (config, scaffold) {
+    const locales = LocaleCatalog.getLocales(config);
+    const catalogDir = scaffold.webBuild?.publicDir ? `${scaffold.webBuild.publicDir}/i18n` : LocaleCatalog.CATALOG_DIR;
+    const i18nPath = scaffold.webBuild ? 'src/i18n.js' : 'www/js/i18n.js';
+
+    if (locales.length === 1) {
+        return `The screens show their text through \`t()\` from \`${i18nPath}\`. Add locales and translations to the template, or import a translations CSV in the generator, to ship the app in more languages. Store listing texts are in \`${LocaleCatalog.LISTING_DIR}/${locales[0]}/\`.`;
+    }
+
+    return `${locales.map(locale => `- ${LocaleCatalog.describeLocale(locale)}`).join('\n')}
+
+\`${i18nPath}\` loads \`${catalogDir}/<locale>.json\` for the device language; users can pick another one in Settings. Strings without a translation stay in ${LocaleCatalog.describeLocale(locales[0])}. Translators can fill in \`${LocaleCatalog.CSV_PATH}\` and import it back into the template, and \`npm test\` checks that every catalog keeps the placeholders of its strings.
+
+The translated app names are in \`config.xml\` and \`res/android/\`, and the store listing texts of each language are in \`${LocaleCatalog.LISTING_DIR}/<locale>/\`.`;
+};
+
+// Render the config.xml <platform name="ios"> block: icons (when the project has a logo) and preferences when
+// iOS is enabled, plus any plugin permission prompts. Returns an empty string when there is nothing to emit.
+CordovaAppGenerator.renderIosPlatform = function (config, usageDescriptions = '', hasLogo = true) {
+    const lines = [];
+
+    if (config.enableIosBuild) {
+        lines.push(
+            '        <allow-intent href="itms:*" />',
+            '        <allow-intent href="itms-apps:*" />',
+            ...(hasLogo ? [
+                '        <!-- Use our generated logo for all icon sizes -->',
+                ...CordovaAppGenerator.IOS_ICON_SIZES.map(size =>
+                    `        <icon src="${ResourcePipeline.LOGO_PATH}" width="${size}" height="${size}" />`)
+            ] : []),
+            `        <preference name="deployment-target" value="${SecurityUtils.escapeXml(config.iosDeploymentTarget || '13.0')}" />`,
+            '        <preference name="scheme" value="app" />',
+            '        <preference name="hostname" value="localhost" />',
+            '        <preference name="AllowInlineMediaPlayback" value="true" />',
+            '        <preference name="StatusBarOverlaysWebView" value="false" />'
+        );
+    }
+
+    if (usageDescriptions) {
+        lines.push('        <!-- Permission prompts required by the app\'s plugins -->', usageDescriptions);
+    }
+
+    if (lines.length === 0) return '';
+
+    return ['    <platform name="ios">', ...lines, '    </platform>'].join('\n');
+};
+
+// Get the class name of the generated www/js/index.js, e.g. "2048 Game" -> "_2048GameApp"
+CordovaAppGenerator.getAppClassName = function (config) {
+    return `${SecurityUtils.toJsIdentifier(config.appName)}App`;
+};
+
+// Get a valid npm package name for the generated package.json
+CordovaAppGenerator.getNpmName = function (config) {
+    return String(config.appName).toLowerCase()
+        .replace(/[^a-z0-9._-]+/g, '-')
+        .replace(/^[._-]+|-+$/g, '') || 'cordova-app';
+};
+
+// Check whether a project file is owned by the generator
+CordovaAppGenerator.isGeneratorOwned = function (filePath) {
+    return CordovaAppGenerator.OWNED_FILES.some(owned =>
+        owned.endsWith('/') ? filePath.startsWith(owned) : filePath === owned);
+};
+
 // Export for use in other modules
-window.CordovaAppGenerator = CordovaAppGenerator;
+if (typeof window !== 'undefined') {
+    window.CordovaAppGenerator = CordovaAppGenerator;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CordovaAppGenerator;
+}
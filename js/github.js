@@ -8,8 +8,16 @@ class GitHubIntegration {
         this.isAuthenticated = false;
         this.username = null;
         this.token = null;
-        this.apiBase = 'https://api.github.com';
-        this.apiUrl = 'https://api.github.com'; // Add apiUrl property for consistency
+        // 'classic', 'fine-grained' or 'installation' (GitHub App); detected from the API responses
+        this.tokenType = null;
+        // Organization profile the repositories are created with; null for public repositories of the user
+        this.profile = null;
+        // TokenVault the token is read from when it was not entered; set by the app
+        this.tokenVault = null;
+        // Through tools/proxy-server.js when the generator is served by it
+        this.apiBase = ConfigUtils.getApiUrl('github');
+        this.apiUrl = this.apiBase; // Add apiUrl property for consistency
+        this.pushMode = 'git-data'; // 'git-data' (single atomic commit) or 'contents' (one commit per file)
         this.eventListeners = new Map();
     }
 
@@ -27,18 +35,32 @@ class GitHubIntegration {
         }
     }
 
+    // Authorization header of API requests; none when the proxy server adds its own token
+    async getAuthHeaders(token = this.token) {
+        // A vault token is decrypted for each request rather than kept on the instance
+        if (!token && this.tokenVault?.has('github')) {
+            token = await this.tokenVault.getToken('github');
+        }
+        return { ...ConfigUtils.getProxyHeaders(), ...(token ? { 'Authorization': `token ${token}` } : {}) };
+    }
+
     // Validate GitHub token permissions
     async validateTokenPermissions() {
         if (!this.isAuthenticated) {
             throw new Error('Not authenticated');
         }
 
+        // Fine-grained and installation tokens have permissions instead of scopes; preflight() checks those
+        if (this.tokenType !== 'classic') {
+            return { valid: true, tokenType: this.tokenType, scopes: [], hasRepoAccess: null };
+        }
+
         try {
             // Check token scopes
             const response = await fetch(`${this.apiBase}/user`, {
                 method: 'HEAD',
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json',
                     'User-Agent': 'Cordova-App-Generator/1.0.0'
                 }
@@ -48,18 +70,19 @@ class GitHubIntegration {
                 throw new Error(`Token validation failed: ${response.status}`);
             }
 
-            const scopes = response.headers.get('X-OAuth-Scopes') || '';
-            const requiredScopes = ['repo', 'public_repo'];
+            const scopes = GitHubIntegration.parseScopes(response.headers.get('X-OAuth-Scopes'));
+            const requiredScopes = CONFIG.github.allowedScopes;
             const hasRequiredScopes = requiredScopes.some(scope => scopes.includes(scope));
 
             if (!hasRequiredScopes) {
-                throw new Error(`Token missing required scopes. Required: ${requiredScopes.join(' or ')}. Current: ${scopes}`);
+                throw new Error(`Token missing required scopes. Required: ${requiredScopes.join(' or ')}. Current: ${scopes.join(', ')}`);
             }
 
             return {
                 valid: true,
-                scopes: scopes.split(', ').filter(s => s),
-                hasRepoAccess: scopes.includes('repo') || scopes.includes('public_repo')
+                tokenType: this.tokenType,
+                scopes,
+                hasRepoAccess: true
             };
 
         } catch (error) {
@@ -67,7 +90,7 @@ class GitHubIntegration {
         }
     }
 
-    // Authenticate with GitHub using personal access token
+    // Authenticate with GitHub using a classic or fine-grained personal access token, or a GitHub App installation token
     async authenticate(username, token = null) {
         try {
             this.emit('auth:start', { username });
@@ -76,19 +99,24 @@ class GitHubIntegration {
                 throw new Error('Username is required');
             }
 
-            if (!token || !token.trim()) {
-                throw new Error('GitHub personal access token is required');
+            if ((!token || !token.trim()) && !this.tokenVault?.has('github') && !ConfigUtils.hasServerToken('github')) {
+                throw new Error('GitHub token is required');
             }
 
             // Validate token by making a test API call
             const response = await fetch(`${this.apiBase}/user`, {
                 headers: {
-                    'Authorization': `token ${token}`,
+                    ...await this.getAuthHeaders(token),
                     'Accept': 'application/vnd.github.v3+json',
                     'User-Agent': 'Cordova-App-Generator/1.0.0'
                 }
             });
 
+            // Installation tokens cannot read /user; they act for the account the GitHub App is installed on
+            if (response.status === 403 && await this.authenticateInstallation(username, token)) {
+                return true;
+            }
+
             if (!response.ok) {
                 if (response.status === 401) {
                     throw new Error('Invalid GitHub token. Please check your personal access token.');
@@ -113,21 +141,198 @@ class GitHubIntegration {
 
             this.isAuthenticated = true;
             this.username = username;
-            this.token = token;
+            this.token = token || null;
+            // Only classic tokens report their scopes
+            this.tokenType = response.headers.get('X-OAuth-Scopes') !== null ? 'classic' : 'fine-grained';
             this.userData = userData;
 
-            this.emit('auth:success', { username, userData });
+            this.emit('auth:success', { username, userData, tokenType: this.tokenType });
             return true;
 
         } catch (error) {
             this.isAuthenticated = false;
             this.username = null;
             this.token = null;
+            this.tokenType = null;
             this.emit('auth:error', { error });
             throw error;
         }
     }
 
+    // Authenticate a GitHub App installation token; false if the token is not one
+    async authenticateInstallation(username, token) {
+        const response = await fetch(`${this.apiBase}/installation/repositories?per_page=1`, {
+            headers: {
+                ...await this.getAuthHeaders(token),
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'Cordova-App-Generator/1.0.0'
+            }
+        });
+        if (!response.ok) {
+            return false;
+        }
+
+        const data = await response.json();
+        const owner = data.repositories?.[0]?.owner;
+        const userData = owner
+            ? { login: owner.login, type: owner.type, html_url: owner.html_url }
+            : { login: username, type: 'Organization' };
+
+        this.isAuthenticated = true;
+        this.username = userData.login;
+        this.token = token || null;
+        this.tokenType = 'installation';
+        this.userData = userData;
+
+        this.emit('auth:success', { username: this.username, userData, tokenType: this.tokenType });
+        return true;
+    }
+
+    // Use an organization profile (OrgProfiles) for the repositories created from now on
+    setOrgProfile(profile) {
+        this.profile = profile ? OrgProfiles.normalize(profile) : null;
+    }
+
+    // Account the repositories are created in: the profile's organization, or the authenticated user
+    getOwner() {
+        return this.profile?.owner || this.username;
+    }
+
+    // Endpoint that creates repositories for an owner; installations can only create them in organizations
+    getCreateRepositoryEndpoint(owner = this.getOwner()) {
+        const isUser = this.tokenType !== 'installation' && owner.toLowerCase() === this.userData?.login?.toLowerCase();
+        return isUser ? '/user/repos' : `/orgs/${encodeURIComponent(owner)}/repos`;
+    }
+
+    // Check that the token can do everything generation needs before anything is created.
+    // options.workflows adds the GitHub Actions workflow check; Pages is checked but not required.
+    // Only classic token scopes can be read; for fine-grained and installation tokens this checks what read-only
+    // requests show, and verifyRepositoryAccess() reads each repository before its code is pushed
+    async preflight(options = {}) {
+        if (!this.isAuthenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        const owner = options.owner || this.getOwner();
+        const capabilities = GitHubIntegration.CAPABILITIES.filter(capability =>
+            capability.id !== 'writeWorkflows' || options.workflows);
+
+        let results;
+        if (this.tokenType === 'classic') {
+            const response = await fetch(`${this.apiBase}/user`, {
+                method: 'HEAD',
+                headers: {
+                    ...await this.getAuthHeaders(),
+                    'Accept': 'application/vnd.github.v3+json',
+                    'User-Agent': 'Cordova-App-Generator/1.0.0'
+                }
+            });
+            const scopes = GitHubIntegration.parseScopes(response.headers.get('X-OAuth-Scopes'));
+
+            results = capabilities.map(capability => {
+                const scope = capability.scopes.find(name => scopes.includes(name));
+                return {
+                    ...capability,
+                    granted: !!scope,
+                    detail: scope ? `${scope} scope` : `needs the ${capability.scopes.join(' or ')} scope`
+                };
+            });
+        } else {
+            results = [];
+            for (const capability of capabilities) {
+                if (capability.id === 'createRepos') {
+                    results.push({ ...capability, ...await this.checkRepositoryCreation(owner) });
+                } else {
+                    results.push({
+                        ...capability,
+                        granted: null,
+                        deferred: true,
+                        detail: `${capability.permission} is checked when the code is pushed`
+                    });
+                }
+            }
+        }
+
+        const missing = results.filter(result => result.required && result.granted === false);
+        return {
+            owner,
+            tokenType: this.tokenType,
+            capabilities: results,
+            missing,
+            ok: missing.length === 0
+        };
+    }
+
+    // Read-only check of repository creation: in an organization the user must be an active member allowed to create
+    // repositories. Whether the token itself has Administration: write shows when the first repository is created,
+    // before anything else is written
+    async checkRepositoryCreation(owner) {
+        const deferred = { granted: null, deferred: true, detail: 'Administration: write is checked when the first repository is created' };
+        if (this.tokenType === 'installation' || owner.toLowerCase() === this.userData?.login?.toLowerCase()) {
+            return deferred;
+        }
+
+        let membership;
+        try {
+            membership = await this.gitHubRequest('GET', `/user/memberships/orgs/${encodeURIComponent(owner)}`);
+        } catch (error) {
+            // Also refused when the token lacks the Members permission, so this does not prove anything
+            return deferred;
+        }
+
+        if (membership.state !== 'active') {
+            return { granted: false, detail: `the invitation to ${owner} has not been accepted` };
+        }
+        if (membership.role === 'admin') {
+            return deferred;
+        }
+
+        try {
+            const organization = await this.gitHubRequest('GET', `/orgs/${encodeURIComponent(owner)}`);
+            if (organization.members_can_create_repositories === false) {
+                return { granted: false, detail: `members of ${owner} cannot create repositories; ask an owner of the organization` };
+            }
+        } catch (error) {
+            // Organization settings not visible to the token
+        }
+        return deferred;
+    }
+
+    // Check with a read-only request that a repository can take the push of a fine-grained or installation token;
+    // throws when a required capability is missing. GitHub only reports the role of the token's user (installation
+    // tokens get none), not the token's own permissions, so those show when the push starts. Classic token scopes
+    // were checked by preflight()
+    async verifyRepositoryAccess(repository, options = {}) {
+        if (this.tokenType === 'classic') {
+            return [];
+        }
+
+        const capabilities = GitHubIntegration.CAPABILITIES.filter(capability =>
+            capability.id !== 'createRepos' && (capability.id !== 'writeWorkflows' || options.workflows));
+
+        const data = await this.gitHubRequest('GET', `/repos/${repository.fullName}`);
+        const permissions = data.permissions || null;
+
+        const results = capabilities.map(capability => {
+            // A fine-grained token never exceeds the access of its user; Pages settings need the maintain or admin role
+            const role = capability.id === 'enablePages' ? 'maintain or admin' : 'write';
+            const allowed = !permissions ? null : capability.id === 'enablePages'
+                ? !!(permissions.admin || permissions.maintain)
+                : permissions.push !== false;
+            return {
+                ...capability,
+                granted: allowed === false ? false : null,
+                detail: allowed === false ? `needs ${role} access to ${repository.fullName}` : `${capability.permission} is checked by the push`
+            };
+        });
+
+        const missing = results.filter(result => result.required && result.granted === false);
+        if (missing.length > 0) {
+            throw new Error(`GitHub token cannot push to ${repository.fullName}: ${missing.map(result => result.detail).join('; ')}`);
+        }
+        return results;
+    }
+
     // Sanitize repository name for GitHub compatibility
     sanitizeRepositoryName(name) {
         if (!name || typeof name !== 'string') {
@@ -196,9 +401,9 @@ class GitHubIntegration {
             });
 
             // Check if repository already exists
-            const existsResponse = await fetch(`${this.apiBase}/repos/${this.username}/${repositoryName}`, {
+            const existsResponse = await fetch(`${this.apiBase}/repos/${this.getOwner()}/${repositoryName}`, {
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json',
                     'User-Agent': 'Cordova-App-Generator/1.0.0'
                 }
@@ -232,10 +437,12 @@ class GitHubIntegration {
                                   `${appConfig.displayName || appConfig.appName || 'Cordova App'} - Built with Apache Cordova`;
 
             // Create new repository
-            const createResponse = await fetch(`${this.apiBase}/user/repos`, {
+            const visibility = this.profile?.visibility || 'public';
+            const createEndpoint = this.getCreateRepositoryEndpoint();
+            const createResponse = await fetch(`${this.apiBase}${createEndpoint}`, {
                 method: 'POST',
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json',
                     'Content-Type': 'application/json',
                     'User-Agent': 'Cordova-App-Generator/1.0.0'
@@ -243,7 +450,9 @@ class GitHubIntegration {
                 body: JSON.stringify({
                     name: repositoryName,
                     description: repoDescription,
-                    private: false,
+                    private: visibility !== 'public',
+                    // Only the organization endpoint knows internal visibility
+                    ...(createEndpoint.startsWith('/orgs/') ? { visibility } : {}),
                     auto_init: false, // We'll push our own initial commit
                     gitignore_template: null,
                     license_template: null,
@@ -303,6 +512,61 @@ class GitHubIntegration {
         }
     }
 
+    // Apply the organization profile to a pushed repository and point its homepage at the Pages site.
+    // A setting that fails is reported in the result; the repository and its code are kept
+    async applyRepositorySettings(repository, appConfig) {
+        const profile = this.profile || OrgProfiles.normalize({ owner: '' });
+        const applied = [];
+        const failed = [];
+        const attempt = async (setting, operation) => {
+            try {
+                await operation();
+                applied.push(setting);
+            } catch (error) {
+                failed.push({ setting, error: error.message });
+            }
+        };
+
+        await attempt('topics', () => this.gitHubRequest('PUT', `/repos/${repository.fullName}/topics`, {
+            names: OrgProfiles.getTopics(profile, appConfig)
+        }));
+
+        await attempt('homepage', async () => {
+            // Pages may still be building; its address is known either way
+            const pages = await this.getGitHubPagesStatus(repository.name);
+            const pagesUrl = (pages.success && pages.url) || GitHubIntegration.getPagesUrl(this.getOwner(), repository.name);
+            repository.pagesUrl = `${pagesUrl.replace(/\/?$/, '/')}www/`;
+            await this.gitHubRequest('PATCH', `/repos/${repository.fullName}`, {
+                description: repository.description || `${appConfig.displayName} - Built with Apache Cordova`,
+                homepage: repository.pagesUrl
+            });
+        });
+
+        for (const team of profile.teams) {
+            await attempt(`team ${team.slug} (${team.permission})`, () => this.gitHubRequest(
+                'PUT',
+                `/orgs/${encodeURIComponent(profile.owner)}/teams/${encodeURIComponent(team.slug)}/repos/${repository.fullName}`,
+                { permission: team.permission }
+            ));
+        }
+
+        if (profile.protectMain) {
+            await attempt('branch protection', () => this.gitHubRequest('PUT', `/repos/${repository.fullName}/branches/main/protection`, {
+                required_status_checks: null,
+                enforce_admins: false,
+                required_pull_request_reviews: {
+                    required_approving_review_count: profile.requiredReviews,
+                    dismiss_stale_reviews: true
+                },
+                restrictions: null
+            }));
+        }
+
+        const settings = { applied, failed };
+        this.emit('repo:settings', { repository, settings });
+        return settings;
+    }
+
     // Enable GitHub Pages for repository
     async enableGitHubPages(repoName, branch = 'main', path = '/') {
         if (!this.isAuthenticated) {
@@ -319,7 +583,7 @@ class GitHubIntegration {
         }
 
         const encodedRepoName = encodeURIComponent(repoName.trim());
-        const apiUrl = `${this.apiUrl}/repos/${this.username}/${encodedRepoName}/pages`;
+        const apiUrl = `${this.apiUrl}/repos/${this.getOwner()}/${encodedRepoName}/pages`;
 
         console.log('🔧 Enabling GitHub Pages for:', {
             repoName: repoName,
@@ -334,7 +598,7 @@ class GitHubIntegration {
             const response = await fetch(apiUrl, {
                 method: 'POST',
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json',
                     'Content-Type': 'application/json'
                 },
@@ -367,7 +631,7 @@ class GitHubIntegration {
                     console.error('❌ Failed to parse success response JSON:', jsonError);
                     return {
                         success: true,
-                        url: `https://${this.username}.github.io/${repoName}`,
+                        url: GitHubIntegration.getPagesUrl(this.getOwner(), repoName),
                         status: 'building'
                     };
                 }
@@ -425,7 +689,7 @@ class GitHubIntegration {
         }
 
         const encodedRepoName = encodeURIComponent(repoName.trim());
-        const apiUrl = `${this.apiUrl}/repos/${this.username}/${encodedRepoName}/pages`;
+        const apiUrl = `${this.apiUrl}/repos/${this.getOwner()}/${encodedRepoName}/pages`;
 
         console.log('🔍 Getting GitHub Pages status for:', {
             repoName: repoName,
@@ -437,7 +701,7 @@ class GitHubIntegration {
         try {
             const response = await fetch(apiUrl, {
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json'
                 }
             });
@@ -658,13 +922,42 @@ class GitHubIntegration {
         setTimeout(() => checkStatus(), 10000); // First check after 10 seconds
     }
 
-    // Push code to repository using GitHub Contents API
-    async pushCode(repository, generatedApp) {
+    // Set how pushCode writes files to the repository
+    setPushMode(mode) {
+        if (!GitHubIntegration.PUSH_MODES.includes(mode)) {
+            throw new Error(`Unknown push mode: ${mode}. Expected one of: ${GitHubIntegration.PUSH_MODES.join(', ')}`);
+        }
+        this.pushMode = mode;
+    }
+
+    // Lint the project files before anything is uploaded; lint errors block the push
+    lintProject(generatedApp) {
+        const lint = generatedApp.lint || ProjectLinter.lint(ProjectExporter.collectFiles(generatedApp));
+        generatedApp.lint = lint;
+
+        if (!lint.isValid) {
+            const error = new Error(`Project lint failed: ${lint.errors.map(ProjectLinter.formatIssue).join('; ')}`);
+            error.lint = lint;
+            throw error;
+        }
+
+        return lint;
+    }
+
+    // Push code to repository using the configured push mode
+    async pushCode(repository, generatedApp, options = {}) {
+        this.lintProject(generatedApp);
+
+        const mode = options.mode || this.pushMode;
+        if (mode === 'git-data') {
+            return this.pushCodeAtomic(repository, generatedApp);
+        }
+
         try {
             this.emit('repo:push:start', { repository, appName: generatedApp.config.appName });
 
             // Use build-ready files if available, otherwise use original files
-            const files = generatedApp.buildReady ? generatedApp.buildReady.files : generatedApp.files;
+            const files = await this.withGeneratorManifest(ProjectExporter.collectFiles(generatedApp));
             const filesCount = Object.keys(files).length;
             let uploadedFiles = 0;
 
@@ -750,33 +1043,8 @@ class GitHubIntegration {
             }
 
             // Create a commit summary with detailed results
-            const isBuildReady = generatedApp.buildReady && generatedApp.buildReady.success;
-            const packageName = isBuildReady ? generatedApp.buildReady.packageName : generatedApp.config.packageName;
             const successRate = Math.round((uploadedFiles / filesCount) * 100);
-
-            let commitMessage = `Initial commit: ${generatedApp.config.displayName}
-
-${generatedApp.config.description}
-
-Generated by Cordova App Generator
-- Files: ${uploadedFiles}/${filesCount} uploaded successfully (${successRate}%)
-- Package: ${packageName}
-- Plugins: ${generatedApp.config.plugins.length} configured
-- Category: ${generatedApp.config.category}
-${isBuildReady ? '- Cordova build structure: ✅ Ready' : '- Cordova build structure: ❌ Not prepared'}
-${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
-
-            if (failedFiles.length > 0) {
-                commitMessage += `\n\nNote: ${failedFiles.length} files failed to upload and may need manual addition:`;
-                failedFiles.slice(0, 5).forEach(({ filePath }) => {
-                    commitMessage += `\n- ${filePath}`;
-                });
-                if (failedFiles.length > 5) {
-                    commitMessage += `\n- ... and ${failedFiles.length - 5} more`;
-                }
-            }
-
-            commitMessage += `\n\n${isBuildReady ? 'Ready for immediate Cordova builds!' : 'Ready for Cordova build process.'}`;
+            const commitMessage = this.composeCommitMessage(generatedApp, { uploadedFiles, filesCount, failedFiles });
 
             const pushResult = {
                 repository,
@@ -818,6 +1086,434 @@ ${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
         }
     }
 
+    // Compose the commit message describing a generated app push
+    composeCommitMessage(generatedApp, { uploadedFiles, filesCount, failedFiles = [] }) {
+        const isBuildReady = generatedApp.buildReady && generatedApp.buildReady.success;
+        const packageName = isBuildReady ? generatedApp.buildReady.packageName : generatedApp.config.packageName;
+        const successRate = Math.round((uploadedFiles / filesCount) * 100);
+
+        let commitMessage = `Initial commit: ${generatedApp.config.displayName}
+
+${generatedApp.config.description}
+
+Generated by Cordova App Generator
+- Files: ${uploadedFiles}/${filesCount} uploaded successfully (${successRate}%)
+- Package: ${packageName}
+- Plugins: ${generatedApp.config.plugins.length} configured
+- Category: ${generatedApp.config.category}
+${isBuildReady ? '- Cordova build structure: ✅ Ready' : '- Cordova build structure: ❌ Not prepared'}
+${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
+
+        if (failedFiles.length > 0) {
+            commitMessage += `\n\nNote: ${failedFiles.length} files failed to upload and may need manual addition:`;
+            failedFiles.slice(0, 5).forEach(({ filePath }) => {
+                commitMessage += `\n- ${filePath}`;
+            });
+            if (failedFiles.length > 5) {
+                commitMessage += `\n- ... and ${failedFiles.length - 5} more`;
+            }
+        }
+
+        commitMessage += `\n\n${isBuildReady ? 'Ready for immediate Cordova builds!' : 'Ready for Cordova build process.'}`;
+        return commitMessage;
+    }
+
+    // Make an authenticated GitHub API request and return the parsed JSON body
+    async gitHubRequest(method, endpoint, body = null) {
+        const headers = {
+            ...await this.getAuthHeaders(),
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'Cordova-App-Generator/1.0.0'
+        };
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.apiBase}${endpoint}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(`${method} ${endpoint} failed: ${response.status} ${errorData.message || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    // Get the commit and tree SHA a branch points to, or null if the branch (or repository) is empty
+    async getBranchHead(repository, branch = 'main') {
+        try {
+            const ref = await this.gitHubRequest('GET', `/repos/${repository.fullName}/git/ref/heads/${branch}`);
+            const commit = await this.gitHubRequest('GET', `/repos/${repository.fullName}/git/commits/${ref.object.sha}`);
+            return { commitSha: commit.sha, treeSha: commit.tree.sha, parentCount: (commit.parents || []).length };
+        } catch (error) {
+            // 404: branch missing, 409: repository has no commits yet
+            if (error.status === 404 || error.status === 409) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Whether a branch head is the placeholder commit pushCodeAtomic seeds an empty repository with
+    async isSeedCommit(repository, head) {
+        if (head.parentCount !== 0) return false;
+        const tree = await this.gitHubRequest('GET', `/repos/${repository.fullName}/git/trees/${head.treeSha}`);
+        return tree.tree.length === 1 && tree.tree[0].path === GitHubIntegration.SEED_FILE;
+    }
+
+    // Encode raw bytes as base64
+    encodeBase64(bytes) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(bytes).toString('base64');
+        }
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // Decode base64 (as the Git Data API returns blobs) to raw bytes
+    decodeBase64(text) {
+        const clean = text.replace(/\s/g, '');
+        if (typeof Buffer !== 'undefined') {
+            return new Uint8Array(Buffer.from(clean, 'base64'));
+        }
+        return Uint8Array.from(atob(clean), char => char.charCodeAt(0));
+    }
+
+    // Add the manifest of generated blob SHAs to the files of a push; without WebCrypto the files are pushed without it
+    async withGeneratorManifest(files) {
+        const shas = {};
+        for (const [filePath, content] of Object.entries(files)) {
+            const sha = await this.computeBlobSha(content);
+            if (!sha) return files;
+            shas[ProjectExporter.normalizePath(filePath)] = sha;
+        }
+        return { ...files, [GitHubIntegration.MANIFEST_FILE]: GitHubIntegration.renderManifest(shas) };
+    }
+
+    // Blob SHAs the generator last wrote, read from the manifest in a tree; empty for repositories pushed without one
+    async readGeneratorManifest(repository, existingFiles) {
+        const sha = existingFiles.get(GitHubIntegration.MANIFEST_FILE);
+        if (!sha) return {};
+
+        try {
+            const blob = await this.gitHubRequest('GET', `/repos/${repository.fullName}/git/blobs/${sha}`);
+            const manifest = JSON.parse(new TextDecoder().decode(this.decodeBase64(blob.content)));
+            return manifest.files || {};
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${GitHubIntegration.MANIFEST_FILE}:`, error.message);
+            return {};
+        }
+    }
+
+    // Build git tree entries, uploading binary files as blobs and inlining text content
+    async createTreeEntries(repository, files) {
+        const entries = [];
+        let processed = 0;
+        const total = Object.keys(files).length;
+
+        for (const [filePath, content] of Object.entries(files)) {
+            const path = ProjectExporter.normalizePath(filePath);
+            const mode = path.endsWith('.sh') ? '100755' : '100644';
+
+            if (ProjectExporter.isDataUrl(content)) {
+                const blob = await this.withRetry(() => this.gitHubRequest('POST', `/repos/${repository.fullName}/git/blobs`, {
+                    content: this.encodeBase64(ProjectExporter.toBytes(content)),
+                    encoding: 'base64'
+                }));
+                entries.push({ path, mode, type: 'blob', sha: blob.sha });
+            } else {
+                entries.push({ path, mode, type: 'blob', content: content == null ? '' : String(content) });
+            }
+
+            processed++;
+            this.emit('step:progress', {
+                stepName: `Prepared ${processed}/${total} files for commit`,
+                progress: Math.round((processed / total) * 100)
+            });
+        }
+
+        return entries;
+    }
+
+    // Retry transient GitHub API failures with exponential backoff
+    async withRetry(operation, maxRetries = 3) {
+        let lastError = null;
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                lastError = error;
+                const retryable = !error.status || error.status >= 500 || error.status === 429;
+                if (!retryable || attempt === maxRetries) break;
+                await this.delay(Math.min(1000 * Math.pow(2, attempt - 1), 5000));
+            }
+        }
+        throw lastError;
+    }
+
+    // Push all files as a single commit using the Git Data API (blobs, tree, commit, ref update)
+    async pushCodeAtomic(repository, generatedApp, branch = 'main') {
+        try {
+            this.emit('repo:push:start', { repository, appName: generatedApp.config.appName });
+
+            const files = await this.withGeneratorManifest(ProjectExporter.collectFiles(generatedApp));
+            const filesCount = Object.keys(files).length;
+            const appConfig = generatedApp.config;
+
+            this.emit('step:start', { stepName: `Creating single commit with ${filesCount} files`, duration: 0 });
+
+            // An empty repository gets a commit without a parent and a new branch ref, so the push stays one commit.
+            // A placeholder commit that an earlier attempt seeded (see createTree) is replaced the same way
+            let head = await this.getBranchHead(repository, branch);
+            let replaceHead = !!head && await this.isSeedCommit(repository, head);
+
+            // Keep files that already exist in the repository unless the generator overwrites them
+            const createTree = async () => this.gitHubRequest('POST', `/repos/${repository.fullName}/git/trees`, {
+                ...(head && !replaceHead ? { base_tree: head.treeSha } : {}),
+                tree: await this.createTreeEntries(repository, files)
+            });
+
+            let tree;
+            try {
+                tree = await createTree();
+            } catch (error) {
+                // GitHub refuses Git Data writes to some empty repositories (409). Seed one commit through the
+                // Contents API and replace it; the push is then two commits, and a failure in between leaves the
+                // placeholder as the branch head until the push is retried
+                if (head || error.status !== 409) throw error;
+                await this.uploadFile(repository, GitHubIntegration.SEED_FILE, '\n', appConfig);
+                head = await this.getBranchHead(repository, branch);
+                replaceHead = true;
+                tree = await createTree();
+            }
+
+            const author = {
+                name: appConfig.authorName.trim(),
+                email: appConfig.authorEmail.trim(),
+                date: new Date().toISOString()
+            };
+            const message = this.composeCommitMessage(generatedApp, { uploadedFiles: filesCount, filesCount });
+
+            const commit = await this.gitHubRequest('POST', `/repos/${repository.fullName}/git/commits`, {
+                message,
+                tree: tree.sha,
+                parents: head && !replaceHead ? [head.commitSha] : [],
+                author,
+                committer: author
+            });
+
+            // Move the branch in one step; without force this fails if someone pushed in the meantime
+            if (head) {
+                await this.gitHubRequest('PATCH', `/repos/${repository.fullName}/git/refs/heads/${branch}`, {
+                    sha: commit.sha,
+                    force: replaceHead
+                });
+            } else {
+                await this.gitHubRequest('POST', `/repos/${repository.fullName}/git/refs`, {
+                    ref: `refs/heads/${branch}`,
+                    sha: commit.sha
+                });
+            }
+
+            this.emit('step:complete', { stepName: 'Commit created' });
+
+            const pushResult = {
+                repository,
+                commit: {
+                    sha: commit.sha,
+                    message,
+                    author: appConfig.authorName,
+                    timestamp: author.date,
+                    url: `${repository.htmlUrl}/commit/${commit.sha}`
+                },
+                filesCount,
+                totalFiles: filesCount,
+                failedFiles: [],
+                successRate: 100,
+                success: true,
+                hasFailures: false
+            };
+
+            this.emit('repo:push:success', { pushResult, repository });
+            console.log(`✅ Pushed ${filesCount} files to ${repository.fullName} in commit ${commit.sha.substring(0, 7)}`);
+
+            return pushResult;
+
+        } catch (error) {
+            this.emit('repo:push:error', { error, repository });
+            throw new Error(`Failed to push code: ${error.message}`);
+        }
+    }
+
+    // Compute the git blob SHA-1 of file content, or null if WebCrypto is unavailable
+    async computeBlobSha(content) {
+        const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+        if (!subtle) return null;
+
+        const bytes = ProjectExporter.toBytes(content);
+        const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+        const data = new Uint8Array(header.length + bytes.length);
+        data.set(header);
+        data.set(bytes, header.length);
+
+        const digest = await subtle.digest('SHA-1', data);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Regenerated app: push changes to an update branch and open a pull request against the default branch
+    async openUpdatePullRequest(generatedApp, options = {}) {
+        if (!this.isAuthenticated) {
+            throw new Error('Not authenticated with GitHub');
+        }
+
+        const appConfig = generatedApp.config;
+        const repoName = this.sanitizeRepositoryName(appConfig.appName || appConfig.displayName);
+        const version = options.version || CONFIG.version;
+
+        this.lintProject(generatedApp);
+
+        try {
+            this.emit('repo:update:start', { appName: appConfig.appName, repoName });
+
+            if (!await this.checkRepositoryExists(repoName)) {
+                throw new Error(`Repository "${repoName}" does not exist. Generate and push the app first.`);
+            }
+
+            const repoData = await this.gitHubRequest('GET', `/repos/${this.getOwner()}/${repoName}`);
+            const repository = {
+                name: repoData.name,
+                fullName: repoData.full_name,
+                htmlUrl: repoData.html_url,
+                defaultBranch: repoData.default_branch || 'main'
+            };
+
+            const head = await this.getBranchHead(repository, repository.defaultBranch);
+            if (!head) {
+                throw new Error(`Branch "${repository.defaultBranch}" has no commits to update`);
+            }
+
+            // Compare against the current tree using the same blob SHAs the Contents API reports
+            const currentTree = await this.gitHubRequest('GET', `/repos/${repository.fullName}/git/trees/${head.treeSha}?recursive=1`);
+            const existingFiles = new Map(currentTree.tree
+                .filter(entry => entry.type === 'blob')
+                .map(entry => [entry.path, entry.sha]));
+
+            // A file still matching the blob the generator last wrote has not been customised, whoever owns it
+            const generatedShas = await this.readGeneratorManifest(repository, existingFiles);
+            const manifest = { ...generatedShas };
+            let hasManifest = true;
+
+            const changes = {};
+            const addedFiles = [];
+            const updatedFiles = [];
+            const skippedFiles = [];
+
+            for (const [filePath, content] of Object.entries(ProjectExporter.collectFiles(generatedApp))) {
+                const path = ProjectExporter.normalizePath(filePath);
+                const existingSha = existingFiles.get(path);
+                const sha = await this.computeBlobSha(content);
+                if (!sha) hasManifest = false;
+
+                if (sha && existingSha === sha) {
+                    manifest[path] = sha;
+                } else if (!existingSha) {
+                    changes[path] = content;
+                    addedFiles.push(path);
+                    manifest[path] = sha;
+                } else if (CordovaAppGenerator.isGeneratorOwned(path) || generatedShas[path] === existingSha) {
+                    changes[path] = content;
+                    updatedFiles.push(path);
+                    manifest[path] = sha;
+                } else {
+                    // Keeps the SHA it was generated with, so it still counts as customised next time
+                    skippedFiles.push(path);
+                }
+            }
+
+            if (Object.keys(changes).length === 0) {
+                const result = { repository, upToDate: true, addedFiles, updatedFiles, skippedFiles, success: true };
+                this.emit('repo:update:success', result);
+                return result;
+            }
+
+            if (hasManifest) {
+                changes[GitHubIntegration.MANIFEST_FILE] = GitHubIntegration.renderManifest(manifest);
+            }
+
+            const tree = await this.gitHubRequest('POST', `/repos/${repository.fullName}/git/trees`, {
+                base_tree: head.treeSha,
+                tree: await this.createTreeEntries(repository, changes)
+            });
+
+            const author = {
+                name: appConfig.authorName.trim(),
+                email: appConfig.authorEmail.trim(),
+                date: new Date().toISOString()
+            };
+            const title = `Update generated files to Cordova App Generator ${version}`;
+
+            const commit = await this.gitHubRequest('POST', `/repos/${repository.fullName}/git/commits`, {
+                message: `${title}\n\n- Added: ${addedFiles.length}\n- Updated: ${updatedFiles.length}\n- Customised files left unchanged: ${skippedFiles.length}`,
+                tree: tree.sha,
+                parents: [head.commitSha],
+                author,
+                committer: author
+            });
+
+            // One branch per update commit, so updates at the same generator version never collide
+            const branch = `generator/update-${version}-${commit.sha.substring(0, 7)}`;
+            await this.gitHubRequest('POST', `/repos/${repository.fullName}/git/refs`, { ref: `refs/heads/${branch}`, sha: commit.sha });
+
+            const listFiles = files => files.length > 0 ? files.map(file => `- \`${file}\``).join('\n') : '_None_';
+            const pullRequest = await this.gitHubRequest('POST', `/repos/${repository.fullName}/pulls`, {
+                title,
+                head: branch,
+                base: repository.defaultBranch,
+                body: `Regenerated **${SecurityUtils.escapeMarkdown(appConfig.displayName)}** with Cordova App Generator ${version}.
+
+### Added files
+${listFiles(addedFiles)}
+
+### Updated generator-owned files
+${listFiles(updatedFiles)}
+
+### Customised files left unchanged
+${listFiles(skippedFiles)}`
+            });
+
+            const result = {
+                repository,
+                branch,
+                pullRequest: {
+                    number: pullRequest.number,
+                    url: pullRequest.html_url
+                },
+                addedFiles,
+                updatedFiles,
+                skippedFiles,
+                upToDate: false,
+                success: true
+            };
+
+            console.log(`✅ Opened update pull request #${pullRequest.number} for ${repository.fullName}`);
+            this.emit('repo:update:success', result);
+            return result;
+
+        } catch (error) {
+            this.emit('repo:update:error', { error, appName: appConfig.appName });
+            throw new Error(`Failed to open update pull request: ${error.message}`);
+        }
+    }
+
     // Upload a single file to GitHub repository using Contents API
     async uploadFile(repository, filePath, content, appConfig) {
         try {
@@ -844,8 +1540,10 @@ ${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
             // Encode content to base64 with proper error handling
             let encodedContent;
             try {
-                // Use a more robust base64 encoding method
-                if (typeof btoa !== 'undefined') {
+                // Binary assets (e.g. the generated logo) are stored as data URLs and are already base64
+                if (ProjectExporter.isDataUrl(stringContent)) {
+                    encodedContent = stringContent.slice(stringContent.indexOf(',') + 1);
+                } else if (typeof btoa !== 'undefined') {
                     // For ASCII content, use btoa directly
                     if (/^[\x00-\x7F]*$/.test(stringContent)) {
                         encodedContent = btoa(stringContent);
@@ -875,7 +1573,7 @@ ${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
                 const checkResponse = await fetch(`${this.apiBase}/repos/${repository.fullName}/contents/${sanitizedPath}`, {
                     method: 'GET',
                     headers: {
-                        'Authorization': `token ${this.token}`,
+                        ...await this.getAuthHeaders(),
                         'Accept': 'application/vnd.github.v3+json',
                         'User-Agent': 'Cordova-App-Generator/1.0.0'
                     }
@@ -910,7 +1608,7 @@ ${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
             const response = await fetch(`${this.apiBase}/repos/${repository.fullName}/contents/${sanitizedPath}`, {
                 method: 'PUT',
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json',
                     'Content-Type': 'application/json',
                     'User-Agent': 'Cordova-App-Generator/1.0.0'
@@ -974,7 +1672,7 @@ ${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
     }
 
     // Create and push multiple repositories
-    async createAndPushApps(generatedApps) {
+    async createAndPushApps(generatedApps, options = {}) {
         const results = [];
         
         for (let i = 0; i < generatedApps.length; i++) {
@@ -987,16 +1685,24 @@ ${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
                     appName: app.config.appName
                 });
 
+                // Lint before creating the repository so a broken project leaves nothing behind
+                const lint = this.lintProject(app);
+
                 // Create repository
                 const repository = await this.createRepository(app.config);
                 
                 // Push code
-                const pushResult = await this.pushCode(repository, app);
+                const pushResult = await this.pushCode(repository, app, { mode: options.pushMode });
+
+                // Topics, team access, branch protection and homepage need the pushed main branch
+                const settings = await this.applyRepositorySettings(repository, app.config);
                 
                 results.push({
                     app: app.config,
                     repository,
                     pushResult,
+                    settings,
+                    lint,
                     success: true
                 });
 
@@ -1004,6 +1710,7 @@ ${isBuildReady ? '- Codemagic CI/CD: ✅ Configured' : ''}`;
                 results.push({
                     app: app.config,
                     error: error.message,
+                    lint: error.lint || app.lint || null,
                     success: false
                 });
             }
@@ -1145,9 +1852,9 @@ echo "3. Test on devices and deploy to app stores"
         }
 
         try {
-            const response = await fetch(`${this.apiBase}/repos/${this.username}/${repoName}`, {
+            const response = await fetch(`${this.apiBase}/repos/${this.getOwner()}/${repoName}`, {
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json',
                     'User-Agent': 'Cordova-App-Generator/1.0.0'
                 }
@@ -1169,7 +1876,7 @@ echo "3. Test on devices and deploy to app stores"
         try {
             const response = await fetch(`${this.apiBase}/user/repos?page=${page}&per_page=${perPage}&sort=updated&direction=desc`, {
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json',
                     'User-Agent': 'Cordova-App-Generator/1.0.0'
                 }
@@ -1210,10 +1917,10 @@ echo "3. Test on devices and deploy to app stores"
         try {
             this.emit('repo:delete:start', { repoName });
 
-            const response = await fetch(`${this.apiBase}/repos/${this.username}/${repoName}`, {
+            const response = await fetch(`${this.apiBase}/repos/${this.getOwner()}/${repoName}`, {
                 method: 'DELETE',
                 headers: {
-                    'Authorization': `token ${this.token}`,
+                    ...await this.getAuthHeaders(),
                     'Accept': 'application/vnd.github.v3+json',
                     'User-Agent': 'Cordova-App-Generator/1.0.0'
                 }
@@ -1242,7 +1949,7 @@ echo "3. Test on devices and deploy to app stores"
         return {
             isAuthenticated: this.isAuthenticated,
             username: this.username,
-            hasToken: !!this.token
+            hasToken: !!this.token || !!this.tokenVault?.has('github')
         };
     }
 
@@ -1251,52 +1958,10 @@ echo "3. Test on devices and deploy to app stores"
         this.isAuthenticated = false;
         this.username = null;
         this.token = null;
+        this.tokenType = null;
         this.emit('auth:signout');
     }
 
-    // Generate GitHub Actions workflow
-    generateGitHubActionsWorkflow(appConfig) {
-        return `name: Build ${appConfig.displayName}
-
-on:
-  push:
-    branches: [ main ]
-  pull_request:
-    branches: [ main ]
-
-jobs:
-  build:
-    runs-on: ubuntu-latest
-    
-    steps:
-    - uses: actions/checkout@v3
-    
-    - name: Setup Node.js
-      uses: actions/setup-node@v3
-      with:
-        node-version: '18'
-        cache: 'npm'
-    
-    - name: Install dependencies
-      run: npm install
-    
-    - name: Install Cordova
-      run: npm install -g cordova
-    
-    - name: Add Android platform
-      run: cordova platform add android
-    
-    - name: Build Android app
-      run: cordova build android
-    
-    - name: Upload APK
-      uses: actions/upload-artifact@v3
-      with:
-        name: ${appConfig.appName}-debug.apk
-        path: platforms/android/app/build/outputs/apk/debug/app-debug.apk
-`;
-    }
-
     // Export configuration for external tools
     exportConfiguration(repositories, config) {
         return {
@@ -1305,6 +1970,7 @@ jobs:
                 timestamp: new Date().toISOString(),
                 totalApps: repositories.length
             },
+            // Tokens are never exported; they stay in the token vault or on the proxy server
             config: {
                 githubUsername: config.githubUsername,
                 packagePrefix: config.packagePrefix,
@@ -1323,5 +1989,69 @@ jobs:
     }
 }
 
+// Supported pushCode modes
+GitHubIntegration.PUSH_MODES = ['git-data', 'contents'];
+
+// Names of the token types authenticate() detects
+GitHubIntegration.TOKEN_TYPES = {
+    classic: 'Classic personal access token',
+    'fine-grained': 'Fine-grained personal access token',
+    installation: 'GitHub App installation token'
+};
+
+// What generation does on GitHub, with the classic token scopes and the fine-grained/App permission each needs
+GitHubIntegration.CAPABILITIES = [
+    { id: 'createRepos', label: 'Create repositories', scopes: ['repo', 'public_repo'], permission: 'Administration: write', required: true },
+    { id: 'writeContents', label: 'Push repository contents', scopes: ['repo', 'public_repo'], permission: 'Contents: write', required: true },
+    { id: 'writeWorkflows', label: 'Push GitHub Actions workflows', scopes: ['workflow'], permission: 'Workflows: write', required: true },
+    { id: 'enablePages', label: 'Enable GitHub Pages', scopes: ['repo', 'public_repo'], permission: 'Pages: write', required: false }
+];
+
+// Placeholder file of the commit seeded when GitHub refuses Git Data writes to an empty repository
+GitHubIntegration.SEED_FILE = '.gitkeep';
+
+// Blob SHA of every file the generator wrote, committed with the project. Update pull requests compare against it
+// to tell files the team edited from files that are still as generated
+GitHubIntegration.MANIFEST_FILE = '.cordova-app-generator/files.json';
+
+/**
+ * Render the generated files manifest
+ * @param {object} shas - Map of file path to git blob SHA
+ * @returns {string} JSON with the paths sorted
+ */
+GitHubIntegration.renderManifest = function (shas) {
+    const files = {};
+    Object.keys(shas).sort().forEach(path => {
+        files[path] = shas[path];
+    });
+    return `${JSON.stringify({ files }, null, 2)}\n`;
+};
+
+/**
+ * Default GitHub Pages address of a repository
+ * @param {string} owner - User or organization login
+ * @param {string} repoName - Repository name
+ * @returns {string} Pages URL with a trailing slash
+ */
+GitHubIntegration.getPagesUrl = function (owner, repoName) {
+    return `https://${String(owner).toLowerCase()}.github.io/${repoName}/`;
+};
+
+/**
+ * Parse the X-OAuth-Scopes header of a classic token
+ * @param {string|null} header - Header value, e.g. "repo, workflow"
+ * @returns {string[]} Scopes
+ */
+GitHubIntegration.parseScopes = function (header) {
+    return (header || '').split(',').map(scope => scope.trim()).filter(Boolean);
+};
+
 // Export for use in other modules
-window.GitHubIntegration = GitHubIntegration;
+if (typeof window !== 'undefined') {
+    window.GitHubIntegration = GitHubIntegration;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GitHubIntegration;
+}
@@ -0,0 +1,226 @@
+/**
+ * Job Store Module
+ * Batch generation jobs kept in IndexedDB: each app records the last pipeline stage it completed and what that stage
+ * produced (project files, repository, Codemagic app, builds), so an interrupted run can continue where it stopped
+ */
+
+class JobStore {
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.databaseName = options.databaseName || CONFIG.storage.jobDatabase;
+        this.database = null; // Promise of the open database
+    }
+
+    // Without IndexedDB (some private windows), jobs only live in memory and cannot be resumed
+    isSupported() {
+        return !!this.indexedDB;
+    }
+
+    open() {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        if (!this.database) {
+            const opening = this.indexedDB.open(this.databaseName, JobStore.VERSION);
+            opening.onupgradeneeded = () => {
+                if (!opening.result.objectStoreNames.contains(JobStore.STORE)) {
+                    opening.result.createObjectStore(JobStore.STORE, { keyPath: 'id' });
+                }
+            };
+            this.database = JobStore.request(opening).catch(error => {
+                this.database = null;
+                throw error;
+            });
+        }
+        return this.database;
+    }
+
+    // Save a new job; old jobs beyond MAX_JOBS are removed
+    async add(job) {
+        await this.save(job);
+        await this.prune();
+        return job;
+    }
+
+    async save(job) {
+        job.updatedAt = new Date().toISOString();
+        if (!this.isSupported()) return job;
+
+        await this.transaction('readwrite', store => store.put(job));
+        return job;
+    }
+
+    async get(id) {
+        if (!this.isSupported()) return null;
+        return (await this.transaction('readonly', store => store.get(id))) || null;
+    }
+
+    // Saved jobs, newest first
+    async list() {
+        if (!this.isSupported()) return [];
+        const jobs = await this.transaction('readonly', store => store.getAll());
+        return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Newest job that still has stages left to run
+    async findResumable() {
+        return (await this.list()).find(job => job.status !== 'completed') || null;
+    }
+
+    async remove(id) {
+        if (!this.isSupported()) return;
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    async prune() {
+        const jobs = await this.list();
+        await Promise.all(jobs.slice(JobStore.MAX_JOBS).map(job => this.remove(job.id)));
+    }
+
+    // Run one request on the jobs store; resolves with its result once the transaction commits
+    async transaction(mode, work) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(JobStore.STORE, mode);
+            const request = work(tx.objectStore(JobStore.STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+// Database schema version
+JobStore.VERSION = 1;
+
+JobStore.STORE = 'jobs';
+
+// Jobs kept for resuming and retrying; each holds the generated files of its apps
+JobStore.MAX_JOBS = 5;
+
+// Pipeline stages in the order they run; an app records the last one it completed
+JobStore.STAGES = [
+    { id: 'generated', label: 'Generate project' },
+    { id: 'prepared', label: 'Prepare Cordova build' },
+    { id: 'repo-created', label: 'Create repository' },
+    { id: 'pushed', label: 'Push code' },
+    { id: 'codemagic-app', label: 'Create Codemagic app' },
+    { id: 'build-triggered', label: 'Trigger builds' }
+];
+
+// Stages that need GitHub, and those that need Codemagic, authenticated first
+JobStore.GITHUB_STAGES = ['repo-created', 'pushed'];
+JobStore.CODEMAGIC_STAGES = ['codemagic-app', 'build-triggered'];
+
+/**
+ * Stages a run with these settings goes through
+ * @param {object} formData - Global form values
+ * @returns {string[]} Stage IDs in order
+ */
+JobStore.getStages = function (formData) {
+    const useCodemagic = formData.enableCodemagicIntegration && formData.ciProvider !== 'github-actions';
+    return JobStore.STAGES.map(stage => stage.id).filter(stage => {
+        if (stage === 'prepared') return !!formData.enableBuildPreparation;
+        if (JobStore.CODEMAGIC_STAGES.includes(stage)) return !!useCodemagic;
+        return true;
+    });
+};
+
+/**
+ * New job with every app before its first stage. Tokens are left out, here and in the app configs the run stores;
+ * they are read again from the form, the vault or the proxy server when the job runs
+ * @param {object[]} templates - Templates to generate
+ * @param {object} formData - Global form values
+ * @returns {object} Job
+ */
+JobStore.createJob = function (templates, formData) {
+    const now = new Date().toISOString();
+    return {
+        id: JobStore.createId(),
+        status: 'running',
+        createdAt: now,
+        updatedAt: now,
+        formData: TokenVault.stripTokens(formData),
+        stages: JobStore.getStages(formData),
+        apps: templates.map(template => ({
+            templateId: template.id,
+            displayName: template.displayName,
+            stage: null, // Last completed stage
+            failedStage: null,
+            error: null,
+            attempts: 0,
+            data: {}
+        }))
+    };
+};
+
+/**
+ * Stage an app runs next
+ * @param {object} job - Job
+ * @param {object} app - App of the job
+ * @returns {string|null} Stage ID, or null when the app has completed every stage
+ */
+JobStore.getNextStage = function (job, app) {
+    return JobStore.getRemainingStages(job, app)[0] || null;
+};
+
+/**
+ * Stages an app has not completed yet
+ * @param {object} job - Job
+ * @param {object} app - App of the job
+ * @returns {string[]} Stage IDs in order
+ */
+JobStore.getRemainingStages = function (job, app) {
+    return job.stages.slice(job.stages.indexOf(app.stage) + 1);
+};
+
+JobStore.getStageLabel = function (stageId) {
+    return JobStore.STAGES.find(stage => stage.id === stageId)?.label || stageId;
+};
+
+/**
+ * Count the apps of a job by state
+ * @param {object} job - Job
+ * @returns {object} total, completed, failed and pending apps, and the share of stages done (0-100)
+ */
+JobStore.getSummary = function (job) {
+    const completed = job.apps.filter(app => !JobStore.getNextStage(job, app)).length;
+    const failed = job.apps.filter(app => app.error).length;
+    const stagesDone = job.apps.reduce((sum, app) => sum + job.stages.indexOf(app.stage) + 1, 0);
+
+    return {
+        total: job.apps.length,
+        completed,
+        failed,
+        pending: job.apps.length - completed - failed,
+        progress: Math.round((stagesDone / Math.max(1, job.apps.length * job.stages.length)) * 100)
+    };
+};
+
+/**
+ * Job ID that sorts by creation time
+ * @returns {string} ID
+ */
+JobStore.createId = function () {
+    const random = Array.from(globalThis.crypto.getRandomValues(new Uint8Array(4)), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `job-${Date.now().toString(36)}-${random}`;
+};
+
+// Resolve with the result of an IndexedDB request
+JobStore.request = function (request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.JobStore = JobStore;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobStore;
+}
@@ -0,0 +1,579 @@
+/**
+ * Locale Catalog
+ * Translations of generated apps: extracts the UI strings of the rendered web files into www/i18n/<locale>.json,
+ * renders the runtime translator, localized config.xml metadata, Android app names and store listings,
+ * and reads and writes the CSV files translators work with
+ */
+
+class LocaleCatalog {
+    /**
+     * Get the locales of an app: the source locale first, then the template's translations
+     * @param {object} config - App configuration or template with optional `locales`
+     * @returns {string[]} Locale codes (e.g. ['en', 'fr', 'pt-BR'])
+     */
+    static getLocales(config) {
+        return [...new Set([this.SOURCE_LOCALE, ...(config.locales || [])])];
+    }
+
+    /**
+     * Check whether an app is translated into other locales than the source one
+     * @param {object} config - App configuration or template
+     * @returns {boolean} True when the app ships translations
+     */
+    static isLocalized(config) {
+        return this.getLocales(config).length > 1;
+    }
+
+    /**
+     * Validate the locales and translations of a template
+     * @param {string[]} locales - Locale codes the template is translated into
+     * @param {object} translations - Translations keyed by locale, then by source string
+     * @returns {{isValid: boolean, errors: string[]}} Validation result
+     */
+    static validate(locales, translations) {
+        const errors = [];
+
+        if (locales !== undefined && locales !== null) {
+            if (!Array.isArray(locales)) {
+                errors.push('Locales must be an array of locale codes');
+            } else {
+                locales.filter(locale => !this.LOCALE_PATTERN.test(locale))
+                    .forEach(locale => errors.push(`Invalid locale code '${locale}' (expected e.g. fr, de or pt-BR)`));
+            }
+        }
+
+        if (translations !== undefined && translations !== null) {
+            if (typeof translations !== 'object' || Array.isArray(translations)) {
+                errors.push('Translations must be an object keyed by locale');
+            } else {
+                Object.entries(translations).forEach(([locale, strings]) => {
+                    if (!Array.isArray(locales) || !locales.includes(locale)) {
+                        errors.push(`Translations for '${locale}', which is not one of the template's locales`);
+                    } else if (!strings || typeof strings !== 'object' || Object.values(strings).some(value => typeof value !== 'string')) {
+                        errors.push(`Translations for '${locale}' must map source strings to strings`);
+                    }
+                });
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Parse a comma-separated list of locale codes, as typed in the template editor
+     * @param {string} value - e.g. "fr, de, pt-BR"
+     * @returns {string[]} Locale codes without the source locale
+     */
+    static parseLocaleList(value) {
+        return [...new Set(String(value || '').split(',').map(locale => locale.trim()).filter(Boolean))]
+            .filter(locale => locale !== this.SOURCE_LOCALE);
+    }
+
+    /**
+     * Get a translator for one locale of an app; strings without a translation stay in the source locale
+     * @param {object} config - App configuration with `translations`
+     * @param {string} locale - Locale code
+     * @returns {Function} (source string) => translated string
+     */
+    static translator(config, locale) {
+        const strings = (config.translations || {})[locale] || {};
+        return source => (locale !== this.SOURCE_LOCALE && strings[source]) || source;
+    }
+
+    /**
+     * Extract the strings of the rendered web files: literal t('...') calls in scripts and data-i18n attributes in HTML
+     * @param {object} files - Map of file path to content
+     * @param {string[]} strings - Strings the app takes from its template (name, features, page titles), listed first
+     * @returns {string[]} Source strings in order of first use
+     */
+    static extract(files, strings = []) {
+        const keys = new Set(strings.filter(Boolean).map(String));
+
+        Object.entries(files)
+            .filter(([filePath]) => /^(www|src)\//.test(filePath))
+            .forEach(([filePath, content]) => {
+                if (/\.(js|jsx|vue)$/.test(filePath)) {
+                    for (const match of content.matchAll(/\bt\('((?:[^'\\]|\\.)*)'/g)) {
+                        keys.add(JSON.parse(`"${match[1].replace(/\\'/g, '\'').replace(/"/g, '\\"')}"`));
+                    }
+                }
+                if (filePath.endsWith('.html')) {
+                    for (const match of content.matchAll(/\sdata-i18n="([^"]*)"/g)) {
+                        keys.add(this.decodeHtml(match[1]));
+                    }
+                }
+            });
+
+        return Array.from(keys);
+    }
+
+    /**
+     * Render www/i18n/<locale>.json for every locale; the source catalog lists every string,
+     * the others leave untranslated strings empty for translators to fill in
+     * @param {object} config - App configuration with `locales` and `translations`
+     * @param {string[]} keys - Source strings from extract()
+     * @returns {object} Map of file path to content
+     */
+    static renderCatalogs(config, keys) {
+        return Object.fromEntries(this.getLocales(config).map(locale => {
+            const strings = locale === this.SOURCE_LOCALE ? null : (config.translations || {})[locale] || {};
+            const catalog = Object.fromEntries(keys.map(key => [key, strings ? strings[key] || '' : key]));
+            return [`${this.CATALOG_DIR}/${locale}.json`, `${JSON.stringify(catalog, null, 2)}\n`];
+        }));
+    }
+
+    /**
+     * Render the runtime translator (i18n.js)
+     * @param {object} config - App configuration
+     * @param {string} format - 'script' sets window.AppI18n, 'module' exports the translator
+     * @returns {string} JavaScript source
+     */
+    static renderModule(config, format) {
+        const names = ['LOCALES', 't', 'load', 'getLocale', 'languageName', 'translatePage'];
+
+        const body = `// Locales the app ships; its strings are written in the first one
+const LOCALES = ${JSON.stringify(this.getLocales(config))};
+
+let locale = LOCALES[0];
+let messages = {};
+
+// Find a shipped locale for a language tag: the exact tag first, then its language
+function match(tag) {
+    if (!tag) return null;
+    const wanted = String(tag).toLowerCase();
+    return LOCALES.find(code => code.toLowerCase() === wanted) ||
+        LOCALES.find(code => code.toLowerCase() === wanted.split('-')[0]) ||
+        null;
+}
+
+// Load the translations of the saved locale, else of the device language; resolves with the locale in use
+function load(saved) {
+    const languages = navigator.languages || [navigator.language];
+    locale = match(saved) || languages.map(match).find(Boolean) || LOCALES[0];
+    messages = {};
+    if (document.documentElement) {
+        document.documentElement.lang = locale;
+    }
+    if (locale === LOCALES[0]) {
+        return Promise.resolve(locale);
+    }
+
+    return fetch('${this.CATALOG_DIR.slice('www/'.length)}/' + locale + '.json')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(response.status + ' ' + response.statusText);
+            }
+            return response.json();
+        })
+        .then(catalog => {
+            messages = catalog;
+            return locale;
+        })
+        .catch(error => {
+            console.error('Could not load the ' + locale + ' translations:', error);
+            return locale;
+        });
+}
+
+// Translate a source string; {name} placeholders are filled from params. Untranslated strings stay as they are
+function t(key, params) {
+    const message = messages[key] || key;
+    if (!params) return message;
+    return message.replace(/\\{(\\w+)\\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+function getLocale() {
+    return locale;
+}
+
+// Name of a locale in its own language, e.g. "français" for fr
+function languageName(code) {
+    try {
+        return new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    } catch (error) {
+        return code;
+    }
+}
+
+// Translate the text of the elements with a data-i18n attribute
+function translatePage(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+}`;
+
+        const header = `/*
+ * ${SecurityUtils.escapeComment(config.displayName)} - Translations
+ * Loads ${this.CATALOG_DIR.slice('www/'.length)}/<locale>.json for the device language and translates the UI strings
+ */
+`;
+
+        if (format === 'module') {
+            return `${header}
+${body}
+
+export { ${names.join(', ')} };
+`;
+        }
+
+        const indented = body.split('\n').map(line => (line ? `    ${line}` : line)).join('\n');
+        return `${header}
+window.AppI18n = (function () {
+    'use strict';
+
+${indented}
+
+    return {
+${names.map(name => `        ${name}`).join(',\n')}
+    };
+})();`;
+    }
+
+    /**
+     * Render the Node tests of the translator and, for localized apps, of its catalogs
+     * @param {object} config - App configuration
+     * @param {string} modulePath - Project path of i18n.js
+     * @param {string} catalogDir - Project path of the catalogs (www/i18n, or the web build's public directory)
+     * @returns {object} Map of file path to content
+     */
+    static renderTests(config, modulePath, catalogDir) {
+        const [source, translated] = this.getLocales(config);
+
+        return {
+            'test/i18n.test.js': `/*
+ * ${SecurityUtils.escapeComment(config.displayName)} - Translation Tests
+ * Run with "npm test"; catalogs are read from ${catalogDir}
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadModule } = require('./support/sandbox');
+
+const CATALOG_DIR = path.join(__dirname, '..', ${JSON.stringify(catalogDir)});
+
+function load(globals = {}) {
+    const { exports } = loadModule(${JSON.stringify(modulePath)}, { document: { documentElement: {} }, ...globals });
+    return exports.AppI18n || exports;
+}
+
+// Serve the catalogs like the app's web server does
+function fetchCatalog(url) {
+    const file = path.join(CATALOG_DIR, path.basename(url));
+    return Promise.resolve(fs.existsSync(file)
+        ? { ok: true, json: () => Promise.resolve(JSON.parse(fs.readFileSync(file, 'utf8'))) }
+        : { ok: false, status: 404, statusText: 'Not Found' });
+}
+
+test('untranslated strings stay in the source language and fill their placeholders', async () => {
+    const i18n = load({ navigator: { language: ${JSON.stringify(source)} } });
+    assert.equal(await i18n.load(), ${JSON.stringify(source)});
+    assert.equal(i18n.t('Nothing to translate'), 'Nothing to translate');
+    assert.equal(i18n.t('{count} item(s)', { count: 3 }), '3 item(s)');
+    assert.equal(i18n.t('{missing} stays', {}), '{missing} stays');
+});
+
+test('unknown device languages fall back to the next one, and a saved locale wins over them', async () => {
+    const i18n = load({ navigator: { languages: ['xx-XX', ${JSON.stringify(source)}] }, fetch: fetchCatalog });
+    assert.equal(await i18n.load(), ${JSON.stringify(source)});
+    assert.equal(await i18n.load(${JSON.stringify(translated || source)}), ${JSON.stringify(translated || source)});
+});
+${translated ? `
+test('every catalog has the source strings and keeps their placeholders', () => {
+    const catalogs = Object.fromEntries(fs.readdirSync(CATALOG_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(CATALOG_DIR, file), 'utf8'))]));
+    const keys = Object.keys(catalogs[${JSON.stringify(source)}]);
+    const placeholders = text => (text.match(/\\{\\w+\\}/g) || []).sort();
+
+    for (const [locale, catalog] of Object.entries(catalogs)) {
+        assert.deepEqual(Object.keys(catalog).sort(), [...keys].sort(), locale);
+        for (const key of keys.filter(key => catalog[key])) {
+            assert.deepEqual(placeholders(catalog[key]), placeholders(key), locale + ': ' + key);
+        }
+    }
+});
+
+test('the device language picks its catalog', async () => {
+    const i18n = load({ navigator: { language: ${JSON.stringify(translated.toLowerCase())} }, fetch: fetchCatalog });
+    assert.equal(await i18n.load(), ${JSON.stringify(translated)});
+
+    const catalog = JSON.parse(fs.readFileSync(path.join(CATALOG_DIR, ${JSON.stringify(`${translated}.json`)}), 'utf8'));
+    for (const [key, value] of Object.entries(catalog)) {
+        assert.equal(i18n.t(key), value || key);
+    }
+});
+` : ''}`
+        };
+    }
+
+    /**
+     * Render the localized <name> and <description> elements of config.xml
+     * @param {object} config - App configuration
+     * @returns {string} Indented elements, or '' when nothing is translated
+     */
+    static renderConfigXml(config) {
+        const xml = SecurityUtils.escapeXml;
+
+        return this.getLocales(config).slice(1).map(locale => {
+            const translate = this.translator(config, locale);
+            const lines = [];
+            if (translate(config.displayName) !== config.displayName) {
+                lines.push(`    <name xml:lang="${xml(locale)}">${xml(translate(config.displayName))}</name>`);
+            }
+            if (config.description && translate(config.description) !== config.description) {
+                lines.push(`    <description xml:lang="${xml(locale)}">${xml(translate(config.description))}</description>`);
+            }
+            return lines.join('\n');
+        }).filter(Boolean).join('\n');
+    }
+
+    /**
+     * Render the Android string resources that give the launcher a translated app name
+     * @param {object} config - App configuration
+     * @returns {{files: object, resourceFiles: string}} strings.xml files and the <resource-file> elements for <platform name="android">
+     */
+    static renderAndroidResources(config) {
+        const xml = SecurityUtils.escapeXml;
+        const files = {};
+        const elements = [];
+
+        this.getLocales(config).slice(1).forEach(locale => {
+            const name = this.translator(config, locale)(config.displayName);
+            if (name === config.displayName) return;
+
+            const directory = `values-${this.toAndroidQualifier(locale)}`;
+            const source = `res/android/${directory}/strings.xml`;
+            files[source] = `<?xml version='1.0' encoding='utf-8'?>
+<resources>
+    <string name="app_name">${xml(this.escapeAndroidString(name))}</string>
+</resources>
+`;
+            elements.push(`        <resource-file src="${source}" target="app/src/main/res/${directory}/strings.xml" />`);
+        });
+
+        return { files, resourceFiles: elements.join('\n') };
+    }
+
+    /**
+     * Render the store listing texts of every locale (Play Console field limits: title 30, short description 80)
+     * @param {object} config - App configuration
+     * @returns {object} Map of store/listings/<locale>/*.txt to content
+     */
+    static renderStoreListings(config) {
+        const files = {};
+
+        this.getLocales(config).forEach(locale => {
+            const translate = this.translator(config, locale);
+            const description = translate(config.description || '');
+            const features = (config.features || []).map(feature => `• ${translate(feature)}`);
+            const directory = `${this.LISTING_DIR}/${locale}`;
+
+            files[`${directory}/title.txt`] = `${this.truncate(translate(config.displayName), 30)}\n`;
+            files[`${directory}/short_description.txt`] = `${this.truncate(description, 80)}\n`;
+            files[`${directory}/full_description.txt`] = `${[description, features.join('\n')].filter(Boolean).join('\n\n')}\n`;
+        });
+
+        return files;
+    }
+
+    /**
+     * Write the catalogs as CSV: a key column with the source strings, then one column per translated locale
+     * @param {object} config - App configuration
+     * @param {string[]} keys - Source strings
+     * @returns {string} CSV text
+     */
+    static toCsv(config, keys) {
+        const locales = this.getLocales(config).slice(1);
+        const cell = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const rows = [
+            ['key', ...locales],
+            ...keys.map(key => [key, ...locales.map(locale => ((config.translations || {})[locale] || {})[key] || '')])
+        ];
+
+        return `${rows.map(row => row.map(cell).join(',')).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Read translations from CSV: a header row of "key" (or the source locale) and locale codes, then a row per source string
+     * @param {string} text - CSV text
+     * @returns {{locales: string[], translations: object}} Locales of the columns and their non-empty translations
+     * @throws {Error} If the CSV is malformed or a column is not a locale code
+     */
+    static parseCsv(text) {
+        const rows = this.parseCsvRows(String(text || '').replace(/^﻿/, ''));
+        if (rows.length === 0) {
+            throw new Error('The CSV file is empty');
+        }
+
+        const [header, ...records] = rows;
+        const keyColumn = String(header[0] || '').trim().toLowerCase();
+        if (keyColumn !== 'key' && keyColumn !== this.SOURCE_LOCALE) {
+            throw new Error(`The first column must be "key" or "${this.SOURCE_LOCALE}", found "${header[0] || ''}"`);
+        }
+
+        const locales = header.slice(1).map(locale => locale.trim());
+        const invalid = locales.filter(locale => !this.LOCALE_PATTERN.test(locale));
+        if (locales.length === 0 || invalid.length > 0) {
+            throw new Error(invalid.length > 0
+                ? `Invalid locale column(s): ${invalid.join(', ')}`
+                : 'The CSV needs at least one locale column after the key column');
+        }
+
+        const translations = Object.fromEntries(locales.map(locale => [locale, {}]));
+        records.forEach(record => {
+            const key = record[0];
+            if (!key) return;
+            locales.forEach((locale, index) => {
+                const value = record[index + 1];
+                if (value) {
+                    translations[locale][key] = value;
+                }
+            });
+        });
+
+        return {
+            locales: locales.filter(locale => locale !== this.SOURCE_LOCALE),
+            translations: Object.fromEntries(Object.entries(translations).filter(([locale]) => locale !== this.SOURCE_LOCALE))
+        };
+    }
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+     * @param {string} text - CSV text
+     * @returns {string[][]} Rows without blank lines
+     * @throws {Error} If a quoted cell is not closed
+     */
+    static parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+
+            if (quoted) {
+                if (char === '"' && text[index + 1] === '"') {
+                    cell += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[index + 1] === '\n') index++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error('The CSV has a quoted cell that is never closed');
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Get the Android resource qualifier of a locale: fr, pt-rBR, or b+zh+Hant for script subtags
+     * @param {string} locale - Locale code
+     * @returns {string} Qualifier for values-<qualifier>
+     */
+    static toAndroidQualifier(locale) {
+        const [language, ...subtags] = locale.split('-');
+        if (subtags.length === 0) return language;
+        if (subtags.length === 1 && /^[A-Z]{2}$/.test(subtags[0])) return `${language}-r${subtags[0]}`;
+        return `b+${[language, ...subtags].join('+')}`;
+    }
+
+    /**
+     * Escape the characters Android string resources treat specially (quotes, backslashes, leading @ and ?)
+     * @param {string} value - Text
+     * @returns {string} Text for a <string> resource, before XML escaping
+     */
+    static escapeAndroidString(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, '\\\'')
+            .replace(/"/g, '\\"')
+            .replace(/^([@?])/, '\\$1');
+    }
+
+    /**
+     * Shorten text to a store field limit at a word boundary
+     * @param {string} text - Text
+     * @param {number} limit - Maximum length
+     * @returns {string} Text of at most `limit` characters
+     */
+    static truncate(text, limit) {
+        const value = String(text).trim();
+        if (value.length <= limit) return value;
+        const cut = value.slice(0, limit - 1);
+        return `${cut.slice(0, cut.lastIndexOf(' ') > limit / 2 ? cut.lastIndexOf(' ') : cut.length).trim()}…`;
+    }
+
+    /**
+     * Describe a locale in English for documentation, e.g. "French (fr)"
+     * @param {string} locale - Locale code
+     * @returns {string} Language name and code
+     */
+    static describeLocale(locale) {
+        try {
+            return `${new Intl.DisplayNames([this.SOURCE_LOCALE], { type: 'language' }).of(locale)} (${locale})`;
+        } catch (error) {
+            return locale;
+        }
+    }
+
+    /**
+     * Decode the entities SecurityUtils.escapeHtml produces
+     * @param {string} value - Escaped attribute value
+     * @returns {string} Text
+     */
+    static decodeHtml(value) {
+        return value.replace(/&(amp|lt|gt|quot|#39|#x27);/g, (entity, name) =>
+            ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', '#x27': '\'' })[name]);
+    }
+}
+
+// Locale the generated UI strings are written in
+LocaleCatalog.SOURCE_LOCALE = 'en';
+
+// Language tags templates may use: language, optionally with a region or script (fr, pt-BR, zh-Hant)
+LocaleCatalog.LOCALE_PATTERN = /^[a-z]{2,3}(-([A-Z]{2}|[A-Z][a-z]{3}))?$/;
+
+// Where the catalogs ship in www/, and where the store listings go in the project
+LocaleCatalog.CATALOG_DIR = 'www/i18n';
+LocaleCatalog.LISTING_DIR = 'store/listings';
+
+// Where generated projects keep the CSV translators edit and import back into the template
+LocaleCatalog.CSV_PATH = 'i18n/translations.csv';
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LocaleCatalog = LocaleCatalog;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocaleCatalog;
+}
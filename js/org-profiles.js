@@ -0,0 +1,206 @@
+/**
+ * Organization Profiles Module
+ * Repository settings for the account the apps are pushed to (owner, visibility, team access, branch protection and
+ * topics), saved per owner so the same settings are reused for every generation
+ */
+
+class OrgProfiles {
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || CONFIG.storage.orgProfiles;
+    }
+
+    // Saved profile of an owner, or the defaults; '' is the personal account
+    get(owner = '') {
+        const data = this.read();
+        const saved = data.profiles[OrgProfiles.getKey(owner)];
+        return OrgProfiles.normalize(saved ? { ...saved, owner } : { owner });
+    }
+
+    // Profile used by the last generation
+    getLast() {
+        return this.get(this.read().lastOwner || '');
+    }
+
+    // Owners with a saved profile
+    list() {
+        return Object.values(this.read().profiles).map(profile => profile.owner);
+    }
+
+    // Validate and save a profile, making it the last used one
+    save(profile) {
+        const normalized = OrgProfiles.normalize(profile);
+        const errors = OrgProfiles.validate(normalized);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const data = this.read();
+        data.profiles[OrgProfiles.getKey(normalized.owner)] = normalized;
+        data.lastOwner = normalized.owner;
+        this.write(data);
+        return normalized;
+    }
+
+    remove(owner) {
+        const data = this.read();
+        delete data.profiles[OrgProfiles.getKey(owner)];
+        if (OrgProfiles.getKey(data.lastOwner || '') === OrgProfiles.getKey(owner)) {
+            data.lastOwner = '';
+        }
+        this.write(data);
+    }
+
+    read() {
+        try {
+            const data = JSON.parse(this.storage?.getItem(this.storageKey) || 'null');
+            if (data && typeof data.profiles === 'object') {
+                return data;
+            }
+        } catch (error) {
+            console.warn('Failed to load organization profiles:', error);
+        }
+        return { lastOwner: '', profiles: {} };
+    }
+
+    write(data) {
+        this.storage?.setItem(this.storageKey, JSON.stringify(data));
+    }
+}
+
+// Repository visibilities; internal repositories only exist in organizations of GitHub Enterprise Cloud
+OrgProfiles.VISIBILITIES = ['public', 'private', 'internal'];
+
+// Repository permissions a team can be granted, from least to most access
+OrgProfiles.TEAM_PERMISSIONS = ['pull', 'triage', 'push', 'maintain', 'admin'];
+
+// GitHub allows at most 20 topics per repository
+OrgProfiles.MAX_TOPICS = 20;
+
+// Topics every generated repository gets, before the template category and the profile topics
+OrgProfiles.BASE_TOPICS = ['cordova', 'cordova-app'];
+
+/**
+ * Storage key of an owner; GitHub logins are case-insensitive
+ * @param {string} owner - Organization login, or '' for the personal account
+ * @returns {string} Key
+ */
+OrgProfiles.getKey = function (owner) {
+    return String(owner || '').trim().toLowerCase() || '@personal';
+};
+
+/**
+ * Fill in the defaults of a profile and clean up its values
+ * @param {object} profile - Partial profile
+ * @returns {object} Profile with owner, visibility, teams, topics, protectMain and requiredReviews
+ */
+OrgProfiles.normalize = function (profile = {}) {
+    const teams = typeof profile.teams === 'string' ? OrgProfiles.parseTeams(profile.teams) : (profile.teams || []);
+    const topics = typeof profile.topics === 'string' ? profile.topics.split(',') : (profile.topics || []);
+    const requiredReviews = parseInt(profile.requiredReviews, 10);
+
+    return {
+        owner: String(profile.owner || '').trim(),
+        visibility: profile.visibility || 'public',
+        teams: teams.map(team => ({
+            slug: String(team.slug || '').trim().toLowerCase(),
+            permission: team.permission || 'push'
+        })).filter(team => team.slug),
+        topics: [...new Set(topics.map(OrgProfiles.toTopic).filter(Boolean))],
+        protectMain: !!profile.protectMain,
+        requiredReviews: Number.isInteger(requiredReviews) ? requiredReviews : 1
+    };
+};
+
+/**
+ * Check a normalized profile
+ * @param {object} profile - Profile from normalize()
+ * @returns {string[]} Error messages; empty when valid
+ */
+OrgProfiles.validate = function (profile) {
+    const errors = [];
+    const isOrganization = profile.owner !== '';
+
+    if (isOrganization && !CONFIG.validation.githubUsername.pattern.test(profile.owner)) {
+        errors.push(`"${profile.owner}" is not a valid GitHub organization name`);
+    }
+    if (!OrgProfiles.VISIBILITIES.includes(profile.visibility)) {
+        errors.push(`Visibility must be one of ${OrgProfiles.VISIBILITIES.join(', ')}`);
+    } else if (profile.visibility === 'internal' && !isOrganization) {
+        errors.push('Internal repositories can only be created in an organization');
+    }
+    if (profile.teams.length > 0 && !isOrganization) {
+        errors.push('Team access can only be granted in an organization');
+    }
+    profile.teams.forEach(team => {
+        if (!/^[a-z0-9][a-z0-9_-]*$/.test(team.slug)) {
+            errors.push(`"${team.slug}" is not a valid team slug`);
+        }
+        if (!OrgProfiles.TEAM_PERMISSIONS.includes(team.permission)) {
+            errors.push(`Team ${team.slug}: permission must be one of ${OrgProfiles.TEAM_PERMISSIONS.join(', ')}`);
+        }
+    });
+    if (profile.topics.length + OrgProfiles.BASE_TOPICS.length + 1 > OrgProfiles.MAX_TOPICS) {
+        errors.push(`At most ${OrgProfiles.MAX_TOPICS - OrgProfiles.BASE_TOPICS.length - 1} extra topics can be added`);
+    }
+    if (profile.protectMain && (profile.requiredReviews < 0 || profile.requiredReviews > 6)) {
+        errors.push('Required approving reviews must be between 0 and 6');
+    }
+
+    return errors;
+};
+
+/**
+ * Parse team access written as "slug:permission" pairs, e.g. "mobile:push, leads:admin"
+ * @param {string} text - Comma-separated pairs; the permission defaults to push
+ * @returns {object[]} Teams with slug and permission
+ */
+OrgProfiles.parseTeams = function (text) {
+    return String(text || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [slug, permission] = entry.split(':').map(part => part.trim());
+        return { slug, permission: permission || 'push' };
+    });
+};
+
+/**
+ * Write teams back as "slug:permission" pairs for the form
+ * @param {object[]} teams - Teams with slug and permission
+ * @returns {string} Comma-separated pairs
+ */
+OrgProfiles.formatTeams = function (teams) {
+    return (teams || []).map(team => `${team.slug}:${team.permission}`).join(', ');
+};
+
+/**
+ * Turn a word into a GitHub topic: lowercase letters, digits and hyphens, at most 50 characters
+ * @param {string} value - Word or phrase
+ * @returns {string} Topic, or '' when nothing usable is left
+ */
+OrgProfiles.toTopic = function (value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50);
+};
+
+/**
+ * Topics of a generated repository: the base topics, the template category and the profile topics
+ * @param {object} profile - Normalized profile
+ * @param {object} appConfig - Generated app configuration
+ * @returns {string[]} Topics
+ */
+OrgProfiles.getTopics = function (profile, appConfig) {
+    const topics = [...OrgProfiles.BASE_TOPICS, OrgProfiles.toTopic(appConfig.category), ...profile.topics];
+    return [...new Set(topics.filter(Boolean))].slice(0, OrgProfiles.MAX_TOPICS);
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.OrgProfiles = OrgProfiles;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrgProfiles;
+}
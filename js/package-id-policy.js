@@ -0,0 +1,94 @@
+/**
+ * Package ID Policy
+ * Builds and validates the Android application ID / iOS bundle ID shared by the generator and the build preparation
+ */
+
+class PackageIdPolicy {
+    /**
+     * Build the package ID of an app.
+     * A template may override it with a full `packageName`; otherwise it is `<packagePrefix>.<segment>`
+     * where the segment is derived from the template's `packageSuffix` or name.
+     * @param {object} template - App template
+     * @param {string} packagePrefix - User's package prefix (e.g. com.yourcompany)
+     * @returns {string} Validated package ID
+     * @throws {Error} If the resulting package ID is invalid
+     */
+    static resolve(template, packagePrefix) {
+        const packageId = template.packageName
+            ? String(template.packageName).trim()
+            : `${String(packagePrefix || '').trim()}.${this.toSegment(template.packageSuffix || template.name)}`;
+
+        const validation = this.validate(packageId);
+        if (!validation.isValid) {
+            throw new Error(`Invalid package ID "${packageId}": ${validation.errors.join(', ')}`);
+        }
+
+        return packageId;
+    }
+
+    /**
+     * Turn an app name into a package ID segment: lowercase, only [a-z0-9_], starting with a letter
+     * @param {string} name - App name (e.g. TaskMasterPro)
+     * @returns {string} Package segment (e.g. taskmasterpro)
+     */
+    static toSegment(name) {
+        let segment = String(name || '').toLowerCase().replace(/[^a-z0-9_]/g, '');
+
+        if (!/^[a-z]/.test(segment)) {
+            segment = `app${segment}`;
+        }
+        if (this.JAVA_KEYWORDS.includes(segment)) {
+            segment = `${segment}app`;
+        }
+
+        return segment;
+    }
+
+    /**
+     * Validate a package ID or prefix
+     * @param {string} packageId - Package ID to validate
+     * @returns {{isValid: boolean, errors: string[]}} Validation result
+     */
+    static validate(packageId) {
+        const errors = [];
+
+        if (!SecurityUtils.validatePackageName(packageId)) {
+            errors.push('must be lowercase dot-separated segments that start with a letter (e.g. com.company.app)');
+        } else {
+            const segments = packageId.split('.');
+            if (segments.length < 2) {
+                errors.push('must contain at least two segments');
+            }
+
+            const reserved = segments.filter(segment => this.JAVA_KEYWORDS.includes(segment));
+            if (reserved.length > 0) {
+                errors.push(`reserved Java keyword(s) cannot be used as segments: ${reserved.join(', ')}`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+}
+
+// Java keywords and literals, which Android rejects as package segments
+PackageIdPolicy.JAVA_KEYWORDS = [
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+    'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally',
+    'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long',
+    'native', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'short', 'static',
+    'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'true', 'try',
+    'void', 'volatile', 'while', '_'
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PackageIdPolicy = PackageIdPolicy;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PackageIdPolicy;
+}
@@ -0,0 +1,557 @@
+/**
+ * Plugin Registry
+ * Single source of truth for Cordova plugin versions, npm packages, variables and platform support
+ */
+
+class PluginRegistry {
+    constructor(plugins = PluginRegistry.DEFAULT_PLUGINS) {
+        this.plugins = new Map();
+        this.snapshotInfo = null;
+        plugins.forEach(plugin => this.register(plugin));
+    }
+
+    // Register (or replace) a plugin definition
+    register(plugin) {
+        if (!plugin || !plugin.id || !plugin.version) {
+            throw new Error('Plugin definition requires an id and a version');
+        }
+        if (plugin.version === 'latest') {
+            throw new Error(`Plugin ${plugin.id} must pin a version instead of "latest"`);
+        }
+
+        const definition = {
+            id: plugin.id,
+            npmName: plugin.npmName || plugin.id,
+            version: plugin.version,
+            platforms: plugin.platforms || ['android', 'ios'],
+            variables: plugin.variables || {},
+            usageDescriptions: plugin.usageDescriptions || {},
+            builtIn: plugin.builtIn || null,
+            deprecated: plugin.deprecated || null
+        };
+
+        this.plugins.set(definition.id, definition);
+        return definition;
+    }
+
+    // Check whether a plugin is known
+    has(pluginId) {
+        return this.plugins.has(pluginId);
+    }
+
+    // Get a plugin definition
+    get(pluginId) {
+        return this.plugins.get(pluginId) || null;
+    }
+
+    // Get all plugin definitions
+    getAll() {
+        return Array.from(this.plugins.values());
+    }
+
+    // Get the variables and iOS usage descriptions a plugin accepts, for validation and the template editor
+    getVariableDefinitions(pluginId) {
+        const plugin = this.get(pluginId);
+        if (!plugin) return [];
+
+        return [
+            ...Object.entries(plugin.variables).map(([name, variable]) => ({ name, kind: 'variable', ...variable })),
+            ...Object.entries(plugin.usageDescriptions).map(([name, variable]) => ({ name, kind: 'usageDescription', required: true, ...variable }))
+        ];
+    }
+
+    // Resolve the values of a plugin's variables and usage descriptions, applying template overrides
+    resolveVariables(pluginId, overrides = {}) {
+        const plugin = this.get(pluginId);
+        const resolved = { variables: {}, usageDescriptions: {}, overriddenDescriptions: [] };
+        if (!plugin) return resolved;
+
+        const isOverridden = name => overrides[name] !== undefined && overrides[name] !== '';
+        const valueOf = (name, definition) => isOverridden(name) ? String(overrides[name]) : definition.default;
+
+        Object.entries(plugin.variables).forEach(([name, definition]) => {
+            resolved.variables[name] = valueOf(name, definition);
+        });
+        Object.entries(plugin.usageDescriptions).forEach(([name, definition]) => {
+            resolved.usageDescriptions[name] = valueOf(name, definition);
+            if (isOverridden(name)) resolved.overriddenDescriptions.push(name);
+        });
+
+        return resolved;
+    }
+
+    // Validate per-plugin variable overrides ({ pluginId: { NAME: value } }) against the plugin list
+    validateVariables(pluginIds = [], pluginVariables = {}) {
+        const errors = [];
+
+        Object.entries(pluginVariables || {}).forEach(([pluginId, values]) => {
+            if (!pluginIds.includes(pluginId)) {
+                errors.push(`Variables given for "${pluginId}", which is not one of the template plugins`);
+                return;
+            }
+
+            const definitions = this.getVariableDefinitions(pluginId);
+            Object.entries(values || {}).forEach(([name, value]) => {
+                const definition = definitions.find(variable => variable.name === name);
+                if (!definition) {
+                    errors.push(`Unknown variable "${name}" for plugin "${pluginId}"`);
+                } else if (typeof value !== 'string') {
+                    errors.push(`Variable "${name}" for plugin "${pluginId}" must be a string`);
+                } else if (definition.required && value.trim() === '' && !definition.default) {
+                    errors.push(`Variable "${name}" for plugin "${pluginId}" is required`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // Find iOS usage descriptions that several plugins of a template override with different prompts; only one
+    // prompt per permission reaches Info.plist, and it is the override of the first of those plugins
+    findUsageDescriptionConflicts(pluginIds = [], pluginVariables = {}) {
+        const prompts = {};
+        [...new Set(pluginIds)].forEach(pluginId => {
+            const plugin = this.get(pluginId);
+            const values = (pluginVariables || {})[pluginId] || {};
+            if (!plugin) return;
+
+            Object.keys(plugin.usageDescriptions).forEach(name => {
+                if (values[name] === undefined || values[name] === '') return;
+                (prompts[name] = prompts[name] || []).push({ pluginId, value: String(values[name]) });
+            });
+        });
+
+        return Object.entries(prompts)
+            .filter(([, overrides]) => new Set(overrides.map(override => override.value)).size > 1)
+            .map(([name, overrides]) => `${name} is set differently for ${overrides.map(override => override.pluginId).join(' and ')}; the prompt of ${overrides[0].pluginId} is used`);
+    }
+
+    // Check whether a plugin supports a platform
+    supportsPlatform(pluginId, platform) {
+        const plugin = this.get(pluginId);
+        return !!plugin && plugin.platforms.includes(platform);
+    }
+
+    // Validate a list of plugin IDs
+    validatePlugins(pluginIds = []) {
+        const unknown = pluginIds.filter(pluginId => !this.has(pluginId));
+        const warnings = pluginIds
+            .map(pluginId => this.get(pluginId))
+            .filter(plugin => plugin && (plugin.builtIn || plugin.deprecated))
+            .map(plugin => plugin.builtIn
+                ? `${plugin.id} is not installed: ${plugin.builtIn}`
+                : `${plugin.id} is deprecated: ${plugin.deprecated}`);
+
+        return {
+            isValid: unknown.length === 0,
+            errors: unknown.map(pluginId => `Unknown plugin "${pluginId}" (not in the plugin registry)`),
+            warnings,
+            unknown
+        };
+    }
+
+    // Validate the plugins of several templates, keyed by template display name
+    validateTemplates(templates) {
+        const errors = [];
+        const warnings = [];
+        templates.forEach(template => {
+            const name = template.displayName || template.name;
+            const result = this.validatePlugins(template.plugins || []);
+            const variableErrors = this.validateVariables(template.plugins || [], template.pluginVariables);
+            [...result.errors, ...variableErrors]
+                .forEach(error => errors.push(`${name}: ${error}`));
+            this.findUsageDescriptionConflicts(template.plugins || [], template.pluginVariables)
+                .forEach(warning => warnings.push(`${name}: ${warning}`));
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            warnings
+        };
+    }
+
+    // Resolve plugin IDs to installable plugins with variable values, skipping plugins built into the platform
+    resolve(pluginIds = [], pluginVariables = {}) {
+        const validation = this.validatePlugins(pluginIds);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('; '));
+        }
+
+        return [...new Set(pluginIds)]
+            .map(pluginId => this.get(pluginId))
+            .filter(plugin => !plugin.builtIn)
+            .map(plugin => ({
+                id: plugin.id,
+                npmName: plugin.npmName,
+                version: plugin.version,
+                platforms: plugin.platforms,
+                ...this.resolveVariables(plugin.id, (pluginVariables || {})[plugin.id])
+            }));
+    }
+
+    // Render the <plugin> elements of config.xml for resolved plugins
+    renderConfigXmlPlugins(plugins, indent = '    ') {
+        return plugins.map(plugin => {
+            const variables = Object.entries(plugin.variables);
+            if (variables.length === 0) {
+                return `${indent}<plugin name="${plugin.npmName}" spec="${plugin.version}" />`;
+            }
+            return [
+                `${indent}<plugin name="${plugin.npmName}" spec="${plugin.version}">`,
+                ...variables.map(([name, value]) => `${indent}    <variable name="${name}" value="${SecurityUtils.escapeXml(value)}" />`),
+                `${indent}</plugin>`
+            ].join('\n');
+        }).join('\n');
+    }
+
+    // Render iOS Info.plist <edit-config> entries for the usage descriptions of resolved plugins
+    renderUsageDescriptions(plugins, indent = '        ') {
+        const descriptions = {};
+        const overridden = new Set();
+        plugins.forEach(plugin => {
+            Object.entries(plugin.usageDescriptions).forEach(([key, value]) => {
+                // A template's own prompt beats the registry defaults; otherwise the first plugin that needs a permission
+                // provides its prompt (conflicting overrides are reported by findUsageDescriptionConflicts)
+                const isOverride = (plugin.overriddenDescriptions || []).includes(key);
+                if (key in descriptions && (overridden.has(key) || !isOverride)) return;
+                descriptions[key] = value;
+                if (isOverride) overridden.add(key);
+            });
+        });
+
+        return Object.entries(descriptions).map(([key, value]) => [
+            `${indent}<edit-config target="${key}" file="*-Info.plist" mode="merge">`,
+            `${indent}    <string>${SecurityUtils.escapeXml(value)}</string>`,
+            `${indent}</edit-config>`
+        ].join('\n')).join('\n');
+    }
+
+    // Build the package.json devDependencies and cordova.plugins entries for resolved plugins
+    toPackageJson(plugins) {
+        return {
+            devDependencies: Object.fromEntries(plugins.map(plugin => [plugin.npmName, plugin.version])),
+            plugins: Object.fromEntries(plugins.map(plugin => [plugin.npmName, plugin.variables]))
+        };
+    }
+
+    // Update versions and platforms from an npm metadata snapshot (see tools/update-plugin-snapshot.js)
+    applySnapshot(snapshot) {
+        if (!snapshot || typeof snapshot.packages !== 'object') {
+            throw new Error('Invalid plugin snapshot: missing "packages"');
+        }
+
+        const updated = [];
+        const missing = [];
+
+        this.plugins.forEach(plugin => {
+            const metadata = snapshot.packages[plugin.npmName];
+            if (!metadata || !metadata.latest) {
+                missing.push(plugin.id);
+                return;
+            }
+
+            if (metadata.latest !== plugin.version) {
+                updated.push({ id: plugin.id, from: plugin.version, to: metadata.latest });
+                plugin.version = metadata.latest;
+            }
+            if (Array.isArray(metadata.platforms) && metadata.platforms.length > 0) {
+                plugin.platforms = metadata.platforms;
+            }
+            plugin.deprecated = metadata.deprecated || plugin.deprecated;
+        });
+
+        this.snapshotInfo = {
+            generatedAt: snapshot.generatedAt || null,
+            updated,
+            missing
+        };
+
+        return this.snapshotInfo;
+    }
+
+    // Load the npm metadata snapshot from disk (Node.js) or over HTTP (browser)
+    async loadSnapshot(location = PluginRegistry.SNAPSHOT_PATH) {
+        let snapshot;
+
+        if (typeof window === 'undefined' && typeof require === 'function') {
+            const fs = require('fs');
+            const path = require('path');
+            const filePath = path.isAbsolute(location) ? location : path.join(__dirname, '..', location);
+            snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } else {
+            const response = await fetch(location, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Failed to load plugin snapshot: ${response.status} ${response.statusText}`);
+            }
+            snapshot = await response.json();
+        }
+
+        return this.applySnapshot(snapshot);
+    }
+}
+
+// Location of the npm metadata snapshot, relative to the repository root
+PluginRegistry.SNAPSHOT_PATH = 'data/npm-plugin-snapshot.json';
+
+// Plugins added to every generated project
+PluginRegistry.CORE_PLUGINS = ['cordova-plugin-statusbar'];
+
+// Built-in plugin definitions; versions are refreshed from the snapshot when it is available
+PluginRegistry.DEFAULT_PLUGINS = [
+    {
+        id: 'cordova-plugin-background-mode',
+        version: '0.7.3',
+        platforms: ['android', 'ios', 'browser']
+    },
+    {
+        id: 'cordova-plugin-calendar',
+        version: '5.1.6',
+        platforms: ['android', 'ios'],
+        variables: {
+            CALENDAR_USAGE_DESCRIPTION: { default: 'This app uses your calendar to schedule events.', description: 'iOS calendar permission prompt', required: true },
+            CONTACTS_USAGE_DESCRIPTION: { default: 'This app uses your contacts to invite attendees.', description: 'iOS contacts permission prompt', required: true }
+        }
+    },
+    {
+        id: 'cordova-plugin-camera',
+        version: '8.0.0',
+        platforms: ['android', 'ios', 'browser'],
+        variables: {
+            ANDROIDX_CORE_VERSION: { default: '1.6.+', description: 'AndroidX core library version' }
+        },
+        usageDescriptions: {
+            NSCameraUsageDescription: { default: 'This app uses the camera to take photos.', description: 'iOS camera permission prompt' },
+            NSPhotoLibraryUsageDescription: { default: 'This app lets you choose photos from your library.', description: 'iOS photo library permission prompt' }
+        }
+    },
+    {
+        id: 'cordova-plugin-contacts',
+        version: '3.0.1',
+        platforms: ['android', 'ios'],
+        usageDescriptions: {
+            NSContactsUsageDescription: { default: 'This app reads your contacts so you can pick people.', description: 'iOS contacts permission prompt' }
+        }
+    },
+    {
+        id: 'cordova-plugin-device',
+        version: '3.0.0',
+        platforms: ['android', 'ios', 'browser', 'electron']
+    },
+    {
+        id: 'cordova-plugin-device-motion',
+        version: '2.0.1',
+        platforms: ['android', 'ios', 'browser']
+    },
+    {
+        id: 'cordova-plugin-dialogs',
+        version: '2.0.2',
+        platforms: ['android', 'ios', 'browser']
+    },
+    {
+        id: 'cordova-plugin-document-viewer',
+        version: '1.0.0',
+        platforms: ['android', 'ios']
+    },
+    {
+        id: 'cordova-plugin-email-composer',
+        version: '0.10.1',
+        platforms: ['android', 'ios', 'browser']
+    },
+    {
+        id: 'cordova-plugin-file',
+        version: '8.1.3',
+        platforms: ['android', 'ios', 'browser'],
+        variables: {
+            ANDROIDX_WEBKIT_VERSION: { default: '1.4.0', description: 'AndroidX WebKit library version' }
+        }
+    },
+    {
+        id: 'cordova-plugin-file-transfer',
+        version: '2.0.0',
+        platforms: ['android', 'ios', 'browser']
+    },
+    {
+        id: 'cordova-plugin-fingerprint-aio',
+        version: '6.0.1',
+        platforms: ['android', 'ios'],
+        variables: {
+            FACEID_USAGE_DESCRIPTION: { default: 'This app uses Face ID to keep your data secure.', description: 'iOS Face ID permission prompt', required: true }
+        }
+    },
+    {
+        id: 'cordova-plugin-flashlight',
+        version: '3.2.0',
+        platforms: ['android', 'ios']
+    },
+    {
+        id: 'cordova-plugin-geolocation',
+        version: '5.0.0',
+        platforms: ['android', 'ios'],
+        variables: {
+            GPS_REQUIRED: { default: 'true', description: 'Require GPS hardware on Android (Play Store filtering)' }
+        },
+        usageDescriptions: {
+            NSLocationWhenInUseUsageDescription: { default: 'This app uses your location while it is open.', description: 'iOS location permission prompt' }
+        }
+    },
+    {
+        id: 'cordova-plugin-health',
+        version: '3.2.4',
+        platforms: ['android', 'ios'],
+        variables: {
+            HEALTH_READ_PERMISSION: { default: 'This app reads your health data to show your progress.', description: 'iOS HealthKit read permission prompt', required: true },
+            HEALTH_WRITE_PERMISSION: { default: 'This app saves your workouts to Health.', description: 'iOS HealthKit write permission prompt', required: true }
+        }
+    },
+    {
+        id: 'cordova-plugin-inappbrowser',
+        version: '7.0.0',
+        platforms: ['android', 'ios', 'browser']
+    },
+    {
+        id: 'cordova-plugin-keychain',
+        npmName: 'cordova-plugin-ios-keychain',
+        version: '3.0.1',
+        platforms: ['ios']
+    },
+    {
+        id: 'cordova-plugin-local-notification',
+        version: '1.2.3',
+        platforms: ['android', 'ios'],
+        variables: {
+            ANDROIDX_CORE_VERSION: { default: '1.12.0', description: 'AndroidX core library version' }
+        }
+    },
+    {
+        id: 'cordova-plugin-media',
+        version: '7.0.0',
+        platforms: ['android', 'ios', 'browser'],
+        variables: {
+            KEEP_AVAUDIOSESSION_ALWAYS_ACTIVE: { default: 'NO', description: 'Keep the iOS audio session active between plays' }
+        },
+        usageDescriptions: {
+            NSMicrophoneUsageDescription: { default: 'This app uses the microphone to record audio.', description: 'iOS microphone permission prompt' }
+        }
+    },
+    {
+        id: 'cordova-plugin-media-capture',
+        version: '6.0.0',
+        platforms: ['android', 'ios', 'browser'],
+        usageDescriptions: {
+            NSCameraUsageDescription: { default: 'This app uses the camera to capture photos and videos.', description: 'iOS camera permission prompt' },
+            NSMicrophoneUsageDescription: { default: 'This app uses the microphone to record audio and video.', description: 'iOS microphone permission prompt' }
+        }
+    },
+    {
+        id: 'cordova-plugin-music-controls',
+        npmName: 'cordova-plugin-music-controls2',
+        version: '3.0.7',
+        platforms: ['android', 'ios']
+    },
+    {
+        id: 'cordova-plugin-network-information',
+        version: '3.1.0',
+        platforms: ['android', 'ios', 'browser']
+    },
+    {
+        id: 'cordova-plugin-pedometer',
+        version: '0.4.1',
+        platforms: ['android', 'ios'],
+        usageDescriptions: {
+            NSMotionUsageDescription: { default: 'This app uses motion data to count your steps.', description: 'iOS motion permission prompt' }
+        }
+    },
+    {
+        id: 'cordova-plugin-printer',
+        version: '0.8.0',
+        platforms: ['android', 'ios', 'browser'],
+        variables: {
+            ANDROID_SUPPORT_V4_VERSION: { default: '28.+', description: 'Android support library version' }
+        }
+    },
+    {
+        id: 'cordova-plugin-secure-storage',
+        npmName: 'cordova-plugin-secure-storage-echo',
+        version: '5.1.1',
+        platforms: ['android', 'ios']
+    },
+    {
+        id: 'cordova-plugin-social-sharing',
+        npmName: 'cordova-plugin-x-socialsharing',
+        version: '6.0.4',
+        platforms: ['android', 'ios'],
+        variables: {
+            PHOTO_LIBRARY_ADD_USAGE_DESCRIPTION: { default: 'This app saves shared images to your photo library.', description: 'iOS photo library (add) permission prompt', required: true },
+            PHOTO_LIBRARY_USAGE_DESCRIPTION: { default: 'This app shares images from your photo library.', description: 'iOS photo library permission prompt', required: true }
+        }
+    },
+    {
+        id: 'cordova-plugin-speech-recognition',
+        npmName: 'cordova-plugin-speechrecognition',
+        version: '1.2.0',
+        platforms: ['android', 'ios'],
+        usageDescriptions: {
+            NSMicrophoneUsageDescription: { default: 'This app uses the microphone to hear what you say.', description: 'iOS microphone permission prompt' },
+            NSSpeechRecognitionUsageDescription: { default: 'This app converts your speech to text.', description: 'iOS speech recognition permission prompt' }
+        }
+    },
+    {
+        id: 'cordova-plugin-splashscreen',
+        version: '6.0.2',
+        platforms: ['android', 'ios'],
+        builtIn: 'splash screens are built into cordova-android 11+'
+    },
+    {
+        id: 'cordova-plugin-statusbar',
+        version: '4.0.0',
+        platforms: ['android', 'ios']
+    },
+    {
+        id: 'cordova-plugin-tts',
+        version: '0.2.3',
+        platforms: ['android', 'ios']
+    },
+    {
+        id: 'cordova-plugin-vibration',
+        version: '3.1.1',
+        platforms: ['android', 'ios']
+    },
+    {
+        id: 'cordova-plugin-whitelist',
+        version: '1.3.5',
+        platforms: ['android'],
+        builtIn: 'the allow list is built into cordova-android 10+'
+    },
+    {
+        id: 'cordova-plugin-zip',
+        version: '3.1.0',
+        platforms: ['android', 'ios']
+    },
+    {
+        id: 'cordova-sqlite-storage',
+        version: '7.0.0',
+        platforms: ['android', 'ios', 'browser', 'osx', 'windows']
+    },
+    {
+        id: 'phonegap-plugin-barcodescanner',
+        version: '8.1.0',
+        platforms: ['android', 'ios', 'browser'],
+        variables: {
+            ANDROID_SUPPORT_V4_VERSION: { default: '27.+', description: 'Android support library version' }
+        },
+        usageDescriptions: {
+            NSCameraUsageDescription: { default: 'This app uses the camera to scan barcodes.', description: 'iOS camera permission prompt' }
+        }
+    }
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PluginRegistry = PluginRegistry;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PluginRegistry;
+}
@@ -0,0 +1,267 @@
+/**
+ * Project Exporter
+ * Exports generated Cordova projects as ZIP archives (browser) or directory trees (Node.js)
+ */
+
+class ProjectExporter {
+    /**
+     * Get the files that make up a generated project.
+     * Uses the build-ready structure when build preparation succeeded, like GitHubIntegration.pushCode.
+     * @param {object} generatedApp - Result of CordovaAppGenerator.generateSingleApp
+     * @returns {object} Map of file path to content
+     */
+    static collectFiles(generatedApp) {
+        if (!generatedApp || !generatedApp.files) {
+            throw new Error('Generated app has no files to export');
+        }
+
+        const buildReady = generatedApp.buildReady;
+        if (buildReady && buildReady.success !== false && buildReady.files) {
+            return buildReady.files;
+        }
+
+        return generatedApp.files;
+    }
+
+    /**
+     * Get the directory name used for a project inside archives and output folders
+     * @param {object} generatedApp - Generated app
+     * @returns {string} Directory name
+     */
+    static getProjectDirName(generatedApp) {
+        return generatedApp.config?.appName || generatedApp.template?.name || 'cordova-app';
+    }
+
+    /**
+     * Check whether file content is a base64 data URL (e.g. the generated logo)
+     * @param {*} content - File content
+     * @returns {boolean} True if content is a data URL
+     */
+    static isDataUrl(content) {
+        return typeof content === 'string' && /^data:[^;,]+;base64,/.test(content);
+    }
+
+    /**
+     * Convert file content to raw bytes, decoding data URLs to their binary payload
+     * @param {string|Uint8Array} content - File content
+     * @returns {Uint8Array} File bytes
+     */
+    static toBytes(content) {
+        if (content instanceof Uint8Array) return content;
+
+        const text = content == null ? '' : String(content);
+
+        if (this.isDataUrl(text)) {
+            const base64 = text.slice(text.indexOf(',') + 1);
+            if (typeof Buffer !== 'undefined') {
+                return new Uint8Array(Buffer.from(base64, 'base64'));
+            }
+            const binary = atob(base64);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        }
+
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * Compute the CRC-32 checksum used by the ZIP format
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Unsigned CRC-32
+     */
+    static crc32(bytes) {
+        if (!ProjectExporter.crcTable) {
+            ProjectExporter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ProjectExporter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ProjectExporter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Build a ZIP archive (stored entries, UTF-8 names) from a map of paths to content
+     * @param {object} files - Map of archive path to string, data URL or Uint8Array
+     * @returns {Uint8Array} ZIP archive bytes
+     */
+    static createZip(files) {
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const encoder = new TextEncoder();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([filePath, content]) => {
+            const name = encoder.encode(filePath);
+            const data = this.toBytes(content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);  // Local file header signature
+            local.setUint16(4, 20, true);          // Version needed to extract
+            local.setUint16(6, 0x0800, true);      // Flags: UTF-8 file name
+            local.setUint16(8, 0, true);           // Compression: stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint16(30, 0, true);         // Extra field length
+            central.setUint16(32, 0, true);         // Comment length
+            central.setUint16(34, 0, true);         // Disk number
+            central.setUint16(36, 0, true);         // Internal attributes
+            central.setUint32(38, 0, true);         // External attributes
+            central.setUint32(42, offset, true);    // Local header offset
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const entryCount = Object.keys(files).length;
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(4, 0, true);
+        end.setUint16(6, 0, true);
+        end.setUint16(8, entryCount, true);
+        end.setUint16(10, entryCount, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        end.setUint16(20, 0, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+
+        return zip;
+    }
+
+    /**
+     * Build a ZIP archive for a single project, rooted in the project directory
+     * @param {object} generatedApp - Generated app
+     * @returns {Uint8Array} ZIP archive bytes
+     */
+    static createProjectZip(generatedApp) {
+        return this.createProjectsZip([generatedApp]);
+    }
+
+    /**
+     * Build a ZIP archive containing several projects, one directory each
+     * @param {Array} generatedApps - Generated apps
+     * @param {object} extraFiles - Additional files placed at the archive root
+     * @returns {Uint8Array} ZIP archive bytes
+     */
+    static createProjectsZip(generatedApps, extraFiles = {}) {
+        const entries = { ...extraFiles };
+
+        generatedApps.forEach(generatedApp => {
+            const dirName = this.getProjectDirName(generatedApp);
+            Object.entries(this.collectFiles(generatedApp)).forEach(([filePath, content]) => {
+                entries[`${dirName}/${this.normalizePath(filePath)}`] = content;
+            });
+        });
+
+        return this.createZip(entries);
+    }
+
+    /**
+     * Trigger a browser download of ZIP bytes
+     * @param {Uint8Array} zipBytes - ZIP archive bytes
+     * @param {string} fileName - Download file name
+     */
+    static downloadZip(zipBytes, fileName) {
+        const blob = new Blob([zipBytes], { type: 'application/zip' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Write a project to disk as a directory tree (Node.js only)
+     * @param {object} generatedApp - Generated app
+     * @param {string} outputDir - Parent directory; the project gets its own subdirectory
+     * @returns {string} Path of the written project directory
+     */
+    static writeToDirectory(generatedApp, outputDir) {
+        if (typeof require !== 'function') {
+            throw new Error('Writing to a directory is only supported in Node.js');
+        }
+
+        const fs = require('fs');
+        const path = require('path');
+        const projectDir = path.join(outputDir, this.getProjectDirName(generatedApp));
+
+        Object.entries(this.collectFiles(generatedApp)).forEach(([filePath, content]) => {
+            const target = path.join(projectDir, this.normalizePath(filePath));
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, this.toBytes(content));
+        });
+
+        return projectDir;
+    }
+
+    /**
+     * Normalize a project-relative path and reject anything that escapes the project
+     * @param {string} filePath - Project-relative path
+     * @returns {string} Normalized path
+     */
+    static normalizePath(filePath) {
+        const segments = String(filePath).replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+        if (segments.length === 0 || segments.includes('..')) {
+            throw new Error(`Invalid file path in project: ${filePath}`);
+        }
+        return segments.join('/');
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ProjectExporter = ProjectExporter;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectExporter;
+}
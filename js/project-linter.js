@@ -0,0 +1,864 @@
+/**
+ * Project Linter
+ * Checks the in-memory files map of a generated project (config.xml, package.json, CI configuration,
+ * referenced icons and scripts) before it is pushed
+ */
+
+class ProjectLinter {
+    /**
+     * Lint a generated project
+     * @param {object} files - Map of file path to content
+     * @returns {{isValid: boolean, errors: object[], warnings: object[]}} Issues as {file, message}
+     */
+    static lint(files) {
+        const issues = [];
+        const seen = new Set();
+        const report = (severity, file, message) => {
+            // Report repeated findings (e.g. one missing logo used by every icon size) once
+            const key = `${severity}|${file}|${message}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            issues.push({ severity, file, message });
+        };
+
+        const configXml = this.lintConfigXml(files, report);
+        this.lintPackageJson(files, configXml, report);
+        this.lintCodemagicYaml(files, report);
+        this.lintGitHubWorkflows(files, report);
+        this.lintHtmlReferences(files, report);
+
+        const errors = issues.filter(issue => issue.severity === 'error');
+        const warnings = issues.filter(issue => issue.severity === 'warning');
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Format an issue for logs and error messages
+     * @param {{file: string, message: string}} issue - Lint issue
+     * @returns {string} "file: message"
+     */
+    static formatIssue(issue) {
+        return `${issue.file}: ${issue.message}`;
+    }
+
+    /**
+     * Check config.xml against the Cordova widget schema and the files it references
+     * @param {object} files - Map of file path to content
+     * @param {Function} report - Issue callback (severity, file, message)
+     * @returns {object|null} Parsed widget element, or null when config.xml is missing or malformed
+     */
+    static lintConfigXml(files, report) {
+        const file = 'config.xml';
+        if (typeof files[file] !== 'string') {
+            report('error', file, 'missing');
+            return null;
+        }
+
+        let widget;
+        try {
+            widget = this.parseXml(files[file]);
+        } catch (error) {
+            report('error', file, error.message);
+            return null;
+        }
+
+        if (widget.name !== 'widget') {
+            report('error', file, `root element must be <widget>, found <${widget.name}>`);
+            return null;
+        }
+        if (widget.attributes.xmlns !== ProjectLinter.WIDGET_NAMESPACE) {
+            report('error', file, `<widget> must declare xmlns="${ProjectLinter.WIDGET_NAMESPACE}"`);
+        }
+
+        const packageId = widget.attributes.id;
+        const packageValidation = PackageIdPolicy.validate(packageId || '');
+        if (!packageValidation.isValid) {
+            report('error', file, `<widget id="${packageId || ''}"> ${packageValidation.errors.join(', ')}`);
+        }
+        if (!/^\d+(\.\d+){0,2}$/.test(widget.attributes.version || '')) {
+            report('error', file, `<widget version="${widget.attributes.version || ''}"> must be a MAJOR.MINOR.PATCH version`);
+        }
+
+        const names = widget.children.filter(child => child.name === 'name' && !child.attributes['xml:lang']);
+        if (names.length !== 1 || !names[0].text.trim()) {
+            report('error', file, 'exactly one non-empty <name> element without xml:lang is required');
+        }
+
+        // Translated names and descriptions: one of each per language
+        ['name', 'description'].forEach(elementName => {
+            const seen = new Set();
+            widget.children
+                .filter(child => child.name === elementName && child.attributes['xml:lang'])
+                .forEach(child => {
+                    const lang = child.attributes['xml:lang'];
+                    if (seen.has(lang)) {
+                        report('error', file, `line ${child.line}: <${elementName} xml:lang="${lang}"> is declared more than once`);
+                    }
+                    seen.add(lang);
+                });
+        });
+
+        const content = widget.children.find(child => child.name === 'content');
+        if (!content || !content.attributes.src) {
+            report('error', file, '<content src="..."> is required');
+        } else if (!/^[a-z]+:/i.test(content.attributes.src) && !this.isProvided(files, `www/${content.attributes.src}`)) {
+            report('error', file, `<content src="${content.attributes.src}"> does not exist in www/`);
+        }
+
+        this.lintWidgetChildren(widget.children, ProjectLinter.WIDGET_ELEMENTS, 'widget', files, report);
+
+        return widget;
+    }
+
+    /**
+     * Check the children of <widget> or <platform> and the attributes each element requires
+     * @param {object[]} children - Parsed child elements
+     * @param {string[]} allowed - Element names allowed at this level
+     * @param {string} parent - Parent element name, for messages
+     * @param {object} files - Map of file path to content
+     * @param {Function} report - Issue callback
+     */
+    static lintWidgetChildren(children, allowed, parent, files, report) {
+        const file = 'config.xml';
+
+        children.forEach(element => {
+            const where = `line ${element.line}: <${element.name}>`;
+
+            if (!allowed.includes(element.name)) {
+                report('warning', file, `${where} is not a known child of <${parent}>`);
+                return;
+            }
+
+            (ProjectLinter.REQUIRED_ATTRIBUTES[element.name] || []).forEach(attribute => {
+                if (!element.attributes[attribute]) {
+                    report('error', file, `${where} requires a "${attribute}" attribute`);
+                }
+            });
+
+            if (element.name === 'platform') {
+                if (element.attributes.name && !ProjectLinter.PLATFORMS.includes(element.attributes.name)) {
+                    report('warning', file, `${where} targets unknown platform "${element.attributes.name}"`);
+                }
+                this.lintWidgetChildren(element.children, ProjectLinter.PLATFORM_ELEMENTS, 'platform', files, report);
+            }
+
+            (ProjectLinter.FILE_ATTRIBUTES[element.name] || []).forEach(attribute => {
+                const reference = element.attributes[attribute];
+                // Adaptive icon layers may also be Android color resources, e.g. background="@color/background"
+                if (reference && !reference.startsWith('@') && !this.isProvided(files, ProjectExporter.normalizePath(reference))) {
+                    report('error', file, `<${element.name} ${attribute}="${reference}"> references a file that is not in the project`);
+                }
+            });
+
+            if (element.name === 'preference' && ProjectLinter.FILE_PREFERENCES.includes(element.attributes.name) &&
+                element.attributes.value && !this.isProvided(files, ProjectExporter.normalizePath(element.attributes.value))) {
+                report('error', file, `${where} "${element.attributes.name}" references ${element.attributes.value}, which is not in the project`);
+            }
+
+            if (element.name === 'plugin' && element.attributes.name && !element.attributes.spec) {
+                report('warning', file, `${where} "${element.attributes.name}" has no spec, so the build installs whatever version is latest`);
+            }
+        });
+    }
+
+    /**
+     * Check package.json and that its cordova.plugins match the <plugin> elements of config.xml
+     * @param {object} files - Map of file path to content
+     * @param {object|null} widget - Parsed config.xml, if valid
+     * @param {Function} report - Issue callback
+     */
+    static lintPackageJson(files, widget, report) {
+        const file = 'package.json';
+        if (typeof files[file] !== 'string') {
+            report('error', file, 'missing');
+            return;
+        }
+
+        let packageJson;
+        try {
+            packageJson = JSON.parse(files[file]);
+        } catch (error) {
+            report('error', file, `invalid JSON: ${error.message}`);
+            return;
+        }
+
+        if (!packageJson.name || !/^[a-z0-9][a-z0-9._-]*$/.test(packageJson.name)) {
+            report('error', file, `"name" must be a lowercase npm package name, found "${packageJson.name || ''}"`);
+        }
+
+        const cordova = packageJson.cordova || {};
+        if (!Array.isArray(cordova.platforms) || cordova.platforms.length === 0) {
+            report('error', file, 'cordova.platforms must list at least one platform');
+        }
+
+        const packagePlugins = cordova.plugins || {};
+        const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+        Object.keys(packagePlugins).forEach(name => {
+            if (!dependencies[name]) {
+                report('warning', file, `cordova.plugins has "${name}" but it is not a dependency, so npm install will not fetch it`);
+            }
+        });
+
+        if (!widget) return;
+
+        const xmlPlugins = new Map(widget.children
+            .filter(child => child.name === 'plugin' && child.attributes.name)
+            .map(plugin => [plugin.attributes.name, plugin]));
+
+        Object.entries(packagePlugins).forEach(([name, variables]) => {
+            const xmlPlugin = xmlPlugins.get(name);
+            if (!xmlPlugin) {
+                report('error', file, `cordova.plugins has "${name}", which config.xml does not declare`);
+                return;
+            }
+
+            const xmlVariables = Object.fromEntries(xmlPlugin.children
+                .filter(child => child.name === 'variable')
+                .map(variable => [variable.attributes.name, variable.attributes.value]));
+            Object.entries(variables || {}).forEach(([variable, value]) => {
+                if (xmlVariables[variable] !== String(value)) {
+                    report('warning', file, `plugin variable ${name}.${variable} differs from config.xml`);
+                }
+            });
+        });
+
+        xmlPlugins.forEach((plugin, name) => {
+            if (!(name in packagePlugins)) {
+                report('error', file, `config.xml declares "${name}", which cordova.plugins does not list`);
+            }
+        });
+    }
+
+    /**
+     * Check the codemagic.yaml workflow structure and artifact paths
+     * @param {object} files - Map of file path to content
+     * @param {Function} report - Issue callback
+     */
+    static lintCodemagicYaml(files, report) {
+        const file = 'codemagic.yaml';
+        if (typeof files[file] !== 'string') return;
+
+        let config;
+        try {
+            config = this.parseYaml(files[file]);
+        } catch (error) {
+            // Syntax the linter cannot read is left for the CI provider to judge
+            report(error.unsupported ? 'warning' : 'error', file, error.message);
+            return;
+        }
+
+        const workflows = config?.workflows;
+        if (!this.isMapping(workflows) || Object.keys(workflows).length === 0) {
+            report('error', file, '"workflows" must define at least one workflow');
+            return;
+        }
+
+        const packageScripts = this.getPackageScripts(files);
+
+        Object.entries(workflows).forEach(([id, workflow]) => {
+            const where = `workflow "${id}"`;
+            if (!this.isMapping(workflow)) {
+                report('error', file, `${where} must be a mapping`);
+                return;
+            }
+
+            const duration = workflow.max_build_duration;
+            if (duration !== undefined && !(Number.isInteger(duration) && duration >= 1 && duration <= 120)) {
+                report('error', file, `${where}: max_build_duration must be a whole number of minutes between 1 and 120`);
+            }
+
+            if (!Array.isArray(workflow.scripts) || workflow.scripts.length === 0) {
+                report('error', file, `${where}: "scripts" must list at least one step`);
+            } else {
+                workflow.scripts.forEach((step, index) => {
+                    const script = typeof step === 'string' ? step : step?.script;
+                    if (typeof script !== 'string' || !script.trim()) {
+                        report('error', file, `${where}: script step ${index + 1} has no "script"`);
+                    } else if (/--buildConfig[= ]build\.json/.test(script) && !('build.json' in files)) {
+                        report('error', file, `${where}: script step ${index + 1} uses build.json, which is not in the project`);
+                    } else {
+                        this.lintNpmScripts(script, packageScripts, file, `${where}: script step ${index + 1}`, report);
+                    }
+                });
+                this.lintWebBuild(workflow.scripts.map(step => (typeof step === 'string' ? step : step?.script)),
+                    packageScripts, file, where, report);
+            }
+
+            if (!Array.isArray(workflow.artifacts) || workflow.artifacts.length === 0) {
+                report('warning', file, `${where}: no artifacts are collected`);
+            } else {
+                workflow.artifacts.forEach(artifact => {
+                    if (typeof artifact !== 'string' || !artifact.trim()) {
+                        report('error', file, `${where}: artifact paths must be non-empty strings`);
+                    } else if (!ProjectLinter.ARTIFACT_PATTERNS.some(pattern => pattern.test(artifact))) {
+                        report('warning', file, `${where}: artifact "${artifact}" is not a known Cordova build output`);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Check the structure of generated GitHub Actions workflows
+     * @param {object} files - Map of file path to content
+     * @param {Function} report - Issue callback
+     */
+    static lintGitHubWorkflows(files, report) {
+        Object.keys(files)
+            .filter(file => /^\.github\/workflows\/[^/]+\.ya?ml$/.test(file))
+            .forEach(file => {
+                let workflow;
+                try {
+                    workflow = this.parseYaml(files[file]);
+                } catch (error) {
+                    report(error.unsupported ? 'warning' : 'error', file, error.message);
+                    return;
+                }
+
+                if (!workflow?.on) {
+                    report('error', file, '"on" must define at least one trigger');
+                }
+                if (!this.isMapping(workflow?.jobs) || Object.keys(workflow.jobs).length === 0) {
+                    report('error', file, '"jobs" must define at least one job');
+                    return;
+                }
+
+                const packageScripts = this.getPackageScripts(files);
+
+                Object.entries(workflow.jobs).forEach(([id, job]) => {
+                    if (!job?.['runs-on']) {
+                        report('error', file, `job "${id}" has no "runs-on"`);
+                    }
+                    if (!Array.isArray(job?.steps) || job.steps.length === 0) {
+                        report('error', file, `job "${id}" has no steps`);
+                    } else if (job.steps.some(step => !step?.uses && !step?.run)) {
+                        report('error', file, `job "${id}" has a step without "uses" or "run"`);
+                    } else {
+                        const commands = job.steps.map(step => step.run).filter(run => typeof run === 'string');
+                        commands.forEach(run => this.lintNpmScripts(run, packageScripts, file, `job "${id}"`, report));
+                        this.lintWebBuild(commands, packageScripts, file, `job "${id}"`, report);
+                    }
+                });
+            });
+    }
+
+    /**
+     * Check that the scripts and stylesheets loaded by www/*.html exist
+     * @param {object} files - Map of file path to content
+     * @param {Function} report - Issue callback
+     */
+    static lintHtmlReferences(files, report) {
+        Object.keys(files)
+            .filter(file => /^www\/.*\.html$/.test(file) && typeof files[file] === 'string')
+            .forEach(file => {
+                const baseDir = file.slice(0, file.lastIndexOf('/') + 1);
+                const pattern = /<(script|link)\b[^>]*?\b(src|href)\s*=\s*["']([^"']+)["']/gi;
+                let match;
+
+                while ((match = pattern.exec(files[file])) !== null) {
+                    const reference = match[3];
+                    if (/^([a-z]+:|\/\/|#)/i.test(reference)) continue;
+
+                    const target = ProjectExporter.normalizePath(baseDir + reference.split(/[?#]/)[0]);
+                    if (!this.isProvided(files, target) && !ProjectLinter.PLATFORM_PROVIDED_FILES.includes(target)) {
+                        report('error', file, `<${match[1]} ${match[2]}="${reference}"> references ${target}, which is not in the project`);
+                    }
+                }
+            });
+    }
+
+    /**
+     * Check that the "npm run" commands of a CI step name scripts package.json defines
+     * @param {string} commands - Shell commands of the step
+     * @param {object|null} packageScripts - package.json scripts, or null when package.json is unreadable
+     * @param {string} file - CI configuration file
+     * @param {string} where - Step description, for messages
+     * @param {Function} report - Issue callback
+     */
+    static lintNpmScripts(commands, packageScripts, file, where, report) {
+        if (!packageScripts) return;
+
+        const pattern = /\bnpm run(?:-script)?\s+([^\s;&|]+)/g;
+        let match;
+        while ((match = pattern.exec(commands)) !== null) {
+            if (!(match[1] in packageScripts)) {
+                report('error', file, `${where} runs "npm run ${match[1]}", which package.json does not define`);
+            }
+        }
+    }
+
+    /**
+     * Warn when a CI workflow never builds www/ for a project whose www/ comes from a web build
+     * @param {string[]} commands - Shell commands of the workflow's steps
+     * @param {object|null} packageScripts - package.json scripts
+     * @param {string} file - CI configuration file
+     * @param {string} where - Workflow or job description, for messages
+     * @param {Function} report - Issue callback
+     */
+    static lintWebBuild(commands, packageScripts, file, where, report) {
+        const script = ScaffoldRegistry.WEB_BUILD_SCRIPT;
+        if (!packageScripts || !(script in packageScripts)) return;
+
+        const runsWebBuild = commands.some(command =>
+            typeof command === 'string' && new RegExp(`\\bnpm run(?:-script)?\\s+${script}(?![\\w:.-])`).test(command));
+        if (!runsWebBuild) {
+            report('warning', file, `${where} never runs "npm run ${script}", so www/ is not built before Cordova packages it`);
+        }
+    }
+
+    /**
+     * Get the scripts of package.json
+     * @param {object} files - Map of file path to content
+     * @returns {object|null} Scripts by name, or null when package.json is missing or invalid
+     */
+    static getPackageScripts(files) {
+        try {
+            return JSON.parse(files['package.json']).scripts || {};
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a referenced file is in the project or produced by its build (matched by .gitignore)
+     * @param {object} files - Map of file path to content
+     * @param {string} filePath - Project-relative path
+     * @returns {boolean} True when the file exists or is a git-ignored build output
+     */
+    static isProvided(files, filePath) {
+        return filePath in files || this.isIgnored(files, filePath);
+    }
+
+    /**
+     * Match a path against the root .gitignore (blank lines, comments, "!" negation, "/" anchors, "*", "**" and "?")
+     * @param {object} files - Map of file path to content
+     * @param {string} filePath - Project-relative path
+     * @returns {boolean} True when the last matching pattern ignores the path
+     */
+    static isIgnored(files, filePath) {
+        if (typeof files['.gitignore'] !== 'string') return false;
+
+        const toRegex = glob => glob.split('**')
+            .map(part => part.split('*')
+                .map(segment => segment.split('?').map(text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('[^/]'))
+                .join('[^/]*'))
+            .join('.*');
+
+        let ignored = false;
+        files['.gitignore'].split('\n').forEach(line => {
+            let pattern = line.trim();
+            if (!pattern || pattern.startsWith('#')) return;
+
+            const negated = pattern.startsWith('!');
+            if (negated) pattern = pattern.slice(1);
+
+            // "dir/" matches everything below dir; a pattern with an inner "/" is relative to the root
+            const directory = pattern.endsWith('/');
+            pattern = pattern.replace(/\/+$/, '');
+            const anchored = pattern.includes('/');
+            pattern = pattern.replace(/^\//, '');
+
+            const regex = new RegExp(`${anchored ? '^' : '(^|/)'}${toRegex(pattern)}${directory ? '/' : '(/|$)'}`);
+            if (regex.test(filePath)) {
+                ignored = !negated;
+            }
+        });
+
+        return ignored;
+    }
+
+    /**
+     * Check whether a parsed YAML value is a mapping
+     * @param {*} value - Parsed value
+     * @returns {boolean} True for plain objects
+     */
+    static isMapping(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Parse an XML document into an element tree (elements, attributes and text; no DTDs)
+     * @param {string} source - XML source
+     * @returns {{name: string, attributes: object, children: object[], text: string, line: number}} Root element
+     * @throws {Error} With the line number of the first syntax error
+     */
+    static parseXml(source) {
+        const lineAt = index => source.slice(0, index).split('\n').length;
+        const fail = (message, index) => {
+            throw new Error(`line ${lineAt(index)}: ${message}`);
+        };
+        const decode = (text, index) => text.replace(/&([^;\s]*);?/g, (entity, name, offset) => {
+            if (!entity.endsWith(';')) fail(`unescaped "&" in "${text.trim()}"`, index + offset);
+            if (name in ProjectLinter.XML_ENTITIES) return ProjectLinter.XML_ENTITIES[name];
+            if (/^#\d+$/.test(name)) return String.fromCodePoint(Number(name.slice(1)));
+            if (/^#x[0-9a-f]+$/i.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+            return fail(`unknown entity "${entity}"`, index + offset);
+        });
+
+        const stack = [];
+        let root = null;
+        let position = 0;
+
+        while (position < source.length) {
+            const next = source.indexOf('<', position);
+            const text = source.slice(position, next === -1 ? source.length : next);
+
+            if (text.trim()) {
+                if (stack.length === 0) fail('text outside the root element', position);
+                stack[stack.length - 1].text += decode(text, position);
+            }
+            if (next === -1) break;
+            position = next;
+
+            if (source.startsWith('<!--', position)) {
+                const end = source.indexOf('-->', position + 4);
+                if (end === -1) fail('unterminated comment', position);
+                position = end + 3;
+            } else if (source.startsWith('<![CDATA[', position)) {
+                const end = source.indexOf(']]>', position);
+                if (end === -1 || stack.length === 0) fail('misplaced CDATA section', position);
+                stack[stack.length - 1].text += source.slice(position + 9, end);
+                position = end + 3;
+            } else if (source.startsWith('<?', position)) {
+                const end = source.indexOf('?>', position);
+                if (end === -1) fail('unterminated processing instruction', position);
+                position = end + 2;
+            } else if (source.startsWith('<!', position)) {
+                fail('DOCTYPE declarations are not supported', position);
+            } else if (source.startsWith('</', position)) {
+                const match = /^<\/([A-Za-z_][\w.:-]*)\s*>/.exec(source.slice(position));
+                if (!match) fail('malformed closing tag', position);
+                const open = stack.pop();
+                if (!open || open.name !== match[1]) {
+                    fail(`</${match[1]}> does not match ${open ? `<${open.name}> from line ${open.line}` : 'any open element'}`, position);
+                }
+                position += match[0].length;
+            } else {
+                const tag = /^<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/.exec(source.slice(position));
+                if (!tag) fail('malformed start tag', position);
+
+                const element = { name: tag[1], attributes: {}, children: [], text: '', line: lineAt(position) };
+                const attributePattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+                let attribute;
+                while ((attribute = attributePattern.exec(tag[2])) !== null) {
+                    if (attribute[1] in element.attributes) fail(`duplicate attribute "${attribute[1]}" on <${element.name}>`, position);
+                    element.attributes[attribute[1]] = decode(attribute[2] ?? attribute[3], position);
+                }
+
+                if (stack.length > 0) {
+                    stack[stack.length - 1].children.push(element);
+                } else if (root) {
+                    fail('more than one root element', position);
+                } else {
+                    root = element;
+                }
+
+                if (!tag[3]) stack.push(element);
+                position += tag[0].length;
+            }
+        }
+
+        if (stack.length > 0) fail(`<${stack[stack.length - 1].name}> is never closed`, source.length);
+        if (!root) fail('no root element', 0);
+
+        return root;
+    }
+
+    /**
+     * Parse the YAML subset used by CI configuration: block mappings and sequences,
+     * literal/folded block scalars, quoted and plain scalars, simple flow collections,
+     * anchors, aliases and "<<" merge keys. Tags are accepted and ignored
+     * @param {string} source - YAML source
+     * @returns {*} Parsed document
+     * @throws {Error} With the line number of the first syntax error; error.unsupported is set when the source
+     * may be valid YAML that this subset cannot read
+     */
+    static parseYaml(source) {
+        const lines = source.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => ({ raw, number: index + 1 }));
+        const anchors = new Map();
+        let index = 0;
+
+        const fail = (message, line) => {
+            throw new Error(`line ${line.number}: ${message}`);
+        };
+        const unsupported = (message, line) => {
+            const error = new Error(`line ${line.number}: ${message} is not supported by the linter`);
+            error.unsupported = true;
+            throw error;
+        };
+        // Split the "&anchor" and "!tag" properties off a node
+        const takeProperties = (text, line) => {
+            let anchor = null;
+            let rest = text;
+            let match;
+            while ((match = /^([&!])(\S*)(?:\s+|$)/.exec(rest))) {
+                if (match[1] === '&') {
+                    if (!match[2]) fail('anchor without a name', line);
+                    anchor = match[2];
+                }
+                rest = rest.slice(match[0].length);
+            }
+            return { anchor, rest };
+        };
+        const resolveAlias = (value, line) => {
+            const name = value.slice(1);
+            if (!anchors.has(name)) fail(`unknown alias "${value}"`, line);
+            return anchors.get(name);
+        };
+        const indentOf = line => line.raw.length - line.raw.trimStart().length;
+        const isBlank = line => !line.raw.trim() || line.raw.trim().startsWith('#');
+        const skipBlank = () => {
+            while (index < lines.length && isBlank(lines[index])) index++;
+            return lines[index];
+        };
+        const stripComment = text => {
+            let quote = null;
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === '\'') {
+                    quote = char;
+                } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                    return text.slice(0, i).trimEnd();
+                }
+            }
+            return text.trimEnd();
+        };
+        const parseScalar = (text, line) => {
+            const { anchor, rest } = takeProperties(stripComment(text).trim(), line);
+            const value = parseScalarValue(rest, line);
+            if (anchor) anchors.set(anchor, value);
+            return value;
+        };
+        const parseScalarValue = (value, line) => {
+            if (value.startsWith('*')) return resolveAlias(value, line);
+            if (value === '' || value === '~' || value === 'null') return null;
+            if (value === 'true' || value === 'false') return value === 'true';
+            if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+            if (value.startsWith('"')) {
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    return fail(`invalid double-quoted string ${value}`, line);
+                }
+            }
+            if (value.startsWith('\'')) {
+                if (!/^'(?:[^']|'')*'$/.test(value)) fail(`invalid single-quoted string ${value}`, line);
+                return value.slice(1, -1).replace(/''/g, '\'');
+            }
+            if (value.startsWith('[')) {
+                if (!value.endsWith(']')) fail(`unterminated flow sequence ${value}`, line);
+                const inner = value.slice(1, -1).trim();
+                if (/[[\]{}]/.test(inner)) unsupported('a nested flow collection', line);
+                return inner ? inner.split(',').map(item => parseScalar(item, line)) : [];
+            }
+            if (value.startsWith('{')) {
+                if (!value.endsWith('}')) fail(`unterminated flow mapping ${value}`, line);
+                const inner = value.slice(1, -1).trim();
+                if (/[[\]{}]/.test(inner)) unsupported('a nested flow collection', line);
+                const mapping = {};
+                inner.split(',').filter(entry => entry.trim()).forEach(entry => {
+                    const match = /^\s*([^:]+?)\s*:(?:\s+(.*))?$/.exec(entry);
+                    if (!match) fail(`expected "key: value" in flow mapping, found "${entry.trim()}"`, line);
+                    mapping[parseScalar(match[1], line)] = parseScalar(match[2] || '', line);
+                });
+                return mapping;
+            }
+            if (/^[|>]/.test(value)) fail(`unexpected block scalar indicator "${value}"`, line);
+            if (/^[%@`]/.test(value)) unsupported(`"${value[0]}" at the start of a plain scalar`, line);
+            return value;
+        };
+        const parseBlockScalar = (indicator, parentIndent) => {
+            const collected = [];
+            while (index < lines.length && (!lines[index].raw.trim() || indentOf(lines[index]) > parentIndent)) {
+                collected.push(lines[index]);
+                index++;
+            }
+            while (collected.length > 0 && !collected[collected.length - 1].raw.trim()) collected.pop();
+
+            const contentIndent = Math.min(...collected.filter(line => line.raw.trim()).map(indentOf));
+            const text = collected.map(line => line.raw.slice(contentIndent)).join('\n');
+            const folded = indicator.startsWith('>') ? text.replace(/([^\n])\n(?=[^\n])/g, '$1 ') : text;
+            return indicator.includes('-') ? folded : `${folded}\n`;
+        };
+
+        const parseBlock = indent => {
+            const line = skipBlank();
+            if (!line) return null;
+            if (/^\t/.test(line.raw) || /^ *\t/.test(line.raw)) fail('tabs are not allowed for indentation', line);
+            return /^-(\s|$)/.test(line.raw.trim()) ? parseSequence(indent) : parseMapping(indent);
+        };
+
+        const parseValue = (rest, line, indent) => {
+            const { anchor, rest: value } = takeProperties(stripComment(rest).trim(), line);
+            const result = parseNode(value, line, indent);
+            if (anchor) anchors.set(anchor, result);
+            return result;
+        };
+        const parseNode = (value, line, indent) => {
+            if (/^[|>][-+]?$/.test(value)) {
+                index++;
+                return parseBlockScalar(value, indent);
+            }
+            if (value) {
+                index++;
+                return parseScalarValue(value, line);
+            }
+
+            index++;
+            const next = skipBlank();
+            if (!next) return null;
+            const nextIndent = indentOf(next);
+            if (nextIndent > indent) return parseBlock(nextIndent);
+            // A sequence may sit at the same indentation as its key
+            if (nextIndent === indent && /^-(\s|$)/.test(next.raw.trim())) return parseSequence(indent);
+            return null;
+        };
+
+        const parseMapping = indent => {
+            const mapping = {};
+            const explicit = new Set(); // Keys written in this mapping; they take precedence over merged ones
+            const merged = new Set();
+            let line;
+            while ((line = skipBlank()) && indentOf(line) === indent && !/^-(\s|$)/.test(line.raw.trim())) {
+                if (/^\?(\s|$)/.test(line.raw.trim())) unsupported('a complex mapping key', line);
+                const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"][^:#]*?)\s*:(?:\s+(.*))?$/.exec(line.raw.trim());
+                if (!match) fail(`expected "key: value", found "${line.raw.trim()}"`, line);
+
+                if (match[1] === '<<') {
+                    const value = parseValue(match[2] || '', line, indent);
+                    const sources = Array.isArray(value) ? value : [value];
+                    if (!sources.every(source => this.isMapping(source))) fail('"<<" must merge a mapping or a list of mappings', line);
+                    // Earlier sources win over later ones
+                    sources.forEach(source => Object.keys(source).forEach(key => {
+                        if (explicit.has(key) || merged.has(key)) return;
+                        mapping[key] = source[key];
+                        merged.add(key);
+                    }));
+                    continue;
+                }
+
+                const key = parseScalar(match[1], line);
+                if (explicit.has(key)) fail(`duplicate key "${key}"`, line);
+                explicit.add(key);
+                mapping[key] = parseValue(match[2] || '', line, indent);
+            }
+            if (line && indentOf(line) > indent) fail('unexpected indentation', line);
+            return mapping;
+        };
+
+        const parseSequence = indent => {
+            const sequence = [];
+            let line;
+            while ((line = skipBlank()) && indentOf(line) === indent && /^-(\s|$)/.test(line.raw.trim())) {
+                const content = line.raw.trim().slice(1);
+                const { anchor, rest } = takeProperties(content.trim(), line);
+                const offset = indent + 1 + (content.length - content.trimStart().length) + (content.trim().length - rest.length);
+
+                let item;
+                if (!stripComment(rest)) {
+                    index++;
+                    const next = skipBlank();
+                    item = next && indentOf(next) > indent ? parseBlock(indentOf(next)) : null;
+                } else if (/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[{*][^:#]*?)\s*:(\s|$)/.test(rest)) {
+                    // "- key: value" starts a mapping indented at the key's column
+                    line.raw = ' '.repeat(offset) + rest;
+                    item = parseMapping(offset);
+                } else {
+                    item = parseNode(stripComment(rest).trim(), line, indent);
+                }
+                if (anchor) anchors.set(anchor, item);
+                sequence.push(item);
+            }
+            if (line && indentOf(line) > indent) fail('unexpected indentation', line);
+            return sequence;
+        };
+
+        const first = skipBlank();
+        if (!first) return null;
+        if (indentOf(first) !== 0) fail('the document must start at column 0', first);
+
+        const document = parseBlock(0);
+        const trailing = skipBlank();
+        if (trailing) fail('unexpected content after the document', trailing);
+
+        return document;
+    }
+}
+
+// Namespace every Cordova config.xml <widget> must declare
+ProjectLinter.WIDGET_NAMESPACE = 'http://www.w3.org/ns/widgets';
+
+// Elements the Cordova config.xml schema allows directly inside <widget> and <platform>
+ProjectLinter.WIDGET_ELEMENTS = [
+    'name', 'description', 'author', 'content', 'access', 'allow-navigation', 'allow-intent', 'engine',
+    'platform', 'preference', 'plugin', 'icon', 'splash', 'feature', 'edit-config', 'config-file',
+    'resource-file', 'hook'
+];
+ProjectLinter.PLATFORM_ELEMENTS = [
+    'allow-intent', 'allow-navigation', 'preference', 'icon', 'splash', 'edit-config', 'config-file',
+    'resource-file', 'hook', 'plugin', 'feature'
+];
+
+// Attributes the schema requires per element
+ProjectLinter.REQUIRED_ATTRIBUTES = {
+    content: ['src'],
+    access: ['origin'],
+    'allow-navigation': ['href'],
+    'allow-intent': ['href'],
+    engine: ['name'],
+    platform: ['name'],
+    preference: ['name', 'value'],
+    plugin: ['name'],
+    icon: ['src'],
+    splash: ['src'],
+    feature: ['name'],
+    'edit-config': ['file', 'target', 'mode'],
+    'config-file': ['target', 'parent'],
+    'resource-file': ['src', 'target'],
+    hook: ['type', 'src']
+};
+
+// Attributes that reference project files, per element; Android adaptive icons name their layers
+ProjectLinter.FILE_ATTRIBUTES = {
+    icon: ['src', 'background', 'foreground', 'monochrome'],
+    splash: ['src'],
+    'resource-file': ['src']
+};
+
+// Preferences whose value is a project file
+ProjectLinter.FILE_PREFERENCES = ['AndroidWindowSplashScreenAnimatedIcon'];
+
+// Platforms Cordova can build
+ProjectLinter.PLATFORMS = ['android', 'ios', 'browser', 'electron'];
+
+// Files that Cordova adds to www/ at build time
+ProjectLinter.PLATFORM_PROVIDED_FILES = ['www/cordova.js', 'www/cordova_plugins.js'];
+
+// Predefined XML entities
+ProjectLinter.XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// Build outputs a Codemagic workflow can collect for a Cordova project
+ProjectLinter.ARTIFACT_PATTERNS = [
+    /^platforms\/android\/app\/build\/outputs\/(apk|bundle)\/[\w*/-]+\.(apk|aab)$/,
+    /^platforms\/android\/app\/build\/outputs\/mapping\/[\w*/.-]+$/,
+    /^build\/ios\/ipa\/[\w*.-]+\.ipa$/,
+    /^platforms\/ios\/build\/[\w*/.-]+\.(ipa|app|dSYM\.zip)$/,
+    /^\/tmp\/xcodebuild_logs\/\*\.log$/
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ProjectLinter = ProjectLinter;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectLinter;
+}
@@ -0,0 +1,403 @@
+/**
+ * Resource Pipeline
+ * Renders the Android launcher icons (mdpi to xxxhdpi), adaptive icon layers, the monochrome icon and the
+ * Android 12 splash screen icon of a generated app from its template icon: an emoji, or an uploaded SVG or PNG.
+ * Draws on a browser canvas, or on node-canvas when run headless (npm install canvas)
+ */
+
+class ResourcePipeline {
+    constructor(canvasApi = ResourcePipeline.getCanvasApi()) {
+        this.canvasApi = canvasApi;
+    }
+
+    // Check whether a 2D canvas is available to render with
+    isAvailable() {
+        if (!this.canvasApi) return false;
+        try {
+            return Boolean(this.canvasApi.createCanvas(1, 1).getContext('2d'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Render the icon and splash files of an app as PNG data URLs; returns no files when there is no canvas
+    async render(config, theme) {
+        if (!this.isAvailable()) return {};
+
+        const glyph = await this.loadGlyph(config);
+        const colors = ResourcePipeline.getBackgroundColors(theme);
+        const files = {};
+
+        ResourcePipeline.DENSITIES.forEach(density => {
+            const dir = `${ResourcePipeline.ICON_DIR}/${density.name}`;
+            const launcherSize = Math.round(ResourcePipeline.LAUNCHER_SIZE * density.scale);
+            const layerSize = Math.round(ResourcePipeline.ADAPTIVE_SIZE * density.scale);
+
+            files[`${dir}/ic_launcher.png`] = this.renderLauncher(glyph, colors, launcherSize);
+            files[`${dir}/ic_launcher_background.png`] = this.draw(layerSize, layerSize, ctx => {
+                ResourcePipeline.drawBackground(ctx, layerSize, layerSize, colors);
+            });
+            files[`${dir}/ic_launcher_foreground.png`] = this.draw(layerSize, layerSize, ctx => {
+                ResourcePipeline.drawGlyph(ctx, glyph, layerSize, ResourcePipeline.ADAPTIVE_GLYPH, true);
+            });
+            files[`${dir}/ic_launcher_monochrome.png`] = this.draw(layerSize, layerSize, ctx => {
+                ResourcePipeline.drawGlyph(ctx, glyph, layerSize, ResourcePipeline.ADAPTIVE_GLYPH, false);
+                // Android only uses the alpha of the monochrome layer and tints it with the wallpaper colors
+                ctx.globalCompositeOperation = 'source-in';
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, layerSize, layerSize);
+            });
+        });
+
+        files[ResourcePipeline.SPLASH_ICON] = this.draw(ResourcePipeline.SPLASH_SIZE, ResourcePipeline.SPLASH_SIZE, ctx => {
+            ResourcePipeline.drawGlyph(ctx, glyph, ResourcePipeline.SPLASH_SIZE, ResourcePipeline.SPLASH_GLYPH, true);
+        });
+        files[ResourcePipeline.LOGO_PATH] = this.renderLauncher(glyph, colors, ResourcePipeline.LOGO_SIZE);
+
+        return files;
+    }
+
+    // Get what the icons show: the uploaded image once it has loaded, or the template's emoji
+    async loadGlyph(config) {
+        if (config.iconImage) {
+            try {
+                return { image: await this.canvasApi.loadImage(ResourcePipeline.normalizeSvg(config.iconImage)) };
+            } catch (error) {
+                throw new Error(`Could not load the icon image: ${error.message}`);
+            }
+        }
+        return { text: config.icon || ResourcePipeline.FALLBACK_GLYPH };
+    }
+
+    // Legacy launcher icon and logo: the glyph on the themed background, with rounded corners
+    renderLauncher(glyph, colors, size) {
+        return this.draw(size, size, ctx => {
+            ResourcePipeline.drawBackground(ctx, size, size, colors);
+            ResourcePipeline.drawGlyph(ctx, glyph, size, ResourcePipeline.LAUNCHER_GLYPH, true);
+
+            ctx.globalCompositeOperation = 'destination-in';
+            ctx.fillStyle = '#000000';
+            ResourcePipeline.roundRect(ctx, 0, 0, size, size, size * 0.15);
+            ctx.fill();
+        });
+    }
+
+    // Draw on a new canvas and return it as a PNG data URL
+    draw(width, height, paint) {
+        const canvas = this.canvasApi.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        paint(ctx);
+        return canvas.toDataURL('image/png');
+    }
+}
+
+/**
+ * Get the canvas of the environment: the DOM in browsers, node-canvas in Node.js when it is installed
+ * @returns {{createCanvas: Function, loadImage: Function}|null} Canvas API, or null without one
+ */
+ResourcePipeline.getCanvasApi = function () {
+    if (typeof document !== 'undefined' && typeof Image !== 'undefined') {
+        return {
+            createCanvas(width, height) {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                return canvas;
+            },
+            loadImage(src) {
+                return new Promise((resolve, reject) => {
+                    const image = new Image();
+                    image.onload = () => resolve(image);
+                    image.onerror = () => reject(new Error('the browser cannot decode it'));
+                    image.src = src;
+                });
+            }
+        };
+    }
+
+    if (typeof require === 'function') {
+        try {
+            return require('canvas');
+        } catch (error) {
+            return null;
+        }
+    }
+    return null;
+};
+
+/**
+ * Check an uploaded icon image
+ * @param {string} iconImage - PNG or SVG data URL
+ * @returns {string[]} Problems found; empty when the image can be used
+ */
+ResourcePipeline.validateImage = function (iconImage) {
+    if (iconImage === undefined || iconImage === null || iconImage === '') return [];
+
+    if (typeof iconImage !== 'string' || !ResourcePipeline.IMAGE_PATTERN.test(iconImage)) {
+        return ['Icon image must be a PNG or SVG data URL'];
+    }
+    if (iconImage.length > ResourcePipeline.MAX_IMAGE_LENGTH) {
+        return [`Icon image must be smaller than ${Math.round(ResourcePipeline.MAX_IMAGE_LENGTH * 0.75 / 1024)} KB`];
+    }
+
+    const svg = ResourcePipeline.readSvg(iconImage);
+    if (svg !== null) {
+        const root = /<svg\b[^>]*>/i.exec(svg);
+        if (!root) return ['Icon image is not an SVG document'];
+        if (!ResourcePipeline.getSvgSize(root[0])) {
+            return ['SVG icon image needs a viewBox, or width and height in pixels'];
+        }
+    }
+    return [];
+};
+
+/**
+ * Read the markup of an SVG data URL
+ * @param {string} iconImage - Image data URL
+ * @returns {string|null} SVG source, or null for other images
+ */
+ResourcePipeline.readSvg = function (iconImage) {
+    const match = /^data:image\/svg\+xml([^,]*),(.*)$/s.exec(iconImage || '');
+    if (!match) return null;
+
+    try {
+        if (!/;base64/i.test(match[1])) return decodeURIComponent(match[2]);
+        if (typeof Buffer !== 'undefined') return Buffer.from(match[2], 'base64').toString('utf8');
+        return new TextDecoder().decode(Uint8Array.from(atob(match[2]), char => char.charCodeAt(0)));
+    } catch (error) {
+        return '';
+    }
+};
+
+/**
+ * Get the intrinsic size of an SVG root element: its pixel width and height, or else its viewBox
+ * @param {string} rootTag - The <svg ...> start tag
+ * @returns {{width: number, height: number, fromViewBox: boolean}|null} Size, or null when it has none
+ */
+ResourcePipeline.getSvgSize = function (rootTag) {
+    const attribute = name => (new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(rootTag) || [])[1];
+    // Percentages and missing values leave the image without an intrinsic size
+    const pixels = value => /^\s*[\d.]+(px)?\s*$/.test(value || '') ? parseFloat(value) : 0;
+
+    const width = pixels(attribute('width'));
+    const height = pixels(attribute('height'));
+    if (width > 0 && height > 0) return { width, height, fromViewBox: false };
+
+    const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        return { width: viewBox[2], height: viewBox[3], fromViewBox: true };
+    }
+    return null;
+};
+
+/**
+ * Give an SVG icon without a pixel width and height the size of its viewBox. Browsers load such SVGs as 0×0
+ * images, which draw nothing
+ * @param {string} iconImage - Image data URL
+ * @returns {string} The same data URL, or a base64 SVG data URL with width and height set
+ */
+ResourcePipeline.normalizeSvg = function (iconImage) {
+    const svg = ResourcePipeline.readSvg(iconImage);
+    const root = svg && /<svg\b[^>]*>/i.exec(svg);
+    const size = root && ResourcePipeline.getSvgSize(root[0]);
+    if (!size || !size.fromViewBox) return iconImage;
+
+    const tag = root[0]
+        .replace(/\s(width|height)\s*=\s*["'][^"']*["']/gi, '')
+        .replace(/^<svg\b/i, `<svg width="${size.width}" height="${size.height}"`);
+    const source = svg.slice(0, root.index) + tag + svg.slice(root.index + root[0].length);
+    const bytes = new TextEncoder().encode(source);
+    const base64 = typeof Buffer !== 'undefined'
+        ? Buffer.from(bytes).toString('base64')
+        : btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    return `data:image/svg+xml;base64,${base64}`;
+};
+
+/**
+ * Get the gradient colors of the icon background from a theme
+ * @param {Object} theme - Theme definition from ThemeRegistry
+ * @returns {{primary: string, secondary: string, accent: string}} Gradient stops
+ */
+ResourcePipeline.getBackgroundColors = function (theme) {
+    return {
+        primary: theme.colors.primary,
+        secondary: ThemeRegistry.shade(theme.colors.primary, -10),
+        accent: theme.colors.secondary
+    };
+};
+
+/**
+ * Paint the gradient background with its subtle dot pattern, as app-store-assets/convert-assets.js draws it
+ * @param {CanvasRenderingContext2D} ctx - 2D context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {{primary: string, secondary: string, accent: string}} colors - Gradient stops
+ */
+ResourcePipeline.drawBackground = function (ctx, width, height, colors) {
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, colors.primary);
+    gradient.addColorStop(0.5, colors.secondary);
+    gradient.addColorStop(1, colors.accent);
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+    for (let x = 0; x < width; x += Math.max(20, width / 32)) {
+        for (let y = 0; y < height; y += Math.max(20, height / 20)) {
+            ctx.beginPath();
+            ctx.arc(x + 10, y + 10, Math.max(1, width / 256), 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+};
+
+/**
+ * Draw the icon glyph centered on a square canvas
+ * @param {CanvasRenderingContext2D} ctx - 2D context
+ * @param {{image: *}|{text: string}} glyph - Loaded image or emoji
+ * @param {number} size - Canvas size
+ * @param {number} scale - Share of the canvas the glyph fills
+ * @param {boolean} shadow - Whether to drop the soft shadow of the store assets
+ */
+ResourcePipeline.drawGlyph = function (ctx, glyph, size, scale, shadow) {
+    const box = size * scale;
+
+    ctx.save();
+    if (shadow) {
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+        ctx.shadowBlur = size * 0.02;
+        ctx.shadowOffsetY = size * 0.01;
+    }
+
+    if (glyph.image) {
+        // An image without an intrinsic size fills the box instead of drawing nothing
+        const imageWidth = glyph.image.width || box;
+        const imageHeight = glyph.image.height || box;
+        const ratio = Math.min(box / imageWidth, box / imageHeight);
+        const width = imageWidth * ratio;
+        const height = imageHeight * ratio;
+        ctx.drawImage(glyph.image, (size - width) / 2, (size - height) / 2, width, height);
+    } else {
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `${Math.round(box)}px ${ResourcePipeline.GLYPH_FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(glyph.text, size / 2, size / 2 + box * 0.04);
+    }
+    ctx.restore();
+};
+
+/**
+ * Trace a rounded rectangle path
+ * @param {CanvasRenderingContext2D} ctx - 2D context
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} radius - Corner radius
+ */
+ResourcePipeline.roundRect = function (ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    ctx.closePath();
+};
+
+/**
+ * Check whether a project has the rendered logo, in www/ or in the public directory of its web build
+ * @param {Object} files - Project files
+ * @returns {boolean} True when www/img/logo.png is provided
+ */
+ResourcePipeline.hasLogo = function (files) {
+    const webPath = ResourcePipeline.LOGO_PATH.slice('www/'.length);
+    return Object.keys(files).some(filePath => filePath === ResourcePipeline.LOGO_PATH || filePath.endsWith(`/${webPath}`));
+};
+
+/**
+ * Render the config.xml lines of the Android platform for the rendered resources: the launcher icons with
+ * their adaptive and monochrome layers, and the Android 12 splash screen
+ * @param {Object} files - Project files; only resources present in it are referenced
+ * @param {Object} theme - Theme definition, whose primary color is the splash background
+ * @returns {string} Lines for <platform name="android">, or an empty string without resources
+ */
+ResourcePipeline.renderConfigXml = function (files, theme) {
+    const lines = [];
+    const icons = ResourcePipeline.DENSITIES.filter(density => `${ResourcePipeline.ICON_DIR}/${density.name}/ic_launcher.png` in files);
+
+    if (icons.length > 0) {
+        lines.push('        <!-- Launcher icons: legacy, adaptive layers and the monochrome layer of themed icons -->');
+        icons.forEach(density => {
+            const dir = `${ResourcePipeline.ICON_DIR}/${density.name}`;
+            lines.push(`        <icon density="${density.name}" src="${dir}/ic_launcher.png" background="${dir}/ic_launcher_background.png" foreground="${dir}/ic_launcher_foreground.png" monochrome="${dir}/ic_launcher_monochrome.png" />`);
+        });
+    }
+
+    if (ResourcePipeline.SPLASH_ICON in files) {
+        lines.push(
+            '        <!-- Android 12+ splash screen -->',
+            `        <preference name="AndroidWindowSplashScreenAnimatedIcon" value="${ResourcePipeline.SPLASH_ICON}" />`,
+            `        <preference name="AndroidWindowSplashScreenBackground" value="${theme.colors.primary}" />`
+        );
+    }
+
+    return lines.join('\n');
+};
+
+// Android densities of the launcher icons and adaptive layers
+ResourcePipeline.DENSITIES = [
+    { name: 'mdpi', scale: 1 },
+    { name: 'hdpi', scale: 1.5 },
+    { name: 'xhdpi', scale: 2 },
+    { name: 'xxhdpi', scale: 3 },
+    { name: 'xxxhdpi', scale: 4 }
+];
+
+// Size in dp of the legacy launcher icon and of the adaptive icon layers
+ResourcePipeline.LAUNCHER_SIZE = 48;
+ResourcePipeline.ADAPTIVE_SIZE = 108;
+
+// Size in px of the splash screen icon: 288dp at xxxhdpi
+ResourcePipeline.SPLASH_SIZE = 1152;
+
+// Size in px of www/img/logo.png, used by the web manifest and the iOS icons
+ResourcePipeline.LOGO_SIZE = 512;
+
+// Share of each image the glyph fills; adaptive layers keep it inside the 66dp safe zone
+// and the splash icon inside the 192dp circle Android masks it with
+ResourcePipeline.LAUNCHER_GLYPH = 0.6;
+ResourcePipeline.ADAPTIVE_GLYPH = 0.42;
+ResourcePipeline.SPLASH_GLYPH = 0.45;
+
+// Where the rendered resources go
+ResourcePipeline.ICON_DIR = 'res/android/icon';
+ResourcePipeline.SPLASH_ICON = 'res/android/splash/splash_icon.png';
+ResourcePipeline.LOGO_PATH = 'www/img/logo.png';
+
+// Fonts that have color emoji on the platforms the pipeline runs on
+ResourcePipeline.GLYPH_FONT = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+
+// Glyph of templates without an icon
+ResourcePipeline.FALLBACK_GLYPH = '📱';
+
+// Uploaded icon images: PNG or SVG data URLs of at most about 512 KB
+ResourcePipeline.IMAGE_PATTERN = /^data:image\/(png|svg\+xml)(;[^,]*)?,/;
+ResourcePipeline.MAX_IMAGE_LENGTH = 700000;
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ResourcePipeline = ResourcePipeline;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResourcePipeline;
+}
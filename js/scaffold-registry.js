@@ -0,0 +1,1663 @@
+/**
+ * Scaffold Registry
+ * UI scaffold flavours for generated apps: the navigation shell, its framework dependencies and
+ * the web build step that produces www/ when the flavour needs one
+ */
+
+class ScaffoldRegistry {
+    constructor(scaffolds = ScaffoldRegistry.DEFAULT_SCAFFOLDS, screenLibrary = new ScreenLibrary(), serviceLibrary = new ServiceLibrary(), dataLayer = new DataLayer(), themeRegistry = new ThemeRegistry()) {
+        this.scaffolds = new Map();
+        this.screenLibrary = screenLibrary;
+        this.serviceLibrary = serviceLibrary;
+        this.dataLayer = dataLayer;
+        this.themeRegistry = themeRegistry;
+        scaffolds.forEach(scaffold => this.register(scaffold));
+    }
+
+    // Register (or replace) a scaffold definition
+    register(scaffold) {
+        if (!scaffold || !scaffold.id || !scaffold.render) {
+            throw new Error('Scaffold definition requires an id and a render function');
+        }
+
+        const definition = {
+            id: scaffold.id,
+            name: scaffold.name || scaffold.id,
+            description: scaffold.description || '',
+            dependencies: scaffold.dependencies || {},
+            devDependencies: scaffold.devDependencies || {},
+            scripts: scaffold.scripts || {},
+            vendorFiles: scaffold.vendorFiles || [],
+            webBuild: scaffold.webBuild || null,
+            render: scaffold.render
+        };
+
+        this.scaffolds.set(definition.id, definition);
+        return definition;
+    }
+
+    // Check whether a scaffold is known
+    has(scaffoldId) {
+        return this.scaffolds.has(scaffoldId);
+    }
+
+    // Get a scaffold definition
+    get(scaffoldId) {
+        return this.scaffolds.get(scaffoldId) || null;
+    }
+
+    // Get all scaffold definitions
+    getAll() {
+        return Array.from(this.scaffolds.values());
+    }
+
+    // Validate a template's scaffold choice
+    validate(scaffoldId) {
+        const errors = [];
+
+        if (scaffoldId !== undefined && scaffoldId !== null && !this.has(scaffoldId)) {
+            errors.push(`Unknown UI scaffold '${scaffoldId}'. Must be one of: ${Array.from(this.scaffolds.keys()).join(', ')}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Get the scaffold an app is generated with
+    resolve(config) {
+        const scaffoldId = config.scaffold || ScaffoldRegistry.DEFAULT_SCAFFOLD;
+        const scaffold = this.get(scaffoldId);
+        if (!scaffold) {
+            throw new Error(`Unknown UI scaffold '${scaffoldId}'`);
+        }
+        return scaffold;
+    }
+
+    // Get the pages of the navigation shell: home, the feature screens, then settings; the first page is the start page
+    getPages(config) {
+        const [home, settings] = ScaffoldRegistry.DEFAULT_PAGES.map(page => ({ ...page }));
+        return [home, ...this.screenLibrary.getPages(config), settings];
+    }
+
+    // Describe the feature screens of an app for its README
+    describeScreens(config) {
+        return this.screenLibrary.getPages(config).map(page => ({
+            title: page.title,
+            screen: this.screenLibrary.get(page.screen).name
+        }));
+    }
+
+    // Describe the plugin services of an app for its README
+    describeServices(config) {
+        return this.serviceLibrary.getServices(config).map(service => ({
+            name: service.name,
+            pluginId: service.pluginId,
+            methods: service.methods
+        }));
+    }
+
+    // Describe the data store of an app for its README
+    describeStorage(config) {
+        return {
+            backend: this.dataLayer.resolve(config).name,
+            collections: this.getCollections(config).map(collection => ({
+                name: collection.name,
+                fields: Object.keys(collection.fields)
+            }))
+        };
+    }
+
+    // Get the collections of an app's data store: what its feature screens store, plus the activity log
+    getCollections(config) {
+        return [...this.screenLibrary.getCollections(this.getPages(config)), { ...ScaffoldRegistry.ACTIVITY_COLLECTION }];
+    }
+
+    // Get the scripts and dependencies a scaffold adds to package.json; "npm test" runs the service and data tests
+    toPackageJson(scaffold) {
+        const scripts = { ...scaffold.scripts };
+        if (scaffold.webBuild) {
+            scripts[ScaffoldRegistry.WEB_BUILD_SCRIPT] = scaffold.webBuild.script;
+        }
+        scripts.test = ServiceLibrary.TEST_SCRIPT;
+
+        return {
+            scripts,
+            dependencies: { ...scaffold.dependencies },
+            devDependencies: { ...scaffold.devDependencies }
+        };
+    }
+
+    // Get the .gitignore entries for files the web build produces
+    renderGitignore(scaffold) {
+        if (!scaffold.webBuild) return '';
+        return `# Produced by "npm run ${ScaffoldRegistry.WEB_BUILD_SCRIPT}"\n${scaffold.webBuild.ignore.join('\n')}`;
+    }
+
+    // Move www/ assets into the build's public directory when the web build regenerates www/
+    relocateWebAssets(files, scaffold) {
+        const publicDir = scaffold.webBuild?.publicDir;
+        if (!publicDir) return files;
+
+        return Object.fromEntries(Object.entries(files).map(([filePath, content]) =>
+            [filePath.startsWith('www/') ? `${publicDir}/${filePath.slice('www/'.length)}` : filePath, content]));
+    }
+
+    // Render the web files of an app with its scaffold, plus the tests of the services.js, data.js and i18n.js it renders
+    // and the translation catalogs of its strings
+    render(config, options = {}) {
+        const scaffold = this.resolve(config);
+        const renderer = typeof scaffold.render === 'function' ? scaffold.render : this[scaffold.render];
+        if (typeof renderer !== 'function') {
+            throw new Error(`Scaffold ${scaffold.id} has no renderer`);
+        }
+
+        const pages = this.getPages(config);
+        const files = renderer.call(this, {
+            config,
+            scaffold,
+            pages,
+            collections: this.getCollections(config),
+            className: options.className || 'App',
+            theme: this.themeRegistry.resolve(config)
+        });
+
+        const servicesPath = Object.keys(files).find(filePath => filePath.endsWith('/services.js'));
+        const dataPath = Object.keys(files).find(filePath => filePath.endsWith('/data.js'));
+        return {
+            ...files,
+            ...(servicesPath ? this.serviceLibrary.renderTests(config, servicesPath) : {}),
+            ...(dataPath ? this.dataLayer.renderTests(config, dataPath) : {}),
+            ...this.renderTranslations(config, files, pages, scaffold)
+        };
+    }
+
+    // Render the catalogs of the strings in an app's web files, the CSV translators edit, and the translator tests;
+    // single-language apps only get the tests
+    renderTranslations(config, files, pages, scaffold) {
+        const i18nPath = Object.keys(files).find(filePath => filePath.endsWith('/i18n.js'));
+        if (!i18nPath) return {};
+
+        // The catalogs are web assets, so Vite flavours ship them from the build's public directory
+        const keys = this.getStrings(config, files, pages);
+        const catalogs = this.relocateWebAssets(LocaleCatalog.renderCatalogs(config, keys), scaffold);
+        const sourceCatalog = Object.keys(catalogs)[0];
+        const tests = LocaleCatalog.renderTests(config, i18nPath, sourceCatalog.slice(0, sourceCatalog.lastIndexOf('/')));
+
+        if (!LocaleCatalog.isLocalized(config)) return tests;
+        return {
+            ...catalogs,
+            [LocaleCatalog.CSV_PATH]: LocaleCatalog.toCsv(config, keys),
+            ...tests
+        };
+    }
+
+    // Get the strings of an app to translate: its name and features, the strings of its pages, then those in the web files
+    getStrings(config, files, pages) {
+        return LocaleCatalog.extract(files, [
+            config.displayName,
+            config.description,
+            ...(config.features || []),
+            ...this.screenLibrary.getStrings(pages)
+        ]);
+    }
+
+    // Vanilla: hash-routed pages with a bottom tab bar, no dependencies
+    renderVanilla(context) {
+        const html = SecurityUtils.escapeHtml;
+        const { config, pages } = context;
+
+        const indexHtml = this.renderHtmlDocument(context, {
+            styles: ['css/index.css'],
+            scripts: ['cordova.js', 'js/services.js', 'js/data.js', 'js/i18n.js', 'js/screens.js', 'js/index.js'],
+            body: `    <div class="app">
+        <header class="app-header">
+            <span class="app-icon">${html(config.icon)}</span>
+            <h1 class="app-title" id="pageTitle">${html(config.displayName)}</h1>
+        </header>
+
+        <main class="app-main">
+${pages.map(page => `            <section class="page" id="page-${html(page.id)}" data-page="${html(page.id)}" hidden></section>`).join('\n')}
+        </main>
+
+        <nav class="tab-bar">
+${pages.map(page => `            <button type="button" class="tab-item" data-page="${html(page.id)}">
+                <span class="tab-icon">${html(page.icon)}</span>
+                <span class="tab-label" data-i18n="${html(page.title)}">${html(page.title)}</span>
+            </button>`).join('\n')}
+        </nav>
+    </div>`
+        });
+
+        return {
+            'www/index.html': indexHtml,
+            'www/css/index.css': this.renderStyles(context, this.renderShellStyles()),
+            'www/js/services.js': this.serviceLibrary.renderModule(context.config, 'script'),
+            'www/js/data.js': this.dataLayer.renderModule(context.config, context.collections, 'script'),
+            'www/js/i18n.js': LocaleCatalog.renderModule(context.config, 'script'),
+            'www/js/screens.js': this.renderScreensModule(context, 'script'),
+            'www/js/index.js': this.renderAppClass(context, {
+                description: 'hash-routed pages with a bottom tab bar',
+                setup: `        document.querySelectorAll('.tab-item').forEach(tab => {
+            tab.addEventListener('click', () => this.navigate(tab.dataset.page));
+        });
+        window.addEventListener('hashchange', () => this.showPage(this.getPageFromHash()));
+        AppScreens.ready.then(() => this.showPage(this.getPageFromHash()));`,
+                navigation: `    getPageFromHash() {
+        const pageId = window.location.hash.replace(/^#\\/?/, '');
+        return AppScreens.pages.some(page => page.id === pageId) ? pageId : AppScreens.pages[0].id;
+    }
+
+    navigate(pageId) {
+        window.location.hash = '#/' + pageId;
+    }
+
+    showPage(pageId) {
+        const page = AppScreens.pages.find(item => item.id === pageId);
+
+        document.querySelectorAll('.page').forEach(section => {
+            section.hidden = section.dataset.page !== pageId;
+        });
+        document.querySelectorAll('.tab-item').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.page === pageId);
+        });
+        document.getElementById('pageTitle').textContent =
+            AppI18n.t(pageId === AppScreens.pages[0].id ? AppScreens.info.displayName : page.title);
+
+        AppScreens.mount(pageId, document.getElementById('page-' + pageId), this.getShell());
+        this.currentPage = pageId;
+    }`,
+                toast: this.renderDomToast()
+            })
+        };
+    }
+
+    // Framework7: one view per tab with Framework7 navbars and toolbar
+    renderFramework7(context) {
+        const html = SecurityUtils.escapeHtml;
+        const { pages, scaffold } = context;
+
+        const indexHtml = this.renderHtmlDocument(context, {
+            styles: [...this.getVendorPaths(scaffold, '.css'), 'css/index.css'],
+            scripts: ['cordova.js', ...this.getVendorPaths(scaffold, '.js'), 'js/services.js', 'js/data.js', 'js/i18n.js', 'js/screens.js', 'js/index.js'],
+            body: `    <div id="app">
+        <div class="views tabs safe-areas">
+            <div class="toolbar toolbar-bottom tabbar tabbar-icons">
+                <div class="toolbar-inner">
+${pages.map((page, index) => `                    <a href="#view-${html(page.id)}" class="tab-link${index === 0 ? ' tab-link-active' : ''}">
+                        <i class="icon">${html(page.icon)}</i>
+                        <span class="tabbar-label" data-i18n="${html(page.title)}">${html(page.title)}</span>
+                    </a>`).join('\n')}
+                </div>
+            </div>
+
+${pages.map((page, index) => `            <div id="view-${html(page.id)}" class="view${index === 0 ? ' view-main' : ''} view-init tab${index === 0 ? ' tab-active' : ''}" data-page="${html(page.id)}">
+                <div class="page" data-name="${html(page.id)}">
+                    <div class="navbar">
+                        <div class="navbar-bg"></div>
+                        <div class="navbar-inner">
+                            <div class="title" data-i18n="${html(index === 0 ? context.config.displayName : page.title)}">${html(index === 0 ? context.config.displayName : page.title)}</div>
+                        </div>
+                    </div>
+                    <div class="page-content">
+                        <div class="block screen" data-page="${html(page.id)}"></div>
+                    </div>
+                </div>
+            </div>`).join('\n\n')}
+        </div>
+    </div>`
+        });
+
+        return {
+            'www/index.html': indexHtml,
+            'www/css/index.css': this.renderStyles(context),
+            'www/js/services.js': this.serviceLibrary.renderModule(context.config, 'script'),
+            'www/js/data.js': this.dataLayer.renderModule(context.config, context.collections, 'script'),
+            'www/js/i18n.js': LocaleCatalog.renderModule(context.config, 'script'),
+            'www/js/screens.js': this.renderScreensModule(context, 'script'),
+            'www/js/index.js': this.renderAppClass(context, {
+                description: 'Framework7 tabbed views',
+                fields: '        this.framework7 = null;',
+                setup: `        this.framework7 = new Framework7({
+            el: '#app',
+            name: AppScreens.info.displayName,
+            id: AppScreens.info.packageName,
+            theme: 'auto',${context.theme.dark ? `
+            darkMode: 'auto',` : ''}
+            colors: {
+                primary: AppScreens.info.color
+            }
+        });
+
+        this.framework7.on('tabShow', tab => this.showPage(tab.dataset.page));
+        this.showPage(AppScreens.pages[0].id);`,
+                navigation: `    navigate(pageId) {
+        this.framework7.tab.show('#view-' + pageId);
+    }
+
+    showPage(pageId) {
+        const container = document.querySelector('.screen[data-page="' + pageId + '"]');
+        AppScreens.mount(pageId, container, this.getShell());
+        this.currentPage = pageId;
+    }`,
+                toast: `    showMessage(message) {
+        this.framework7.toast.create({
+            text: message,
+            position: 'center',
+            closeTimeout: 3000
+        }).open();
+    }`
+            }),
+            'scripts/copy-vendor.js': this.renderVendorScript(scaffold)
+        };
+    }
+
+    // Onsen UI: <ons-tabbar> with one <ons-page> template per tab
+    renderOnsen(context) {
+        const html = SecurityUtils.escapeHtml;
+        const { pages, scaffold } = context;
+
+        const indexHtml = this.renderHtmlDocument(context, {
+            styles: [...this.getVendorPaths(scaffold, '.css'), 'css/index.css'],
+            scripts: ['cordova.js', ...this.getVendorPaths(scaffold, '.js'), 'js/services.js', 'js/data.js', 'js/i18n.js', 'js/screens.js', 'js/index.js'],
+            body: `    <ons-tabbar id="appTabbar" position="bottom">
+${pages.map((page, index) => `        <ons-tab page="${html(page.id)}.html" label="${html(`${page.icon} ${page.title}`)}"${index === 0 ? ' active' : ''}></ons-tab>`).join('\n')}
+    </ons-tabbar>
+
+${pages.map((page, index) => `    <template id="${html(page.id)}.html">
+        <ons-page data-page="${html(page.id)}">
+            <ons-toolbar>
+                <div class="center" data-i18n="${html(index === 0 ? context.config.displayName : page.title)}">${html(index === 0 ? context.config.displayName : page.title)}</div>
+            </ons-toolbar>
+            <div class="screen" data-page="${html(page.id)}"></div>
+        </ons-page>
+    </template>`).join('\n\n')}`
+        });
+
+        return {
+            'www/index.html': indexHtml,
+            'www/css/index.css': this.renderStyles(context, this.renderOnsenStyles()),
+            'www/js/services.js': this.serviceLibrary.renderModule(context.config, 'script'),
+            'www/js/data.js': this.dataLayer.renderModule(context.config, context.collections, 'script'),
+            'www/js/i18n.js': LocaleCatalog.renderModule(context.config, 'script'),
+            'www/js/screens.js': this.renderScreensModule(context, 'script'),
+            'www/js/index.js': this.renderAppClass(context, {
+                description: 'Onsen UI tabbar',
+                setup: `        // Onsen UI attaches each tab's <ons-page> lazily and fires "init" when it does
+        document.addEventListener('init', event => {
+            const pageId = event.target.dataset.page;
+            if (pageId) {
+                AppScreens.ready.then(() => AppI18n.translatePage(event.target));
+                this.showPage(pageId, event.target.querySelector('.screen'));
+            }
+        });
+        // Tab labels are attributes of <ons-tab>, so they are translated here rather than by data-i18n
+        AppScreens.ready.then(() => {
+            document.querySelectorAll('#appTabbar ons-tab').forEach((tab, index) => {
+                const page = AppScreens.pages[index];
+                tab.setAttribute('label', page.icon + ' ' + AppI18n.t(page.title));
+            });
+        });
+        document.querySelectorAll('ons-page[data-page]').forEach(page => {
+            this.showPage(page.dataset.page, page.querySelector('.screen'));
+        });
+        document.getElementById('appTabbar').addEventListener('postchange', event => {
+            this.currentPage = AppScreens.pages[event.index].id;
+            const page = document.querySelector('ons-page[data-page="' + this.currentPage + '"]');
+            if (page) {
+                this.showPage(this.currentPage, page.querySelector('.screen'));
+            }
+        });`,
+                backButton: `        // Onsen UI owns the Android back button
+        ons.setDefaultDeviceBackButtonListener(this.onBackButton.bind(this));`,
+                navigation: `    navigate(pageId) {
+        const index = AppScreens.pages.findIndex(page => page.id === pageId);
+        document.getElementById('appTabbar').setActiveTab(index);
+    }
+
+    showPage(pageId, container) {
+        AppScreens.mount(pageId, container, this.getShell());
+    }`,
+                toast: `    showMessage(message) {
+        ons.notification.toast(message, { timeout: 3000 });
+    }`
+            }),
+            'scripts/copy-vendor.js': this.renderVendorScript(scaffold)
+        };
+    }
+
+    // Vite + Vue: single file components built into www/
+    renderViteVue(context) {
+        return {
+            'vite.config.mjs': this.renderViteConfig('vue', 'vue()'),
+            'src/index.html': this.renderViteIndexHtml(context, 'main.js'),
+            'src/main.js': `import { createApp } from 'vue';
+import App from './App.vue';
+import { t } from './i18n.js';
+import { APP_INFO, ready } from './screens.js';
+import './style.css';
+
+// Mount once the data store and the translations have loaded
+ready.then(() => {
+    document.title = t(APP_INFO.displayName);
+    createApp(App).mount('#app');
+});
+`,
+            'src/App.vue': `<template>
+    <div class="app">
+        <header class="app-header">
+            <span class="app-icon">{{ info.icon }}</span>
+            <h1 class="app-title">{{ title }}</h1>
+        </header>
+
+        <main class="app-main">
+            <ScreenView
+                v-for="page in pages"
+                :key="page.id"
+                :page-id="page.id"
+                :active="page.id === currentPage"
+                :shell="shell"
+            />
+        </main>
+
+        <nav class="tab-bar">
+            <button
+                v-for="page in pages"
+                :key="page.id"
+                type="button"
+                class="tab-item"
+                :class="{ active: page.id === currentPage }"
+                @click="navigate(page.id)"
+            >
+                <span class="tab-icon">{{ page.icon }}</span>
+                <span class="tab-label">{{ t(page.title) }}</span>
+            </button>
+        </nav>
+
+        <div v-if="message" class="toast">{{ message }}</div>
+    </div>
+</template>
+
+<script setup>
+import { computed, onBeforeUnmount, onMounted, ref } from 'vue';
+import ScreenView from './ScreenView.vue';
+import { t } from './i18n.js';
+import { APP_INFO, PAGES, applyStatusBar } from './screens.js';
+
+const info = APP_INFO;
+const pages = PAGES;
+const currentPage = ref(PAGES[0].id);
+const message = ref('');
+let messageTimer = null;
+
+const title = computed(() =>
+    t(currentPage.value === PAGES[0].id ? APP_INFO.displayName : PAGES.find(page => page.id === currentPage.value).title));
+
+function navigate(pageId) {
+    currentPage.value = pageId;
+}
+
+function toast(text) {
+    message.value = text;
+    clearTimeout(messageTimer);
+    messageTimer = setTimeout(() => {
+        message.value = '';
+    }, 3000);
+}
+
+const shell = { navigate, toast };
+
+function onBackButton() {
+    // Handle Android back button
+    if (currentPage.value !== PAGES[0].id) {
+        navigate(PAGES[0].id);
+    } else {
+        navigator.app.exitApp();
+    }
+}
+
+function onDeviceReady() {
+    if (navigator.splashscreen) {
+        navigator.splashscreen.hide();
+    }
+    applyStatusBar();
+    document.addEventListener('backbutton', onBackButton, false);
+}
+
+onMounted(() => document.addEventListener('deviceready', onDeviceReady, false));
+onBeforeUnmount(() => {
+    document.removeEventListener('deviceready', onDeviceReady, false);
+    document.removeEventListener('backbutton', onBackButton, false);
+});
+</script>
+`,
+            'src/ScreenView.vue': `<template>
+    <section ref="container" class="page" :hidden="!active"></section>
+</template>
+
+<script setup>
+import { onMounted, ref, watch } from 'vue';
+import { mountScreen } from './screens.js';
+
+const props = defineProps({
+    pageId: { type: String, required: true },
+    active: { type: Boolean, default: false },
+    shell: { type: Object, required: true }
+});
+
+const container = ref(null);
+
+// Screens are plain DOM modules; each one is mounted the first time its tab is shown
+function mount() {
+    if (props.active) {
+        mountScreen(props.pageId, container.value, props.shell);
+    }
+}
+
+onMounted(mount);
+watch(() => props.active, mount);
+</script>
+`,
+            'src/services.js': this.serviceLibrary.renderModule(context.config, 'module'),
+            'src/data.js': this.dataLayer.renderModule(context.config, context.collections, 'module'),
+            'src/i18n.js': LocaleCatalog.renderModule(context.config, 'module'),
+            'src/screens.js': this.renderScreensModule(context, 'module'),
+            'src/style.css': this.renderStyles(context, this.renderShellStyles())
+        };
+    }
+
+    // Vite + React: function components built into www/
+    renderViteReact(context) {
+        return {
+            'vite.config.mjs': this.renderViteConfig('react', 'react()'),
+            'src/index.html': this.renderViteIndexHtml(context, 'main.jsx'),
+            'src/main.jsx': `import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App.jsx';
+import { t } from './i18n.js';
+import { APP_INFO, ready } from './screens.js';
+import './style.css';
+
+// Render once the data store and the translations have loaded
+ready.then(() => {
+    document.title = t(APP_INFO.displayName);
+    createRoot(document.getElementById('app')).render(
+        <StrictMode>
+            <App />
+        </StrictMode>
+    );
+});
+`,
+            'src/App.jsx': `import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { t } from './i18n.js';
+import { APP_INFO, PAGES, applyStatusBar, mountScreen } from './screens.js';
+
+// Screens are plain DOM modules; each one is mounted the first time its tab is shown
+function ScreenView({ pageId, active, shell }) {
+    const container = useRef(null);
+
+    useEffect(() => {
+        if (active) {
+            mountScreen(pageId, container.current, shell);
+        }
+    }, [pageId, active, shell]);
+
+    return <section ref={container} className="page" hidden={!active} />;
+}
+
+export default function App() {
+    const [currentPage, setCurrentPage] = useState(PAGES[0].id);
+    const [message, setMessage] = useState('');
+    const currentPageRef = useRef(currentPage);
+    const messageTimer = useRef(null);
+
+    const toast = useCallback(text => {
+        setMessage(text);
+        clearTimeout(messageTimer.current);
+        messageTimer.current = setTimeout(() => setMessage(''), 3000);
+    }, []);
+
+    const shell = useMemo(() => ({ navigate: setCurrentPage, toast }), [toast]);
+
+    useEffect(() => {
+        currentPageRef.current = currentPage;
+    }, [currentPage]);
+
+    useEffect(() => {
+        const onBackButton = () => {
+            // Handle Android back button
+            if (currentPageRef.current !== PAGES[0].id) {
+                setCurrentPage(PAGES[0].id);
+            } else {
+                navigator.app.exitApp();
+            }
+        };
+        const onDeviceReady = () => {
+            if (navigator.splashscreen) {
+                navigator.splashscreen.hide();
+            }
+            applyStatusBar();
+            document.addEventListener('backbutton', onBackButton, false);
+        };
+
+        document.addEventListener('deviceready', onDeviceReady, false);
+        return () => {
+            document.removeEventListener('deviceready', onDeviceReady, false);
+            document.removeEventListener('backbutton', onBackButton, false);
+        };
+    }, []);
+
+    const title = t(currentPage === PAGES[0].id
+        ? APP_INFO.displayName
+        : PAGES.find(page => page.id === currentPage).title);
+
+    return (
+        <div className="app">
+            <header className="app-header">
+                <span className="app-icon">{APP_INFO.icon}</span>
+                <h1 className="app-title">{title}</h1>
+            </header>
+
+            <main className="app-main">
+                {PAGES.map(page => (
+                    <ScreenView key={page.id} pageId={page.id} active={page.id === currentPage} shell={shell} />
+                ))}
+            </main>
+
+            <nav className="tab-bar">
+                {PAGES.map(page => (
+                    <button
+                        key={page.id}
+                        type="button"
+                        className={page.id === currentPage ? 'tab-item active' : 'tab-item'}
+                        onClick={() => setCurrentPage(page.id)}
+                    >
+                        <span className="tab-icon">{page.icon}</span>
+                        <span className="tab-label">{t(page.title)}</span>
+                    </button>
+                ))}
+            </nav>
+
+            {message && <div className="toast">{message}</div>}
+        </div>
+    );
+}
+`,
+            'src/services.js': this.serviceLibrary.renderModule(context.config, 'module'),
+            'src/data.js': this.dataLayer.renderModule(context.config, context.collections, 'module'),
+            'src/i18n.js': LocaleCatalog.renderModule(context.config, 'module'),
+            'src/screens.js': this.renderScreensModule(context, 'module'),
+            'src/style.css': this.renderStyles(context, this.renderShellStyles())
+        };
+    }
+
+    // Render a Cordova index.html with the shared head
+    renderHtmlDocument(context, { styles, scripts, body }) {
+        const html = SecurityUtils.escapeHtml;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0, user-scalable=no, viewport-fit=cover">
+    <meta http-equiv="Content-Security-Policy" content="${ScaffoldRegistry.CONTENT_SECURITY_POLICY}">
+    <title data-i18n="${html(context.config.displayName)}">${html(context.config.displayName)}</title>
+${styles.map(href => `    <link rel="stylesheet" href="${html(href)}">`).join('\n')}
+</head>
+<body>
+${body}
+
+${scripts.map(src => `    <script type="text/javascript" src="${html(src)}"></script>`).join('\n')}
+</body>
+</html>`;
+    }
+
+    // Render the Vite entry page; cordova.js stays a classic script that Vite leaves alone
+    renderViteIndexHtml(context, entry) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0, user-scalable=no, viewport-fit=cover">
+    <meta http-equiv="Content-Security-Policy" content="${ScaffoldRegistry.CONTENT_SECURITY_POLICY}">
+    <title>${SecurityUtils.escapeHtml(context.config.displayName)}</title>
+</head>
+<body>
+    <div id="app"></div>
+
+    <script src="cordova.js"></script>
+    <script type="module" src="./${entry}"></script>
+</body>
+</html>
+`;
+    }
+
+    // Render vite.config.mjs; www/ is the build output that Cordova packages
+    renderViteConfig(pluginModule, pluginCall) {
+        const pluginName = pluginCall.slice(0, pluginCall.indexOf('('));
+
+        return `import { defineConfig } from 'vite';
+import ${pluginName} from '@vitejs/plugin-${pluginModule}';
+
+// Sources live in src/; "npm run ${ScaffoldRegistry.WEB_BUILD_SCRIPT}" writes the app Cordova packages to www/
+export default defineConfig({
+    root: 'src',
+    base: './',
+    plugins: [${pluginCall}],
+    build: {
+        outDir: '../www',
+        emptyOutDir: true
+    }
+});
+`;
+    }
+
+    // Render scripts/copy-vendor.js, which copies the UI framework from node_modules into www/
+    renderVendorScript(scaffold) {
+        return `/*
+ * Copies the ${SecurityUtils.escapeComment(scaffold.name)} distribution from node_modules into www/lib
+ * Run by "npm run ${ScaffoldRegistry.WEB_BUILD_SCRIPT}" after npm install
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const files = ${JSON.stringify(scaffold.vendorFiles.map(file => [file.from, file.to]), null, 4)};
+
+files.forEach(([from, to]) => {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(from, to);
+    console.log('Copied ' + from + ' -> ' + to);
+});
+`;
+    }
+
+    // Get the www-relative paths of a scaffold's vendor files with the given extension
+    getVendorPaths(scaffold, extension) {
+        return scaffold.vendorFiles
+            .filter(file => file.to.endsWith(extension))
+            .map(file => file.to.slice('www/'.length));
+    }
+
+    // Render the app class for the HTML flavours; the flavour supplies navigation and toasts
+    renderAppClass(context, { description, fields = '', setup, navigation, toast, backButton }) {
+        const { config, className } = context;
+        const js = SecurityUtils.escapeJsString;
+
+        return `/*
+ * ${SecurityUtils.escapeComment(config.displayName)} - Mobile Application
+ * Built with Apache Cordova: ${description}
+ */
+
+class ${className} {
+    constructor() {
+        this.isDeviceReady = false;
+        this.currentPage = AppScreens.pages[0].id;${fields ? `\n${fields}` : ''}
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('deviceready', this.onDeviceReady.bind(this), false);
+        document.addEventListener('DOMContentLoaded', this.onDOMReady.bind(this), false);
+    }
+
+    onDeviceReady() {
+        console.log('Device is ready');
+        this.isDeviceReady = true;
+
+${backButton || `        // Handle back button (Android)
+        document.addEventListener('backbutton', this.onBackButton.bind(this), false);`}
+
+        // Handle pause/resume
+        document.addEventListener('pause', this.onPause.bind(this), false);
+        document.addEventListener('resume', this.onResume.bind(this), false);
+
+        this.initializeApp();
+    }
+
+    onDOMReady() {
+        console.log('DOM is ready');
+        // Translate the shell once the language of the device or the one picked in Settings has loaded
+        AppScreens.ready.then(() => AppI18n.translatePage(document));
+${setup}
+    }
+
+    initializeApp() {
+        console.log('Initializing ${js(config.displayName)}...');
+
+        if (navigator.splashscreen) {
+            navigator.splashscreen.hide();
+        }
+        AppScreens.applyStatusBar();
+
+        // Check device information
+        if (AppServices.DeviceService && AppServices.DeviceService.isAvailable()) {
+            console.log('Device Info:', AppServices.DeviceService.getInfo());
+        }
+
+        // Initialize app-specific features
+        this.loadAppData();
+        this.setupNotifications();
+    }
+
+    // Services handed to the screens in screens.js
+    getShell() {
+        return {
+            navigate: this.navigate.bind(this),
+            toast: this.showMessage.bind(this)
+        };
+    }
+
+${navigation}
+
+    loadAppData() {
+        // Load app-specific data once the data store has opened
+        AppScreens.ready.then(() => {
+            const data = AppScreens.storage.get('data');
+            if (data) {
+                console.log('Loaded app data:', data);
+            }
+        });
+    }
+
+    saveAppData(data) {
+        // The storage logs what it could not save
+        AppScreens.storage.set('data', data).then(saved => {
+            if (saved) {
+                console.log('App data saved successfully');
+            }
+        });
+    }
+
+    setupNotifications() {
+        // Ask for notification permission when the app declares the local notification plugin
+        const notifications = AppServices.NotificationService;
+        if (notifications && notifications.isAvailable()) {
+            notifications.requestPermission()
+                .then(granted => console.log('Local notifications ' + (granted ? 'allowed' : 'denied')));
+        }
+    }
+
+${toast}
+
+    onBackButton() {
+        // Return to the start page, exit from there
+        if (this.currentPage !== AppScreens.pages[0].id) {
+            this.navigate(AppScreens.pages[0].id);
+        } else {
+            navigator.app.exitApp();
+        }
+    }
+
+    onPause() {
+        console.log('App paused');
+        this.saveAppData({
+            lastPaused: new Date().toISOString()
+        });
+    }
+
+    onResume() {
+        console.log('App resumed');
+        this.loadAppData();
+    }
+}
+
+// Initialize the app
+const app = new ${className}();`;
+    }
+
+    // Render a toast for flavours without a UI framework
+    renderDomToast() {
+        return `    showMessage(message, type = 'info') {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'toast toast-' + type;
+        messageDiv.textContent = message;
+        document.body.appendChild(messageDiv);
+
+        setTimeout(() => {
+            if (messageDiv.parentNode) {
+                messageDiv.parentNode.removeChild(messageDiv);
+            }
+        }, 3000);
+    }`;
+    }
+
+    // Render the framework-independent screens: each page's screen mounts itself into a container element
+    renderScreensModule(context, format) {
+        const { config, pages, theme } = context;
+        const info = {
+            displayName: config.displayName,
+            description: config.description,
+            version: config.version || '1.0.0',
+            packageName: config.packageName,
+            icon: config.icon,
+            color: theme.colors.primary,
+            features: config.features || []
+        };
+        const statusBar = {
+            light: ThemeRegistry.getStatusBar(theme.colors),
+            dark: theme.dark ? ThemeRegistry.getStatusBar(theme.dark) : null
+        };
+
+        const body = `const APP_INFO = ${JSON.stringify(info, null, 4)};
+
+const PAGES = ${JSON.stringify(pages.map(({ id, title, icon }) => ({ id, title, icon })), null, 4)};
+
+// Status bar colors of the theme; the dark ones apply while the device is in dark mode
+const STATUS_BAR = ${JSON.stringify(statusBar, null, 4)};
+
+const dataStore = AppData.dataStore;
+const t = AppI18n.t;
+
+// Screens are mounted once the data store and the translations have loaded; they still work in memory
+// when the store cannot open. The language picked in Settings wins over the device language
+const ready = dataStore.open().catch(error => {
+    console.error('Could not open the ' + dataStore.backendName + ' data store:', error);
+}).then(() => AppI18n.load(dataStore.getValue('locale')));
+
+// Storage of the screens: names of the data store's collections hold their records, any other name a value.
+// Reads are synchronous; writes resolve with false when the device could not store them
+const storage = {
+    get(name, fallback = null) {
+        return dataStore.hasCollection(name) ? dataStore.collection(name).all() : dataStore.getValue(name, fallback);
+    },
+
+    set(name, value) {
+        const write = dataStore.hasCollection(name) ? dataStore.collection(name).replace(value) : dataStore.setValue(name, value);
+        return write.then(() => true, error => {
+            console.error('Error saving ' + name + ':', error);
+            return false;
+        });
+    },
+
+    keys() {
+        return dataStore.keys();
+    },
+
+    clear() {
+        return dataStore.clear();
+    }
+};
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+function createCard(title) {
+    const card = createElement('section', 'screen-card');
+    if (title) {
+        card.appendChild(createElement('h2', 'screen-card-title', title));
+    }
+    return card;
+}
+
+function createButton(label, className, onClick) {
+    const button = createElement('button', 'btn ' + className, label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createInfoRow(label, value) {
+    const row = createElement('div', 'info-row');
+    row.appendChild(createElement('span', 'info-label', label));
+    row.appendChild(createElement('span', 'info-value', value));
+    return row;
+}
+
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// Current value of a theme color from the stylesheet, so canvas drawings follow light and dark mode
+function themeColor(name, fallback) {
+    const value = window.getComputedStyle ? getComputedStyle(document.documentElement).getPropertyValue('--' + name).trim() : '';
+    return value || fallback;
+}
+
+// Color the status bar after the theme, and again whenever the device switches between light and dark mode
+function applyStatusBar() {
+    const statusBar = AppServices.StatusBarService;
+    if (!statusBar || !statusBar.isAvailable()) {
+        return;
+    }
+
+    const darkMode = STATUS_BAR.dark && window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    const apply = () => {
+        const colors = darkMode && darkMode.matches ? STATUS_BAR.dark : STATUS_BAR.light;
+        statusBar.setColor(colors.color);
+        statusBar.setStyle(colors.style);
+    };
+
+    apply();
+    if (darkMode && darkMode.addEventListener) {
+        darkMode.addEventListener('change', apply);
+    }
+}
+
+// Activity log the feature screens write to and the dashboard reads
+const activity = {
+    record(pageId, value) {
+        const entries = storage.get('activity', []);
+        entries.push({ page: pageId, value: typeof value === 'number' ? value : null, at: Date.now() });
+        storage.set('activity', entries.slice(-500));
+    },
+
+    list() {
+        return storage.get('activity', []);
+    }
+};
+
+${this.screenLibrary.renderFactories(pages)}
+
+const screens = {
+    home: {
+        mount(container, shell) {
+            const hero = createCard();
+            hero.classList.add('screen-hero');
+            hero.appendChild(createElement('div', 'screen-hero-icon', APP_INFO.icon));
+            hero.appendChild(createElement('h2', 'screen-card-title', t(APP_INFO.displayName)));
+            hero.appendChild(createElement('p', 'screen-text', t(APP_INFO.description)));
+            container.appendChild(hero);
+
+            if (APP_INFO.features.length > 0) {
+                const features = createCard(t('Features'));
+                const list = createElement('ul', 'feature-list');
+                APP_INFO.features.forEach(feature => list.appendChild(createElement('li', 'feature-item', t(feature))));
+                features.appendChild(list);
+                container.appendChild(features);
+            }
+
+            const shortcuts = createElement('div', 'screen-actions');
+            PAGES.slice(1, -1).forEach(page => {
+                shortcuts.appendChild(createButton(page.icon + ' ' + t(page.title), 'btn-secondary', () => shell.navigate(page.id)));
+            });
+            container.appendChild(shortcuts);
+        }
+    },
+
+${this.screenLibrary.renderEntries(pages)},
+
+    settings: (function () {
+        let summary = null;
+        let shell = null;
+        let fileInput = null;
+
+        function updateSummary() {
+            summary.textContent = t('{count} item(s) saved on this device', { count: shell.storage.keys().length });
+        }
+
+        // Share the backup when the app declares sharing, download it otherwise
+        function exportBackup() {
+            const json = dataStore.exportJSON();
+            const share = shell.services.ShareService;
+            if (share && share.isAvailable()) {
+                share.share({ subject: t('{name} backup', { name: t(APP_INFO.displayName) }), message: json })
+                    .catch(error => shell.toast(t('Could not share the backup: {error}', { error: error && error.message ? error.message : error })));
+                return;
+            }
+
+            const link = createElement('a');
+            link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+            link.download = APP_INFO.packageName + '-' + new Date().toISOString().slice(0, 10) + '.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+
+        function importBackup(file) {
+            const reader = new FileReader();
+            reader.onload = () => {
+                dataStore.importData(String(reader.result)).then(() => {
+                    updateSummary();
+                    shell.toast(t('Backup restored'));
+                }, error => shell.toast(t('Could not restore the backup: {error}', { error: error.message })));
+            };
+            reader.readAsText(file);
+        }
+
+        return {
+            mount(container, services) {
+                shell = services;
+
+                const card = createCard(t('Local data'));
+                summary = createElement('p', 'screen-text');
+                card.appendChild(summary);
+                card.appendChild(createInfoRow(t('Storage'), dataStore.backendName));
+
+                const actions = createElement('div', 'screen-actions');
+                actions.appendChild(createButton(t('Export backup'), 'btn-secondary', exportBackup));
+                actions.appendChild(createButton(t('Import backup'), 'btn-secondary', () => fileInput.click()));
+                actions.appendChild(createButton(t('Clear local data'), 'btn-secondary', () => {
+                    shell.storage.clear().then(() => {
+                        updateSummary();
+                        shell.toast(t('Local data cleared'));
+                    }, error => shell.toast(t('Could not clear local data: {error}', { error: error.message })));
+                }));
+                card.appendChild(actions);
+
+                fileInput = createElement('input');
+                fileInput.type = 'file';
+                fileInput.accept = 'application/json,.json';
+                fileInput.hidden = true;
+                fileInput.addEventListener('change', () => {
+                    if (fileInput.files[0]) {
+                        importBackup(fileInput.files[0]);
+                    }
+                    fileInput.value = '';
+                });
+                card.appendChild(fileInput);
+                updateSummary();
+                container.appendChild(card);
+${LocaleCatalog.isLocalized(config) ? `
+                const language = createCard(t('Language'));
+                const select = createElement('select', 'form-input');
+                select.setAttribute('aria-label', t('Language'));
+                AppI18n.LOCALES.forEach(code => {
+                    const option = createElement('option', null, AppI18n.languageName(code));
+                    option.value = code;
+                    option.selected = code === AppI18n.getLocale();
+                    select.appendChild(option);
+                });
+                // Screens render their text once, so the app reloads in the picked language
+                select.addEventListener('change', () => {
+                    shell.storage.set('locale', select.value).then(() => window.location.reload());
+                });
+                language.appendChild(select);
+                container.appendChild(language);
+` : ''}
+                const about = createCard(t('About {name}', { name: t(shell.info.displayName) }));
+                about.appendChild(createInfoRow(t('Version'), shell.info.version));
+                about.appendChild(createInfoRow(t('Package'), shell.info.packageName));
+                about.appendChild(createInfoRow(t('Platform'), window.cordova ? cordova.platformId : 'browser'));
+                about.appendChild(createInfoRow(t('Device'), window.device ? device.manufacturer + ' ' + device.model : t('Unknown')));
+                container.appendChild(about);
+            },
+
+            refresh() {
+                updateSummary();
+            }
+        };
+    })()
+};
+
+// Mount a page's screen the first time it is shown and refresh it afterwards; the shell supplies navigate() and toast()
+function mountScreen(pageId, container, shell) {
+    const screen = screens[pageId];
+    if (!screen || !container) {
+        return;
+    }
+
+    ready.then(() => {
+        if (container.dataset.mounted === 'true') {
+            if (screen.refresh) {
+                screen.refresh();
+            }
+            return;
+        }
+
+        container.dataset.mounted = 'true';
+        screen.mount(container, { ...shell, info: APP_INFO, storage, activity, services: AppServices });
+    });
+}`;
+
+        const header = `/*
+ * ${SecurityUtils.escapeComment(config.displayName)} - Screens
+ * Framework-independent screen modules, mounted by the navigation shell
+ */
+`;
+
+        if (format === 'module') {
+            return `${header}
+import * as AppServices from './services.js';
+import * as AppData from './data.js';
+import * as AppI18n from './i18n.js';
+
+${body}
+
+export { APP_INFO, PAGES, storage, ready, mountScreen, applyStatusBar };
+`;
+        }
+
+        const indented = body.split('\n').map(line => (line ? `    ${line}` : line)).join('\n');
+        return `${header}
+window.AppScreens = (function () {
+    'use strict';
+
+${indented}
+
+    return {
+        info: APP_INFO,
+        pages: PAGES,
+        storage,
+        ready,
+        mount: mountScreen,
+        applyStatusBar
+    };
+})();`;
+    }
+
+    // Render the stylesheet: theme variables, the flavour's shell styles, then shared and feature screen styles
+    renderStyles(context, shellStyles = '') {
+        const { config, theme, pages } = context;
+
+        return `/* ${SecurityUtils.escapeComment(config.displayName)} - Mobile App Styles */
+
+/* Theme: ${SecurityUtils.escapeComment(theme.name)} */
+${ThemeRegistry.renderVariables(theme)}
+${shellStyles}
+/* Screens */
+.screen-card {
+    font-family: var(--font-family);
+    background: var(--bg-primary);
+    border-radius: calc(var(--radius) * 2);
+    padding: calc(var(--spacing) * 1.5);
+    margin-bottom: var(--spacing);
+    box-shadow: var(--shadow);
+}
+
+.screen-card-title {
+    color: var(--text-primary);
+    font-size: 1.25rem;
+    font-weight: var(--heading-weight);
+    margin: 0 0 calc(var(--spacing) * 0.75);
+}
+
+.screen-hero {
+    text-align: center;
+}
+
+.screen-hero-icon {
+    font-size: 3.5rem;
+    margin-bottom: calc(var(--spacing) * 0.5);
+}
+
+.screen-text {
+    color: var(--text-secondary);
+    line-height: 1.6;
+    margin: 0 0 var(--spacing);
+}
+
+.feature-list {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+}
+
+.feature-item {
+    padding: calc(var(--spacing) * 0.5) 0;
+    border-bottom: 1px solid var(--border-color);
+    color: var(--text-primary);
+    font-weight: 500;
+}
+
+.feature-item:last-child {
+    border-bottom: none;
+}
+
+.info-row {
+    display: flex;
+    justify-content: space-between;
+    gap: var(--spacing);
+    padding: calc(var(--spacing) * 0.5) 0;
+    border-bottom: 1px solid var(--border-color);
+}
+
+.info-label {
+    color: var(--text-muted);
+}
+
+.info-value {
+    color: var(--text-primary);
+    font-weight: 500;
+    text-align: right;
+    word-break: break-all;
+}
+
+.screen-actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: calc(var(--spacing) * 0.5);
+}
+
+.btn {
+    padding: calc(var(--spacing) * 0.75) calc(var(--spacing) * 1.5);
+    border: none;
+    border-radius: var(--radius);
+    font-size: 0.875rem;
+    font-weight: 600;
+    cursor: pointer;
+}
+
+.btn-primary {
+    background: linear-gradient(135deg, var(--primary-color) 0%, var(--primary-hover) 100%);
+    color: var(--on-primary);
+}
+
+.btn-secondary {
+    background: var(--bg-secondary);
+    color: var(--text-primary);
+    border: 2px solid var(--border-color);
+}
+
+.btn-danger {
+    background: var(--danger-bg);
+    color: var(--danger-text);
+}
+
+a.btn {
+    text-decoration: none;
+}
+
+.item-list {
+    list-style: none;
+    margin: 0 0 var(--spacing);
+    padding: 0;
+}
+
+.list-item {
+    display: flex;
+    align-items: center;
+    gap: calc(var(--spacing) * 0.5);
+    padding: calc(var(--spacing) * 0.5) 0;
+    border-bottom: 1px solid var(--border-color);
+}
+
+.list-item-main {
+    flex: 1;
+    min-width: 0;
+    display: flex;
+    flex-direction: column;
+    gap: 0.125rem;
+    border: none;
+    background: none;
+    text-align: left;
+    font: inherit;
+    cursor: pointer;
+}
+
+.list-item-title {
+    color: var(--text-primary);
+    font-weight: 600;
+    overflow-wrap: anywhere;
+}
+
+.list-item-meta {
+    color: var(--text-muted);
+    font-size: 0.8125rem;
+}
+
+.form-input {
+    padding: calc(var(--spacing) * 0.625);
+    border: 2px solid var(--border-color);
+    border-radius: var(--radius);
+    font: inherit;
+    color: var(--text-primary);
+    background: var(--bg-primary);
+}
+
+.screen-canvas {
+    display: block;
+    width: 100%;
+    margin-bottom: var(--spacing);
+    border-radius: var(--radius);
+    background: var(--bg-secondary);
+}
+${this.screenLibrary.renderStyles(pages)}`;
+    }
+
+    // Point the Onsen UI color and type variables at the theme, so its toolbar and tabbar follow light and dark mode
+    renderOnsenStyles() {
+        return `
+:root {
+    --background-color: var(--bg-secondary);
+    --text-color: var(--text-primary);
+    --sub-text-color: var(--text-muted);
+    --highlight-color: var(--primary-color);
+    --second-highlight-color: var(--secondary-color);
+    --toolbar-background-color: var(--primary-color);
+    --toolbar-text-color: var(--on-primary);
+    --toolbar-button-color: var(--on-primary);
+    --toolbar-border-color: var(--primary-hover);
+    --tabbar-background-color: var(--bg-primary);
+    --tabbar-text-color: var(--text-muted);
+    --tabbar-highlight-text-color: var(--primary-color);
+    --tabbar-border-color: var(--border-color);
+    --card-background-color: var(--bg-primary);
+    --card-text-color: var(--text-primary);
+}
+
+body {
+    font-family: var(--font-family);
+}
+`;
+    }
+
+    // Render the header, page and tab bar layout shared by the vanilla and Vite flavours
+    renderShellStyles() {
+        return `
+* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
+
+html {
+    font-size: var(--font-size-base);
+}
+
+body {
+    font-family: var(--font-family);
+    background: var(--bg-secondary);
+    color: var(--text-primary);
+}
+
+.app {
+    height: 100vh;
+    display: flex;
+    flex-direction: column;
+}
+
+.app-header {
+    display: flex;
+    align-items: center;
+    gap: calc(var(--spacing) * 0.75);
+    padding: calc(env(safe-area-inset-top) + var(--spacing)) var(--spacing) var(--spacing);
+    background: linear-gradient(135deg, var(--primary-color) 0%, var(--primary-hover) 100%);
+    color: var(--on-primary);
+}
+
+.app-icon {
+    font-size: 1.75rem;
+}
+
+.app-title {
+    font-size: 1.25rem;
+    font-weight: var(--heading-weight);
+}
+
+.app-main {
+    flex: 1;
+    overflow-y: auto;
+    padding: var(--spacing);
+}
+
+.page {
+    max-width: 480px;
+    margin: 0 auto;
+    animation: fadeIn 0.3s ease-out;
+}
+
+.page[hidden] {
+    display: none;
+}
+
+.tab-bar {
+    display: flex;
+    background: var(--bg-primary);
+    border-top: 1px solid var(--border-color);
+    padding-bottom: env(safe-area-inset-bottom);
+}
+
+.tab-item {
+    flex: 1;
+    min-width: 0;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 0.125rem;
+    padding: calc(var(--spacing) * 0.5) 0;
+    border: none;
+    background: none;
+    color: var(--text-muted);
+    font-size: 0.75rem;
+    cursor: pointer;
+}
+
+.tab-item.active {
+    color: var(--primary-color);
+    font-weight: 600;
+}
+
+.tab-icon {
+    font-size: 1.25rem;
+}
+
+.tab-label {
+    max-width: 100%;
+    padding: 0 0.25rem;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+
+.toast {
+    position: fixed;
+    left: 50%;
+    bottom: calc(env(safe-area-inset-bottom) + 80px);
+    transform: translateX(-50%);
+    background: #333;
+    color: white;
+    padding: 12px 24px;
+    border-radius: 20px;
+    z-index: 1000;
+    font-size: 0.875rem;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+}
+
+.toast-success {
+    background: #4CAF50;
+}
+
+.toast-error {
+    background: #f44336;
+}
+
+@keyframes fadeIn {
+    from {
+        opacity: 0;
+        transform: translateY(10px);
+    }
+    to {
+        opacity: 1;
+        transform: translateY(0);
+    }
+}
+`;
+    }
+}
+
+// Scaffold used when a template does not pick one
+ScaffoldRegistry.DEFAULT_SCAFFOLD = 'vanilla';
+
+// package.json script that produces www/ for scaffolds with a web build
+ScaffoldRegistry.WEB_BUILD_SCRIPT = 'build:web';
+
+// Content Security Policy of the generated index.html
+ScaffoldRegistry.CONTENT_SECURITY_POLICY = 'default-src \'self\' data: gap: https://ssl.gstatic.com \'unsafe-eval\' \'unsafe-inline\'; style-src \'self\' \'unsafe-inline\'; media-src *; img-src \'self\' data: content: https:;';
+
+// Activity log of the feature screens, kept by the data store next to their collections
+ScaffoldRegistry.ACTIVITY_COLLECTION = {
+    name: 'activity',
+    fields: { page: 'string', value: 'number', at: 'timestamp' }
+};
+
+// Pages of the navigation shell around the feature screens from the screen library
+ScaffoldRegistry.DEFAULT_PAGES = [
+    { id: 'home', title: 'Home', icon: '🏠' },
+    { id: 'settings', title: 'Settings', icon: '⚙️' }
+];
+
+// Built-in scaffold flavours; versions are pinned like the plugin registry
+ScaffoldRegistry.DEFAULT_SCAFFOLDS = [
+    {
+        id: 'vanilla',
+        name: 'Vanilla (multi-page)',
+        description: 'Hash-routed pages with a bottom tab bar and no dependencies',
+        render: 'renderVanilla'
+    },
+    {
+        id: 'framework7',
+        name: 'Framework7',
+        description: 'Framework7 tabbed views with native-looking navbars and toolbar',
+        dependencies: { framework7: '^8.3.4' },
+        vendorFiles: [
+            { from: 'node_modules/framework7/framework7-bundle.min.css', to: 'www/lib/framework7/framework7-bundle.min.css' },
+            { from: 'node_modules/framework7/framework7-bundle.min.js', to: 'www/lib/framework7/framework7-bundle.min.js' }
+        ],
+        webBuild: { script: 'node scripts/copy-vendor.js', ignore: ['/www/lib/'] },
+        render: 'renderFramework7'
+    },
+    {
+        id: 'onsen',
+        name: 'Onsen UI',
+        description: 'Onsen UI tabbar with Material and iOS styled components',
+        dependencies: { onsenui: '^2.12.8' },
+        vendorFiles: [
+            { from: 'node_modules/onsenui/css/onsenui.min.css', to: 'www/lib/onsenui/onsenui.min.css' },
+            { from: 'node_modules/onsenui/css/onsen-css-components.min.css', to: 'www/lib/onsenui/onsen-css-components.min.css' },
+            { from: 'node_modules/onsenui/js/onsenui.min.js', to: 'www/lib/onsenui/onsenui.min.js' }
+        ],
+        webBuild: { script: 'node scripts/copy-vendor.js', ignore: ['/www/lib/'] },
+        render: 'renderOnsen'
+    },
+    {
+        id: 'vite-vue',
+        name: 'Vite + Vue',
+        description: 'Vue single-page app in src/, built into www/ by Vite',
+        dependencies: { vue: '^3.5.13' },
+        devDependencies: { vite: '^6.4.1', '@vitejs/plugin-vue': '^5.2.4' },
+        scripts: { dev: 'vite' },
+        webBuild: { script: 'vite build', ignore: ['/www/'], publicDir: 'src/public' },
+        render: 'renderViteVue'
+    },
+    {
+        id: 'vite-react',
+        name: 'Vite + React',
+        description: 'React single-page app in src/, built into www/ by Vite',
+        dependencies: { react: '^19.1.0', 'react-dom': '^19.1.0' },
+        devDependencies: { vite: '^6.4.1', '@vitejs/plugin-react': '^4.7.0' },
+        scripts: { dev: 'vite' },
+        webBuild: { script: 'vite build', ignore: ['/www/'], publicDir: 'src/public' },
+        render: 'renderViteReact'
+    }
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ScaffoldRegistry = ScaffoldRegistry;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScaffoldRegistry;
+}
@@ -0,0 +1,1245 @@
+/**
+ * Screen Library
+ * Starter screens keyed by template features: list and detail CRUD, timer, camera capture, map view and
+ * chart dashboard, wired to the services of the plugins the template declares
+ */
+
+class ScreenLibrary {
+    constructor(screens = ScreenLibrary.DEFAULT_SCREENS, rules = ScreenLibrary.FEATURE_RULES) {
+        this.screens = new Map();
+        this.rules = rules;
+        screens.forEach(screen => this.register(screen));
+    }
+
+    // Register (or replace) a screen definition
+    register(screen) {
+        if (!screen || !screen.id || !screen.factory || !screen.render) {
+            throw new Error('Screen definition requires an id, a factory name and a render function');
+        }
+
+        const definition = {
+            id: screen.id,
+            name: screen.name || screen.id,
+            icon: screen.icon || '📄',
+            factory: screen.factory,
+            plugins: screen.plugins || {},
+            defaults: screen.defaults || {},
+            styles: screen.styles || '',
+            collections: screen.collections || null,
+            render: screen.render
+        };
+
+        this.screens.set(definition.id, definition);
+        return definition;
+    }
+
+    // Check whether a screen is known
+    has(screenId) {
+        return this.screens.has(screenId);
+    }
+
+    // Get a screen definition
+    get(screenId) {
+        return this.screens.get(screenId) || null;
+    }
+
+    // Get all screen definitions
+    getAll() {
+        return Array.from(this.screens.values());
+    }
+
+    // Find the rule for a feature; the first matching rule wins
+    match(feature) {
+        return this.rules.find(rule => rule.pattern.test(feature) && this.has(rule.screen)) || null;
+    }
+
+    // Get the feature pages of an app: one screen per kind, in feature order, falling back to a list
+    getPages(config) {
+        const features = config.features || [];
+        const pages = [];
+        const used = new Set();
+
+        features.forEach(feature => {
+            const rule = this.match(feature);
+            if (!rule || used.has(rule.screen) || pages.length >= ScreenLibrary.MAX_FEATURE_PAGES) return;
+
+            used.add(rule.screen);
+            pages.push(this.createPage(feature, rule, config, pages));
+        });
+
+        if (pages.length === 0) {
+            pages.push(this.createPage(features[0] || 'Items', { screen: 'list' }, config, pages));
+        }
+
+        return pages;
+    }
+
+    // Create a feature page; its options record which of the screen's plugins the app declares
+    createPage(feature, rule, config, pages) {
+        const screen = this.get(rule.screen);
+        const declared = config.plugins || [];
+        const plugins = Object.fromEntries(Object.entries(screen.plugins)
+            .map(([role, pluginId]) => [role, declared.includes(pluginId)]));
+
+        let id = ScreenLibrary.toPageId(feature);
+        if (ScreenLibrary.RESERVED_PAGE_IDS.includes(id) || pages.some(page => page.id === id)) {
+            id = `${screen.id}-${id}`;
+        }
+
+        return {
+            id,
+            title: feature,
+            icon: rule.icon || screen.icon,
+            screen: screen.id,
+            options: {
+                ...screen.defaults,
+                ...rule.options,
+                title: feature,
+                collection: id,
+                plugins
+            }
+        };
+    }
+
+    // Render the factory functions of the screens the pages use
+    renderFactories(pages) {
+        const used = new Set(pages.map(page => page.screen).filter(Boolean));
+
+        return this.getAll()
+            .filter(screen => used.has(screen.id))
+            .map(screen => {
+                const renderer = typeof screen.render === 'function' ? screen.render : this[screen.render];
+                if (typeof renderer !== 'function') {
+                    throw new Error(`Screen ${screen.id} has no renderer`);
+                }
+                return renderer.call(this, screen);
+            })
+            .join('\n\n');
+    }
+
+    // Render the entries of the screens map for the feature pages
+    renderEntries(pages) {
+        return pages
+            .filter(page => page.screen)
+            .map(page => `    ${JSON.stringify(page.id)}: ${this.get(page.screen).factory}(${JSON.stringify(page.id)}, ${ScreenLibrary.indent(JSON.stringify(page.options, null, 4))})`)
+            .join(',\n\n');
+    }
+
+    // Render the styles of the screens the pages use
+    renderStyles(pages) {
+        const used = new Set(pages.map(page => page.screen).filter(Boolean));
+
+        return this.getAll()
+            .filter(screen => used.has(screen.id) && screen.styles)
+            .map(screen => screen.styles)
+            .join('\n');
+    }
+
+    // Get the strings the feature pages take from their options; the screens translate them where they show them
+    getStrings(pages) {
+        return pages.flatMap(page => [
+            page.title,
+            ...(page.options?.fields || []).map(field => field.label),
+            ...(page.options?.presets || []).map(preset => preset.label)
+        ]);
+    }
+
+    // Get the collections the feature pages store, with the types of their fields
+    getCollections(pages) {
+        return pages
+            .filter(page => page.screen)
+            .flatMap(page => {
+                const screen = this.get(page.screen);
+                const describe = typeof screen.collections === 'function' ? screen.collections : this[screen.collections];
+                return typeof describe === 'function' ? describe.call(this, page) : [];
+            });
+    }
+
+    // A list stores its form fields, typed by their input type
+    listCollections(page) {
+        const fields = Object.fromEntries(page.options.fields
+            .map(field => [field.name, ScreenLibrary.FIELD_TYPES[field.type] || 'string']));
+        return [{ name: page.options.collection, fields: { ...fields, createdAt: 'timestamp', updatedAt: 'timestamp' } }];
+    }
+
+    timerCollections(page) {
+        return [{ name: page.options.collection, fields: { label: 'string', minutes: 'number', at: 'timestamp' } }];
+    }
+
+    // Scanned codes get their own collection when the app declares the scanner
+    cameraCollections(page) {
+        const collections = [{ name: page.options.collection, fields: { src: 'string', at: 'timestamp' } }];
+        if (page.options.plugins.scanner) {
+            collections.push({ name: `${page.options.collection}-scans`, fields: { text: 'string', format: 'string', at: 'timestamp' } });
+        }
+        return collections;
+    }
+
+    mapCollections(page) {
+        return [{
+            name: page.options.collection,
+            fields: { name: 'string', latitude: 'number', longitude: 'number', accuracy: 'number', at: 'timestamp' }
+        }];
+    }
+
+    // List and detail CRUD over a collection of the app's data store
+    renderListScreen(screen) {
+        return `// ${screen.name}: a list of entries with a detail form to add, edit and delete them
+function ${screen.factory}(pageId, options) {
+    let container = null;
+    let shell = null;
+    let editing = null;
+
+    function load() {
+        return shell.storage.get(options.collection, []);
+    }
+
+    function save(items) {
+        shell.storage.set(options.collection, items);
+    }
+
+    function summarize(item) {
+        return options.fields.slice(1)
+            .filter(field => field.type !== 'checkbox' && field.type !== 'textarea')
+            .filter(field => item[field.name] !== undefined && item[field.name] !== '')
+            .map(field => t(field.label) + ': ' + item[field.name])
+            .join(' · ');
+    }
+
+    function showList() {
+        const items = load();
+        const titleField = options.fields[0];
+        const checkField = options.fields.find(field => field.type === 'checkbox');
+        const card = createCard(t(options.title));
+
+        editing = null;
+        container.textContent = '';
+
+        if (items.length === 0) {
+            card.appendChild(createElement('p', 'screen-text', t('Nothing here yet. Add your first entry.')));
+        } else {
+            const list = createElement('ul', 'item-list');
+            items.forEach(item => {
+                const row = createElement('li', 'list-item');
+
+                if (checkField) {
+                    const check = createElement('input', 'list-item-check');
+                    check.type = 'checkbox';
+                    check.checked = Boolean(item[checkField.name]);
+                    check.setAttribute('aria-label', t(checkField.label));
+                    check.addEventListener('change', () => {
+                        save(load().map(entry => (entry.id === item.id ? { ...entry, [checkField.name]: check.checked } : entry)));
+                        row.classList.toggle('list-item-done', check.checked);
+                    });
+                    row.classList.toggle('list-item-done', check.checked);
+                    row.appendChild(check);
+                }
+
+                const main = createElement('button', 'list-item-main');
+                main.type = 'button';
+                main.appendChild(createElement('span', 'list-item-title', item[titleField.name]));
+                const meta = summarize(item);
+                if (meta) {
+                    main.appendChild(createElement('span', 'list-item-meta', meta));
+                }
+                main.addEventListener('click', () => showDetail(item));
+                row.appendChild(main);
+                list.appendChild(row);
+            });
+            card.appendChild(list);
+        }
+
+        const actions = createElement('div', 'screen-actions');
+        actions.appendChild(createButton(t('Add'), 'btn-primary', () => showDetail(null)));
+        card.appendChild(actions);
+        container.appendChild(card);
+    }
+
+    function createField(field, value) {
+        const label = createElement('label', 'form-field' + (field.type === 'checkbox' ? ' form-field-inline' : ''));
+        const input = createElement(field.type === 'textarea' ? 'textarea' : 'input', 'form-input');
+
+        input.name = field.name;
+        if (field.type === 'checkbox') {
+            input.type = 'checkbox';
+            input.checked = Boolean(value);
+        } else {
+            if (field.type !== 'textarea') {
+                input.type = field.type;
+            }
+            if (field.type === 'number') {
+                input.step = 'any';
+            }
+            input.value = value === undefined || value === null ? '' : value;
+            input.required = Boolean(field.required);
+        }
+
+        label.appendChild(createElement('span', 'form-label', t(field.label)));
+        label.appendChild(input);
+        return label;
+    }
+
+    function readForm(form) {
+        const values = {};
+        options.fields.forEach(field => {
+            const input = form.elements[field.name];
+            if (field.type === 'checkbox') {
+                values[field.name] = input.checked;
+            } else if (field.type === 'number') {
+                values[field.name] = input.value === '' ? '' : Number(input.value);
+            } else {
+                values[field.name] = input.value.trim();
+            }
+        });
+        return values;
+    }
+
+    function showDetail(item) {
+        const card = createCard(item ? t('Edit entry') : t('New entry'));
+        const form = createElement('form', 'screen-form');
+
+        editing = item ? item.id : 'new';
+        container.textContent = '';
+
+        options.fields.forEach(field => form.appendChild(createField(field, item ? item[field.name] : field.default)));
+
+        const actions = createElement('div', 'screen-actions');
+        const submit = createElement('button', 'btn btn-primary', t('Save'));
+        submit.type = 'submit';
+        actions.appendChild(submit);
+        if (item) {
+            actions.appendChild(createButton(t('Delete'), 'btn-danger', () => {
+                save(load().filter(entry => entry.id !== item.id));
+                shell.toast(t('Entry deleted'));
+                showList();
+            }));
+        }
+        actions.appendChild(createButton(t('Cancel'), 'btn-secondary', showList));
+        form.appendChild(actions);
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const values = readForm(form);
+            const titleField = options.fields[0];
+            if (!values[titleField.name]) {
+                shell.toast(t('{field} is required', { field: t(titleField.label) }));
+                return;
+            }
+
+            const items = load();
+            if (item) {
+                save(items.map(entry => (entry.id === item.id ? { ...entry, ...values, updatedAt: Date.now() } : entry)));
+            } else {
+                save([{ id: createId(), ...values, createdAt: Date.now() }, ...items]);
+                const valueField = options.fields.find(field => field.type === 'number');
+                shell.activity.record(pageId, valueField ? values[valueField.name] : null);
+            }
+            shell.toast(t('Entry saved'));
+            showList();
+        });
+
+        card.appendChild(form);
+        container.appendChild(card);
+    }
+
+    return {
+        mount(element, services) {
+            container = element;
+            shell = services;
+            showList();
+        },
+
+        // Reload the list when the page is shown again, unless an entry is being edited
+        refresh() {
+            if (!editing) {
+                showList();
+            }
+        }
+    };
+}`;
+    }
+
+    // Countdown with presets, or a stopwatch, that logs finished sessions
+    renderTimerScreen(screen) {
+        return `// ${screen.name}: a countdown with presets, or a stopwatch, that logs finished sessions
+function ${screen.factory}(pageId, options) {
+    const NOTIFICATION_ID = 1001;
+    let shell = null;
+    let display = null;
+    let startButton = null;
+    let history = null;
+    let preset = options.presets.length > 0 ? options.presets[0] : null;
+    let remaining = preset ? preset.minutes * 60000 : 0;
+    let elapsed = 0;
+    let startedAt = 0;
+    let ticker = null;
+
+    function format(milliseconds) {
+        const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = value => String(value).padStart(2, '0');
+        return (hours > 0 ? hours + ':' + pad(minutes) : pad(minutes)) + ':' + pad(seconds);
+    }
+
+    function current() {
+        if (options.mode === 'stopwatch') {
+            return elapsed + (ticker ? Date.now() - startedAt : 0);
+        }
+        return ticker ? startedAt + remaining - Date.now() : remaining;
+    }
+
+    function update() {
+        display.textContent = format(current());
+        startButton.textContent = ticker ? t('Pause') : t('Start');
+        if (options.mode !== 'stopwatch' && ticker && current() <= 0) {
+            finish();
+        }
+    }
+
+    function notifications() {
+        return options.plugins.notification && shell.services.NotificationService.isAvailable()
+            ? shell.services.NotificationService
+            : null;
+    }
+
+    function start() {
+        startedAt = Date.now();
+        ticker = setInterval(update, 250);
+
+        // Let the notification plugin announce the end while the app is in the background
+        const notifier = notifications();
+        if (notifier && options.mode !== 'stopwatch') {
+            notifier.schedule({
+                id: NOTIFICATION_ID,
+                title: shell.info.displayName,
+                text: t('{name} finished', { name: t(preset ? preset.label : options.title) }),
+                at: new Date(startedAt + remaining)
+            });
+        }
+        update();
+    }
+
+    function pause() {
+        if (options.mode === 'stopwatch') {
+            elapsed += Date.now() - startedAt;
+        } else {
+            remaining = Math.max(0, startedAt + remaining - Date.now());
+        }
+        clearInterval(ticker);
+        ticker = null;
+
+        const notifier = notifications();
+        if (notifier) {
+            notifier.cancel(NOTIFICATION_ID);
+        }
+        update();
+    }
+
+    function reset() {
+        if (ticker) {
+            pause();
+        }
+        elapsed = 0;
+        remaining = preset ? preset.minutes * 60000 : 0;
+        update();
+    }
+
+    function logSession(minutes) {
+        const sessions = shell.storage.get(options.collection, []);
+        sessions.unshift({ label: preset ? preset.label : options.title, minutes, at: Date.now() });
+        shell.storage.set(options.collection, sessions.slice(0, 50));
+        shell.activity.record(pageId, minutes);
+        renderHistory();
+    }
+
+    function finish() {
+        clearInterval(ticker);
+        ticker = null;
+        remaining = 0;
+        logSession(preset.minutes);
+
+        if (options.plugins.vibration) {
+            shell.services.VibrationService.vibrate([300, 150, 300]);
+        }
+        shell.toast(t('{name} finished', { name: t(preset.label) }));
+        reset();
+    }
+
+    function stop() {
+        pause();
+        const minutes = Math.round(elapsed / 6000) / 10;
+        if (minutes > 0) {
+            logSession(minutes);
+            shell.toast(t('Session saved: {time}', { time: format(elapsed) }));
+        } else {
+            shell.toast(t('Session too short to save'));
+        }
+        reset();
+    }
+
+    function renderHistory() {
+        const sessions = shell.storage.get(options.collection, []);
+        history.textContent = '';
+        if (sessions.length === 0) {
+            history.appendChild(createElement('p', 'screen-text', t('Finished sessions appear here.')));
+            return;
+        }
+        sessions.slice(0, 5).forEach(session => {
+            history.appendChild(createInfoRow(t(session.label) + ' · ' + new Date(session.at).toLocaleString(), t('{minutes} min', { minutes: session.minutes })));
+        });
+    }
+
+    return {
+        mount(container, services) {
+            shell = services;
+
+            const card = createCard(t(options.title));
+            display = createElement('div', 'timer-display');
+            card.appendChild(display);
+
+            if (options.mode !== 'stopwatch') {
+                const presets = createElement('div', 'timer-presets');
+                options.presets.forEach(item => {
+                    const button = createButton(t(item.label) + ' · ' + t('{minutes} min', { minutes: item.minutes }), 'btn-secondary', () => {
+                        preset = item;
+                        presets.querySelectorAll('.btn').forEach(other => other.classList.toggle('active', other === button));
+                        reset();
+                    });
+                    button.classList.toggle('active', item === preset);
+                    presets.appendChild(button);
+                });
+                card.appendChild(presets);
+            }
+
+            const actions = createElement('div', 'screen-actions');
+            startButton = createButton(t('Start'), 'btn-primary', () => (ticker ? pause() : start()));
+            actions.appendChild(startButton);
+            actions.appendChild(options.mode === 'stopwatch'
+                ? createButton(t('Stop & save'), 'btn-secondary', stop)
+                : createButton(t('Reset'), 'btn-secondary', reset));
+            card.appendChild(actions);
+            container.appendChild(card);
+
+            const historyCard = createCard(t('Recent sessions'));
+            history = createElement('div');
+            historyCard.appendChild(history);
+            container.appendChild(historyCard);
+
+            renderHistory();
+            update();
+        }
+    };
+}`;
+    }
+
+    // Photo capture through the camera plugin or a file input, plus code scanning when the scanner is declared
+    renderCameraScreen(screen) {
+        return `// ${screen.name}: photos from the camera plugin (or a file picker) and scanned codes
+function ${screen.factory}(pageId, options) {
+    const MAX_PHOTOS = 12;
+    const THUMBNAIL_SIZE = 480;
+    let shell = null;
+    let gallery = null;
+    let scans = null;
+    let fileInput = null;
+
+    function shrink(source) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.7));
+            };
+            image.onerror = () => reject(new Error(t('Unsupported image')));
+            image.src = source;
+        });
+    }
+
+    function addPhoto(source) {
+        shrink(source).then(thumbnail => {
+            const photos = shell.storage.get(options.collection, []);
+            const updated = [{ id: createId(), src: thumbnail, at: Date.now() }, ...photos].slice(0, MAX_PHOTOS);
+            shell.storage.set(options.collection, updated).then(saved => {
+                if (!saved) {
+                    shell.storage.set(options.collection, photos);
+                    shell.toast(t('Not enough storage for another photo'));
+                    return;
+                }
+                shell.activity.record(pageId, null);
+                renderGallery();
+            });
+        }).catch(error => shell.toast(t('Could not load photo: {error}', { error: error.message })));
+    }
+
+    function takePhoto() {
+        if (options.plugins.camera && shell.services.CameraService.isAvailable()) {
+            shell.services.CameraService.takePhoto().then(addPhoto, error => {
+                // The plugin rejects with a message string, e.g. when the user cancels
+                const message = String(error && error.message ? error.message : error);
+                if (!/cancel|no image/i.test(message)) {
+                    shell.toast(t('Camera error: {error}', { error: message }));
+                }
+            });
+        } else {
+            fileInput.click();
+        }
+    }
+
+    function scanCode() {
+        if (!shell.services.BarcodeService.isAvailable()) {
+            shell.toast(t('Code scanning needs the app on a device'));
+            return;
+        }
+        shell.services.BarcodeService.scan().then(result => {
+            if (result.cancelled) return;
+            const items = shell.storage.get(options.collection + '-scans', []);
+            items.unshift({ id: createId(), text: result.text, format: result.format, at: Date.now() });
+            shell.storage.set(options.collection + '-scans', items.slice(0, 50));
+            shell.activity.record(pageId, null);
+            renderScans();
+        }, error => shell.toast(t('Scanning failed: {error}', { error })));
+    }
+
+    function renderGallery() {
+        const photos = shell.storage.get(options.collection, []);
+        gallery.textContent = '';
+        if (photos.length === 0) {
+            gallery.appendChild(createElement('p', 'screen-text', t('Captured photos appear here.')));
+            return;
+        }
+        photos.forEach(photo => {
+            const item = createElement('figure', 'photo-item');
+            const image = createElement('img');
+            image.src = photo.src;
+            image.alt = new Date(photo.at).toLocaleString();
+            item.appendChild(image);
+            item.appendChild(createButton('×', 'photo-delete', () => {
+                shell.storage.set(options.collection, shell.storage.get(options.collection, []).filter(entry => entry.id !== photo.id));
+                renderGallery();
+            }));
+            gallery.appendChild(item);
+        });
+    }
+
+    function renderScans() {
+        const items = shell.storage.get(options.collection + '-scans', []);
+        scans.textContent = '';
+        if (items.length === 0) {
+            scans.appendChild(createElement('p', 'screen-text', t('Scanned codes appear here.')));
+            return;
+        }
+        items.slice(0, 10).forEach(item => scans.appendChild(createInfoRow(item.format, item.text)));
+    }
+
+    return {
+        mount(container, services) {
+            shell = services;
+
+            const card = createCard(t(options.title));
+            const actions = createElement('div', 'screen-actions');
+            const photoButton = createButton(t('Take photo'), 'btn-primary', takePhoto);
+            actions.appendChild(photoButton);
+            if (options.plugins.scanner) {
+                const scanButton = createButton(t('Scan code'), 'btn-secondary', scanCode);
+                if (options.primary === 'scan') {
+                    photoButton.className = 'btn btn-secondary';
+                    scanButton.className = 'btn btn-primary';
+                    actions.prepend(scanButton);
+                } else {
+                    actions.appendChild(scanButton);
+                }
+            }
+            card.appendChild(actions);
+
+            // Browser fallback when the camera plugin is not available
+            fileInput = createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = 'image/*';
+            fileInput.setAttribute('capture', 'environment');
+            fileInput.hidden = true;
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => addPhoto(reader.result);
+                reader.readAsDataURL(file);
+                fileInput.value = '';
+            });
+            card.appendChild(fileInput);
+            container.appendChild(card);
+
+            if (options.plugins.scanner) {
+                const scansCard = createCard(t('Scanned codes'));
+                scans = createElement('div');
+                scansCard.appendChild(scans);
+                container.appendChild(scansCard);
+                renderScans();
+            }
+
+            const galleryCard = createCard(t('Photos'));
+            gallery = createElement('div', 'photo-grid');
+            galleryCard.appendChild(gallery);
+            container.appendChild(galleryCard);
+            renderGallery();
+        }
+    };
+}`;
+    }
+
+    // Saved places from the geolocation API, plotted on a canvas so the screen works offline
+    renderMapScreen(screen) {
+        return `// ${screen.name}: saved places from the geolocation API, plotted relative to each other
+function ${screen.factory}(pageId, options) {
+    let shell = null;
+    let canvas = null;
+    let list = null;
+    let nameInput = null;
+
+    function load() {
+        return shell.storage.get(options.collection, []);
+    }
+
+    // Use the location service when the app declares the plugin, the browser's geolocation otherwise
+    function getPosition() {
+        if (options.plugins.geolocation) {
+            return shell.services.LocationService.getCurrentPosition();
+        }
+        if (!navigator.geolocation) {
+            return Promise.reject(new Error(t('Location is not available on this device')));
+        }
+        return new Promise((resolve, reject) => navigator.geolocation.getCurrentPosition(resolve, reject, {
+            enableHighAccuracy: true,
+            timeout: 15000,
+            maximumAge: 60000
+        }));
+    }
+
+    function locate(button) {
+        button.disabled = true;
+        getPosition().then(position => {
+            button.disabled = false;
+            const places = load();
+            places.unshift({
+                id: createId(),
+                name: nameInput.value.trim() || t('Place {number}', { number: places.length + 1 }),
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: Math.round(position.coords.accuracy || 0),
+                at: Date.now()
+            });
+            shell.storage.set(options.collection, places);
+            shell.activity.record(pageId, null);
+            nameInput.value = '';
+            render();
+        }, error => {
+            button.disabled = false;
+            shell.toast(t('Could not get your location: {error}', { error: error.message }));
+        });
+    }
+
+    function draw(places) {
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 320;
+        const height = 220;
+        const padding = 24;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        context.strokeStyle = themeColor('border-color', '#e2e8f0');
+        for (let x = 0; x <= width; x += 40) {
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, height);
+            context.stroke();
+        }
+        for (let y = 0; y <= height; y += 40) {
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(width, y);
+            context.stroke();
+        }
+        if (places.length === 0) return;
+
+        const latitudes = places.map(place => place.latitude);
+        const longitudes = places.map(place => place.longitude);
+        const minLatitude = Math.min(...latitudes);
+        const minLongitude = Math.min(...longitudes);
+        const span = Math.max(Math.max(...latitudes) - minLatitude, Math.max(...longitudes) - minLongitude, 0.001);
+
+        const pinColor = themeColor('primary-color', shell.info.color);
+        const labelColor = themeColor('text-primary', '#1a202c');
+        places.slice().reverse().forEach(place => {
+            const x = padding + ((place.longitude - minLongitude) / span) * (width - padding * 2);
+            const y = height - padding - ((place.latitude - minLatitude) / span) * (height - padding * 2);
+            context.fillStyle = pinColor;
+            context.beginPath();
+            context.arc(x, y, 6, 0, Math.PI * 2);
+            context.fill();
+            context.fillStyle = labelColor;
+            context.font = '12px sans-serif';
+            context.fillText(place.name, x + 9, y + 4);
+        });
+    }
+
+    function render() {
+        const places = load();
+        list.textContent = '';
+        if (places.length === 0) {
+            list.appendChild(createElement('p', 'screen-text', t('Save your current location to start.')));
+        }
+        places.forEach(place => {
+            const row = createElement('div', 'list-item');
+            const main = createElement('div', 'list-item-main');
+            main.appendChild(createElement('span', 'list-item-title', place.name));
+            main.appendChild(createElement('span', 'list-item-meta',
+                place.latitude.toFixed(5) + ', ' + place.longitude.toFixed(5) + ' · ±' + place.accuracy + ' m'));
+            row.appendChild(main);
+
+            const link = createElement('a', 'btn btn-secondary', t('Map'));
+            link.href = 'https://www.openstreetmap.org/?mlat=' + place.latitude + '&mlon=' + place.longitude + '#map=16/' + place.latitude + '/' + place.longitude;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            row.appendChild(link);
+            row.appendChild(createButton('×', 'btn-danger', () => {
+                shell.storage.set(options.collection, load().filter(entry => entry.id !== place.id));
+                render();
+            }));
+            list.appendChild(row);
+        });
+        draw(places);
+    }
+
+    return {
+        mount(container, services) {
+            shell = services;
+
+            const card = createCard(t(options.title));
+            canvas = createElement('canvas', 'screen-canvas');
+            canvas.setAttribute('aria-label', t('Saved places'));
+            card.appendChild(canvas);
+
+            const form = createElement('div', 'screen-actions');
+            nameInput = createElement('input', 'form-input');
+            nameInput.placeholder = t('Name this place');
+            nameInput.setAttribute('aria-label', t('Place name'));
+            form.appendChild(nameInput);
+            const locateButton = createButton(t('Save my location'), 'btn-primary', () => locate(locateButton));
+            form.appendChild(locateButton);
+            card.appendChild(form);
+            container.appendChild(card);
+
+            const placesCard = createCard(t('Saved places'));
+            list = createElement('div', 'item-list');
+            placesCard.appendChild(list);
+            container.appendChild(placesCard);
+            render();
+        },
+
+        refresh() {
+            render();
+        }
+    };
+}`;
+    }
+
+    // Dashboard of the activity the other feature screens record
+    renderChartScreen(screen) {
+        return `// ${screen.name}: daily activity and per-screen totals from the other feature screens
+function ${screen.factory}(pageId, options) {
+    const DAY = 86400000;
+    let shell = null;
+    let canvas = null;
+    let tiles = null;
+
+    function days(entries) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        return Array.from({ length: options.days }, (value, index) => {
+            const start = today.getTime() - (options.days - 1 - index) * DAY;
+            return {
+                label: new Date(start).toLocaleDateString(undefined, { weekday: 'short' }),
+                count: entries.filter(entry => entry.at >= start && entry.at < start + DAY).length
+            };
+        });
+    }
+
+    function draw(buckets) {
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 320;
+        const height = 200;
+        const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+        const slot = width / buckets.length;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.font = '12px sans-serif';
+        context.textAlign = 'center';
+
+        const barColor = themeColor('primary-color', shell.info.color);
+        const labelColor = themeColor('text-secondary', '#4a5568');
+        buckets.forEach((bucket, index) => {
+            const barHeight = (bucket.count / max) * (height - 48);
+            const x = index * slot + slot * 0.2;
+            context.fillStyle = barColor;
+            context.fillRect(x, height - 24 - barHeight, slot * 0.6, barHeight);
+            context.fillStyle = labelColor;
+            context.fillText(bucket.label, x + slot * 0.3, height - 6);
+            if (bucket.count > 0) {
+                context.fillText(String(bucket.count), x + slot * 0.3, height - 30 - barHeight);
+            }
+        });
+    }
+
+    function render() {
+        const entries = shell.activity.list();
+        const buckets = days(entries);
+        canvas.setAttribute('aria-label', buckets.map(bucket => bucket.label + ': ' + bucket.count).join(', '));
+        draw(buckets);
+
+        tiles.textContent = '';
+        const sources = PAGES.filter(page => page.id !== pageId && entries.some(entry => entry.page === page.id));
+        if (sources.length === 0) {
+            tiles.appendChild(createElement('p', 'screen-text', t('Activity from the other screens shows up here.')));
+            return;
+        }
+        sources.forEach(page => {
+            const own = entries.filter(entry => entry.page === page.id);
+            const total = own.reduce((sum, entry) => sum + (typeof entry.value === 'number' ? entry.value : 0), 0);
+            const tile = createElement('div', 'stat-tile');
+            tile.appendChild(createElement('span', 'stat-value', String(own.length)));
+            tile.appendChild(createElement('span', 'stat-label', page.icon + ' ' + t(page.title)));
+            if (total) {
+                tile.appendChild(createElement('span', 'stat-label', t('Total {value}', { value: Math.round(total * 100) / 100 })));
+            }
+            tiles.appendChild(tile);
+        });
+    }
+
+    return {
+        mount(container, services) {
+            shell = services;
+
+            const card = createCard(t(options.title));
+            card.appendChild(createElement('p', 'screen-text', t('Entries over the last {days} days', { days: options.days })));
+            canvas = createElement('canvas', 'screen-canvas');
+            canvas.setAttribute('role', 'img');
+            card.appendChild(canvas);
+            container.appendChild(card);
+
+            const totals = createCard(t('Totals'));
+            tiles = createElement('div', 'stat-grid');
+            totals.appendChild(tiles);
+            container.appendChild(totals);
+            render();
+        },
+
+        refresh() {
+            render();
+        }
+    };
+}`;
+    }
+}
+
+// Feature pages an app gets at most, between the home and settings pages of the tab bar
+ScreenLibrary.MAX_FEATURE_PAGES = 3;
+
+// Page ids the navigation shell uses itself, for pages or for the data it stores
+ScreenLibrary.RESERVED_PAGE_IDS = ['home', 'settings', 'activity', 'data', 'locale'];
+
+// Turn a feature name into a page id
+ScreenLibrary.toPageId = function(feature) {
+    return String(feature).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'items';
+};
+
+// Indent the continuation lines of rendered source by one level
+ScreenLibrary.indent = function(source) {
+    return source.split('\n').join('\n    ');
+};
+
+// Data store field types of the list form's input types
+ScreenLibrary.FIELD_TYPES = {
+    text: 'string',
+    textarea: 'string',
+    number: 'number',
+    date: 'date',
+    checkbox: 'boolean'
+};
+
+// Form fields of the list screens; the first field is the entry title
+ScreenLibrary.LIST_FIELDS = {
+    notes: [
+        { name: 'title', label: 'Title', type: 'text', required: true },
+        { name: 'notes', label: 'Notes', type: 'textarea' }
+    ],
+    checklist: [
+        { name: 'title', label: 'Title', type: 'text', required: true },
+        { name: 'notes', label: 'Notes', type: 'textarea' },
+        { name: 'done', label: 'Done', type: 'checkbox' }
+    ],
+    amounts: [
+        { name: 'title', label: 'Description', type: 'text', required: true },
+        { name: 'amount', label: 'Amount', type: 'number' },
+        { name: 'date', label: 'Date', type: 'date' },
+        { name: 'notes', label: 'Notes', type: 'textarea' }
+    ]
+};
+
+// Built-in screens; plugin roles map to the catalog ids the screen uses when a template declares them,
+// and collections names the method that describes what the screen stores
+ScreenLibrary.DEFAULT_SCREENS = [
+    {
+        id: 'list',
+        name: 'List and detail',
+        icon: '📋',
+        factory: 'createListScreen',
+        defaults: { fields: ScreenLibrary.LIST_FIELDS.notes },
+        render: 'renderListScreen',
+        collections: 'listCollections',
+        styles: `
+.list-item-done .list-item-title {
+    color: var(--text-muted);
+    text-decoration: line-through;
+}
+
+.list-item-check {
+    width: 1.25rem;
+    height: 1.25rem;
+    accent-color: var(--primary-color);
+}
+
+.screen-form {
+    display: flex;
+    flex-direction: column;
+    gap: var(--spacing);
+}
+
+.form-field {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+}
+
+.form-field-inline {
+    flex-direction: row-reverse;
+    justify-content: flex-end;
+    align-items: center;
+    gap: calc(var(--spacing) * 0.5);
+}
+
+.form-label {
+    color: var(--text-secondary);
+    font-size: 0.875rem;
+    font-weight: 600;
+}
+
+textarea.form-input {
+    min-height: 6rem;
+    resize: vertical;
+}
+`
+    },
+    {
+        id: 'timer',
+        name: 'Timer',
+        icon: '⏱️',
+        factory: 'createTimerScreen',
+        plugins: { notification: 'cordova-plugin-local-notification', vibration: 'cordova-plugin-vibration' },
+        defaults: { mode: 'countdown', presets: [{ label: 'Timer', minutes: 10 }] },
+        render: 'renderTimerScreen',
+        collections: 'timerCollections',
+        styles: `
+.timer-display {
+    font-size: 3.5rem;
+    font-weight: 700;
+    font-variant-numeric: tabular-nums;
+    text-align: center;
+    color: var(--primary-color);
+    margin: var(--spacing) 0;
+}
+
+.timer-presets {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: calc(var(--spacing) * 0.5);
+    margin-bottom: var(--spacing);
+}
+
+.timer-presets .btn.active {
+    border-color: var(--secondary-color);
+    color: var(--secondary-color);
+}
+
+.timer-display + .screen-actions,
+.timer-presets + .screen-actions {
+    justify-content: center;
+}
+`
+    },
+    {
+        id: 'camera',
+        name: 'Camera capture',
+        icon: '📷',
+        factory: 'createCameraScreen',
+        plugins: { camera: 'cordova-plugin-camera', scanner: 'phonegap-plugin-barcodescanner' },
+        defaults: { primary: 'photo' },
+        render: 'renderCameraScreen',
+        collections: 'cameraCollections',
+        styles: `
+.photo-grid {
+    display: grid;
+    grid-template-columns: repeat(3, 1fr);
+    gap: calc(var(--spacing) * 0.5);
+}
+
+.photo-item {
+    position: relative;
+    margin: 0;
+}
+
+.photo-item img {
+    display: block;
+    width: 100%;
+    aspect-ratio: 1;
+    object-fit: cover;
+    border-radius: var(--radius);
+}
+
+.photo-delete {
+    position: absolute;
+    top: 0.25rem;
+    right: 0.25rem;
+    width: 1.75rem;
+    height: 1.75rem;
+    border: none;
+    border-radius: 50%;
+    background: rgba(0, 0, 0, 0.6);
+    color: white;
+    cursor: pointer;
+}
+`
+    },
+    {
+        id: 'map',
+        name: 'Map view',
+        icon: '📍',
+        factory: 'createMapScreen',
+        plugins: { geolocation: 'cordova-plugin-geolocation' },
+        render: 'renderMapScreen',
+        collections: 'mapCollections',
+        styles: `
+.screen-actions .form-input {
+    flex: 1;
+    min-width: 0;
+}
+`
+    },
+    {
+        id: 'chart',
+        name: 'Chart dashboard',
+        icon: '📊',
+        factory: 'createChartScreen',
+        defaults: { days: 7 },
+        render: 'renderChartScreen',
+        styles: `
+.stat-grid {
+    display: grid;
+    grid-template-columns: repeat(2, 1fr);
+    gap: calc(var(--spacing) * 0.75);
+}
+
+.stat-tile {
+    display: flex;
+    flex-direction: column;
+    padding: var(--spacing);
+    border-radius: var(--radius);
+    background: var(--bg-secondary);
+}
+
+.stat-value {
+    font-size: 1.5rem;
+    font-weight: var(--heading-weight);
+    color: var(--secondary-color);
+}
+
+.stat-label {
+    color: var(--text-secondary);
+    font-size: 0.8125rem;
+}
+`
+    }
+];
+
+// Feature keywords in priority order; the first matching rule picks a feature's screen and its options
+ScreenLibrary.FEATURE_RULES = [
+    {
+        pattern: /pomodoro|focus/i,
+        screen: 'timer',
+        options: { presets: [{ label: 'Focus', minutes: 25 }, { label: 'Short break', minutes: 5 }, { label: 'Long break', minutes: 15 }] }
+    },
+    {
+        pattern: /meditat|breath|mindful|relax/i,
+        screen: 'timer',
+        icon: '🧘',
+        options: { presets: [{ label: 'Breathe', minutes: 3 }, { label: 'Meditate', minutes: 10 }, { label: 'Deep session', minutes: 20 }] }
+    },
+    {
+        pattern: /workout|exercise|training|interval/i,
+        screen: 'timer',
+        icon: '💪',
+        options: { presets: [{ label: 'Warm-up', minutes: 5 }, { label: 'Workout', minutes: 20 }, { label: 'Cool-down', minutes: 5 }] }
+    },
+    {
+        pattern: /cook|timer|alarm|countdown/i,
+        screen: 'timer',
+        options: { presets: [{ label: 'Short', minutes: 5 }, { label: 'Medium', minutes: 15 }, { label: 'Long', minutes: 30 }] }
+    },
+    { pattern: /time tracking|stopwatch|session|sleep/i, screen: 'timer', options: { mode: 'stopwatch', presets: [] } },
+    { pattern: /\bqr\b|barcode/i, screen: 'camera', icon: '🔳', options: { primary: 'scan' } },
+    { pattern: /photo|camera|receipt scan|document scan|card scan|image|ocr|selfie/i, screen: 'camera' },
+    { pattern: /\bmaps?\b|location|gps|route|geo/i, screen: 'map' },
+    { pattern: /chart|report|analytic|insight|statistic|progress|dashboard|monitor|analysis|trend/i, screen: 'chart' },
+    {
+        pattern: /expense|budget|bill|payment|invoice|sales|portfolio|price|financ/i,
+        screen: 'list',
+        icon: '💰',
+        options: { fields: ScreenLibrary.LIST_FIELDS.amounts }
+    },
+    {
+        pattern: /task|habit|goal|to-?do|checklist|shopping|reminder|watchlist|wishlist/i,
+        screen: 'list',
+        icon: '✅',
+        options: { fields: ScreenLibrary.LIST_FIELDS.checklist }
+    },
+    {
+        pattern: /track|manag|organi|list|plan|stor|histor|collection|contact|inventory|note|library|bookmark|schedul|recipe|lesson|flashcard|quiz|event|journal|diary|record/i,
+        screen: 'list'
+    }
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ScreenLibrary = ScreenLibrary;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScreenLibrary;
+}
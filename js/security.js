@@ -17,6 +17,110 @@ class SecurityUtils {
         return div.innerHTML;
     }
 
+    /**
+     * Escape a value for XML text or attribute content (config.xml, plists)
+     * @param {*} value - Raw value
+     * @returns {string} Escaped value
+     */
+    static escapeXml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Escape a value for HTML text or quoted attribute content in generated files.
+     * Unlike sanitizeHtml this does not need a DOM, so it also works in Node.js.
+     * @param {*} value - Raw value
+     * @returns {string} Escaped value
+     */
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape a value for the inside of a JavaScript string literal.
+     * The result is safe between single quotes, double quotes or backticks.
+     * @param {*} value - Raw value
+     * @returns {string} Escaped value, without surrounding quotes
+     */
+    static escapeJsString(value) {
+        return JSON.stringify(String(value ?? ''))
+            .slice(1, -1)
+            .replace(/'/g, "\\'")
+            .replace(/`/g, '\\`')
+            .replace(/\$\{/g, '\\${')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029')
+            .replace(/<\//g, '<\\/');
+    }
+
+    /**
+     * Keep a value inside a single-line or block comment (JavaScript, CSS, shell, YAML)
+     * @param {*} value - Raw value
+     * @returns {string} Value on one line, without comment terminators
+     */
+    static escapeComment(value) {
+        return String(value ?? '')
+            .replace(/[\r\n\u2028\u2029]+/g, ' ')
+            .replace(/\*\//g, '* /');
+    }
+
+    /**
+     * Turn a name into a PascalCase JavaScript identifier, e.g. "2048 Game" -> "_2048Game"
+     * @param {*} value - Raw name
+     * @param {string} fallback - Identifier used when the name has no usable characters
+     * @returns {string} Valid identifier
+     */
+    static toJsIdentifier(value, fallback = 'App') {
+        const identifier = String(value ?? '')
+            .split(/[^A-Za-z0-9_$]+/)
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join('') || fallback;
+
+        return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+    }
+
+    /**
+     * Quote a value as a YAML double-quoted scalar (JSON strings are valid YAML)
+     * @param {*} value - Raw value
+     * @returns {string} Quoted value, including the surrounding quotes
+     */
+    static toYamlString(value) {
+        return JSON.stringify(String(value ?? ''));
+    }
+
+    /**
+     * Escape Markdown syntax and inline HTML so a value renders as plain text
+     * @param {*} value - Raw value
+     * @returns {string} Escaped value
+     */
+    static escapeMarkdown(value) {
+        return String(value ?? '')
+            .replace(/[\\`*_{}[\]()#+!|~]/g, '\\$&')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/^(\s*)([-=])/gm, '$1\\$2');
+    }
+
+    /**
+     * Quote a value as a single POSIX shell argument
+     * @param {*} value - Raw value
+     * @returns {string} Quoted value, including the surrounding quotes
+     */
+    static toShellArg(value) {
+        return `'${String(value ?? '').replace(/'/g, `'\\''`)}'`;
+    }
+
     /**
      * Validate package name format
      * @param {string} packageName - Package name to validate
@@ -25,7 +129,7 @@ class SecurityUtils {
     static validatePackageName(packageName) {
         if (!packageName || typeof packageName !== 'string') return false;
         
-        const config = window.CONFIG?.validation?.packageName || {
+        const config = (typeof window !== 'undefined' && window.CONFIG?.validation?.packageName) || {
             pattern: /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)*$/,
             minLength: 3,
             maxLength: 100
@@ -95,18 +199,28 @@ class SecurityUtils {
      * @returns {boolean} True if format is valid
      */
     static validateGitHubToken(token) {
-        if (!token || typeof token !== 'string') return false;
-        
-        // GitHub personal access tokens start with 'ghp_' and are 40 characters total
-        // GitHub app tokens start with 'ghs_' and are 40 characters total
-        // Classic tokens are 40 characters of hex
-        const tokenPatterns = [
-            /^ghp_[a-zA-Z0-9]{36}$/, // Personal access token
-            /^ghs_[a-zA-Z0-9]{36}$/, // App token
-            /^[a-f0-9]{40}$/         // Classic token
-        ];
-        
-        return tokenPatterns.some(pattern => pattern.test(token));
+        return this.getGitHubTokenType(token) !== null;
+    }
+
+    /**
+     * Tell the kind of GitHub token from its format
+     * @param {string} token - GitHub token
+     * @returns {string|null} 'classic', 'fine-grained', 'installation' or null if the format is unknown
+     */
+    static getGitHubTokenType(token) {
+        if (!token || typeof token !== 'string') return null;
+
+        // Classic personal access tokens start with 'ghp_' and are 40 characters total; older ones are 40 hex characters
+        // Fine-grained personal access tokens start with 'github_pat_'
+        // GitHub App installation tokens start with 'ghs_' and are 40 characters total
+        const tokenPatterns = {
+            classic: [/^ghp_[a-zA-Z0-9]{36}$/, /^[a-f0-9]{40}$/],
+            'fine-grained': [/^github_pat_[a-zA-Z0-9_]{22,}$/],
+            installation: [/^ghs_[a-zA-Z0-9]{36}$/]
+        };
+
+        const match = Object.entries(tokenPatterns).find(([, patterns]) => patterns.some(pattern => pattern.test(token)));
+        return match ? match[0] : null;
     }
 
     /**
@@ -292,6 +406,11 @@ class SecurityUtils {
             localStorage.removeItem(key);
             sessionStorage.removeItem(key);
         });
+
+        // The vault itself stays encrypted in localStorage; only its key is dropped
+        if (typeof window !== 'undefined') {
+            window.tokenVault?.lock('cleanup');
+        }
     }
 
     /**
@@ -0,0 +1,1371 @@
+/**
+ * Service Library
+ * Promise-based service modules for the plugins in the template catalog, with the Node tests that exercise
+ * them against plugin stubs. Generated apps get the services of the plugins they declare
+ */
+
+class ServiceLibrary {
+    constructor(services = ServiceLibrary.DEFAULT_SERVICES) {
+        this.services = new Map();
+        services.forEach(service => this.register(service));
+    }
+
+    // Register (or replace) a service definition
+    register(service) {
+        if (!service || !service.pluginId || !service.name || !service.source) {
+            throw new Error('Service definition requires a plugin id, a name and its source');
+        }
+
+        const definition = {
+            pluginId: service.pluginId,
+            name: service.name,
+            methods: service.methods || [],
+            source: service.source.trim(),
+            test: (service.test || '').trim()
+        };
+
+        this.services.set(definition.pluginId, definition);
+        return definition;
+    }
+
+    // Check whether a plugin has a service
+    has(pluginId) {
+        return this.services.has(pluginId);
+    }
+
+    // Get the service of a plugin
+    get(pluginId) {
+        return this.services.get(pluginId) || null;
+    }
+
+    // Get all service definitions
+    getAll() {
+        return Array.from(this.services.values());
+    }
+
+    // Get the services of an app: one per core or declared plugin that has a service, in library order
+    getServices(config) {
+        const plugins = new Set([...PluginRegistry.CORE_PLUGINS, ...(config.plugins || [])]);
+        return this.getAll().filter(service => plugins.has(service.pluginId));
+    }
+
+    // Render services.js; 'script' sets window.AppServices, 'module' exports each service
+    renderModule(config, format) {
+        const services = this.getServices(config);
+        const names = services.map(service => service.name);
+
+        const body = `// Namespace of the app's secure storage and other per-app plugin state
+const SERVICE_NAMESPACE = ${JSON.stringify(config.appName)};
+
+// Wrap a callback-style plugin call in a promise
+function callPlugin(invoke) {
+    return new Promise((resolve, reject) => invoke(resolve, reject));
+}
+
+// Reject calls to a plugin that is not installed, e.g. when the app runs in a browser
+function unavailable(feature) {
+    return Promise.reject(new Error(feature + ' is not available on this device'));
+}
+
+// Get a plugin that registers itself under cordova.plugins
+function cordovaPlugin(name) {
+    return window.cordova && window.cordova.plugins ? window.cordova.plugins[name] : undefined;
+}
+
+${services.map(service => `// ${service.pluginId}\n${service.source}`).join('\n\n')}`;
+
+        const header = `/*
+ * ${SecurityUtils.escapeComment(config.displayName)} - Plugin Services
+ * One service per Cordova plugin the app declares; every call checks that its plugin is installed
+ */
+`;
+
+        if (format === 'module') {
+            return `${header}
+${body}
+
+export { ${names.join(', ')} };
+`;
+        }
+
+        const indented = body.split('\n').map(line => (line ? `    ${line}` : line)).join('\n');
+        return `${header}
+window.AppServices = (function () {
+    'use strict';
+
+${indented}
+
+    return {
+${names.map(name => `        ${name}`).join(',\n')}
+    };
+})();`;
+    }
+
+    // Render the Node tests of an app's services and the sandbox that loads services.js without a browser
+    renderTests(config, modulePath) {
+        const services = this.getServices(config);
+
+        return {
+            'test/support/sandbox.js': ServiceLibrary.SANDBOX_SOURCE,
+            'test/services.test.js': `/*
+ * ${SecurityUtils.escapeComment(config.displayName)} - Plugin Service Tests
+ * Run with "npm test"; plugins are replaced by stubs, so no device or emulator is needed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/sandbox');
+
+// Load the services with the given browser globals; no globals means no plugins are installed
+function load(globals = {}) {
+    const { exports } = loadModule(${JSON.stringify(modulePath)}, globals);
+    return exports.AppServices || exports;
+}
+
+test('services report missing plugins instead of throwing', () => {
+    const services = load();
+${services.map(service => `    assert.equal(services.${service.name}.isAvailable(), false, '${service.name}');`).join('\n')}
+});
+
+${services.filter(service => service.test).map(service => service.test).join('\n\n')}
+`
+        };
+    }
+}
+
+// Script that runs the tests of generated apps
+ServiceLibrary.TEST_SCRIPT = 'node --test test/*.test.js';
+
+// Sandbox the generated tests load www/ and src/ modules with
+ServiceLibrary.SANDBOX_SOURCE = `/*
+ * Test sandbox: runs a www/ or src/ module in a fresh context with stubbed browser globals
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// Create a window without any plugin; globals are added to it or replace its defaults
+function createWindow(globals = {}) {
+    const window = {
+        console,
+        setTimeout,
+        clearTimeout,
+        navigator: {},
+        document: {
+            addEventListener() {},
+            removeEventListener() {}
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        ...globals
+    };
+    window.window = window;
+    return window;
+}
+
+// Run a module; its ES module exports, or the window globals a classic script sets, become the exports
+function loadModule(file, globals = {}) {
+    const window = createWindow(globals);
+    const source = fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf8')
+        .replace(/^export \\{([^}]*)\\};?\\s*$/m, 'window.__exports = {$1};');
+
+    vm.runInNewContext(source, window, { filename: file });
+    return { window, exports: window.__exports || window };
+}
+
+module.exports = { createWindow, loadModule };
+`;
+
+// Services of the catalog plugins; cordova-plugin-whitelist has no JavaScript API and no service
+ServiceLibrary.DEFAULT_SERVICES = [
+    {
+        pluginId: 'cordova-plugin-geolocation',
+        name: 'LocationService',
+        methods: ['getCurrentPosition', 'watch'],
+        source: `
+const LocationService = {
+    isAvailable() {
+        return Boolean(navigator.geolocation);
+    },
+
+    // Resolve with the current position
+    getCurrentPosition(options = {}) {
+        if (!this.isAvailable()) return unavailable('Geolocation');
+        return callPlugin((resolve, reject) => navigator.geolocation.getCurrentPosition(resolve, reject, {
+            enableHighAccuracy: true,
+            timeout: 15000,
+            maximumAge: 60000,
+            ...options
+        }));
+    },
+
+    // Call onPosition with every position update; returns a function that stops watching
+    watch(onPosition, onError = () => {}, options = {}) {
+        if (!this.isAvailable()) {
+            onError(new Error('Geolocation is not available on this device'));
+            return () => {};
+        }
+        const watchId = navigator.geolocation.watchPosition(onPosition, onError, { enableHighAccuracy: true, ...options });
+        return () => navigator.geolocation.clearWatch(watchId);
+    }
+};`,
+        test: `
+test('LocationService resolves positions and stops watching', async () => {
+    await assert.rejects(load().LocationService.getCurrentPosition(), /not available/);
+
+    const cleared = [];
+    const geolocation = {
+        getCurrentPosition(success) {
+            success({ coords: { latitude: 48.85, longitude: 2.35 } });
+        },
+        watchPosition(success) {
+            success({ coords: { latitude: 51.5, longitude: -0.12 } });
+            return 7;
+        },
+        clearWatch(watchId) {
+            cleared.push(watchId);
+        }
+    };
+    const { LocationService } = load({ navigator: { geolocation } });
+
+    const position = await LocationService.getCurrentPosition();
+    assert.equal(position.coords.latitude, 48.85);
+
+    const latitudes = [];
+    const stop = LocationService.watch(update => latitudes.push(update.coords.latitude));
+    stop();
+    assert.deepEqual(latitudes, [51.5]);
+    assert.deepEqual(cleared, [7]);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-camera',
+        name: 'CameraService',
+        methods: ['takePhoto', 'pickPhoto'],
+        source: `
+const CameraService = {
+    isAvailable() {
+        return Boolean(navigator.camera && window.Camera);
+    },
+
+    // Resolve with a JPEG data URL from the camera
+    takePhoto(options = {}) {
+        return this.getPicture('CAMERA', options);
+    },
+
+    // Resolve with a JPEG data URL from the photo library
+    pickPhoto(options = {}) {
+        return this.getPicture('PHOTOLIBRARY', options);
+    },
+
+    getPicture(source, options) {
+        if (!this.isAvailable()) return unavailable('Camera');
+        return callPlugin((resolve, reject) => navigator.camera.getPicture(resolve, reject, {
+            quality: 70,
+            destinationType: Camera.DestinationType.DATA_URL,
+            encodingType: Camera.EncodingType.JPEG,
+            sourceType: Camera.PictureSourceType[source],
+            targetWidth: 1024,
+            targetHeight: 1024,
+            correctOrientation: true,
+            ...options
+        })).then(data => 'data:image/jpeg;base64,' + data);
+    }
+};`,
+        test: `
+test('CameraService returns data URLs from the camera and the library', async () => {
+    await assert.rejects(load().CameraService.takePhoto(), /not available/);
+
+    const sources = [];
+    const { CameraService } = load({
+        Camera: {
+            DestinationType: { DATA_URL: 0 },
+            EncodingType: { JPEG: 0 },
+            PictureSourceType: { PHOTOLIBRARY: 0, CAMERA: 1 }
+        },
+        navigator: {
+            camera: {
+                getPicture(success, error, options) {
+                    sources.push(options.sourceType);
+                    success('AAAA');
+                }
+            }
+        }
+    });
+
+    assert.equal(await CameraService.takePhoto(), 'data:image/jpeg;base64,AAAA');
+    await CameraService.pickPhoto();
+    assert.deepEqual(sources, [1, 0]);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-file',
+        name: 'FileService',
+        methods: ['writeText', 'readText'],
+        source: `
+const FileService = {
+    isAvailable() {
+        return Boolean(window.resolveLocalFileSystemURL && window.cordova && window.cordova.file);
+    },
+
+    // Get a file in the app's private data directory
+    getFile(name, create) {
+        return callPlugin((resolve, reject) => window.resolveLocalFileSystemURL(cordova.file.dataDirectory, resolve, reject))
+            .then(directory => callPlugin((resolve, reject) => directory.getFile(name, { create }, resolve, reject)));
+    },
+
+    // Write a text file
+    writeText(name, text) {
+        if (!this.isAvailable()) return unavailable('File storage');
+        return this.getFile(name, true)
+            .then(entry => callPlugin((resolve, reject) => entry.createWriter(resolve, reject)))
+            .then(writer => new Promise((resolve, reject) => {
+                writer.onwriteend = () => resolve();
+                writer.onerror = reject;
+                writer.write(new Blob([text], { type: 'text/plain' }));
+            }));
+    },
+
+    // Read a text file
+    readText(name) {
+        if (!this.isAvailable()) return unavailable('File storage');
+        return this.getFile(name, false)
+            .then(entry => callPlugin((resolve, reject) => entry.file(resolve, reject)))
+            .then(file => new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onloadend = () => resolve(reader.result);
+                reader.onerror = reject;
+                reader.readAsText(file);
+            }));
+    }
+};`,
+        test: `
+test('FileService writes and reads text files in the data directory', async () => {
+    await assert.rejects(load().FileService.readText('notes.txt'), /not available/);
+
+    const files = {};
+    const directory = {
+        getFile(name, options, success, error) {
+            if (!options.create && !(name in files)) return error(new Error('Not found'));
+            success({
+                createWriter(done) {
+                    const writer = {
+                        write(blob) {
+                            blob.text().then(text => {
+                                files[name] = text;
+                                writer.onwriteend();
+                            });
+                        }
+                    };
+                    done(writer);
+                },
+                file(done) {
+                    done(files[name]);
+                }
+            });
+        }
+    };
+    class FileReader {
+        readAsText(text) {
+            this.result = text;
+            this.onloadend();
+        }
+    }
+    const { FileService } = load({
+        Blob,
+        FileReader,
+        cordova: { file: { dataDirectory: 'file:///data/' } },
+        resolveLocalFileSystemURL(url, success) {
+            success(directory);
+        }
+    });
+
+    await FileService.writeText('notes.txt', 'hello');
+    assert.equal(await FileService.readText('notes.txt'), 'hello');
+    await assert.rejects(FileService.readText('missing.txt'), /Not found/);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-local-notification',
+        name: 'NotificationService',
+        methods: ['requestPermission', 'schedule', 'cancel'],
+        source: `
+const NotificationService = {
+    isAvailable() {
+        const notification = cordovaPlugin('notification');
+        return Boolean(notification && notification.local);
+    },
+
+    // Resolve with whether the user allows notifications
+    requestPermission() {
+        if (!this.isAvailable()) return unavailable('Local notifications');
+        return callPlugin(resolve => cordova.plugins.notification.local.requestPermission(resolve));
+    },
+
+    // Schedule a notification, now or at a Date; resolves with its id
+    schedule({ id = Date.now() % 2147483647, title, text, at = null }) {
+        if (!this.isAvailable()) return unavailable('Local notifications');
+        const notification = { id, title, text, ...(at ? { trigger: { at } } : {}) };
+        return callPlugin(resolve => cordova.plugins.notification.local.schedule(notification, () => resolve(id)));
+    },
+
+    // Cancel a scheduled notification
+    cancel(id) {
+        if (!this.isAvailable()) return unavailable('Local notifications');
+        return callPlugin(resolve => cordova.plugins.notification.local.cancel(id, resolve));
+    }
+};`,
+        test: `
+test('NotificationService schedules and cancels notifications', async () => {
+    await assert.rejects(load().NotificationService.schedule({ title: 'Hi' }), /not available/);
+
+    const scheduled = {};
+    const local = {
+        requestPermission(callback) {
+            callback(true);
+        },
+        schedule(notification, callback) {
+            scheduled[notification.id] = notification;
+            callback();
+        },
+        cancel(id, callback) {
+            delete scheduled[id];
+            callback();
+        }
+    };
+    const { NotificationService } = load({ cordova: { plugins: { notification: { local } } } });
+    const at = new Date(Date.now() + 60000);
+
+    assert.equal(await NotificationService.requestPermission(), true);
+    assert.equal(await NotificationService.schedule({ id: 3, title: 'Timer', text: 'Done', at }), 3);
+    assert.equal(scheduled[3].trigger.at, at);
+    await NotificationService.cancel(3);
+    assert.equal(scheduled[3], undefined);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-network-information',
+        name: 'NetworkService',
+        methods: ['getType', 'isOnline', 'onChange'],
+        source: `
+const NetworkService = {
+    isAvailable() {
+        return Boolean(navigator.connection && window.Connection);
+    },
+
+    // Get the connection type, e.g. "wifi", "4g" or "none"
+    getType() {
+        if (this.isAvailable()) return navigator.connection.type;
+        return navigator.onLine === false ? 'none' : 'unknown';
+    },
+
+    isOnline() {
+        return this.getType() !== 'none';
+    },
+
+    // Call callback(isOnline) when connectivity changes; returns a function that stops listening
+    onChange(callback) {
+        // The plugin fires online/offline on document, browsers on window
+        const target = this.isAvailable() ? document : window;
+        const listener = () => callback(this.isOnline());
+        target.addEventListener('online', listener, false);
+        target.addEventListener('offline', listener, false);
+        return () => {
+            target.removeEventListener('online', listener, false);
+            target.removeEventListener('offline', listener, false);
+        };
+    }
+};`,
+        test: `
+test('NetworkService reports the connection and its changes', () => {
+    assert.equal(load({ navigator: { onLine: false } }).NetworkService.isOnline(), false);
+
+    const connection = { type: 'wifi' };
+    const listeners = new Set();
+    const document = {
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+    const { NetworkService } = load({ document, Connection: { NONE: 'none' }, navigator: { connection } });
+    const changes = [];
+    const stop = NetworkService.onChange(online => changes.push(online));
+
+    assert.equal(NetworkService.getType(), 'wifi');
+    connection.type = 'none';
+    listeners.forEach(listener => listener());
+    stop();
+    assert.equal(listeners.size, 0);
+    assert.deepEqual(changes, [false]);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-device',
+        name: 'DeviceService',
+        methods: ['getInfo'],
+        source: `
+const DeviceService = {
+    isAvailable() {
+        return Boolean(window.device);
+    },
+
+    // Get the platform and model; falls back to the browser when the plugin is missing
+    getInfo() {
+        if (!this.isAvailable()) {
+            return { platform: 'browser', version: '', model: navigator.userAgent || 'Unknown', manufacturer: '', isVirtual: false };
+        }
+        return {
+            platform: device.platform,
+            version: device.version,
+            model: device.model,
+            manufacturer: device.manufacturer,
+            isVirtual: Boolean(device.isVirtual)
+        };
+    }
+};`,
+        test: `
+test('DeviceService describes the device or the browser', () => {
+    assert.equal(load().DeviceService.getInfo().platform, 'browser');
+
+    const { DeviceService } = load({ device: { platform: 'Android', version: '14', model: 'Pixel 8', manufacturer: 'Google' } });
+    const info = DeviceService.getInfo();
+    assert.equal(info.platform, 'Android');
+    assert.equal(info.model, 'Pixel 8');
+    assert.equal(info.isVirtual, false);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-vibration',
+        name: 'VibrationService',
+        methods: ['vibrate'],
+        source: `
+const VibrationService = {
+    isAvailable() {
+        return typeof navigator.vibrate === 'function';
+    },
+
+    // Vibrate for a duration or a [vibrate, pause, ...] pattern in milliseconds; returns whether it vibrated
+    vibrate(pattern = 200) {
+        return this.isAvailable() ? navigator.vibrate(pattern) !== false : false;
+    }
+};`,
+        test: `
+test('VibrationService vibrates only when supported', () => {
+    assert.equal(load().VibrationService.vibrate(), false);
+
+    const patterns = [];
+    const { VibrationService } = load({ navigator: { vibrate: pattern => patterns.push(pattern) } });
+    assert.equal(VibrationService.vibrate(300), true);
+    assert.deepEqual(patterns, [300]);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-media',
+        name: 'MediaService',
+        methods: ['play', 'stop'],
+        source: `
+const MediaService = {
+    current: null,
+
+    isAvailable() {
+        return typeof window.Media === 'function';
+    },
+
+    // Play an audio file; resolves when playback ends or is stopped
+    play(src) {
+        if (!this.isAvailable()) return unavailable('Media playback');
+        this.stop();
+        return callPlugin((resolve, reject) => {
+            const media = new Media(src, () => {
+                media.release();
+                resolve();
+            }, error => {
+                media.release();
+                reject(new Error(error.message || 'Playback failed (code ' + error.code + ')'));
+            });
+            this.current = media;
+            media.play();
+        });
+    },
+
+    stop() {
+        if (this.current) {
+            this.current.stop();
+            this.current = null;
+        }
+    }
+};`,
+        test: `
+test('MediaService plays a file until it ends', async () => {
+    await assert.rejects(load().MediaService.play('sound.mp3'), /not available/);
+
+    const events = [];
+    class Media {
+        constructor(src, success) {
+            this.src = src;
+            this.success = success;
+        }
+
+        play() {
+            events.push('play ' + this.src);
+            setTimeout(this.success, 0);
+        }
+
+        stop() {
+            events.push('stop');
+        }
+
+        release() {
+            events.push('release');
+        }
+    }
+    const { MediaService } = load({ Media });
+
+    await MediaService.play('sound.mp3');
+    assert.deepEqual(events, ['play sound.mp3', 'release']);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-calendar',
+        name: 'CalendarService',
+        methods: ['createEvent'],
+        source: `
+const CalendarService = {
+    isAvailable() {
+        return Boolean(window.plugins && window.plugins.calendar);
+    },
+
+    // Add an event to the device calendar: { title, location, notes, start, end }
+    createEvent({ title, location = '', notes = '', start, end = new Date(start.getTime() + 3600000) }) {
+        if (!this.isAvailable()) return unavailable('Calendar');
+        return callPlugin((resolve, reject) => window.plugins.calendar.createEvent(title, location, notes, start, end, resolve, reject));
+    }
+};`,
+        test: `
+test('CalendarService creates one-hour events by default', async () => {
+    const start = new Date(2030, 0, 1, 9);
+    await assert.rejects(load().CalendarService.createEvent({ title: 'Standup', start }), /not available/);
+
+    const created = [];
+    const calendar = {
+        createEvent(title, location, notes, eventStart, eventEnd, success) {
+            created.push([title, eventEnd - eventStart]);
+            success('event-1');
+        }
+    };
+    const { CalendarService } = load({ plugins: { calendar } });
+
+    assert.equal(await CalendarService.createEvent({ title: 'Standup', start }), 'event-1');
+    assert.deepEqual(created, [['Standup', 3600000]]);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-contacts',
+        name: 'ContactsService',
+        methods: ['pick', 'find'],
+        source: `
+const ContactsService = {
+    isAvailable() {
+        return Boolean(navigator.contacts);
+    },
+
+    // Let the user pick a contact
+    pick() {
+        if (!this.isAvailable()) return unavailable('Contacts');
+        return callPlugin((resolve, reject) => navigator.contacts.pickContact(resolve, reject));
+    },
+
+    // Find contacts whose name, phone number or email contains the text
+    find(text) {
+        if (!this.isAvailable()) return unavailable('Contacts');
+        return callPlugin((resolve, reject) => navigator.contacts.find(
+            ['displayName', 'name', 'phoneNumbers', 'emails'],
+            resolve,
+            reject,
+            { filter: text, multiple: true }
+        ));
+    }
+};`,
+        test: `
+test('ContactsService picks and finds contacts', async () => {
+    await assert.rejects(load().ContactsService.find('Ada'), /not available/);
+
+    const people = [{ displayName: 'Ada Lovelace' }, { displayName: 'Alan Turing' }];
+    const contacts = {
+        pickContact(success) {
+            success(people[1]);
+        },
+        find(fields, success, error, options) {
+            success(people.filter(person => person.displayName.includes(options.filter)));
+        }
+    };
+    const { ContactsService } = load({ navigator: { contacts } });
+
+    assert.equal((await ContactsService.pick()).displayName, 'Alan Turing');
+    assert.equal((await ContactsService.find('Ada')).length, 1);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-flashlight',
+        name: 'FlashlightService',
+        methods: ['isSupported', 'switchOn', 'switchOff', 'toggle'],
+        source: `
+const FlashlightService = {
+    isAvailable() {
+        return Boolean(window.plugins && window.plugins.flashlight);
+    },
+
+    // Resolve with whether the device has a flashlight
+    isSupported() {
+        if (!this.isAvailable()) return Promise.resolve(false);
+        return callPlugin(resolve => window.plugins.flashlight.available(resolve));
+    },
+
+    switchOn() {
+        if (!this.isAvailable()) return unavailable('Flashlight');
+        return callPlugin((resolve, reject) => window.plugins.flashlight.switchOn(resolve, reject));
+    },
+
+    switchOff() {
+        if (!this.isAvailable()) return unavailable('Flashlight');
+        return callPlugin((resolve, reject) => window.plugins.flashlight.switchOff(resolve, reject));
+    },
+
+    // Resolve with whether the flashlight is now on
+    toggle() {
+        if (!this.isAvailable()) return unavailable('Flashlight');
+        const on = !window.plugins.flashlight.isSwitchedOn();
+        return (on ? this.switchOn() : this.switchOff()).then(() => on);
+    }
+};`,
+        test: `
+test('FlashlightService toggles the flashlight', async () => {
+    assert.equal(await load().FlashlightService.isSupported(), false);
+
+    let lit = false;
+    const flashlight = {
+        available(callback) {
+            callback(true);
+        },
+        isSwitchedOn() {
+            return lit;
+        },
+        switchOn(success) {
+            lit = true;
+            success();
+        },
+        switchOff(success) {
+            lit = false;
+            success();
+        }
+    };
+    const { FlashlightService } = load({ plugins: { flashlight } });
+
+    assert.equal(await FlashlightService.isSupported(), true);
+    assert.equal(await FlashlightService.toggle(), true);
+    assert.equal(await FlashlightService.toggle(), false);
+    assert.equal(lit, false);
+});`
+    },
+    {
+        pluginId: 'phonegap-plugin-barcodescanner',
+        name: 'BarcodeService',
+        methods: ['scan'],
+        source: `
+const BarcodeService = {
+    isAvailable() {
+        return Boolean(cordovaPlugin('barcodeScanner'));
+    },
+
+    // Resolve with { text, format, cancelled }
+    scan(options = {}) {
+        if (!this.isAvailable()) return unavailable('Code scanning');
+        return callPlugin((resolve, reject) => cordova.plugins.barcodeScanner.scan(resolve, reject, {
+            showTorchButton: true,
+            resultDisplayDuration: 0,
+            ...options
+        }));
+    }
+};`,
+        test: `
+test('BarcodeService resolves scan results', async () => {
+    await assert.rejects(load().BarcodeService.scan(), /not available/);
+
+    const barcodeScanner = {
+        scan(success) {
+            success({ text: '4006381333931', format: 'EAN_13', cancelled: false });
+        }
+    };
+    const { BarcodeService } = load({ cordova: { plugins: { barcodeScanner } } });
+    const result = await BarcodeService.scan();
+
+    assert.equal(result.text, '4006381333931');
+    assert.equal(result.format, 'EAN_13');
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-secure-storage',
+        name: 'SecureStorageService',
+        methods: ['get', 'set', 'remove'],
+        source: `
+const SecureStorageService = {
+    storage: null,
+
+    isAvailable() {
+        return Boolean(cordovaPlugin('SecureStorage'));
+    },
+
+    // Open the app's encrypted store once; every call waits for it
+    open() {
+        if (!this.isAvailable()) return unavailable('Secure storage');
+        if (!this.storage) {
+            let store = null;
+            this.storage = callPlugin((resolve, reject) => {
+                store = new cordova.plugins.SecureStorage(resolve, reject, SERVICE_NAMESPACE);
+            }).then(() => store);
+        }
+        return this.storage;
+    },
+
+    get(key) {
+        return this.open().then(store => callPlugin((resolve, reject) => store.get(resolve, reject, key)));
+    },
+
+    set(key, value) {
+        return this.open().then(store => callPlugin((resolve, reject) => store.set(resolve, reject, key, value)));
+    },
+
+    remove(key) {
+        return this.open().then(store => callPlugin((resolve, reject) => store.remove(resolve, reject, key)));
+    }
+};`,
+        test: `
+test('SecureStorageService stores values in the app namespace', async () => {
+    await assert.rejects(load().SecureStorageService.get('token'), /not available/);
+
+    const namespaces = [];
+    class SecureStorage {
+        constructor(success, error, namespace) {
+            namespaces.push(namespace);
+            this.values = {};
+            setTimeout(success, 0);
+        }
+
+        get(success, error, key) {
+            key in this.values ? success(this.values[key]) : error(new Error('Key not found'));
+        }
+
+        set(success, error, key, value) {
+            this.values[key] = value;
+            success(key);
+        }
+
+        remove(success, error, key) {
+            delete this.values[key];
+            success(key);
+        }
+    }
+    const { SecureStorageService } = load({ cordova: { plugins: { SecureStorage } } });
+
+    await SecureStorageService.set('token', 'secret');
+    assert.equal(await SecureStorageService.get('token'), 'secret');
+    await SecureStorageService.remove('token');
+    await assert.rejects(SecureStorageService.get('token'), /Key not found/);
+    assert.equal(namespaces.length, 1);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-fingerprint-aio',
+        name: 'BiometricService',
+        methods: ['checkSupport', 'authenticate'],
+        source: `
+const BiometricService = {
+    isAvailable() {
+        return Boolean(window.Fingerprint);
+    },
+
+    // Resolve with the biometric type ("finger", "face" or "biometric")
+    checkSupport() {
+        if (!this.isAvailable()) return unavailable('Biometric authentication');
+        return callPlugin((resolve, reject) => Fingerprint.isAvailable(resolve, reject));
+    },
+
+    // Ask the user to authenticate
+    authenticate(description = 'Confirm your identity') {
+        if (!this.isAvailable()) return unavailable('Biometric authentication');
+        return callPlugin((resolve, reject) => Fingerprint.show({ description }, resolve, reject));
+    }
+};`,
+        test: `
+test('BiometricService checks support and authenticates', async () => {
+    await assert.rejects(load().BiometricService.authenticate(), /not available/);
+
+    const prompts = [];
+    const Fingerprint = {
+        isAvailable(success) {
+            success('face');
+        },
+        show(options, success) {
+            prompts.push(options.description);
+            success();
+        }
+    };
+    const { BiometricService } = load({ Fingerprint });
+
+    assert.equal(await BiometricService.checkSupport(), 'face');
+    await BiometricService.authenticate('Unlock');
+    assert.deepEqual(prompts, ['Unlock']);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-health',
+        name: 'HealthService',
+        methods: ['requestAuthorization', 'getDailySteps'],
+        source: `
+const HealthService = {
+    isAvailable() {
+        return Boolean(navigator.health);
+    },
+
+    // Ask for read access to health data types
+    requestAuthorization(dataTypes = ['steps']) {
+        if (!this.isAvailable()) return unavailable('Health data');
+        return callPlugin((resolve, reject) => navigator.health.requestAuthorization([{ read: dataTypes }], resolve, reject));
+    },
+
+    // Resolve with the step count of each of the last days
+    getDailySteps(days = 7) {
+        if (!this.isAvailable()) return unavailable('Health data');
+        const endDate = new Date();
+        const startDate = new Date(endDate.getTime() - days * 86400000);
+        return callPlugin((resolve, reject) => navigator.health.queryAggregated({
+            startDate,
+            endDate,
+            dataType: 'steps',
+            bucket: 'day'
+        }, resolve, reject));
+    }
+};`,
+        test: `
+test('HealthService queries daily steps', async () => {
+    await assert.rejects(load().HealthService.getDailySteps(), /not available/);
+
+    const queries = [];
+    const health = {
+        requestAuthorization(types, success) {
+            success(true);
+        },
+        queryAggregated(query, success) {
+            queries.push(query.dataType + '/' + query.bucket);
+            success([{ value: 4200, unit: 'count' }]);
+        }
+    };
+    const { HealthService } = load({ navigator: { health } });
+
+    assert.equal(await HealthService.requestAuthorization(), true);
+    assert.equal((await HealthService.getDailySteps(1))[0].value, 4200);
+    assert.deepEqual(queries, ['steps/day']);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-pedometer',
+        name: 'PedometerService',
+        methods: ['checkSupport', 'start'],
+        source: `
+const PedometerService = {
+    isAvailable() {
+        return Boolean(window.pedometer);
+    },
+
+    // Resolve with whether the device counts steps
+    checkSupport() {
+        if (!this.isAvailable()) return Promise.resolve(false);
+        return callPlugin((resolve, reject) => pedometer.isStepCountingAvailable(resolve, reject));
+    },
+
+    // Call onData with { numberOfSteps, distance, ... } updates; returns a function that stops counting
+    start(onData, onError = () => {}) {
+        if (!this.isAvailable()) {
+            onError(new Error('Step counting is not available on this device'));
+            return () => {};
+        }
+        pedometer.startPedometerUpdates(onData, onError);
+        return () => pedometer.stopPedometerUpdates(() => {}, onError);
+    }
+};`,
+        test: `
+test('PedometerService streams step counts until stopped', async () => {
+    assert.equal(await load().PedometerService.checkSupport(), false);
+
+    let counting = false;
+    const pedometer = {
+        isStepCountingAvailable(success) {
+            success(true);
+        },
+        startPedometerUpdates(success) {
+            counting = true;
+            success({ numberOfSteps: 12 });
+        },
+        stopPedometerUpdates(success) {
+            counting = false;
+            success();
+        }
+    };
+    const { PedometerService } = load({ pedometer });
+    const steps = [];
+
+    assert.equal(await PedometerService.checkSupport(), true);
+    const stop = PedometerService.start(data => steps.push(data.numberOfSteps));
+    assert.equal(counting, true);
+    stop();
+    assert.equal(counting, false);
+    assert.deepEqual(steps, [12]);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-social-sharing',
+        name: 'ShareService',
+        methods: ['share'],
+        source: `
+const ShareService = {
+    isAvailable() {
+        return Boolean((window.plugins && window.plugins.socialsharing) || navigator.share);
+    },
+
+    // Open the share sheet: { message, subject, url, files }; uses the Web Share API without the plugin
+    share({ message = '', subject = '', url = '', files = [] }) {
+        if (window.plugins && window.plugins.socialsharing) {
+            return callPlugin((resolve, reject) => window.plugins.socialsharing.shareWithOptions(
+                { message, subject, url: url || undefined, files },
+                resolve,
+                reject
+            ));
+        }
+        if (navigator.share) {
+            return navigator.share({ title: subject, text: message, url: url || undefined });
+        }
+        return unavailable('Sharing');
+    }
+};`,
+        test: `
+test('ShareService prefers the plugin and falls back to the Web Share API', async () => {
+    await assert.rejects(load().ShareService.share({ message: 'Hi' }), /not available/);
+
+    const shared = [];
+    const socialsharing = {
+        shareWithOptions(options, success) {
+            shared.push('plugin:' + options.message);
+            success({ completed: true });
+        }
+    };
+    await load({ plugins: { socialsharing } }).ShareService.share({ message: 'Hi' });
+    await load({ navigator: { share: data => Promise.resolve(shared.push('web:' + data.text)) } }).ShareService.share({ message: 'Yo' });
+
+    assert.deepEqual(shared, ['plugin:Hi', 'web:Yo']);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-tts',
+        name: 'SpeechService',
+        methods: ['speak', 'stop'],
+        source: `
+const SpeechService = {
+    isAvailable() {
+        return Boolean(window.TTS);
+    },
+
+    // Read text aloud; resolves when speaking ends
+    speak(text, options = {}) {
+        if (!this.isAvailable()) return unavailable('Text-to-speech');
+        return callPlugin((resolve, reject) => TTS.speak({ text, locale: 'en-US', rate: 1, ...options }, resolve, reject));
+    },
+
+    stop() {
+        if (!this.isAvailable()) return unavailable('Text-to-speech');
+        return callPlugin((resolve, reject) => TTS.stop(resolve, reject));
+    }
+};`,
+        test: `
+test('SpeechService speaks with default options', async () => {
+    await assert.rejects(load().SpeechService.speak('Hello'), /not available/);
+
+    const spoken = [];
+    const TTS = {
+        speak(options, success) {
+            spoken.push(options.locale + ':' + options.text);
+            success();
+        }
+    };
+    const { SpeechService } = load({ TTS });
+
+    await SpeechService.speak('Hello');
+    await SpeechService.speak('Bonjour', { locale: 'fr-FR' });
+    assert.deepEqual(spoken, ['en-US:Hello', 'fr-FR:Bonjour']);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-speech-recognition',
+        name: 'SpeechRecognitionService',
+        methods: ['requestPermission', 'listen'],
+        source: `
+const SpeechRecognitionService = {
+    isAvailable() {
+        return Boolean(window.plugins && window.plugins.speechRecognition);
+    },
+
+    // Resolve once the microphone permission is granted
+    requestPermission() {
+        if (!this.isAvailable()) return unavailable('Speech recognition');
+        const recognition = window.plugins.speechRecognition;
+        return callPlugin((resolve, reject) => recognition.hasPermission(resolve, reject))
+            .then(granted => granted || callPlugin((resolve, reject) => recognition.requestPermission(() => resolve(true), reject)));
+    },
+
+    // Listen once; resolves with the recognized phrases, best match first
+    listen(options = {}) {
+        if (!this.isAvailable()) return unavailable('Speech recognition');
+        return this.requestPermission().then(() => callPlugin((resolve, reject) =>
+            window.plugins.speechRecognition.startListening(resolve, reject, { language: 'en-US', matches: 5, ...options })));
+    }
+};`,
+        test: `
+test('SpeechRecognitionService asks for permission before listening', async () => {
+    await assert.rejects(load().SpeechRecognitionService.listen(), /not available/);
+
+    const calls = [];
+    const speechRecognition = {
+        hasPermission(success) {
+            calls.push('has');
+            success(false);
+        },
+        requestPermission(success) {
+            calls.push('request');
+            success();
+        },
+        startListening(success) {
+            calls.push('listen');
+            success(['hello world', 'hello word']);
+        }
+    };
+    const { SpeechRecognitionService } = load({ plugins: { speechRecognition } });
+
+    assert.equal((await SpeechRecognitionService.listen())[0], 'hello world');
+    assert.deepEqual(calls, ['has', 'request', 'listen']);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-background-mode',
+        name: 'BackgroundModeService',
+        methods: ['enable', 'disable', 'isActive'],
+        source: `
+const BackgroundModeService = {
+    isAvailable() {
+        return Boolean(cordovaPlugin('backgroundMode'));
+    },
+
+    // Keep the app running in the background; returns whether background mode is enabled
+    enable(settings = {}) {
+        if (!this.isAvailable()) return false;
+        cordova.plugins.backgroundMode.setDefaults({ silent: false, ...settings });
+        cordova.plugins.backgroundMode.enable();
+        return true;
+    },
+
+    disable() {
+        if (this.isAvailable()) {
+            cordova.plugins.backgroundMode.disable();
+        }
+    },
+
+    // Whether the app is currently running in the background
+    isActive() {
+        return this.isAvailable() && cordova.plugins.backgroundMode.isActive();
+    }
+};`,
+        test: `
+test('BackgroundModeService enables and disables background mode', () => {
+    assert.equal(load().BackgroundModeService.enable(), false);
+
+    let enabled = false;
+    const backgroundMode = {
+        setDefaults() {},
+        enable() {
+            enabled = true;
+        },
+        disable() {
+            enabled = false;
+        },
+        isActive() {
+            return enabled;
+        }
+    };
+    const { BackgroundModeService } = load({ cordova: { plugins: { backgroundMode } } });
+
+    assert.equal(BackgroundModeService.enable(), true);
+    assert.equal(BackgroundModeService.isActive(), true);
+    BackgroundModeService.disable();
+    assert.equal(BackgroundModeService.isActive(), false);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-music-controls',
+        name: 'MusicControlsService',
+        methods: ['show', 'onEvent', 'hide'],
+        source: `
+const MusicControlsService = {
+    isAvailable() {
+        return Boolean(window.MusicControls);
+    },
+
+    // Show the lock screen and notification controls: { track, artist, cover, isPlaying }
+    show(track) {
+        if (!this.isAvailable()) return unavailable('Music controls');
+        return callPlugin((resolve, reject) => MusicControls.create({
+            hasPrev: true,
+            hasNext: true,
+            hasClose: true,
+            isPlaying: true,
+            ...track
+        }, resolve, reject));
+    },
+
+    // Call callback with events such as "music-controls-play"
+    onEvent(callback) {
+        if (!this.isAvailable()) return;
+        MusicControls.subscribe(action => callback(JSON.parse(action).message));
+        MusicControls.listen();
+    },
+
+    hide() {
+        if (!this.isAvailable()) return unavailable('Music controls');
+        return callPlugin((resolve, reject) => MusicControls.destroy(resolve, reject));
+    }
+};`,
+        test: `
+test('MusicControlsService shows controls and forwards their events', async () => {
+    await assert.rejects(load().MusicControlsService.show({ track: 'Song' }), /not available/);
+
+    const events = [];
+    let subscriber = null;
+    const MusicControls = {
+        create(options, success) {
+            events.push('create:' + options.track);
+            success();
+        },
+        subscribe(callback) {
+            subscriber = callback;
+        },
+        listen() {
+            subscriber(JSON.stringify({ message: 'music-controls-pause' }));
+        }
+    };
+    const { MusicControlsService } = load({ MusicControls });
+
+    await MusicControlsService.show({ track: 'Song' });
+    MusicControlsService.onEvent(message => events.push(message));
+    assert.deepEqual(events, ['create:Song', 'music-controls-pause']);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-statusbar',
+        name: 'StatusBarService',
+        methods: ['setColor', 'setStyle', 'show', 'hide'],
+        source: `
+const StatusBarService = {
+    isAvailable() {
+        return Boolean(window.StatusBar);
+    },
+
+    // Set the status bar background from a #rrggbb color; returns whether it was applied
+    setColor(color) {
+        if (!this.isAvailable()) return false;
+        StatusBar.backgroundColorByHexString(color);
+        return true;
+    },
+
+    // "light" for light text on dark backgrounds, "dark" for dark text
+    setStyle(style) {
+        if (!this.isAvailable()) return false;
+        if (style === 'light') {
+            StatusBar.styleLightContent();
+        } else {
+            StatusBar.styleDefault();
+        }
+        return true;
+    },
+
+    show() {
+        if (this.isAvailable()) {
+            StatusBar.show();
+        }
+    },
+
+    hide() {
+        if (this.isAvailable()) {
+            StatusBar.hide();
+        }
+    }
+};`,
+        test: `
+test('StatusBarService applies colors and styles', () => {
+    assert.equal(load().StatusBarService.setColor('#336699'), false);
+
+    const calls = [];
+    const StatusBar = {
+        backgroundColorByHexString: color => calls.push(color),
+        styleLightContent: () => calls.push('light'),
+        styleDefault: () => calls.push('dark')
+    };
+    const { StatusBarService } = load({ StatusBar });
+
+    assert.equal(StatusBarService.setColor('#336699'), true);
+    StatusBarService.setStyle('light');
+    StatusBarService.setStyle('dark');
+    assert.deepEqual(calls, ['#336699', 'light', 'dark']);
+});`
+    },
+    {
+        pluginId: 'cordova-plugin-splashscreen',
+        name: 'SplashScreenService',
+        methods: ['hide', 'show'],
+        source: `
+const SplashScreenService = {
+    isAvailable() {
+        return Boolean(navigator.splashscreen);
+    },
+
+    hide() {
+        if (this.isAvailable()) {
+            navigator.splashscreen.hide();
+        }
+    },
+
+    show() {
+        if (this.isAvailable()) {
+            navigator.splashscreen.show();
+        }
+    }
+};`,
+        test: `
+test('SplashScreenService hides the splash screen when present', () => {
+    load().SplashScreenService.hide();
+
+    let visible = true;
+    const { SplashScreenService } = load({ navigator: { splashscreen: { hide: () => (visible = false), show: () => (visible = true) } } });
+    SplashScreenService.hide();
+    assert.equal(visible, false);
+});`
+    }
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ServiceLibrary = ServiceLibrary;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceLibrary;
+}
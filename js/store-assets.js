@@ -0,0 +1,502 @@
+/**
+ * Store Assets
+ * Renders the Google Play graphics of a generated app from its name, icon, theme colors and features: the 512px
+ * store icon, the 1024x500 feature graphic and phone screenshots that frame a mock of each feature page under its
+ * caption. Writes them to store/ with a listing text file, using the canvas of the ResourcePipeline
+ */
+
+class StoreAssets {
+    constructor(resourcePipeline = new ResourcePipeline()) {
+        this.resourcePipeline = resourcePipeline;
+    }
+
+    /**
+     * Render the store graphics and the listing text of an app
+     * @param {Object} config - App configuration
+     * @param {Object} theme - Theme definition from ThemeRegistry
+     * @param {Object[]} pages - Feature pages of the app, from ScreenLibrary.getPages
+     * @returns {Promise<Object>} Files by path; graphics are PNG data URLs and are left out when there is no canvas
+     */
+    async render(config, theme, pages) {
+        const files = {};
+        const shots = StoreAssets.getScreenshots(config, pages);
+
+        if (this.resourcePipeline.isAvailable()) {
+            const glyph = await this.resourcePipeline.loadGlyph(config);
+
+            files[StoreAssets.ICON_PATH] = this.renderIcon(glyph, theme);
+            files[StoreAssets.FEATURE_GRAPHIC_PATH] = this.renderFeatureGraphic(config, glyph, theme);
+            shots.forEach((shot, index) => {
+                files[StoreAssets.getScreenshotPath(index)] = this.renderScreenshot(config, glyph, theme, shot);
+            });
+        }
+
+        files[StoreAssets.LISTING_PATH] = StoreAssets.renderListing(config, files);
+        return files;
+    }
+
+    // Full-bleed square icon; Google Play rounds its corners itself
+    renderIcon(glyph, theme) {
+        const size = StoreAssets.ICON_SIZE;
+        return this.resourcePipeline.draw(size, size, ctx => {
+            ResourcePipeline.drawBackground(ctx, size, size, ResourcePipeline.getBackgroundColors(theme));
+            ResourcePipeline.drawGlyph(ctx, glyph, size, ResourcePipeline.LAUNCHER_GLYPH, true);
+        });
+    }
+
+    // Icon tile on the left, app name and short description on the right
+    renderFeatureGraphic(config, glyph, theme) {
+        const { width, height } = StoreAssets.FEATURE_GRAPHIC_SIZE;
+        const ink = ThemeRegistry.onColor(theme.colors.primary);
+
+        return this.resourcePipeline.draw(width, height, ctx => {
+            ResourcePipeline.drawBackground(ctx, width, height, ResourcePipeline.getBackgroundColors(theme));
+
+            const tile = 240;
+            ctx.save();
+            ctx.translate(80, (height - tile) / 2);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.18)';
+            ResourcePipeline.roundRect(ctx, 0, 0, tile, tile, tile * 0.22);
+            ctx.fill();
+            ResourcePipeline.drawGlyph(ctx, glyph, tile, ResourcePipeline.LAUNCHER_GLYPH, true);
+            ctx.restore();
+
+            const left = 400;
+            const textWidth = width - left - 60;
+            ctx.save();
+            StoreAssets.textShadow(ctx, height);
+            ctx.fillStyle = ink;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            ctx.font = `bold 64px ${StoreAssets.FONT}`;
+            const title = StoreAssets.wrapText(ctx, config.displayName, textWidth, 2);
+            ctx.font = `30px ${StoreAssets.FONT}`;
+            const tagline = StoreAssets.wrapText(ctx, LocaleCatalog.truncate(config.description || '', 80), textWidth, 3);
+
+            let y = (height - (title.length * 76 + 20 + tagline.length * 42)) / 2 + 60;
+            ctx.font = `bold 64px ${StoreAssets.FONT}`;
+            title.forEach(line => {
+                ctx.fillText(line, left, y);
+                y += 76;
+            });
+            y += 10;
+            ctx.globalAlpha = 0.9;
+            ctx.font = `30px ${StoreAssets.FONT}`;
+            tagline.forEach(line => {
+                ctx.fillText(line, left, y);
+                y += 42;
+            });
+            ctx.restore();
+        });
+    }
+
+    // Caption over a phone frame that shows a mock of the page
+    renderScreenshot(config, glyph, theme, shot) {
+        const { width, height } = StoreAssets.SCREENSHOT_SIZE;
+        const colors = theme.colors;
+
+        return this.resourcePipeline.draw(width, height, ctx => {
+            ResourcePipeline.drawBackground(ctx, width, height, ResourcePipeline.getBackgroundColors(theme));
+
+            ctx.save();
+            StoreAssets.textShadow(ctx, height);
+            ctx.fillStyle = ThemeRegistry.onColor(colors.primary);
+            ctx.font = `bold 72px ${StoreAssets.FONT}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            const caption = StoreAssets.wrapText(ctx, shot.caption, width - 160, 3);
+            caption.forEach((line, index) => {
+                ctx.fillText(line, width / 2, 250 + (index - (caption.length - 1) / 2) * 88);
+            });
+            ctx.restore();
+
+            // Phone frame
+            const frame = { x: 170, y: 460, width: 740, height: 1400 };
+            ctx.save();
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+            ctx.shadowBlur = 48;
+            ctx.shadowOffsetY = 20;
+            ctx.fillStyle = '#111827';
+            ResourcePipeline.roundRect(ctx, frame.x, frame.y, frame.width, frame.height, 80);
+            ctx.fill();
+            ctx.restore();
+
+            const screen = { x: frame.x + 24, y: frame.y + 24, width: frame.width - 48, height: frame.height - 48 };
+            ctx.save();
+            ResourcePipeline.roundRect(ctx, screen.x, screen.y, screen.width, screen.height, 58);
+            ctx.clip();
+            ctx.fillStyle = colors.background;
+            ctx.fillRect(screen.x, screen.y, screen.width, screen.height);
+
+            // Status bar and header in the primary color, as the app draws them
+            const header = 170;
+            const onPrimary = ThemeRegistry.onColor(colors.primary);
+            ctx.fillStyle = colors.primary;
+            ctx.fillRect(screen.x, screen.y, screen.width, header);
+            ctx.fillStyle = onPrimary;
+            ctx.font = `bold 42px ${StoreAssets.FONT}`;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(StoreAssets.wrapText(ctx, shot.title, screen.width - 80, 1)[0], screen.x + 40, screen.y + 115);
+
+            const body = { x: screen.x, y: screen.y + header, width: screen.width, height: screen.height - header };
+            (StoreAssets.SCREENS[shot.screen] || StoreAssets.SCREENS.home)(ctx, body, colors, { config, glyph, shot });
+            ctx.restore();
+        });
+    }
+}
+
+/**
+ * Pick the screenshots of an app: a feature page for each feature that has one, the home page for the others,
+ * and the home page under the description when the app lists fewer features than Google Play needs
+ * @param {Object} config - App configuration
+ * @param {Object[]} pages - Feature pages of the app
+ * @returns {{caption: string, title: string, screen: string, pages: Object[]}[]} Screenshots in order
+ */
+StoreAssets.getScreenshots = function (config, pages) {
+    const shots = (config.features || []).slice(0, StoreAssets.MAX_SCREENSHOTS).map(feature => {
+        const page = pages.find(candidate => candidate.title === feature);
+        return page
+            ? { caption: feature, title: page.title, screen: page.screen, pages }
+            : { caption: feature, title: config.displayName, screen: 'home', pages };
+    });
+
+    while (shots.length < StoreAssets.MIN_SCREENSHOTS) {
+        shots.push({ caption: config.description || config.displayName, title: config.displayName, screen: 'home', pages });
+    }
+    return shots;
+};
+
+/**
+ * Get the path of a phone screenshot
+ * @param {number} index - Zero-based screenshot index
+ * @returns {string} Project-relative path
+ */
+StoreAssets.getScreenshotPath = function (index) {
+    return `${StoreAssets.SCREENSHOT_DIR}/phone-${index + 1}.png`;
+};
+
+/**
+ * Render store/listing.txt: the Google Play listing fields in the order of the Play Console, and the graphics to upload
+ * @param {Object} config - App configuration
+ * @param {Object} files - Rendered store files
+ * @returns {string} Listing text
+ */
+StoreAssets.renderListing = function (config, files) {
+    const screenshots = Object.keys(files).filter(filePath => filePath.startsWith(`${StoreAssets.SCREENSHOT_DIR}/`));
+    const size = dimensions => `${dimensions.width} x ${dimensions.height}`;
+    const graphics = [
+        ...(StoreAssets.ICON_PATH in files ? [`App icon: ${StoreAssets.ICON_PATH} (${StoreAssets.ICON_SIZE} x ${StoreAssets.ICON_SIZE})`] : []),
+        ...(StoreAssets.FEATURE_GRAPHIC_PATH in files ? [`Feature graphic: ${StoreAssets.FEATURE_GRAPHIC_PATH} (${size(StoreAssets.FEATURE_GRAPHIC_SIZE)})`] : []),
+        ...screenshots.map(filePath => `Phone screenshot: ${filePath} (${size(StoreAssets.SCREENSHOT_SIZE)})`)
+    ];
+    const features = (config.features || []).map(feature => `• ${feature}`).join('\n');
+
+    return `Google Play store listing
+
+App name:
+${LocaleCatalog.truncate(config.displayName, 30)}
+
+Short description:
+${LocaleCatalog.truncate(config.description || '', 80)}
+
+Full description:
+${[config.description, features].filter(Boolean).join('\n\n')}
+
+Category:
+${StoreAssets.PLAY_CATEGORIES[config.category] || 'Tools'}
+
+Graphics:
+${graphics.length > 0 ? graphics.map(line => `- ${line}`).join('\n') : '- Not rendered: the generator had no canvas to draw them'}
+
+Translated titles and descriptions are in ${LocaleCatalog.LISTING_DIR}/<locale>/.
+`;
+};
+
+/**
+ * Break text into lines that fit a width, ending the last line with an ellipsis when it does not fit
+ * @param {CanvasRenderingContext2D} ctx - 2D context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width
+ * @param {number} maxLines - Line limit
+ * @returns {string[]} Lines
+ */
+StoreAssets.wrapText = function (ctx, text, maxWidth, maxLines) {
+    const lines = [];
+    let line = '';
+
+    String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+
+    if (lines.length <= maxLines) return lines;
+
+    const kept = lines.slice(0, maxLines);
+    let last = kept[maxLines - 1];
+    while (last.length > 1 && ctx.measureText(`${last}…`).width > maxWidth) {
+        last = last.slice(0, -1);
+    }
+    kept[maxLines - 1] = `${last.trimEnd()}…`;
+    return kept;
+};
+
+/**
+ * Set the soft text shadow of the marketing images
+ * @param {CanvasRenderingContext2D} ctx - 2D context
+ * @param {number} height - Image height
+ */
+StoreAssets.textShadow = function (ctx, height) {
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+    ctx.shadowBlur = height * 0.01;
+    ctx.shadowOffsetY = height * 0.003;
+};
+
+/**
+ * Draw a placeholder line of text in a mock screen
+ * @param {CanvasRenderingContext2D} ctx - 2D context
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Line length
+ * @param {string} color - Fill color
+ */
+StoreAssets.skeleton = function (ctx, x, y, width, color) {
+    ctx.fillStyle = color;
+    ResourcePipeline.roundRect(ctx, x, y, width, 22, 11);
+    ctx.fill();
+};
+
+// Mock screens of the starter pages (js/screen-library.js), drawn into the screen area below the header
+StoreAssets.SCREENS = {
+    home(ctx, area, colors, { config, glyph, shot }) {
+        const tile = 200;
+        ctx.save();
+        ctx.translate(area.x + (area.width - tile) / 2, area.y + 70);
+        ctx.fillStyle = colors.primary;
+        ResourcePipeline.roundRect(ctx, 0, 0, tile, tile, tile * 0.22);
+        ctx.fill();
+        ResourcePipeline.drawGlyph(ctx, glyph, tile, ResourcePipeline.LAUNCHER_GLYPH, false);
+        ctx.restore();
+
+        ctx.fillStyle = colors.text;
+        ctx.font = `bold 46px ${StoreAssets.FONT}`;
+        ctx.textAlign = 'center';
+        ctx.fillText(StoreAssets.wrapText(ctx, config.displayName, area.width - 80, 1)[0], area.x + area.width / 2, area.y + 340);
+
+        const titles = [...shot.pages.map(page => page.title), 'Settings'];
+        titles.forEach((title, index) => {
+            const y = area.y + 420 + index * 150;
+            ctx.fillStyle = colors.surface;
+            ResourcePipeline.roundRect(ctx, area.x + 40, y, area.width - 80, 120, 24);
+            ctx.fill();
+            ctx.fillStyle = ThemeRegistry.mix(colors.primary, colors.surface, 0.8);
+            ctx.beginPath();
+            ctx.arc(area.x + 110, y + 60, 32, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = colors.text;
+            ctx.font = `34px ${StoreAssets.FONT}`;
+            ctx.textAlign = 'left';
+            ctx.fillText(StoreAssets.wrapText(ctx, title, area.width - 260, 1)[0], area.x + 170, y + 60);
+        });
+    },
+
+    list(ctx, area, colors) {
+        const muted = ThemeRegistry.mix(colors.text, colors.surface, 0.75);
+        for (let index = 0; index < 7; index++) {
+            const y = area.y + 40 + index * 150;
+            ctx.fillStyle = colors.surface;
+            ResourcePipeline.roundRect(ctx, area.x + 40, y, area.width - 80, 124, 24);
+            ctx.fill();
+            ctx.fillStyle = ThemeRegistry.mix(colors.primary, colors.surface, 0.7);
+            ctx.beginPath();
+            ctx.arc(area.x + 110, y + 62, 34, 0, Math.PI * 2);
+            ctx.fill();
+            StoreAssets.skeleton(ctx, area.x + 170, y + 34, 260 + (index % 3) * 60, ThemeRegistry.mix(colors.text, colors.surface, 0.4));
+            StoreAssets.skeleton(ctx, area.x + 170, y + 72, 180 + (index % 2) * 90, muted);
+        }
+
+        ctx.fillStyle = colors.secondary;
+        ctx.beginPath();
+        ctx.arc(area.x + area.width - 110, area.y + area.height - 110, 60, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = ThemeRegistry.onColor(colors.secondary);
+        ctx.fillRect(area.x + area.width - 134, area.y + area.height - 114, 48, 8);
+        ctx.fillRect(area.x + area.width - 114, area.y + area.height - 134, 8, 48);
+    },
+
+    timer(ctx, area, colors) {
+        const centerX = area.x + area.width / 2;
+        const centerY = area.y + 420;
+
+        ctx.lineWidth = 28;
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = ThemeRegistry.mix(colors.text, colors.surface, 0.85);
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 230, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.strokeStyle = colors.primary;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 230, -Math.PI / 2, Math.PI * 0.9);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.text;
+        ctx.font = `bold 110px ${StoreAssets.FONT}`;
+        ctx.textAlign = 'center';
+        ctx.fillText('25:00', centerX, centerY);
+
+        ['Start', 'Reset'].forEach((label, index) => {
+            const x = area.x + 70 + index * ((area.width - 140) / 2 + 20);
+            const buttonWidth = (area.width - 140) / 2 - 20;
+            ctx.fillStyle = index === 0 ? colors.primary : colors.surface;
+            ResourcePipeline.roundRect(ctx, x, area.y + 760, buttonWidth, 110, 55);
+            ctx.fill();
+            ctx.fillStyle = index === 0 ? ThemeRegistry.onColor(colors.primary) : colors.primary;
+            ctx.font = `bold 38px ${StoreAssets.FONT}`;
+            ctx.fillText(label, x + buttonWidth / 2, area.y + 815);
+        });
+    },
+
+    chart(ctx, area, colors) {
+        [0, 1].forEach(index => {
+            const x = area.x + 40 + index * ((area.width - 80) / 2 + 10);
+            const tileWidth = (area.width - 80) / 2 - 10;
+            ctx.fillStyle = colors.surface;
+            ResourcePipeline.roundRect(ctx, x, area.y + 40, tileWidth, 180, 24);
+            ctx.fill();
+            ctx.fillStyle = colors.secondary;
+            ctx.font = `bold 64px ${StoreAssets.FONT}`;
+            ctx.textAlign = 'center';
+            ctx.fillText(index === 0 ? '42' : '87%', x + tileWidth / 2, area.y + 115);
+            StoreAssets.skeleton(ctx, x + tileWidth / 2 - 70, area.y + 160, 140, ThemeRegistry.mix(colors.text, colors.surface, 0.75));
+        });
+
+        const card = { x: area.x + 40, y: area.y + 260, width: area.width - 80, height: 640 };
+        ctx.fillStyle = colors.surface;
+        ResourcePipeline.roundRect(ctx, card.x, card.y, card.width, card.height, 24);
+        ctx.fill();
+
+        const bars = [0.45, 0.7, 0.55, 0.9, 0.65, 0.8, 0.5];
+        const slot = (card.width - 80) / bars.length;
+        bars.forEach((value, index) => {
+            const barHeight = (card.height - 120) * value;
+            ctx.fillStyle = index === 3 ? colors.primary : ThemeRegistry.mix(colors.primary, colors.surface, 0.45);
+            ResourcePipeline.roundRect(ctx, card.x + 40 + index * slot + slot * 0.2, card.y + card.height - 60 - barHeight, slot * 0.6, barHeight, 12);
+            ctx.fill();
+        });
+    },
+
+    camera(ctx, area, colors) {
+        const view = { x: area.x + 40, y: area.y + 40, width: area.width - 80, height: 820 };
+        ctx.fillStyle = '#0f172a';
+        ResourcePipeline.roundRect(ctx, view.x, view.y, view.width, view.height, 24);
+        ctx.fill();
+
+        const inset = 90;
+        const arm = 90;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 10;
+        ctx.lineCap = 'round';
+        [[0, 0, 1, 1], [1, 0, -1, 1], [0, 1, 1, -1], [1, 1, -1, -1]].forEach(([right, bottom, dx, dy]) => {
+            const x = view.x + inset + right * (view.width - inset * 2);
+            const y = view.y + inset + bottom * (view.height - inset * 2);
+            ctx.beginPath();
+            ctx.moveTo(x, y + dy * arm);
+            ctx.lineTo(x, y);
+            ctx.lineTo(x + dx * arm, y);
+            ctx.stroke();
+        });
+
+        const centerX = area.x + area.width / 2;
+        ctx.fillStyle = colors.primary;
+        ctx.beginPath();
+        ctx.arc(centerX, area.y + 1000, 80, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = ThemeRegistry.onColor(colors.primary);
+        ctx.beginPath();
+        ctx.arc(centerX, area.y + 1000, 56, 0, Math.PI * 2);
+        ctx.fill();
+    },
+
+    map(ctx, area, colors) {
+        ctx.fillStyle = ThemeRegistry.mix(colors.text, colors.surface, 0.88);
+        ctx.fillRect(area.x, area.y, area.width, area.height);
+
+        ctx.strokeStyle = colors.surface;
+        ctx.lineCap = 'round';
+        [[0.1, 0.2, 0.9, 0.35, 36], [0.3, 0, 0.45, 1, 28], [0, 0.65, 1, 0.55, 28], [0.75, 0.1, 0.65, 0.9, 20]].forEach(([x1, y1, x2, y2, lineWidth]) => {
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            ctx.moveTo(area.x + x1 * area.width, area.y + y1 * area.height);
+            ctx.lineTo(area.x + x2 * area.width, area.y + y2 * area.height);
+            ctx.stroke();
+        });
+
+        const pinX = area.x + area.width * 0.55;
+        const pinY = area.y + area.height * 0.42;
+        ctx.fillStyle = colors.primary;
+        ctx.beginPath();
+        ctx.arc(pinX, pinY - 70, 50, Math.PI * 0.85, Math.PI * 2.15);
+        ctx.lineTo(pinX, pinY);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = ThemeRegistry.onColor(colors.primary);
+        ctx.beginPath();
+        ctx.arc(pinX, pinY - 72, 18, 0, Math.PI * 2);
+        ctx.fill();
+
+        const card = { x: area.x + 40, y: area.y + area.height - 240, width: area.width - 80, height: 190 };
+        ctx.fillStyle = colors.surface;
+        ResourcePipeline.roundRect(ctx, card.x, card.y, card.width, card.height, 24);
+        ctx.fill();
+        StoreAssets.skeleton(ctx, card.x + 40, card.y + 55, 320, ThemeRegistry.mix(colors.text, colors.surface, 0.4));
+        StoreAssets.skeleton(ctx, card.x + 40, card.y + 105, 220, ThemeRegistry.mix(colors.text, colors.surface, 0.75));
+    }
+};
+
+// Google Play categories of the template categories
+StoreAssets.PLAY_CATEGORIES = {
+    productivity: 'Productivity',
+    entertainment: 'Entertainment',
+    utilities: 'Tools',
+    education: 'Education',
+    health: 'Health & Fitness',
+    finance: 'Finance',
+    social: 'Social',
+    business: 'Business',
+    games: 'Casual',
+    lifestyle: 'Lifestyle'
+};
+
+// Google Play graphic sizes in px
+StoreAssets.ICON_SIZE = 512;
+StoreAssets.FEATURE_GRAPHIC_SIZE = { width: 1024, height: 500 };
+StoreAssets.SCREENSHOT_SIZE = { width: 1080, height: 1920 };
+
+// Google Play asks for at least two phone screenshots; one per feature, up to four
+StoreAssets.MIN_SCREENSHOTS = 2;
+StoreAssets.MAX_SCREENSHOTS = 4;
+
+// Where the store files go
+StoreAssets.ICON_PATH = 'store/icon-512.png';
+StoreAssets.FEATURE_GRAPHIC_PATH = 'store/feature-graphic.png';
+StoreAssets.SCREENSHOT_DIR = 'store/screenshots';
+StoreAssets.LISTING_PATH = 'store/listing.txt';
+
+// Font of the captions and mock screens
+StoreAssets.FONT = '-apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif';
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.StoreAssets = StoreAssets;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoreAssets;
+}
@@ -21,7 +21,7 @@ class TemplateManager {
         // Template validation schema
         this.templateSchema = {
             required: ['id', 'name', 'displayName', 'description', 'icon', 'color'],
-            optional: ['plugins', 'category', 'tags', 'customConfig', 'baseTemplate', 'version', 'author']
+            optional: ['plugins', 'pluginVariables', 'packageName', 'scaffold', 'storage', 'theme', 'iconImage', 'locales', 'translations', 'category', 'tags', 'customConfig', 'baseTemplate', 'version', 'author']
         };
         
         this.init();
@@ -92,6 +92,14 @@ class TemplateManager {
                 icon: templateData.icon,
                 color: templateData.color,
                 plugins: templateData.plugins || [],
+                pluginVariables: templateData.pluginVariables || {},
+                packageName: templateData.packageName || null,
+                scaffold: templateData.scaffold || ScaffoldRegistry.DEFAULT_SCAFFOLD,
+                storage: templateData.storage || DataLayer.DEFAULT_BACKEND,
+                theme: templateData.theme || null,
+                iconImage: templateData.iconImage || null,
+                locales: templateData.locales || [],
+                translations: templateData.translations || {},
                 category: templateData.category || 'utilities',
                 tags: templateData.tags || [],
                 customConfig: templateData.customConfig || {},
@@ -257,8 +265,31 @@ class TemplateManager {
         // Validate specific fields
         if (templateData.plugins && !Array.isArray(templateData.plugins)) {
             errors.push('Plugins must be an array');
+        } else if (templateData.plugins && window.pluginRegistry) {
+            errors.push(...window.pluginRegistry.validatePlugins(templateData.plugins).errors);
+            errors.push(...window.pluginRegistry.validateVariables(templateData.plugins, templateData.pluginVariables));
         }
 
+        if (templateData.pluginVariables && (typeof templateData.pluginVariables !== 'object' || Array.isArray(templateData.pluginVariables))) {
+            errors.push('Plugin variables must be an object keyed by plugin ID');
+        }
+
+        if (templateData.scaffold && window.scaffoldRegistry) {
+            errors.push(...window.scaffoldRegistry.validate(templateData.scaffold).errors);
+        }
+
+        if (templateData.storage && window.scaffoldRegistry) {
+            errors.push(...window.scaffoldRegistry.dataLayer.validate(templateData.storage).errors);
+        }
+
+        if (templateData.theme && window.scaffoldRegistry) {
+            errors.push(...window.scaffoldRegistry.themeRegistry.validate(templateData.theme).errors);
+        }
+
+        errors.push(...ResourcePipeline.validateImage(templateData.iconImage));
+
+        errors.push(...LocaleCatalog.validate(templateData.locales, templateData.translations).errors);
+
         if (templateData.tags && !Array.isArray(templateData.tags)) {
             errors.push('Tags must be an array');
         }
@@ -267,6 +298,14 @@ class TemplateManager {
             errors.push(`Invalid category '${templateData.category}'. Must be one of: ${this.categories.join(', ')}`);
         }
 
+        // Validate package ID override
+        if (templateData.packageName) {
+            const packageValidation = PackageIdPolicy.validate(templateData.packageName);
+            if (!packageValidation.isValid) {
+                errors.push(`Package ID ${packageValidation.errors.join(', ')}`);
+            }
+        }
+
         // Validate color format (hex color)
         if (templateData.color && !/^#[0-9A-F]{6}$/i.test(templateData.color)) {
             errors.push('Color must be a valid hex color (e.g., #FF5733)');
@@ -368,6 +368,11 @@ class AppTemplatesManager {
                 color: '#FF6B6B',
                 features: ['QR code scanning', 'Barcode recognition', 'History tracking', 'Batch scanning'],
                 plugins: ['phonegap-plugin-barcodescanner', 'cordova-plugin-camera', 'cordova-plugin-flashlight'],
+                pluginVariables: {
+                    'phonegap-plugin-barcodescanner': {
+                        NSCameraUsageDescription: 'QR Scanner Plus uses the camera to scan QR codes and barcodes.'
+                    }
+                },
                 estimatedTime: 3
             },
             {
@@ -492,6 +497,16 @@ class AppTemplatesManager {
                 color: '#FF4757',
                 features: ['Workout tracking', 'Health monitoring', 'Progress analytics', 'Goal setting'],
                 plugins: ['cordova-plugin-health', 'cordova-plugin-pedometer', 'cordova-plugin-geolocation'],
+                pluginVariables: {
+                    'cordova-plugin-health': {
+                        HEALTH_READ_PERMISSION: 'Fitness Companion reads your activity to track workouts and goals.',
+                        HEALTH_WRITE_PERMISSION: 'Fitness Companion saves your workouts to Health.'
+                    },
+                    'cordova-plugin-geolocation': {
+                        GPS_REQUIRED: 'false',
+                        NSLocationWhenInUseUsageDescription: 'Fitness Companion uses your location to map runs and rides.'
+                    }
+                },
                 estimatedTime: 5
             },
             {
@@ -923,6 +938,14 @@ class AppTemplatesManager {
             color: formData.color || '#4A90E2',
             features: this.generateFeatures(formData.category),
             plugins: formData.plugins || [],
+            pluginVariables: formData.pluginVariables || {},
+            packageName: formData.packageName || null,
+            scaffold: formData.scaffold || ScaffoldRegistry.DEFAULT_SCAFFOLD,
+            storage: formData.storage || DataLayer.DEFAULT_BACKEND,
+            theme: formData.theme || null,
+            iconImage: formData.iconImage || null,
+            locales: formData.locales || [],
+            translations: formData.translations || {},
             estimatedTime: this.calculateEstimatedTime(formData.plugins || []),
             custom: true
         };
@@ -1036,4 +1059,11 @@ class AppTemplatesManager {
 }
 
 // Export for use in other modules
-window.AppTemplatesManager = AppTemplatesManager;
+if (typeof window !== 'undefined') {
+    window.AppTemplatesManager = AppTemplatesManager;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppTemplatesManager;
+}
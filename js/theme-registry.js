@@ -0,0 +1,446 @@
+/**
+ * Theme Registry
+ * Themes of generated apps: primary, secondary and surface colors, typography, corner radius and an optional
+ * dark variant, rendered as CSS custom properties and as the status bar preferences of config.xml
+ */
+
+class ThemeRegistry {
+    constructor(themes = ThemeRegistry.DEFAULT_THEMES) {
+        this.themes = new Map();
+        themes.forEach(theme => this.register(theme));
+    }
+
+    // Register (or replace) a theme definition
+    register(theme) {
+        const errors = ThemeRegistry.check(theme);
+        if (errors.length > 0) {
+            throw new Error(`Invalid theme ${theme && theme.id ? `'${theme.id}'` : 'definition'}: ${errors.join('; ')}`);
+        }
+
+        const definition = ThemeRegistry.define(theme);
+        this.themes.set(definition.id, definition);
+        return definition;
+    }
+
+    // Check whether a theme is known
+    has(themeId) {
+        return this.themes.has(themeId);
+    }
+
+    // Get a theme definition
+    get(themeId) {
+        return this.themes.get(themeId) || null;
+    }
+
+    // Get all theme definitions
+    getAll() {
+        return Array.from(this.themes.values());
+    }
+
+    // Validate a template's theme: a registered theme id or an imported theme definition
+    validate(theme) {
+        let errors = [];
+
+        if (typeof theme === 'string') {
+            if (!this.has(theme)) {
+                errors.push(`Unknown theme '${theme}'. Must be one of: ${Array.from(this.themes.keys()).join(', ')}`);
+            }
+        } else if (theme !== undefined && theme !== null) {
+            errors = ThemeRegistry.check(theme);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Get the theme an app is generated with; templates without one get a theme derived from their color
+    resolve(config) {
+        const theme = config.theme;
+        if (theme === undefined || theme === null || theme === '') {
+            return ThemeRegistry.fromColor(config.color);
+        }
+
+        if (typeof theme === 'string') {
+            const definition = this.get(theme);
+            if (!definition) {
+                throw new Error(`Unknown theme '${theme}'`);
+            }
+            return definition;
+        }
+
+        const errors = ThemeRegistry.check(theme);
+        if (errors.length > 0) {
+            throw new Error(`Invalid theme: ${errors.join('; ')}`);
+        }
+        return ThemeRegistry.define(theme);
+    }
+}
+
+/**
+ * Fill in the optional parts of a checked theme definition
+ * @param {Object} theme - Theme with an id, a name and its colors
+ * @returns {Object} Theme with typography, radius and a dark variant (or null)
+ */
+ThemeRegistry.define = function (theme) {
+    const pick = colors => Object.fromEntries(ThemeRegistry.COLOR_KEYS.map(key => [key, colors[key].toLowerCase()]));
+
+    return {
+        id: theme.id,
+        name: theme.name || theme.id,
+        description: theme.description || '',
+        colors: pick(theme.colors),
+        dark: theme.dark ? pick(theme.dark) : null,
+        typography: { ...ThemeRegistry.DEFAULT_TYPOGRAPHY, ...(theme.typography || {}) },
+        radius: theme.radius === undefined ? ThemeRegistry.DEFAULT_RADIUS : theme.radius
+    };
+};
+
+/**
+ * Check a theme definition, e.g. one imported from a JSON file
+ * @param {Object} theme - Theme definition
+ * @returns {string[]} Problems found; empty when the theme is usable
+ */
+ThemeRegistry.check = function (theme) {
+    if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+        return ['Theme must be a theme id or a theme definition'];
+    }
+
+    const errors = [];
+    if (typeof theme.id !== 'string' || !ThemeRegistry.ID_PATTERN.test(theme.id)) {
+        errors.push('Theme id must contain only lowercase letters, numbers and hyphens');
+    }
+    if (theme.name !== undefined && (typeof theme.name !== 'string' || !theme.name.trim() || /[\u0000-\u001f]/.test(theme.name))) {
+        errors.push('Theme name must be a non-empty line of text');
+    }
+
+    const checkColors = (colors, path) => {
+        if (!colors || typeof colors !== 'object') {
+            errors.push(`Theme ${path} must define ${ThemeRegistry.COLOR_KEYS.join(', ')}`);
+            return;
+        }
+        ThemeRegistry.COLOR_KEYS.forEach(key => {
+            if (typeof colors[key] !== 'string' || !ThemeRegistry.COLOR_PATTERN.test(colors[key])) {
+                errors.push(`Theme ${path}.${key} must be a #rrggbb color`);
+            }
+        });
+    };
+    checkColors(theme.colors, 'colors');
+    if (theme.dark !== undefined && theme.dark !== null) {
+        checkColors(theme.dark, 'dark');
+    }
+
+    const typography = theme.typography;
+    if (typography !== undefined) {
+        if (!typography || typeof typography !== 'object') {
+            errors.push('Theme typography must be an object');
+        } else {
+            if (typography.fontFamily !== undefined &&
+                (typeof typography.fontFamily !== 'string' || !typography.fontFamily.trim() || /[;{}<>\\]/.test(typography.fontFamily))) {
+                errors.push('Theme typography.fontFamily must be a CSS font list');
+            }
+            if (typography.baseSize !== undefined && !(Number.isInteger(typography.baseSize) && typography.baseSize >= 12 && typography.baseSize <= 24)) {
+                errors.push('Theme typography.baseSize must be a whole number of pixels from 12 to 24');
+            }
+            if (typography.headingWeight !== undefined &&
+                !(Number.isInteger(typography.headingWeight) && typography.headingWeight >= 100 && typography.headingWeight <= 900 && typography.headingWeight % 100 === 0)) {
+                errors.push('Theme typography.headingWeight must be a font weight from 100 to 900');
+            }
+        }
+    }
+
+    if (theme.radius !== undefined && !(typeof theme.radius === 'number' && theme.radius >= 0 && theme.radius <= 32)) {
+        errors.push('Theme radius must be a number of pixels from 0 to 32');
+    }
+
+    return errors;
+};
+
+/**
+ * Parse a theme file: one theme definition, an array of them, or { "themes": [...] }
+ * @param {string} text - JSON text
+ * @returns {Object[]} Completed theme definitions
+ * @throws {Error} When the file is not JSON or a theme is invalid
+ */
+ThemeRegistry.parseThemes = function (text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Theme file is not valid JSON: ${error.message}`);
+    }
+
+    const themes = Array.isArray(data) ? data : (data && Array.isArray(data.themes) ? data.themes : [data]);
+    if (themes.length === 0) {
+        throw new Error('Theme file contains no themes');
+    }
+
+    return themes.map((theme, index) => {
+        const errors = ThemeRegistry.check(theme);
+        if (errors.length > 0) {
+            throw new Error(`Theme ${theme && theme.id ? `'${theme.id}'` : index + 1}: ${errors.join('; ')}`);
+        }
+        return ThemeRegistry.define(theme);
+    });
+};
+
+/**
+ * Derive a theme from a single template color, as apps were styled before themes
+ * @param {string} color - #rrggbb color of the template
+ * @returns {Object} Theme definition
+ */
+ThemeRegistry.fromColor = function (color) {
+    const primary = ThemeRegistry.COLOR_PATTERN.test(color || '') ? color.toLowerCase() : ThemeRegistry.FALLBACK_COLOR;
+    const secondary = ThemeRegistry.shade(primary, -20);
+
+    return ThemeRegistry.define({
+        id: ThemeRegistry.TEMPLATE_THEME,
+        name: 'Template color',
+        description: `Derived from ${primary}`,
+        colors: { primary, secondary, surface: '#ffffff', background: '#f8fafc', text: '#1a202c' },
+        dark: {
+            primary: ThemeRegistry.shade(primary, 15),
+            secondary: ThemeRegistry.shade(secondary, 25),
+            surface: '#1e293b',
+            background: '#0f172a',
+            text: '#e2e8f0'
+        }
+    });
+};
+
+/**
+ * Get the CSS custom properties of one color variant of a theme
+ * @param {Object} colors - primary, secondary, surface, background and text
+ * @param {boolean} dark - Whether the variant is the dark one
+ * @returns {Object} Custom property names and their values
+ */
+ThemeRegistry.getVariables = function (colors, dark) {
+    const mix = ThemeRegistry.mix;
+
+    return {
+        '--primary-color': colors.primary,
+        '--primary-hover': ThemeRegistry.shade(colors.primary, -10),
+        '--primary-light': ThemeRegistry.shade(colors.primary, 20),
+        '--on-primary': ThemeRegistry.onColor(colors.primary),
+        '--secondary-color': colors.secondary,
+        '--on-secondary': ThemeRegistry.onColor(colors.secondary),
+        '--bg-primary': colors.surface,
+        '--bg-secondary': colors.background,
+        '--text-primary': colors.text,
+        '--text-secondary': mix(colors.text, colors.surface, 0.25),
+        '--text-muted': mix(colors.text, colors.surface, 0.45),
+        '--border-color': mix(colors.text, colors.surface, 0.85),
+        '--danger-bg': dark ? '#7f1d1d' : '#fee2e2',
+        '--danger-text': dark ? '#fecaca' : '#b91c1c',
+        '--shadow': dark ? '0 4px 6px -1px rgba(0, 0, 0, 0.4)' : '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+    };
+};
+
+/**
+ * Render the :root custom properties of a theme, plus its dark variant for devices in dark mode
+ * @param {Object} theme - Theme definition
+ * @returns {string} CSS
+ */
+ThemeRegistry.renderVariables = function (theme) {
+    const declare = (variables, indent) => Object.entries(variables)
+        .map(([name, value]) => `${indent}${name}: ${value};`).join('\n');
+
+    const root = `:root {
+    color-scheme: ${theme.dark ? 'light dark' : 'light'};
+${declare(ThemeRegistry.getVariables(theme.colors, false), '    ')}
+    --font-family: ${theme.typography.fontFamily};
+    --font-size-base: ${theme.typography.baseSize}px;
+    --heading-weight: ${theme.typography.headingWeight};
+    --radius: ${theme.radius}px;
+    --spacing: 1rem;
+}`;
+
+    if (!theme.dark) return root;
+
+    return `${root}
+
+/* ${SecurityUtils.escapeComment(theme.name)} in dark mode */
+@media (prefers-color-scheme: dark) {
+    :root {
+${declare(ThemeRegistry.getVariables(theme.dark, true), '        ')}
+    }
+}`;
+};
+
+/**
+ * Get the status bar of a theme variant: its primary color, with light text when that reads better
+ * @param {Object} colors - Colors of the variant
+ * @returns {{color: string, style: string}} Style is "light" or "dark", as StatusBarService.setStyle takes it
+ */
+ThemeRegistry.getStatusBar = function (colors) {
+    return {
+        color: colors.primary,
+        style: ThemeRegistry.onColor(colors.primary) === ThemeRegistry.LIGHT_TEXT ? 'light' : 'dark'
+    };
+};
+
+/**
+ * Render the StatusBar plugin preferences of config.xml for the light variant of a theme
+ * @param {Object} theme - Theme definition
+ * @returns {string} <preference> lines
+ */
+ThemeRegistry.renderConfigXml = function (theme) {
+    const statusBar = ThemeRegistry.getStatusBar(theme.colors);
+    return [
+        `    <!-- Status bar in the primary color of the ${SecurityUtils.escapeComment(theme.name)} theme -->`,
+        `    <preference name="StatusBarBackgroundColor" value="${statusBar.color}" />`,
+        `    <preference name="StatusBarStyle" value="${statusBar.style === 'light' ? 'lightcontent' : 'default'}" />`
+    ].join('\n');
+};
+
+/**
+ * Describe a theme in one line for READMEs and the template editor
+ * @param {Object} theme - Theme definition
+ * @param {Function} [escapeName] - Escapes the theme name for the target format
+ * @returns {string} e.g. "Ocean (#0077b6, follows the device's dark mode)"
+ */
+ThemeRegistry.describe = function (theme, escapeName = name => name) {
+    return `${escapeName(theme.name)} (${theme.colors.primary}${theme.dark ? ', follows the device\'s dark mode' : ''})`;
+};
+
+/**
+ * Lighten (positive) or darken (negative) a color by a percentage of the full channel range
+ * @param {string} color - #rrggbb color
+ * @param {number} percent - -100 to 100
+ * @returns {string} #rrggbb color
+ */
+ThemeRegistry.shade = function (color, percent) {
+    const amount = Math.sign(percent) * Math.round(2.55 * Math.abs(percent));
+    return ThemeRegistry.toHex(ThemeRegistry.toRgb(color).map(channel => channel + amount));
+};
+
+/**
+ * Mix two colors
+ * @param {string} color - #rrggbb color
+ * @param {string} other - #rrggbb color mixed in
+ * @param {number} weight - Share of the other color, 0 to 1
+ * @returns {string} #rrggbb color
+ */
+ThemeRegistry.mix = function (color, other, weight) {
+    const to = ThemeRegistry.toRgb(other);
+    return ThemeRegistry.toHex(ThemeRegistry.toRgb(color).map((channel, index) => channel + (to[index] - channel) * weight));
+};
+
+/**
+ * Get the WCAG contrast ratio of two colors
+ * @param {string} color - #rrggbb color
+ * @param {string} other - #rrggbb color
+ * @returns {number} 1 to 21
+ */
+ThemeRegistry.contrast = function (color, other) {
+    const luminance = value => {
+        const [r, g, b] = ThemeRegistry.toRgb(value).map(channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [lighter, darker] = [luminance(color), luminance(other)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Get the text color that reads best on a background
+ * @param {string} background - #rrggbb color
+ * @returns {string} LIGHT_TEXT or DARK_TEXT
+ */
+ThemeRegistry.onColor = function (background) {
+    return ThemeRegistry.contrast(background, ThemeRegistry.LIGHT_TEXT) >= ThemeRegistry.contrast(background, ThemeRegistry.DARK_TEXT)
+        ? ThemeRegistry.LIGHT_TEXT
+        : ThemeRegistry.DARK_TEXT;
+};
+
+// Split a #rrggbb color into its channels
+ThemeRegistry.toRgb = function (color) {
+    const value = parseInt(color.slice(1), 16);
+    return [value >> 16, (value >> 8) & 0xff, value & 0xff];
+};
+
+// Join channels into a #rrggbb color, clamping each to 0-255
+ThemeRegistry.toHex = function (channels) {
+    return '#' + channels
+        .map(channel => Math.min(255, Math.max(0, Math.round(channel))).toString(16).padStart(2, '0'))
+        .join('');
+};
+
+// Colors every theme variant defines
+ThemeRegistry.COLOR_KEYS = ['primary', 'secondary', 'surface', 'background', 'text'];
+
+// Format of theme colors
+ThemeRegistry.COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Format of theme ids
+ThemeRegistry.ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Id of the theme derived from a template's color when it does not pick one
+ThemeRegistry.TEMPLATE_THEME = 'template';
+
+// Primary color of the derived theme when the template color is missing
+ThemeRegistry.FALLBACK_COLOR = '#4a90e2';
+
+// Text colors on themed backgrounds
+ThemeRegistry.LIGHT_TEXT = '#ffffff';
+ThemeRegistry.DARK_TEXT = '#1a202c';
+
+// Typography of themes that do not set their own
+ThemeRegistry.DEFAULT_TYPOGRAPHY = {
+    fontFamily: '-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif',
+    baseSize: 16,
+    headingWeight: 700
+};
+
+// Corner radius in pixels of themes that do not set their own
+ThemeRegistry.DEFAULT_RADIUS = 8;
+
+// Built-in themes the template editor offers
+ThemeRegistry.DEFAULT_THEMES = [
+    {
+        id: 'ocean',
+        name: 'Ocean',
+        description: 'Deep blue with a cyan accent',
+        colors: { primary: '#0077b6', secondary: '#00a5c7', surface: '#ffffff', background: '#f0f7fb', text: '#0b2545' },
+        dark: { primary: '#48cae4', secondary: '#90e0ef', surface: '#13293d', background: '#0b1a2b', text: '#e6f1ff' },
+        radius: 12
+    },
+    {
+        id: 'forest',
+        name: 'Forest',
+        description: 'Calm greens with rounded corners',
+        colors: { primary: '#2d6a4f', secondary: '#95d5b2', surface: '#ffffff', background: '#f3f8f4', text: '#1b2d23' },
+        dark: { primary: '#74c69d', secondary: '#b7e4c7', surface: '#1d2b24', background: '#111c16', text: '#e3efe7' },
+        radius: 16
+    },
+    {
+        id: 'sunset',
+        name: 'Sunset',
+        description: 'Warm orange and magenta with bold headings',
+        colors: { primary: '#e85d04', secondary: '#c9184a', surface: '#ffffff', background: '#fff7f0', text: '#2b1a12' },
+        dark: { primary: '#f48c06', secondary: '#ff4d6d', surface: '#2a1d17', background: '#1a120e', text: '#fbe9df' },
+        typography: { headingWeight: 800 },
+        radius: 10
+    },
+    {
+        id: 'paper',
+        name: 'Paper',
+        description: 'Ink on paper: serif text, square corners and no dark mode',
+        colors: { primary: '#1f2933', secondary: '#9a3412', surface: '#fffdf8', background: '#f5f1e8', text: '#1f2933' },
+        typography: { fontFamily: 'Georgia, \'Times New Roman\', serif', baseSize: 17, headingWeight: 600 },
+        radius: 2
+    }
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ThemeRegistry = ThemeRegistry;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeRegistry;
+}
@@ -0,0 +1,289 @@
+/**
+ * Token Vault Module
+ * Keeps the GitHub and Codemagic tokens in localStorage encrypted with a passphrase (PBKDF2 + AES-GCM through
+ * WebCrypto). Unlocking keeps only the derived key in memory; tokens are decrypted for each API request
+ */
+
+class TokenVault {
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || CONFIG.storage.tokenVault;
+        this.autoLockDelay = options.autoLockDelay ?? CONFIG.security.tokenVaultAutoLock;
+        this.subtle = options.subtle || globalThis.crypto?.subtle || null;
+        this.key = null; // Non-extractable AES-GCM key while unlocked
+        this.lockTimer = null;
+        this.eventListeners = new Map();
+    }
+
+    // Event system
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => callback(data));
+        }
+    }
+
+    // WebCrypto is only available in secure contexts (https or localhost)
+    isSupported() {
+        return !!(this.subtle && this.storage);
+    }
+
+    exists() {
+        return !!this.readRecord();
+    }
+
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    // Whether the vault holds a token for a service; works while locked
+    has(service) {
+        const record = this.readRecord();
+        return !!(record && record.tokens[service]);
+    }
+
+    getStatus() {
+        const record = this.readRecord();
+        return {
+            supported: this.isSupported(),
+            exists: !!record,
+            unlocked: this.isUnlocked(),
+            services: record ? Object.keys(record.tokens) : [],
+            autoLockMinutes: Math.round(this.autoLockDelay / 60000)
+        };
+    }
+
+    // Create a new, unlocked vault; replaces any existing one
+    async create(passphrase) {
+        this.assertSupported();
+        TokenVault.validatePassphrase(passphrase);
+
+        const salt = TokenVault.randomBytes(16);
+        const key = await this.deriveKey(passphrase, salt, TokenVault.PBKDF2_ITERATIONS);
+        const record = {
+            version: TokenVault.VERSION,
+            salt: TokenVault.toBase64(salt),
+            iterations: TokenVault.PBKDF2_ITERATIONS,
+            check: await this.encrypt(key, TokenVault.CHECK_VALUE),
+            tokens: {}
+        };
+
+        this.writeRecord(record);
+        this.key = key;
+        this.touch();
+        this.emit('vault:unlocked', { created: true });
+        return this.getStatus();
+    }
+
+    async unlock(passphrase) {
+        this.assertSupported();
+        const record = this.readRecord();
+        if (!record) {
+            throw new Error('No token vault has been set up');
+        }
+        if (!passphrase) {
+            throw new Error('Enter the vault passphrase');
+        }
+
+        const key = await this.deriveKey(passphrase, TokenVault.fromBase64(record.salt), record.iterations);
+        try {
+            // AES-GCM authentication fails for a key derived from another passphrase
+            await this.decrypt(key, record.check);
+        } catch (error) {
+            throw new Error('Wrong vault passphrase');
+        }
+
+        this.key = key;
+        this.touch();
+        this.emit('vault:unlocked', { created: false });
+        return this.getStatus();
+    }
+
+    lock(reason = 'manual') {
+        const wasUnlocked = this.isUnlocked();
+        this.key = null;
+        clearTimeout(this.lockTimer);
+        this.lockTimer = null;
+        if (wasUnlocked) {
+            this.emit('vault:locked', { reason });
+        }
+    }
+
+    // Delete the vault and its tokens
+    forget() {
+        this.lock('forgotten');
+        this.storage?.removeItem(this.storageKey);
+        this.emit('vault:forgotten');
+    }
+
+    // Store a token, or remove it when empty
+    async setToken(service, token) {
+        this.assertUnlocked();
+        const record = this.readRecord();
+
+        if (token) {
+            record.tokens[service] = await this.encrypt(this.key, token);
+        } else {
+            delete record.tokens[service];
+        }
+
+        this.writeRecord(record);
+        this.touch();
+        this.emit('vault:changed', { service });
+    }
+
+    async getToken(service) {
+        if (!this.has(service)) {
+            return null;
+        }
+        this.assertUnlocked();
+
+        const token = await this.decrypt(this.key, this.readRecord().tokens[service]);
+        this.touch();
+        return token;
+    }
+
+    // Restart the inactivity timer
+    touch() {
+        if (!this.isUnlocked() || !this.autoLockDelay) return;
+
+        clearTimeout(this.lockTimer);
+        this.lockTimer = setTimeout(() => this.lock('inactivity'), this.autoLockDelay);
+    }
+
+    assertSupported() {
+        if (!this.isSupported()) {
+            throw new Error('The token vault needs WebCrypto; open the generator over https or from localhost');
+        }
+    }
+
+    assertUnlocked() {
+        if (!this.isUnlocked()) {
+            throw new Error('Token vault is locked. Unlock it with your passphrase and try again');
+        }
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await this.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return this.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encrypt(key, text) {
+        const iv = TokenVault.randomBytes(12);
+        const data = await this.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: TokenVault.toBase64(iv), data: TokenVault.toBase64(new Uint8Array(data)) };
+    }
+
+    async decrypt(key, entry) {
+        const data = await this.subtle.decrypt(
+            { name: 'AES-GCM', iv: TokenVault.fromBase64(entry.iv) },
+            key,
+            TokenVault.fromBase64(entry.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    readRecord() {
+        try {
+            const record = JSON.parse(this.storage?.getItem(this.storageKey) || 'null');
+            return record && record.version === TokenVault.VERSION && record.tokens ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeRecord(record) {
+        this.storage.setItem(this.storageKey, JSON.stringify(record));
+    }
+}
+
+// Stored record format
+TokenVault.VERSION = 1;
+
+// PBKDF2-SHA256 iterations for new vaults (OWASP recommendation)
+TokenVault.PBKDF2_ITERATIONS = 310000;
+
+TokenVault.MIN_PASSPHRASE_LENGTH = 8;
+
+// Encrypted with the key so a wrong passphrase is detected before any token is needed
+TokenVault.CHECK_VALUE = 'cordova-app-generator-token-vault';
+
+// Services with a token, and the form field each token is entered in
+TokenVault.SERVICES = {
+    github: { label: 'GitHub', field: 'githubToken' },
+    codemagic: { label: 'Codemagic', field: 'codemagicApiToken' }
+};
+
+/**
+ * Throw unless a passphrase is long enough for a new vault
+ * @param {string} passphrase - Passphrase to check
+ */
+TokenVault.validatePassphrase = function (passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < TokenVault.MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`The vault passphrase must be at least ${TokenVault.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+};
+
+/**
+ * Copy of a configuration without the token fields, for files and storage
+ * @param {object} config - Flat configuration such as the global form values
+ * @returns {object} Configuration without tokens
+ */
+TokenVault.stripTokens = function (config) {
+    const copy = { ...config };
+    Object.values(TokenVault.SERVICES).forEach(({ field }) => delete copy[field]);
+    return copy;
+};
+
+/**
+ * Cryptographically random bytes, for salts and IVs
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+TokenVault.randomBytes = function (length) {
+    return globalThis.crypto.getRandomValues(new Uint8Array(length));
+};
+
+/**
+ * Encode bytes as base64 for the stored record
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+TokenVault.toBase64 = function (bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+};
+
+/**
+ * Decode base64 from the stored record
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+TokenVault.fromBase64 = function (text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TokenVault = TokenVault;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenVault;
+}
@@ -40,6 +40,8 @@ class UIManager {
         // Generation
         document.getElementById('generateAllBtn')?.addEventListener('click', this.startGeneration.bind(this));
         document.getElementById('cancelGenerationBtn')?.addEventListener('click', this.cancelGeneration.bind(this));
+        document.getElementById('resumeJobBtn')?.addEventListener('click', this.resumeJob.bind(this));
+        document.getElementById('discardJobBtn')?.addEventListener('click', this.discardJob.bind(this));
 
         // Results actions
         document.getElementById('downloadAllBtn')?.addEventListener('click', this.downloadAllApps.bind(this));
@@ -55,6 +57,16 @@ class UIManager {
 
         // Codemagic integration toggle
         this.setupCodemagicIntegration();
+
+        // Release signing toggle
+        this.setupReleaseSigning();
+        this.setupIosBuild();
+        this.setupCiProvider();
+
+        // Tokens held by the proxy server
+        this.setupServerTokens();
+        this.setupTokenVault();
+        this.setupOrgProfile();
     }
 
     // Initialize modals
@@ -390,68 +402,83 @@ class UIManager {
         this.updatePreview();
     }
 
-    // Get build status for a template
+    // Get the latest build per platform for a template
     getBuildStatusForTemplate(template) {
         if (!window.buildStatusManager) return null;
 
         const builds = window.buildStatusManager.getBuildsByApp(template.name);
         if (builds.length === 0) return null;
 
-        // Return the most recent build
-        return builds[0];
+        // Builds are stored newest first
+        return {
+            android: builds.find(build => (build.platform || 'android') === 'android') || null,
+            ios: builds.find(build => build.platform === 'ios') || null
+        };
     }
 
-    // Render build status information
+    // Render build status information, one row per platform
     renderBuildStatus(buildStatus) {
         if (!buildStatus) return '';
 
-        const badge = window.buildStatusManager.getStatusBadge(buildStatus.status);
-        const timestamp = window.buildStatusManager.formatTimestamp(buildStatus.lastUpdated);
+        return Object.entries(UIManager.BUILD_PLATFORMS)
+            .filter(([platform]) => buildStatus[platform])
+            .map(([platform, label]) => {
+                const build = buildStatus[platform];
+                const badge = window.buildStatusManager.getStatusBadge(build.status);
+                const timestamp = window.buildStatusManager.formatTimestamp(build.lastUpdated);
 
-        return `
-            <div class="build-status-info">
+                return `
+            <div class="build-status-info" data-platform="${platform}">
+                <span class="build-platform-label"><i class="${label.icon}"></i> ${label.name}</span>
                 <div class="build-status-badge ${badge.class}" style="background-color: ${badge.color}">
                     ${badge.icon} ${badge.text}
                 </div>
                 <div class="build-timestamp">
                     <i class="fas fa-clock"></i> ${timestamp}
-                    ${buildStatus.duration ? `(${buildStatus.duration})` : ''}
+                    ${build.duration ? `(${build.duration})` : ''}
                 </div>
             </div>
         `;
+            }).join('');
     }
 
-    // Render build actions
+    // Render build actions for each platform
     renderBuildActions(buildStatus) {
         if (!buildStatus) return '';
 
         let actions = '';
 
-        // View build logs
-        if (buildStatus.buildUrl) {
-            actions += `
-                <a href="${buildStatus.buildUrl}" target="_blank" class="btn btn-sm btn-info" title="View Build Logs">
-                    <i class="fas fa-external-link-alt"></i>
-                </a>
-            `;
-        }
+        Object.entries(UIManager.BUILD_PLATFORMS).forEach(([platform, label]) => {
+            const build = buildStatus[platform];
+            if (!build) return;
 
-        // View Codemagic project
-        if (buildStatus.projectUrl) {
-            actions += `
-                <a href="${buildStatus.projectUrl}" target="_blank" class="btn btn-sm btn-warning" title="View Codemagic Project">
-                    <i class="fas fa-rocket"></i>
+            // View build logs
+            if (build.buildUrl) {
+                actions += `
+                <a href="${build.buildUrl}" target="_blank" class="btn btn-sm btn-info" title="View ${label.name} Build Logs">
+                    <i class="${label.icon}"></i>
                 </a>
             `;
-        }
+            }
 
-        // Download artifacts
-        if (buildStatus.status === window.buildStatusManager?.STATUS.SUCCESS && buildStatus.artifacts?.length > 0) {
-            actions += `
-                <button class="btn btn-sm btn-success" onclick="ui.showArtifacts('${buildStatus.buildId}')" title="Download Artifacts">
+            // Download artifacts
+            if (build.status === window.buildStatusManager?.STATUS.SUCCESS && build.artifacts?.length > 0) {
+                actions += `
+                <button class="btn btn-sm btn-success" onclick="ui.showArtifacts('${build.buildId}')" title="Download ${label.name} Artifacts">
                     <i class="fas fa-download"></i>
                 </button>
             `;
+            }
+        });
+
+        // View Codemagic project (shared by both workflows)
+        const projectUrl = (buildStatus.android || buildStatus.ios).projectUrl;
+        if (projectUrl) {
+            actions += `
+                <a href="${projectUrl}" target="_blank" class="btn btn-sm btn-warning" title="View Codemagic Project">
+                    <i class="fas fa-rocket"></i>
+                </a>
+            `;
         }
 
         return actions;
@@ -890,10 +917,12 @@ class UIManager {
     applyConfiguration(config) {
         // Apply global settings
         if (config.global) {
-            Object.keys(config.global).forEach(key => {
+            // Tokens in older configuration files are not put back into the form; they belong in the token vault
+            const global = TokenVault.stripTokens(config.global);
+            Object.keys(global).forEach(key => {
                 const input = document.getElementById(key);
                 if (input) {
-                    input.value = config.global[key];
+                    input.value = global[key];
                 }
             });
         }
@@ -932,6 +961,7 @@ class UIManager {
             // Set default values (user should customize these)
             document.getElementById('githubUsername').value = '';
             document.getElementById('githubToken').value = '';
+            this.fillOrgProfile(OrgProfiles.normalize({ owner: '' }));
             document.getElementById('packagePrefix').value = 'com.yourcompany';
             document.getElementById('authorName').value = 'Your Name';
             document.getElementById('authorEmail').value = 'your.email@example.com';
@@ -939,6 +969,11 @@ class UIManager {
             document.getElementById('androidMinSdk').value = '33';
             document.getElementById('enableBuildPreparation').checked = true;
             document.getElementById('enableGitInit').checked = true;
+            document.getElementById('releaseSigningFields').style.display = 'none';
+            document.getElementById('iosFields').style.display = 'none';
+            document.getElementById('ciProvider').value = 'codemagic';
+            document.getElementById('codemagicSection').style.display = 'block';
+            document.getElementById('githubActionsHint').style.display = 'none';
         }
 
         // Clear template selections
@@ -971,17 +1006,68 @@ class UIManager {
             timestamp: new Date().toISOString(),
             global: {
                 githubUsername: document.getElementById('githubUsername').value,
-                githubToken: document.getElementById('githubToken').value, // Note: Be careful with token storage
+                githubOrganization: document.getElementById('githubOrganization').value.trim(),
+                repoVisibility: document.getElementById('repoVisibility').value,
+                repoTeams: document.getElementById('repoTeams').value,
+                repoTopics: document.getElementById('repoTopics').value,
+                protectMainBranch: document.getElementById('protectMainBranch').checked,
+                requiredReviews: document.getElementById('requiredReviews').value,
                 packagePrefix: document.getElementById('packagePrefix').value,
                 authorName: document.getElementById('authorName').value,
                 authorEmail: document.getElementById('authorEmail').value,
                 outputDirectory: document.getElementById('outputDirectory').value,
-                androidMinSdk: document.getElementById('androidMinSdk').value
+                androidMinSdk: document.getElementById('androidMinSdk').value,
+                ciProvider: document.getElementById('ciProvider').value,
+                enableReleaseSigning: document.getElementById('enableReleaseSigning').checked,
+                signingMethod: document.getElementById('signingMethod').value,
+                signingReference: document.getElementById('signingReference').value,
+                signingPackageType: document.getElementById('signingPackageType').value,
+                signingKeystoreType: document.getElementById('signingKeystoreType').value,
+                enableIosBuild: document.getElementById('enableIosBuild').checked,
+                iosDistributionType: document.getElementById('iosDistributionType').value,
+                iosAppStoreConnectIntegration: document.getElementById('iosAppStoreConnectIntegration').value
             },
             selectedTemplates: Array.from(this.selectedTemplates)
         };
     }
 
+    // Setup release signing toggle
+    setupReleaseSigning() {
+        const checkbox = document.getElementById('enableReleaseSigning');
+        const fieldsContainer = document.getElementById('releaseSigningFields');
+        const method = document.getElementById('signingMethod');
+        const reference = document.getElementById('signingReference');
+
+        if (checkbox && fieldsContainer) {
+            checkbox.addEventListener('change', (e) => {
+                fieldsContainer.style.display = e.target.checked ? 'block' : 'none';
+                if (e.target.checked) {
+                    reference.setAttribute('required', 'required');
+                } else {
+                    reference.removeAttribute('required');
+                }
+            });
+        }
+
+        if (method && reference) {
+            method.addEventListener('change', (e) => {
+                reference.placeholder = e.target.value === 'environment-group' ? 'keystore_credentials' : 'keystore_reference';
+            });
+        }
+    }
+
+    // Setup iOS build toggle
+    setupIosBuild() {
+        const checkbox = document.getElementById('enableIosBuild');
+        const fieldsContainer = document.getElementById('iosFields');
+
+        if (checkbox && fieldsContainer) {
+            checkbox.addEventListener('change', (e) => {
+                fieldsContainer.style.display = e.target.checked ? 'block' : 'none';
+            });
+        }
+    }
+
     // Setup form validation
     setupFormValidation() {
         const inputs = document.querySelectorAll('input[required], select[required]');
@@ -1000,8 +1086,10 @@ class UIManager {
             checkbox.addEventListener('change', (e) => {
                 if (e.target.checked) {
                     fieldsContainer.style.display = 'block';
-                    // Make Codemagic fields required when enabled
-                    document.getElementById('codemagicApiToken').setAttribute('required', 'required');
+                    // Make Codemagic fields required when enabled, unless the token vault or the proxy server holds the token
+                    if (!ConfigUtils.hasServerToken('codemagic') && !window.tokenVault?.has('codemagic')) {
+                        document.getElementById('codemagicApiToken').setAttribute('required', 'required');
+                    }
                 } else {
                     fieldsContainer.style.display = 'none';
                     // Remove required attribute when disabled
@@ -1011,6 +1099,207 @@ class UIManager {
         }
     }
 
+    // Make the token fields optional for the services whose token the proxy server holds
+    setupServerTokens() {
+        [['github', 'githubToken'], ['codemagic', 'codemagicApiToken']].forEach(([service, fieldId]) => {
+            const field = document.getElementById(fieldId);
+            if (!field || !ConfigUtils.hasServerToken(service)) return;
+
+            field.removeAttribute('required');
+            field.placeholder = 'Held by the proxy server; leave empty';
+        });
+    }
+
+    // Setup the token vault controls; tokens saved to the vault are cleared from the form
+    setupTokenVault() {
+        const vault = window.tokenVault;
+        if (!vault || !document.getElementById('tokenVaultSection')) return;
+
+        document.getElementById('saveVaultBtn')?.addEventListener('click', () => this.saveTokensToVault());
+        document.getElementById('unlockVaultBtn')?.addEventListener('click', () => this.unlockTokenVault());
+        document.getElementById('lockVaultBtn')?.addEventListener('click', () => vault.lock());
+        document.getElementById('forgetVaultBtn')?.addEventListener('click', () => this.forgetTokenVault());
+        document.getElementById('vaultPassphrase')?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            if (vault.exists() && !vault.isUnlocked()) {
+                this.unlockTokenVault();
+            } else {
+                this.saveTokensToVault();
+            }
+        });
+
+        ['vault:unlocked', 'vault:locked', 'vault:changed', 'vault:forgotten'].forEach(event => {
+            vault.on(event, () => this.updateTokenVaultStatus());
+        });
+        vault.on('vault:locked', ({ reason }) => {
+            if (reason === 'inactivity') {
+                this.showToast('Token vault locked after inactivity', 'info');
+            }
+        });
+
+        // Working in the page keeps an unlocked vault open
+        ['keydown', 'pointerdown'].forEach(type => {
+            document.addEventListener(type, () => vault.touch(), { passive: true });
+        });
+
+        this.updateTokenVaultStatus();
+    }
+
+    // Encrypt the tokens entered in the form into the vault, creating or unlocking it with the passphrase
+    async saveTokensToVault() {
+        const vault = window.tokenVault;
+        const passphraseInput = document.getElementById('vaultPassphrase');
+        const entries = Object.entries(TokenVault.SERVICES)
+            .map(([service, { label, field }]) => ({ service, label, input: document.getElementById(field) }))
+            .filter(({ input }) => input && input.value.trim());
+
+        if (entries.length === 0) {
+            this.showToast('Enter a GitHub or Codemagic token to save it to the token vault', 'warning');
+            return;
+        }
+
+        try {
+            if (!vault.exists()) {
+                await vault.create(passphraseInput.value);
+            } else if (!vault.isUnlocked()) {
+                await vault.unlock(passphraseInput.value);
+            }
+
+            for (const { service, input } of entries) {
+                await vault.setToken(service, input.value.trim());
+                input.value = '';
+            }
+            passphraseInput.value = '';
+            this.showToast(`Saved the ${entries.map(entry => entry.label).join(' and ')} token${entries.length > 1 ? 's' : ''} to the token vault`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async unlockTokenVault() {
+        const passphraseInput = document.getElementById('vaultPassphrase');
+
+        try {
+            const status = await window.tokenVault.unlock(passphraseInput.value);
+            passphraseInput.value = '';
+            this.showToast(`Token vault unlocked; it locks after ${status.autoLockMinutes} minutes of inactivity`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    forgetTokenVault() {
+        if (!confirm('Delete the token vault and the tokens stored in it? This action cannot be undone.')) {
+            return;
+        }
+
+        window.tokenVault.forget();
+        this.showToast('Token vault deleted', 'info');
+    }
+
+    // Show the vault state, its buttons, and which token fields can be left empty
+    updateTokenVaultStatus() {
+        const vault = window.tokenVault;
+        const status = vault.getStatus();
+        const statusText = document.getElementById('vaultStatus');
+        const passphraseInput = document.getElementById('vaultPassphrase');
+        const labels = status.services.map(service => TokenVault.SERVICES[service]?.label || service);
+        const held = labels.length ? `the ${labels.join(' and ')} token${labels.length > 1 ? 's' : ''}` : 'no tokens';
+
+        if (!status.supported) {
+            statusText.textContent = 'Not available: the token vault needs WebCrypto, so open the generator over https or from localhost';
+        } else if (!status.exists) {
+            statusText.textContent = 'Encrypts the GitHub and Codemagic tokens with your passphrase and keeps them in this browser';
+        } else if (status.unlocked) {
+            statusText.textContent = `Unlocked, holding ${held}; locks after ${status.autoLockMinutes} minutes of inactivity`;
+        } else {
+            statusText.textContent = `Locked, holding ${held}; enter the passphrase and unlock to use them`;
+        }
+
+        const visible = {
+            saveVaultBtn: status.supported,
+            unlockVaultBtn: status.supported && status.exists && !status.unlocked,
+            lockVaultBtn: status.unlocked,
+            forgetVaultBtn: status.exists
+        };
+        Object.entries(visible).forEach(([id, show]) => {
+            document.getElementById(id).style.display = show ? '' : 'none';
+        });
+        passphraseInput.disabled = !status.supported || status.unlocked;
+        passphraseInput.placeholder = status.unlocked ? 'Not needed while unlocked' : 'At least 8 characters';
+
+        Object.entries(TokenVault.SERVICES).forEach(([service, { field }]) => {
+            const input = document.getElementById(field);
+            if (!input || ConfigUtils.hasServerToken(service)) return;
+
+            input.dataset.placeholder = input.dataset.placeholder ?? input.placeholder;
+            if (status.services.includes(service)) {
+                input.removeAttribute('required');
+                input.placeholder = 'Stored in the token vault; leave empty';
+            } else {
+                input.placeholder = input.dataset.placeholder;
+                const codemagicEnabled = document.getElementById('enableCodemagicIntegration')?.checked;
+                if (service === 'github' || codemagicEnabled) {
+                    input.setAttribute('required', 'required');
+                }
+            }
+        });
+    }
+
+    // Fill the repository settings with the last used organization profile, and switch profiles with the organization
+    setupOrgProfile() {
+        const organizationInput = document.getElementById('githubOrganization');
+        if (!window.orgProfiles || !organizationInput) return;
+
+        this.fillOrgProfile(window.orgProfiles.getLast());
+
+        organizationInput.addEventListener('change', () => {
+            const owner = organizationInput.value.trim();
+            const known = window.orgProfiles.list().some(saved => OrgProfiles.getKey(saved) === OrgProfiles.getKey(owner));
+            if (known) {
+                this.fillOrgProfile(window.orgProfiles.get(owner));
+                this.showToast(`Loaded the saved repository settings of ${owner || 'your personal account'}`, 'info');
+            }
+        });
+    }
+
+    fillOrgProfile(profile) {
+        document.getElementById('githubOrganization').value = profile.owner;
+        document.getElementById('repoVisibility').value = profile.visibility;
+        document.getElementById('repoTeams').value = OrgProfiles.formatTeams(profile.teams);
+        document.getElementById('repoTopics').value = profile.topics.join(', ');
+        document.getElementById('protectMainBranch').checked = profile.protectMain;
+        document.getElementById('requiredReviews').value = profile.requiredReviews;
+    }
+
+    // Account the generated repositories and their Pages sites belong to
+    getRepositoryOwner() {
+        return document.getElementById('githubOrganization')?.value.trim() || document.getElementById('githubUsername')?.value;
+    }
+
+    // Setup CI provider selection; the Codemagic integration only applies to codemagic.yaml projects
+    setupCiProvider() {
+        const select = document.getElementById('ciProvider');
+        const codemagicSection = document.getElementById('codemagicSection');
+        const hint = document.getElementById('githubActionsHint');
+        const codemagicCheckbox = document.getElementById('enableCodemagicIntegration');
+
+        if (select && codemagicSection) {
+            select.addEventListener('change', (e) => {
+                const useGitHubActions = e.target.value === 'github-actions';
+                codemagicSection.style.display = useGitHubActions ? 'none' : 'block';
+                if (hint) {
+                    hint.style.display = useGitHubActions ? 'block' : 'none';
+                }
+                if (useGitHubActions && codemagicCheckbox?.checked) {
+                    codemagicCheckbox.checked = false;
+                    codemagicCheckbox.dispatchEvent(new Event('change'));
+                }
+            });
+        }
+    }
+
     // Validate field
     validateField(e) {
         const field = e.target;
@@ -1073,8 +1362,7 @@ class UIManager {
 
     // Validate package name
     isValidPackageName(packageName) {
-        const packageRegex = /^[a-z][a-z0-9]*(\.[a-z][a-z0-9]*)+$/;
-        return packageRegex.test(packageName);
+        return PackageIdPolicy.validate(packageName).isValid;
     }
 
     // Show toast notification
@@ -1182,7 +1470,7 @@ class UIManager {
 
         if (recentApps.length > 0) {
             const latestApp = recentApps[0];
-            const githubUsername = document.getElementById('githubUsername')?.value;
+            const githubUsername = this.getRepositoryOwner();
 
             if (githubUsername && latestApp.repositoryName) {
                 return `https://${githubUsername}.github.io/${latestApp.repositoryName}/www/`;
@@ -1196,7 +1484,7 @@ class UIManager {
     // Get example demo URL (fallback)
     getExampleDemoUrl() {
         // Return a demo URL for a sample app
-        const githubUsername = document.getElementById('githubUsername')?.value || 'your-username';
+        const githubUsername = this.getRepositoryOwner() || 'your-username';
         return `https://${githubUsername}.github.io/WeatherApp-Demo/www/`;
     }
 
@@ -1311,6 +1599,44 @@ class UIManager {
         window.app?.cancelGeneration();
     }
 
+    resumeJob() {
+        window.app?.resumeJob();
+    }
+
+    discardJob() {
+        window.app?.discardJob();
+    }
+
+    // Show the unfinished job that can be resumed, or hide the section when there is none
+    renderResumableJob(job) {
+        const section = document.getElementById('resumeJobSection');
+        if (!section) return;
+
+        if (!job) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const summary = JobStore.getSummary(job);
+        const parts = [`${summary.completed} done`];
+        if (summary.failed > 0) parts.push(`${summary.failed} failed`);
+        if (summary.pending > 0) parts.push(`${summary.pending} not finished`);
+
+        document.getElementById('resumeJobText').textContent =
+            `A batch of ${summary.total} app(s) started ${new Date(job.createdAt).toLocaleString()} did not finish: ${parts.join(', ')}. ` +
+            'Resume continues each app from its last completed stage.';
+        document.getElementById('resumeJobApps').innerHTML = job.apps
+            .filter(app => JobStore.getNextStage(job, app))
+            .map(app => {
+                const state = app.error
+                    ? `failed at ${JobStore.getStageLabel(app.failedStage)}: ${app.error}`
+                    : `next: ${JobStore.getStageLabel(JobStore.getNextStage(job, app))}`;
+                return `<li><strong>${this.escapeHtml(app.displayName)}</strong> - ${this.escapeHtml(state)}</li>`;
+            })
+            .join('');
+        section.style.display = 'block';
+    }
+
     // Display generation results
     displayResults(results) {
         const resultsSection = document.getElementById('resultsSection');
@@ -1373,7 +1699,7 @@ class UIManager {
 
     // Create individual demo link card
     createDemoLinkCard(result, index) {
-        const githubUsername = document.getElementById('githubUsername')?.value;
+        const githubUsername = this.getRepositoryOwner();
         const appName = result.repository?.name || result.appName;
         const demoUrl = `https://${githubUsername}.github.io/${appName}/www/`;
         const repoUrl = result.repository?.htmlUrl;
@@ -1548,7 +1874,7 @@ class UIManager {
         // Update action buttons
         const actionsContainer = card.querySelector('.demo-actions');
         if (actionsContainer) {
-            const githubUsername = document.getElementById('githubUsername')?.value;
+            const githubUsername = this.getRepositoryOwner();
             const demoUrl = `https://${githubUsername}.github.io/${appName}/www/`;
             const repoUrl = `https://github.com/${githubUsername}/${appName}`;
 
@@ -1668,7 +1994,7 @@ class UIManager {
 
     // Create live demo button with different states
     createLiveDemoButton(result, index) {
-        const githubUsername = document.getElementById('githubUsername')?.value;
+        const githubUsername = this.getRepositoryOwner();
         const appName = result.repository?.name || result.appName;
         const demoUrl = `https://${githubUsername}.github.io/${appName}/www/`;
 
@@ -1710,23 +2036,15 @@ class UIManager {
         }
     }
 
-    // Download all apps (placeholder)
+    // Download all apps
     downloadAllApps() {
-        if (this.lastGenerationResults) {
-            this.lastGenerationResults.forEach((result, index) => {
-                if (result.success) {
-                    this.downloadApp(index);
-                }
-            });
-        } else {
-            window.app?.downloadAllApps();
-        }
+        window.app?.downloadAllApps();
     }
 
     // View on GitHub (placeholder)
     viewOnGitHub() {
         if (this.lastGenerationResults && this.lastGenerationResults.length > 0) {
-            const githubUsername = document.getElementById('githubUsername')?.value;
+            const githubUsername = this.getRepositoryOwner();
             if (githubUsername) {
                 window.open(`https://github.com/${githubUsername}?tab=repositories`, '_blank');
             }
@@ -1936,24 +2254,15 @@ class UIManager {
 
     // Download individual app
     downloadApp(index) {
-        if (!this.lastGenerationResults || !this.lastGenerationResults[index]) {
+        const result = this.lastGenerationResults?.[index];
+        const templateId = result?.template?.id;
+
+        if (!templateId || !window.app?.downloadApp) {
             this.showToast('App data not available', 'error');
             return;
         }
 
-        const result = this.lastGenerationResults[index];
-
-        // This would typically trigger a download of the app files
-        // For now, we'll show a message
-        this.showToast(`Downloading ${result.appName}...`, 'info');
-
-        // In a real implementation, this would:
-        // 1. Fetch the app files from GitHub
-        // 2. Create a ZIP archive
-        // 3. Trigger download
-
-        // Placeholder implementation
-        window.app?.downloadApp?.(result);
+        window.app.downloadApp(templateId);
     }
 
     // Track demo view for analytics
@@ -1991,7 +2300,7 @@ class UIManager {
             return '';
         }
 
-        const githubUsername = document.getElementById('githubUsername')?.value;
+        const githubUsername = this.getRepositoryOwner();
         if (!githubUsername) {
             return '';
         }
@@ -2175,9 +2484,14 @@ class UIManager {
         return div.innerHTML;
     }
 
+    // Escape text for use inside a double-quoted HTML attribute
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
     // Test function to simulate generation results (for development/demo)
     showTestResults() {
-        const githubUsername = document.getElementById('githubUsername')?.value || 'demo-user';
+        const githubUsername = this.getRepositoryOwner() || 'demo-user';
 
         const testResults = [
             {
@@ -2266,7 +2580,7 @@ class UIManager {
             return;
         }
 
-        const githubUsername = document.getElementById('githubUsername')?.value || 'demo-user';
+        const githubUsername = this.getRepositoryOwner() || 'demo-user';
 
         const testBuilds = [
             {
@@ -2366,6 +2680,12 @@ class UIManager {
         return {
             githubUsername: document.getElementById('githubUsername').value,
             githubToken: document.getElementById('githubToken').value,
+            githubOrganization: document.getElementById('githubOrganization').value.trim(),
+            repoVisibility: document.getElementById('repoVisibility').value,
+            repoTeams: document.getElementById('repoTeams').value,
+            repoTopics: document.getElementById('repoTopics').value,
+            protectMainBranch: document.getElementById('protectMainBranch').checked,
+            requiredReviews: document.getElementById('requiredReviews').value,
             packagePrefix: document.getElementById('packagePrefix').value,
             authorName: document.getElementById('authorName').value,
             authorEmail: document.getElementById('authorEmail').value,
@@ -2374,12 +2694,24 @@ class UIManager {
             codemagicConfig: document.getElementById('codemagicConfig').value,
             enableBuildPreparation: document.getElementById('enableBuildPreparation').checked,
             enableGitInit: document.getElementById('enableGitInit').checked,
+            githubPushMode: document.getElementById('githubPushMode')?.value || 'git-data',
+            ciProvider: document.getElementById('ciProvider').value,
             // Codemagic integration fields
             enableCodemagicIntegration: document.getElementById('enableCodemagicIntegration').checked,
             codemagicApiToken: document.getElementById('codemagicApiToken').value,
             codemagicTeamId: document.getElementById('codemagicTeamId').value,
             codemagicWorkflowId: document.getElementById('codemagicWorkflowId').value,
-            codemagicBranch: document.getElementById('codemagicBranch').value
+            codemagicBranch: document.getElementById('codemagicBranch').value,
+            // Release signing fields
+            enableReleaseSigning: document.getElementById('enableReleaseSigning').checked,
+            signingMethod: document.getElementById('signingMethod').value,
+            signingReference: document.getElementById('signingReference').value.trim(),
+            signingPackageType: document.getElementById('signingPackageType').value,
+            signingKeystoreType: document.getElementById('signingKeystoreType').value,
+            // iOS build fields
+            enableIosBuild: document.getElementById('enableIosBuild').checked,
+            iosDistributionType: document.getElementById('iosDistributionType').value,
+            iosAppStoreConnectIntegration: document.getElementById('iosAppStoreConnectIntegration').value.trim()
         };
     }
 
@@ -2387,6 +2719,16 @@ class UIManager {
     showCreateTemplate(templateData = null) {
         const isEdit = !!templateData;
         const title = isEdit ? 'Edit Template' : 'Create Custom Template';
+        // Translations are edited through CSV imports, so the form keeps them here until it is saved
+        this.templateTranslations = JSON.parse(JSON.stringify(templateData?.translations || {}));
+        // Imported themes travel inside the template, so the form keeps their definitions by id
+        this.templateThemes = {};
+        if (templateData?.theme && typeof templateData.theme === 'object') {
+            this.templateThemes[templateData.theme.id] = ThemeRegistry.define(templateData.theme);
+        }
+        const selectedTheme = templateData?.theme ? (templateData.theme.id || templateData.theme) : '';
+        // The uploaded icon image is a data URL, kept here rather than in a form field
+        this.templateIconImage = templateData?.iconImage || null;
 
         const modal = document.createElement('div');
         modal.className = 'modal-overlay create-template-modal';
@@ -2426,11 +2768,12 @@ class UIManager {
                                 <label for="templateIcon">Icon *</label>
                                 <input type="text" id="templateIcon" required placeholder="🌤️" maxlength="2"
                                        value="${templateData?.icon || ''}">
-                                <small>Emoji or single character</small>
+                                <small>Emoji or single character. <a href="#" onclick="ui.importIconImage(); return false;">Upload a PNG or SVG</a> to render the launcher icons and splash screen from instead</small>
+                                <small id="templateIconImageSummary">${this.describeIconImage()}</small>
                             </div>
                             <div class="form-group">
                                 <label for="templateColor">Color *</label>
-                                <input type="color" id="templateColor" required
+                                <input type="color" id="templateColor" required oninput="ui.describeSelectedTheme()"
                                        value="${templateData?.color || '#667eea'}">
                                 <small>Background color for template card</small>
                             </div>
@@ -2456,6 +2799,50 @@ class UIManager {
                                        value="${templateData?.author || ''}">
                             </div>
                         </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="templatePackageName">Package ID Override</label>
+                                <input type="text" id="templatePackageName" placeholder="Defaults to <package prefix>.<template name>"
+                                       value="${this.escapeAttribute(templateData?.packageName || '')}">
+                                <small>Full application ID for apps built from this template (e.g., com.company.weather)</small>
+                            </div>
+                            <div class="form-group">
+                                <label for="templateScaffold">UI Scaffold</label>
+                                <select id="templateScaffold">
+                                    ${(window.scaffoldRegistry?.getAll() || []).map(scaffold =>
+                                        `<option value="${this.escapeAttribute(scaffold.id)}" title="${this.escapeAttribute(scaffold.description)}" ${(templateData?.scaffold || ScaffoldRegistry.DEFAULT_SCAFFOLD) === scaffold.id ? 'selected' : ''}>${this.escapeHtml(scaffold.name)}</option>`
+                                    ).join('')}
+                                </select>
+                                <small>Navigation shell and UI framework of the generated app</small>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="templateStorage">Data Storage</label>
+                                <select id="templateStorage">
+                                    ${(window.scaffoldRegistry?.dataLayer.getAll() || []).map(backend =>
+                                        `<option value="${this.escapeAttribute(backend.id)}" title="${this.escapeAttribute(backend.description)}" ${(templateData?.storage || DataLayer.DEFAULT_BACKEND) === backend.id ? 'selected' : ''}>${this.escapeHtml(backend.name)}</option>`
+                                    ).join('')}
+                                </select>
+                                <small>Where the generated app keeps its data; SQLite adds the cordova-sqlite-storage plugin</small>
+                            </div>
+                            <div class="form-group">
+                                <label for="templateLocales">Languages</label>
+                                <input type="text" id="templateLocales" placeholder="e.g., fr, de, pt-BR" value="${this.escapeAttribute((templateData?.locales || []).join(', '))}">
+                                <small>Locale codes besides English. <a href="#" onclick="ui.importTranslationsCsv(); return false;">Import translations CSV</a> (a "key" column of English strings, then one column per locale); every multilingual app ships i18n/translations.csv to start from.</small>
+                                <small id="templateTranslationsSummary">${this.escapeHtml(this.describeTranslations(this.templateTranslations))}</small>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="templateTheme">Theme</label>
+                                <select id="templateTheme" onchange="ui.describeSelectedTheme()">
+                                    ${this.renderThemeOptions(selectedTheme)}
+                                </select>
+                                <small>Colors, typography, corner radius and dark mode of the generated app; the status bar follows the theme. <a href="#" onclick="ui.importThemes(); return false;">Import theme</a> (a JSON theme definition or a list of them)</small>
+                                <small id="templateThemeSummary"></small>
+                            </div>
+                        </div>
                         <div class="form-section">
                             <h4><i class="fas fa-plug"></i> Cordova Plugins</h4>
                             <div class="plugins-container">
@@ -2468,7 +2855,7 @@ class UIManager {
                                 <div class="selected-plugins">
                                     <h5>Selected Plugins</h5>
                                     <div class="plugins-list" id="selectedPlugins">
-                                        ${this.renderSelectedPlugins(templateData?.plugins || [])}
+                                        ${this.renderSelectedPlugins(templateData?.plugins || [], templateData?.pluginVariables || {})}
                                     </div>
                                 </div>
                             </div>
@@ -2489,6 +2876,7 @@ class UIManager {
 
         // Setup plugin selection
         this.setupPluginSelection();
+        this.describeSelectedTheme();
     }
 
     // Render available plugins
@@ -2516,7 +2904,7 @@ class UIManager {
     }
 
     // Render selected plugins
-    renderSelectedPlugins(selectedPlugins = []) {
+    renderSelectedPlugins(selectedPlugins = [], pluginVariables = {}) {
         if (selectedPlugins.length === 0) {
             return '<div class="empty-plugins">No plugins selected</div>';
         }
@@ -2527,10 +2915,33 @@ class UIManager {
                 <button class="remove-plugin" onclick="ui.removePlugin('${pluginId}')" title="Remove Plugin">
                     <i class="fas fa-times"></i>
                 </button>
+                ${this.renderPluginVariableFields(pluginId, pluginVariables[pluginId] || {})}
             </div>
         `).join('');
     }
 
+    // Render inputs for the variables and iOS usage descriptions a plugin accepts
+    renderPluginVariableFields(pluginId, values = {}) {
+        const definitions = window.pluginRegistry?.getVariableDefinitions(pluginId) || [];
+        if (definitions.length === 0) return '';
+
+        return `
+            <div class="plugin-variables">
+                ${definitions.map(variable => `
+                    <label class="plugin-variable">
+                        <span class="plugin-variable-name" title="${this.escapeAttribute(variable.description || '')}">
+                            ${variable.name}${variable.required ? ' *' : ''}
+                        </span>
+                        <input type="text" class="plugin-variable-input"
+                               data-variable-plugin="${pluginId}" data-variable-name="${variable.name}"
+                               placeholder="${this.escapeAttribute(variable.default || '')}"
+                               value="${this.escapeAttribute(values[variable.name] || '')}">
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
     // Setup plugin selection functionality
     setupPluginSelection() {
         // Plugin selection is handled by onclick events in the HTML
@@ -2570,6 +2981,7 @@ class UIManager {
             <button class="remove-plugin" onclick="ui.removePlugin('${pluginId}')" title="Remove Plugin">
                 <i class="fas fa-times"></i>
             </button>
+            ${this.renderPluginVariableFields(pluginId)}
         `;
 
         selectedContainer.appendChild(pluginItem);
@@ -2616,8 +3028,18 @@ class UIManager {
                 category: document.getElementById('templateCategory').value,
                 tags: document.getElementById('templateTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
                 author: document.getElementById('templateAuthor').value.trim() || 'User',
-                plugins: this.getSelectedPlugins()
+                plugins: this.getSelectedPlugins(),
+                pluginVariables: this.getPluginVariables(),
+                packageName: document.getElementById('templatePackageName').value.trim() || undefined,
+                scaffold: document.getElementById('templateScaffold').value || undefined,
+                storage: document.getElementById('templateStorage').value || undefined,
+                locales: LocaleCatalog.parseLocaleList(document.getElementById('templateLocales').value),
+                theme: this.getSelectedTheme() || undefined,
+                iconImage: this.templateIconImage || undefined
             };
+            // Keep the translations of the listed languages only
+            formData.translations = Object.fromEntries(Object.entries(this.templateTranslations || {})
+                .filter(([locale]) => formData.locales.includes(locale)));
 
             // Validate required fields
             if (!formData.name || !formData.displayName || !formData.description || !formData.icon) {
@@ -2645,6 +3067,147 @@ class UIManager {
         }
     }
 
+    // Read a translations CSV into the template form: its locales join the Languages field
+    importTranslationsCsv() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,text/csv';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const imported = LocaleCatalog.parseCsv(e.target.result);
+                    const localesInput = document.getElementById('templateLocales');
+                    const locales = LocaleCatalog.parseLocaleList(localesInput.value);
+
+                    imported.locales.forEach(locale => {
+                        this.templateTranslations[locale] = { ...this.templateTranslations[locale], ...imported.translations[locale] };
+                        if (!locales.includes(locale)) {
+                            locales.push(locale);
+                        }
+                    });
+                    localesInput.value = locales.join(', ');
+                    document.getElementById('templateTranslationsSummary').textContent = this.describeTranslations(this.templateTranslations);
+                    this.showToast(`Imported translations for ${imported.locales.join(', ')}`, 'success');
+                } catch (error) {
+                    alert('Failed to import translations: ' + error.message);
+                }
+            };
+            reader.readAsText(file);
+        };
+        input.click();
+    }
+
+    // Render the theme options of the template form: the template color, the built-in themes, then imported ones
+    renderThemeOptions(selectedId) {
+        const imported = Object.values(this.templateThemes || {});
+        const builtIn = (window.scaffoldRegistry?.themeRegistry.getAll() || [])
+            .filter(theme => !this.templateThemes?.[theme.id]);
+        const option = (theme, label) =>
+            `<option value="${this.escapeAttribute(theme.id)}" title="${this.escapeAttribute(theme.description)}" ${theme.id === selectedId ? 'selected' : ''}>${this.escapeHtml(label)}</option>`;
+
+        return [
+            `<option value="" ${selectedId ? '' : 'selected'}>Template color</option>`,
+            ...builtIn.map(theme => option(theme, theme.name)),
+            ...imported.map(theme => option(theme, `${theme.name} (imported)`))
+        ].join('');
+    }
+
+    // Get the theme picked in the template form: an imported definition, a built-in theme id, or null
+    getSelectedTheme() {
+        const themeId = document.getElementById('templateTheme').value;
+        if (!themeId) return null;
+        return this.templateThemes?.[themeId] || themeId;
+    }
+
+    // Show the colors of the picked theme under the select
+    describeSelectedTheme() {
+        const summary = document.getElementById('templateThemeSummary');
+        if (!summary) return;
+
+        const theme = this.getSelectedTheme();
+        const resolved = typeof theme === 'string'
+            ? window.scaffoldRegistry?.themeRegistry.get(theme)
+            : theme || ThemeRegistry.fromColor(document.getElementById('templateColor').value);
+        summary.textContent = resolved ? ThemeRegistry.describe(resolved) : '';
+    }
+
+    // Read a theme file into the template form and pick the first theme it defines
+    importThemes() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const themes = ThemeRegistry.parseThemes(e.target.result);
+                    themes.forEach(theme => {
+                        this.templateThemes[theme.id] = theme;
+                    });
+                    document.getElementById('templateTheme').innerHTML = this.renderThemeOptions(themes[0].id);
+                    this.describeSelectedTheme();
+                    this.showToast(`Imported ${themes.length} theme(s): ${themes.map(theme => theme.name).join(', ')}`, 'success');
+                } catch (error) {
+                    alert('Failed to import themes: ' + error.message);
+                }
+            };
+            reader.readAsText(file);
+        };
+        input.click();
+    }
+
+    // Describe the uploaded icon image of the template form, with a link to remove it
+    describeIconImage() {
+        if (!this.templateIconImage) return '';
+        const type = this.templateIconImage.startsWith('data:image/svg+xml') ? 'SVG' : 'PNG';
+        return `Launcher icons use the uploaded ${type} image. <a href="#" onclick="ui.removeIconImage(); return false;">Use the emoji</a>`;
+    }
+
+    // Read a PNG or SVG file into the template form as the source of its launcher icons
+    importIconImage() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/png,image/svg+xml';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const errors = ResourcePipeline.validateImage(e.target.result);
+                if (errors.length > 0) {
+                    alert('Failed to use the icon image: ' + errors.join('; '));
+                    return;
+                }
+                this.templateIconImage = e.target.result;
+                document.getElementById('templateIconImageSummary').innerHTML = this.describeIconImage();
+                this.showToast(`Launcher icons will be rendered from ${this.escapeHtml(file.name)}`, 'success');
+            };
+            reader.readAsDataURL(file);
+        };
+        input.click();
+    }
+
+    // Go back to rendering the launcher icons from the emoji
+    removeIconImage() {
+        this.templateIconImage = null;
+        document.getElementById('templateIconImageSummary').innerHTML = '';
+    }
+
+    // Summarize the translations of the template form
+    describeTranslations(translations) {
+        const counts = Object.entries(translations || {})
+            .map(([locale, strings]) => `${locale}: ${Object.keys(strings).length}`);
+        return counts.length > 0 ? `Translated strings: ${counts.join(', ')}` : 'No translations imported yet';
+    }
+
     // Get selected plugins from the form
     getSelectedPlugins() {
         const selectedContainer = document.getElementById('selectedPlugins');
@@ -2652,6 +3215,20 @@ class UIManager {
         return Array.from(pluginItems).map(item => item.getAttribute('data-plugin-id'));
     }
 
+    // Get the plugin variable overrides entered in the form; empty fields keep the registry defaults
+    getPluginVariables() {
+        const pluginVariables = {};
+        document.querySelectorAll('#selectedPlugins .plugin-variable-input').forEach(input => {
+            const value = input.value.trim();
+            if (!value) return;
+
+            const pluginId = input.getAttribute('data-variable-plugin');
+            pluginVariables[pluginId] = pluginVariables[pluginId] || {};
+            pluginVariables[pluginId][input.getAttribute('data-variable-name')] = value;
+        });
+        return pluginVariables;
+    }
+
     // Show template manager modal
     showTemplateManager() {
         if (!window.templateManager) {
@@ -3350,5 +3927,11 @@ class UIManager {
     }
 }
 
+// Platforms shown in the build status of each app
+UIManager.BUILD_PLATFORMS = {
+    android: { name: 'Android', icon: 'fab fa-android' },
+    ios: { name: 'iOS', icon: 'fab fa-apple' }
+};
+
 // Export for use in other modules
 window.UIManager = UIManager;
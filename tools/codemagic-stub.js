@@ -0,0 +1,169 @@
+/**
+ * Codemagic API Stub
+ * In-memory stand-in for the parts of the Codemagic REST API the generator uses (apps, builds, artifacts), so the
+ * Codemagic integration can be tested offline. tools/proxy-server.js serves it under /codemagic/ with --stub-codemagic
+ */
+
+const crypto = require('crypto');
+
+class CodemagicStub {
+    constructor(options = {}) {
+        // Without a token, any non-empty x-auth-token is accepted
+        this.token = options.token || null;
+        // Time a build spends queued, then building, before it finishes
+        this.stepDuration = options.stepDuration ?? 2000;
+        this.applications = [];
+        this.builds = new Map();
+    }
+
+    // Handle a request; url is the API path and query, without the /codemagic prefix
+    async handle(req, res, url) {
+        const { pathname, searchParams } = new URL(url, 'http://stub');
+        const token = req.headers['x-auth-token'];
+
+        if (!token || (this.token && token !== this.token)) {
+            return this.send(res, 401, { message: 'Invalid API token' });
+        }
+
+        let body = {};
+        if (req.method === 'POST') {
+            try {
+                body = JSON.parse(await CodemagicStub.readBody(req) || '{}');
+            } catch (error) {
+                return this.send(res, 400, { message: 'Request body is not valid JSON' });
+            }
+        }
+
+        const buildMatch = pathname.match(/^\/builds\/([\w-]+)$/);
+
+        if (pathname === '/apps' && req.method === 'GET') {
+            return this.send(res, 200, { applications: this.applications });
+        }
+        if (pathname === '/apps' && req.method === 'POST') {
+            return this.createApplication(res, body);
+        }
+        if (pathname === '/builds' && req.method === 'POST') {
+            return this.startBuild(res, body);
+        }
+        if (pathname === '/builds' && req.method === 'GET') {
+            const build = this.builds.get(searchParams.get('buildId'));
+            return this.send(res, 200, { builds: build ? [this.describeBuild(build)] : [] });
+        }
+        if (buildMatch && req.method === 'GET') {
+            const build = this.builds.get(buildMatch[1]);
+            if (!build) {
+                return this.send(res, 404, { message: 'Build not found' });
+            }
+            return this.send(res, 200, {
+                application: this.applications.find(app => app._id === build.appId),
+                build: this.describeBuild(build)
+            });
+        }
+
+        return this.send(res, 404, { message: `Not found: ${req.method} ${pathname}` });
+    }
+
+    // POST /apps: add a repository, named after it like Codemagic does
+    createApplication(res, body) {
+        const match = /^https:\/\/github\.com\/[\w.-]+\/([\w.-]+?)(\.git)?$/.exec(body.repositoryUrl || '');
+        if (!match) {
+            return this.send(res, 422, { message: 'Invalid repository URL' });
+        }
+
+        const application = {
+            _id: CodemagicStub.createId(),
+            appName: match[1],
+            repositoryUrl: body.repositoryUrl,
+            teamId: body.teamId || null,
+            // Workflows of the codemagic.yaml the generator writes
+            workflowIds: ['cordova_android_build', 'cordova_ios_build'],
+            workflows: {},
+            branches: ['main']
+        };
+        this.applications.push(application);
+        return this.send(res, 200, application);
+    }
+
+    // POST /builds: queue a build of an application
+    startBuild(res, body) {
+        const application = this.applications.find(app => app._id === body.appId);
+        if (!application || !application.workflowIds.includes(body.workflowId)) {
+            return this.send(res, 404, { message: 'Application or workflow not found' });
+        }
+
+        const build = {
+            _id: CodemagicStub.createId(),
+            appId: application._id,
+            workflowId: body.workflowId,
+            branch: body.branch || 'main',
+            createdAt: Date.now()
+        };
+        this.builds.set(build._id, build);
+        return this.send(res, 200, { buildId: build._id });
+    }
+
+    // The build as the API reports it; its status moves on with the time since it was queued
+    describeBuild(build) {
+        const step = Math.floor((Date.now() - build.createdAt) / Math.max(1, this.stepDuration));
+        const status = CodemagicStub.STATUSES[Math.min(step, CodemagicStub.STATUSES.length - 1)];
+        const finished = status === 'finished';
+        const ios = build.workflowId === 'cordova_ios_build';
+
+        return {
+            _id: build._id,
+            appId: build.appId,
+            workflowId: build.workflowId,
+            branch: build.branch,
+            status,
+            startedAt: new Date(build.createdAt).toISOString(),
+            finishedAt: finished ? new Date(build.createdAt + this.stepDuration * 2).toISOString() : null,
+            artefacts: finished ? [{
+                name: ios ? 'app-release.ipa' : 'app-release.apk',
+                type: ios ? 'ipa' : 'apk',
+                size: 4 * 1024 * 1024,
+                url: `https://api.codemagic.io/artifacts/${build._id}/${ios ? 'app-release.ipa' : 'app-release.apk'}`,
+                md5: crypto.createHash('md5').update(build._id).digest('hex'),
+                packageName: 'com.example.app',
+                versionName: '1.0.0'
+            }] : []
+        };
+    }
+
+    send(res, status, data) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'X-RateLimit-Remaining': '5000',
+            'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 3600)
+        });
+        res.end(JSON.stringify(data));
+    }
+}
+
+// Statuses a stub build goes through, one per step
+CodemagicStub.STATUSES = ['queued', 'building', 'finished'];
+
+// Random 24-digit hex ID, like the MongoDB IDs of Codemagic
+CodemagicStub.createId = function () {
+    return crypto.randomBytes(12).toString('hex');
+};
+
+// Read a request body as text
+CodemagicStub.readBody = function (req, limit = 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new Error('Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+};
+
+module.exports = CodemagicStub;
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Cordova App Generator - Headless CLI
+ * Generates Cordova projects from a configuration file without the browser UI
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// Browser modules shared with index.html, loaded in the same order as the script tags
+const MODULES = [
+    ['SecurityUtils', 'security.js'],
+    ['PackageIdPolicy', 'package-id-policy.js'],
+    ['PluginRegistry', 'plugin-registry.js'],
+    ['ScreenLibrary', 'screen-library.js'],
+    ['ServiceLibrary', 'service-library.js'],
+    ['DataLayer', 'data-layer.js'],
+    ['LocaleCatalog', 'locale-catalog.js'],
+    ['ThemeRegistry', 'theme-registry.js'],
+    ['ResourcePipeline', 'resource-pipeline.js'],
+    ['StoreAssets', 'store-assets.js'],
+    ['ScaffoldRegistry', 'scaffold-registry.js'],
+    ['AppTemplatesManager', 'templates.js'],
+    ['CordovaAppGenerator', 'generator.js'],
+    ['ProjectExporter', 'project-exporter.js'],
+    ['ProjectLinter', 'project-linter.js'],
+    ['CodemagicIntegration', 'codemagic.js'],
+    ['CordovaBuildPreparation', 'cordova-builder.js']
+];
+
+// Load the browser modules and expose them as globals, as the script tags do
+function loadModules() {
+    const modules = {};
+    MODULES.forEach(([name, file]) => {
+        modules[name] = require(path.join(JS_DIR, file));
+        global[name] = modules[name];
+    });
+    return modules;
+}
+
+class CordovaAppGenCLI {
+    constructor(options = {}) {
+        this.options = options;
+        this.modules = loadModules();
+        this.pluginRegistry = new this.modules.PluginRegistry();
+        this.templatesManager = new this.modules.AppTemplatesManager();
+        this.generator = new this.modules.CordovaAppGenerator({
+            simulateDelays: false,
+            pluginRegistry: this.pluginRegistry
+        });
+        this.cordovaBuilder = new this.modules.CordovaBuildPreparation({
+            pluginRegistry: this.pluginRegistry,
+            scaffoldRegistry: this.generator.scaffoldRegistry
+        });
+        this.setupEventListeners();
+    }
+
+    log(message, type = 'info') {
+        if (this.options.quiet && type === 'info') return;
+
+        const colors = {
+            error: '\x1b[31m',
+            warning: '\x1b[33m',
+            success: '\x1b[32m',
+            info: '\x1b[36m',
+            reset: '\x1b[0m'
+        };
+
+        const stream = type === 'error' ? console.error : console.log;
+        stream(`${colors[type]}${message}${colors.reset}`);
+    }
+
+    // Mirror the generator progress events on the console
+    setupEventListeners() {
+        this.generator.on('generation:app-start', (data) => {
+            this.log(`⚙️  Generating ${data.template.displayName}...`);
+        });
+
+        this.generator.on('generation:app-error', (data) => {
+            this.log(`❌ ${data.template.displayName}: ${data.error.message}`, 'error');
+        });
+    }
+
+    // Read and parse the configuration file
+    loadConfig(configPath) {
+        const fullPath = path.resolve(configPath);
+        if (!fs.existsSync(fullPath)) {
+            throw new Error(`Configuration file not found: ${configPath}`);
+        }
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to parse ${configPath}: ${error.message}`);
+        }
+
+        if (!config.global || typeof config.global !== 'object') {
+            throw new Error('Configuration must contain a "global" section');
+        }
+
+        return config;
+    }
+
+    // Register custom templates and resolve the selected template IDs
+    resolveTemplates(config) {
+        (config.customTemplates || []).forEach(template => {
+            try {
+                this.templatesManager.addTemplate({ ...template, custom: true });
+            } catch (error) {
+                throw new Error(`Invalid custom template "${template.id || template.name}": ${error.message}`);
+            }
+        });
+
+        const selected = this.options.templates || config.selectedTemplates || [];
+        if (selected.length === 0) {
+            throw new Error('No templates selected. Add "selectedTemplates" to the configuration or pass --templates');
+        }
+
+        const unknown = selected.filter(id => !this.templatesManager.getTemplate(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown template ID(s): ${unknown.join(', ')}`);
+        }
+
+        return selected.map(id => this.templatesManager.getTemplate(id));
+    }
+
+    // Refresh plugin versions from the npm snapshot written by tools/update-plugin-snapshot.js
+    async loadPluginSnapshot() {
+        try {
+            const info = await this.pluginRegistry.loadSnapshot();
+            this.log(`📦 Plugin snapshot from ${info.generatedAt}`);
+        } catch (error) {
+            this.log(`⚠️  Plugin snapshot not available, using built-in versions: ${error.message}`, 'warning');
+        }
+    }
+
+    // Print the project linter findings for a generated app
+    reportLint(result) {
+        const { ProjectExporter, ProjectLinter } = this.modules;
+        const lint = ProjectLinter.lint(ProjectExporter.collectFiles(result));
+
+        lint.errors.forEach(issue => this.log(`   ❌ ${ProjectLinter.formatIssue(issue)}`, 'error'));
+        lint.warnings.forEach(issue => this.log(`   ⚠️  ${ProjectLinter.formatIssue(issue)}`, 'warning'));
+    }
+
+    // Warn when launcher icons and store graphics cannot be rendered headless
+    checkResourcePipeline() {
+        if (!this.generator.resourcePipeline.isAvailable()) {
+            this.log('⚠️  Canvas module not available, so the apps get no launcher icons, splash screen or store graphics. Install with: npm install canvas', 'warning');
+        }
+    }
+
+    // Build preparation is on unless the configuration turns it off, as in the browser form
+    isBuildPreparationEnabled(config) {
+        return config.global.enableBuildPreparation !== false;
+    }
+
+    // Reject settings the browser form rejects, and print the warnings it shows
+    checkBuildSettings(config) {
+        const settings = config.global;
+        if (settings.ciProvider === 'github-actions' && !this.isBuildPreparationEnabled(config)) {
+            throw new Error('GitHub Actions requires build preparation ("enableBuildPreparation" must not be false)');
+        }
+        if (settings.ciProvider !== 'github-actions' && this.isBuildPreparationEnabled(config)) {
+            this.modules.CordovaBuildPreparation.checkCustomCodemagicConfig(settings.codemagicConfig, settings)
+                .forEach(warning => this.log(`⚠️  Custom Codemagic configuration: ${warning}`, 'warning'));
+        }
+    }
+
+    // Add the CI configuration, build.json and build scripts the browser pushes; the app keeps its plain files
+    // when preparation fails
+    async prepareBuild(result, config) {
+        try {
+            result.buildReady = await this.cordovaBuilder.prepareSingleCordovaProject(result, config.global);
+        } catch (error) {
+            this.log(`⚠️  ${result.config.displayName}: ${error.message}`, 'warning');
+        }
+    }
+
+    async run(configPath) {
+        const config = this.loadConfig(configPath);
+        const templates = this.resolveTemplates(config);
+        this.checkBuildSettings(config);
+        await this.loadPluginSnapshot();
+        this.checkResourcePipeline();
+        const outputDir = path.resolve(this.options.output || config.global.outputDirectory || './generated-apps');
+
+        this.log(`🚀 Generating ${templates.length} app(s) into ${outputDir}`);
+
+        const results = await this.generator.generateApps(templates, config.global);
+
+        const generated = results.results.filter(result => result.success);
+        if (this.isBuildPreparationEnabled(config)) {
+            for (const result of generated) {
+                await this.prepareBuild(result, config);
+            }
+        }
+
+        generated.forEach(result => {
+            const projectDir = this.modules.ProjectExporter.writeToDirectory(result, outputDir);
+            this.log(`✅ ${result.config.displayName} → ${projectDir}`, 'success');
+            this.reportLint(result);
+        });
+
+        this.log(`\n📈 ${results.successfulApps}/${results.totalApps} app(s) generated in ${results.duration}ms`,
+            results.failedApps > 0 ? 'warning' : 'success');
+
+        return results;
+    }
+}
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-c':
+            case '--config':
+                options.config = argv[++i];
+                break;
+            case '-o':
+            case '--output':
+                options.output = argv[++i];
+                break;
+            case '-t':
+            case '--templates':
+                options.templates = (argv[++i] || '').split(',').map(id => id.trim()).filter(Boolean);
+                break;
+            case '-q':
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+
+    options.config = options.config || positional[0];
+    return options;
+}
+
+function printUsage() {
+    console.log(`Usage: cordova-app-gen [options] <config.json>
+
+Options:
+  -c, --config <file>      Configuration file (same format as examples/sample-config.json)
+  -o, --output <dir>       Output directory (overrides global.outputDirectory)
+  -t, --templates <ids>    Comma-separated template IDs (overrides selectedTemplates)
+  -q, --quiet              Only print warnings and errors
+  -h, --help               Show this help
+
+Build preparation (codemagic.yaml or the GitHub Actions workflow, build.json) runs as in the browser;
+set "enableBuildPreparation": false in the global section to write the plain generated projects.`);
+}
+
+// Run the CLI if called directly
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(2);
+    }
+
+    if (options.help || !options.config) {
+        printUsage();
+        process.exit(options.help ? 0 : 2);
+    }
+
+    new CordovaAppGenCLI(options).run(options.config)
+        .then(results => process.exit(results.failedApps > 0 ? 1 : 0))
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = CordovaAppGenCLI;
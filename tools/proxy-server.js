@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+
+/**
+ * Local API Proxy Server
+ * Serves the generator and forwards /github/* and /codemagic/* to the APIs, so a self-hosted generator is not blocked by
+ * CORS. Only hosts in CONFIG.security.allowedDomains are reached, and API tokens can be kept on the server.
+ * API requests need the session secret of the index.html the proxy served, so other sites cannot use the tokens
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const CONFIG = require('../js/config.js');
+const CodemagicStub = require('./codemagic-stub.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Path prefix => API the proxy forwards it to, with the environment variable of its server-side token
+const PROXY_ROUTES = {
+    github: { target: CONFIG.github.apiUrl, tokenEnv: 'GITHUB_TOKEN', timeout: CONFIG.github.timeout },
+    codemagic: { target: CONFIG.codemagic.apiUrl, tokenEnv: 'CODEMAGIC_TOKEN', timeout: CONFIG.codemagic.timeout }
+};
+
+// Request headers passed on to the APIs; cookies and anything else the browser adds stay local
+const FORWARDED_HEADERS = ['accept', 'content-type', 'user-agent', 'x-github-api-version', 'if-none-match'];
+
+// Response headers that only apply to the connection between the proxy and the API
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'proxy-authenticate', 'trailer'];
+
+// Request header carrying the session secret; js/config.js reads it from the api-proxy-session meta tag
+const SESSION_HEADER = 'x-proxy-session';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+
+// Largest request body forwarded; GitHub file uploads are base64 encoded
+const MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+class ProxyServer {
+    constructor(options = {}) {
+        this.options = options;
+        this.port = options.port ?? 8080;
+        this.host = options.host || '127.0.0.1';
+        // Host names besides localhost and IP addresses the generator may be opened under
+        this.allowedHosts = (options.allowedHosts || []).map(name => name.toLowerCase());
+        // New for every run; only pages served by this proxy know it
+        this.session = crypto.randomBytes(24).toString('hex');
+        this.tokens = {};
+        Object.entries(PROXY_ROUTES).forEach(([service, route]) => {
+            this.tokens[service] = process.env[route.tokenEnv] || null;
+            // Refuse to start with a route the allowlist would reject on every request
+            ProxyServer.assertAllowed(route.target);
+        });
+        this.codemagicStub = options.stubCodemagic
+            ? new CodemagicStub({ token: this.tokens.codemagic, stepDuration: options.stepDuration })
+            : null;
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    log(message, type = 'info') {
+        if (this.options.quiet && type === 'info') return;
+
+        const colors = {
+            error: '\x1b[31m',
+            warning: '\x1b[33m',
+            success: '\x1b[32m',
+            info: '\x1b[36m',
+            reset: '\x1b[0m'
+        };
+
+        const stream = type === 'error' ? console.error : console.log;
+        stream(`${colors[type]}${message}${colors.reset}`);
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                const { port } = this.server.address();
+                const held = this.getServerTokens();
+                this.log(`🌐 Cordova App Generator: http://${this.host === '0.0.0.0' ? 'localhost' : this.host}:${port}/`, 'success');
+                Object.entries(PROXY_ROUTES).forEach(([service, route]) => {
+                    const target = service === 'codemagic' && this.codemagicStub ? 'offline stub' : route.target;
+                    this.log(`   /${service}/* → ${target}${held.includes(service) ? ` (token from ${route.tokenEnv})` : ''}`);
+                });
+                resolve(port);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Services whose token the browser can leave out
+    getServerTokens() {
+        return Object.keys(PROXY_ROUTES).filter(service => this.tokens[service]);
+    }
+
+    async handleRequest(req, res) {
+        const url = req.url || '/';
+        const [, service, rest] = url.match(/^\/([a-z]+)(\/.*)?$/) || [];
+
+        try {
+            // A DNS rebinding page reaches the proxy under its own host name; it gets neither files nor the API
+            if (!this.isAllowedHost(req.headers.host)) {
+                return this.sendError(res, 403, 'Host not allowed');
+            }
+
+            if (service && PROXY_ROUTES[service]) {
+                const refusal = this.checkApiRequest(req);
+                if (refusal) {
+                    this.log(`⛔ ${req.method} ${url}: ${refusal}`, 'warning');
+                    return this.sendError(res, 403, refusal);
+                }
+                await this.forward(req, res, service, rest || '/');
+            } else if (req.method === 'GET' || req.method === 'HEAD') {
+                this.serveStatic(req, res, url);
+            } else {
+                this.sendError(res, 405, 'Method not allowed');
+            }
+        } catch (error) {
+            this.log(`❌ ${req.method} ${url}: ${error.message}`, 'error');
+            if (!res.headersSent) {
+                this.sendError(res, error.statusCode || 502, error.message);
+            } else {
+                res.destroy();
+            }
+        }
+    }
+
+    // Whether a Host header names this server: localhost, an IP address, the listening host or an allowed host
+    isAllowedHost(hostHeader) {
+        let hostname, port;
+        try {
+            ({ hostname, port } = new URL(`http://${hostHeader}`));
+        } catch (error) {
+            return false;
+        }
+        if (!hostHeader || Number(port || 80) !== this.server.address()?.port) {
+            return false;
+        }
+
+        hostname = hostname.toLowerCase();
+        return hostname === 'localhost' ||
+            hostname === this.host.toLowerCase() ||
+            this.allowedHosts.includes(hostname) ||
+            /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) ||
+            /^\[[0-9a-f:.]+\]$/.test(hostname);
+    }
+
+    // Reason to refuse an API request, or null; only the generator pages this proxy served may use its tokens
+    checkApiRequest(req) {
+        const origin = req.headers.origin;
+        if (origin && origin !== `http://${req.headers.host}`) {
+            return `Cross-origin request from ${origin}`;
+        }
+        if (req.headers['sec-fetch-site'] && !['same-origin', 'none'].includes(req.headers['sec-fetch-site'])) {
+            return 'Cross-site request';
+        }
+
+        const session = Buffer.from(String(req.headers[SESSION_HEADER] || ''));
+        const expected = Buffer.from(this.session);
+        if (session.length !== expected.length || !crypto.timingSafeEqual(session, expected)) {
+            return 'Missing or wrong proxy session; reload the generator';
+        }
+        return null;
+    }
+
+    // Forward an API request, swapping in the server-side token when there is one
+    async forward(req, res, service, apiPath) {
+        if (service === 'codemagic' && this.codemagicStub) {
+            // The browser leaves the token out when the server holds it, as for the real API
+            if (this.tokens.codemagic) {
+                req.headers['x-auth-token'] = this.tokens.codemagic;
+            }
+            this.log(`↪ ${req.method} /codemagic${apiPath} (stub)`);
+            return this.codemagicStub.handle(req, res, apiPath);
+        }
+
+        const route = PROXY_ROUTES[service];
+        const target = new URL(route.target.replace(/\/+$/, '') + apiPath);
+        ProxyServer.assertAllowed(target.href);
+
+        const headers = {};
+        FORWARDED_HEADERS.forEach(name => {
+            if (req.headers[name]) {
+                headers[name] = req.headers[name];
+            }
+        });
+        if (service === 'github') {
+            headers['user-agent'] = headers['user-agent'] || 'cordova-app-generator-proxy';
+            const token = this.tokens.github;
+            if (token) {
+                headers.authorization = `token ${token}`;
+            } else if (req.headers.authorization) {
+                headers.authorization = req.headers.authorization;
+            }
+        } else {
+            const token = this.tokens.codemagic || req.headers['x-auth-token'];
+            if (token) {
+                headers['x-auth-token'] = token;
+            }
+        }
+
+        const body = ['GET', 'HEAD'].includes(req.method) ? null : await CodemagicStub.readBody(req, MAX_BODY_SIZE);
+        if (body !== null) {
+            headers['content-length'] = Buffer.byteLength(body);
+        }
+
+        this.log(`↪ ${req.method} /${service}${apiPath}`);
+
+        await new Promise((resolve, reject) => {
+            const upstream = https.request(target, { method: req.method, headers, timeout: route.timeout }, response => {
+                const responseHeaders = { ...response.headers };
+                HOP_BY_HOP_HEADERS.forEach(name => delete responseHeaders[name]);
+                // The browser only talks to the proxy same-origin; upstream CORS headers would open it to other sites
+                Object.keys(responseHeaders)
+                    .filter(name => name.startsWith('access-control-'))
+                    .forEach(name => delete responseHeaders[name]);
+                res.writeHead(response.statusCode, responseHeaders);
+                response.pipe(res);
+                response.on('end', resolve);
+                response.on('error', reject);
+            });
+            upstream.on('timeout', () => upstream.destroy(Object.assign(
+                new Error(`${target.hostname} did not respond within ${route.timeout / 1000}s`), { statusCode: 504 })));
+            upstream.on('error', reject);
+            upstream.end(body);
+        });
+    }
+
+    // Serve a file of the generator; index.html gets the meta tags that point js/config.js at the proxy
+    serveStatic(req, res, url) {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+        } catch (error) {
+            return this.sendError(res, 400, 'Invalid path');
+        }
+        if (pathname.endsWith('/')) {
+            pathname += 'index.html';
+        }
+
+        const filePath = path.join(ROOT_DIR, pathname);
+        const relative = path.relative(ROOT_DIR, filePath);
+        // Stay inside the repository and keep .git, .env and the like private
+        if (relative.startsWith('..') || path.isAbsolute(relative) || relative.split(path.sep).some(part => part.startsWith('.'))) {
+            return this.sendError(res, 403, 'Forbidden');
+        }
+        if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            return this.sendError(res, 404, 'Not found');
+        }
+
+        let content = fs.readFileSync(filePath);
+        if (relative === 'index.html') {
+            content = ProxyServer.injectMeta(content.toString('utf8'), this.getServerTokens(), this.session);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': Buffer.byteLength(content),
+            'Cache-Control': 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    }
+
+    sendError(res, status, message) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message }));
+    }
+}
+
+// Throw unless the URL is an HTTPS URL on a host in CONFIG.security.allowedDomains
+ProxyServer.assertAllowed = function (url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:' || !CONFIG.security.allowedDomains.includes(hostname)) {
+        throw Object.assign(new Error(`${hostname} is not in CONFIG.security.allowedDomains`), { statusCode: 403 });
+    }
+};
+
+// Add the api-base, api-server-tokens and api-proxy-session meta tags read by js/config.js
+ProxyServer.injectMeta = function (html, serverTokens, session) {
+    const meta = [
+        '<meta name="api-base" content="/">',
+        `<meta name="api-server-tokens" content="${serverTokens.join(' ')}">`,
+        `<meta name="api-proxy-session" content="${session}">`
+    ].map(tag => `\n    ${tag}`).join('');
+    return html.replace(/<meta charset="[^"]*">/i, match => match + meta);
+};
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-p':
+            case '--port':
+                options.port = parseInt(argv[++i], 10);
+                if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+                    throw new Error(`Invalid port: ${argv[i]}`);
+                }
+                break;
+            case '--host':
+                options.host = argv[++i];
+                break;
+            case '--allowed-host':
+                options.allowedHosts = [...(options.allowedHosts || []), argv[++i]];
+                break;
+            case '--stub-codemagic':
+                options.stubCodemagic = true;
+                break;
+            case '-q':
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log(`Usage: proxy-server [options]
+
+Options:
+  -p, --port <port>        Port to listen on (default: 8080)
+      --host <host>        Address to listen on (default: 127.0.0.1)
+      --allowed-host <name>
+                           Host name the generator is opened under, besides localhost and IP addresses (repeatable)
+      --stub-codemagic     Answer /codemagic/* with an offline stub of the Codemagic API
+  -q, --quiet              Only print warnings and errors
+  -h, --help               Show this help
+
+Environment:
+  GITHUB_TOKEN             GitHub token used for every /github/* request
+  CODEMAGIC_TOKEN          Codemagic API token used for every /codemagic/* request`);
+}
+
+// Run the server if called directly
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printUsage();
+        process.exit(0);
+    }
+
+    const proxy = new ProxyServer(options);
+    proxy.start().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = ProxyServer;
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Plugin Snapshot Updater
+ * Fetches npm metadata for every plugin in the registry and writes data/npm-plugin-snapshot.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PluginRegistry = require(path.join(__dirname, '..', 'js', 'plugin-registry.js'));
+
+const REGISTRY_URL = 'https://registry.npmjs.org';
+const SNAPSHOT_FILE = path.join(__dirname, '..', PluginRegistry.SNAPSHOT_PATH);
+
+class PluginSnapshotUpdater {
+    constructor(options = {}) {
+        this.registryUrl = options.registryUrl || REGISTRY_URL;
+        this.outputFile = options.outputFile || SNAPSHOT_FILE;
+        this.registry = new PluginRegistry();
+    }
+
+    log(message, type = 'info') {
+        const colors = {
+            error: '\x1b[31m',
+            warning: '\x1b[33m',
+            success: '\x1b[32m',
+            info: '\x1b[36m',
+            reset: '\x1b[0m'
+        };
+
+        console.log(`${colors[type]}${message}${colors.reset}`);
+    }
+
+    // Fetch the metadata of the latest published version of a package
+    async fetchPackage(npmName) {
+        const response = await fetch(`${this.registryUrl}/${npmName.replace('/', '%2F')}/latest`);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        const manifest = await response.json();
+        return {
+            latest: manifest.version,
+            platforms: manifest.cordova?.platforms || [],
+            deprecated: manifest.deprecated || null,
+            cordovaDependencies: manifest.engines?.cordovaDependencies || null
+        };
+    }
+
+    async run() {
+        const npmNames = [...new Set(this.registry.getAll().map(plugin => plugin.npmName))].sort();
+        const packages = {};
+        let failures = 0;
+
+        this.log(`📦 Fetching metadata for ${npmNames.length} plugin package(s) from ${this.registryUrl}`);
+
+        for (const npmName of npmNames) {
+            try {
+                packages[npmName] = await this.fetchPackage(npmName);
+                this.log(`✅ ${npmName}@${packages[npmName].latest}`, 'success');
+            } catch (error) {
+                failures++;
+                this.log(`❌ ${npmName}: ${error.message}`, 'error');
+            }
+        }
+
+        const snapshot = {
+            generatedAt: new Date().toISOString(),
+            registry: this.registryUrl,
+            packages
+        };
+
+        fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+        fs.writeFileSync(this.outputFile, JSON.stringify(snapshot, null, 2) + '\n');
+
+        this.log(`\n💾 Snapshot written to ${path.relative(process.cwd(), this.outputFile)}`,
+            failures > 0 ? 'warning' : 'success');
+
+        return failures;
+    }
+}
+
+// Run the updater if called directly
+if (require.main === module) {
+    new PluginSnapshotUpdater().run()
+        .then(failures => process.exit(failures > 0 ? 1 : 0))
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = PluginSnapshotUpdater;